@@ -8,33 +8,85 @@ const fs = require('fs');
 const packageRoot = path.dirname(__dirname);
 
 function showHelp() {
+  const { formatColumns } = require('../lib/cli');
+  const commands = COMMANDS.filter((command) => !command.hidden);
+
   console.log(`
 🎮 Darbot Teams MCP Server
 ═══════════════════════════════
 
 USAGE:
-  npx darbot-teams-mcp [command]
+  npx darbot-teams-mcp <command> [options]
 
 COMMANDS:
-  --stdio              Run in stdio mode (for VS Code integration)
-  --http               Run in HTTP mode (localhost:3001)
-  --vscode-setup       Auto-configure VS Code settings
-  --test               Test the MCP server installation
-  --help               Show this help message
+${formatColumns(commands.map((command) => [command.usage, command.summary]), '  ', 30)}
+
+GLOBAL OPTIONS:
+${formatColumns(GLOBAL_OPTIONS.map((spec) => [spec.value ? `--${spec.name} ${spec.value}` : `--${spec.name}`, spec.description]), '  ', 30)}
+
+Run "npx darbot-teams-mcp <command> --help" for the options of a command.
+
+SETTINGS (highest precedence first):
+  --profile <name>, --config <file>, the nearest .darbot-teams.json, .env in the
+  current directory, the environment, the current profile, then the defaults.
+  See them with: npx darbot-teams-mcp config show
 
 EXAMPLES:
   # Auto-configure VS Code (recommended first step)
   npx darbot-teams-mcp --vscode-setup
 
+  # Configure Claude Desktop, or every MCP client installed on this machine
+  npx darbot-teams-mcp --setup claude
+  npx darbot-teams-mcp --setup all
+
+  # Preview the change, then undo it later
+  npx darbot-teams-mcp --setup vscode --dry-run
+  npx darbot-teams-mcp --setup vscode --uninstall
+
   # Run in stdio mode for VS Code integration
   npx darbot-teams-mcp --stdio
 
+  # Work across customer tenants
+  npx darbot-teams-mcp profile add contoso --tenant contoso.onmicrosoft.com
+  npx darbot-teams-mcp profile add fabrikam --tenant 72f988bf-86f1-41af-91ab-2d7cd011db47
+  npx darbot-teams-mcp --stdio --profile contoso
+  npx darbot-teams-mcp --vscode-setup --all-profiles
+
   # Run in HTTP mode for web clients
   npx darbot-teams-mcp --http
+  npx darbot-teams-mcp --http --host 0.0.0.0 --port 8080
+
+  # Explore and call tools from the terminal
+  npx darbot-teams-mcp tools
+  npx darbot-teams-mcp tools teams-list-channels
+  npx darbot-teams-mcp call teams-list-members --includeGuests
+  npx darbot-teams-mcp call teams-pin-message --messageId 123 --json
+  npx darbot-teams-mcp shell
+
+  # Share one instance with remote MCP clients over Streamable HTTP
+  npx darbot-teams-mcp --gateway --host 0.0.0.0 --port 3100 --token s3cret
+
+  # Keep one shared HTTP server running in the background
+  npx darbot-teams-mcp start --detach --port 3001
+  npx darbot-teams-mcp status
+  npx darbot-teams-mcp stop
+
+  # Capture a session, then check a later build answers it the same way
+  npx darbot-teams-mcp --stdio --record session.jsonl
+  npx darbot-teams-mcp replay session.jsonl
+
+  # Force a fresh build of the server after a bad update
+  npx darbot-teams-mcp --clean-cache --rebuild
+
+  # Diagnose a broken setup
+  npx darbot-teams-mcp --doctor
 
   # Test the installation
   npx darbot-teams-mcp --test
 
+  # Produce a JUnit report for CI
+  npx darbot-teams-mcp --test --reporter junit --output mcp-results.xml
+
 QUICK START:
   1. npx darbot-teams-mcp --vscode-setup
   2. Restart VS Code
@@ -44,17 +96,29 @@ For more information: https://github.com/darbotlabs/darbot-teams-mcp
 `);
 }
 
-function runVSCodeSetup() {
-  console.log('🔧 Running VS Code setup...');
+function showCommandHelp(command) {
+  const { formatCommandHelp } = require('../lib/cli');
+  console.log(formatCommandHelp(command, GLOBAL_OPTIONS, 'npx darbot-teams-mcp'));
+}
+
+function runClientSetup({ options, args }) {
+  const { formatOptions } = require('../lib/cli');
+  console.log(`🔧 Running MCP client setup (${args.client})...`);
   const setupScript = path.join(packageRoot, 'scripts', 'vscode-setup.js');
-  
-  const child = spawn('node', [setupScript], {
+
+  // Forward the setup modifiers (--dry-run, --uninstall, --all-profiles, --restore [timestamp], --tenant <id>, --policy <file>, --read-only)
+  const { READ_ONLY_PRESET } = require('../lib/policy');
+  // The script runs in the package directory, so a relative policy path is resolved here
+  const policy = options.policy && options.policy !== READ_ONLY_PRESET ? path.resolve(options.policy) : options.policy;
+  const setupArgs = ['--setup', args.client, ...formatOptions({ ...options, policy }, SETUP_OPTIONS)];
+
+  const child = spawn('node', [setupScript, ...setupArgs], {
     stdio: 'inherit',
     cwd: packageRoot
   });
 
   child.on('error', (error) => {
-    console.error('❌ VS Code setup failed:', error.message);
+    console.error('❌ MCP client setup failed:', error.message);
     process.exit(1);
   });
 
@@ -63,16 +127,19 @@ function runVSCodeSetup() {
   });
 }
 
-function runTest() {
+function runTest({ options }) {
+  const { formatOptions } = require('../lib/cli');
   console.log('🧪 Running MCP server tests...');
-  const testScript = path.join(packageRoot, 'test-mcp-server.sh');
+  const testScript = path.join(packageRoot, 'scripts', 'test-mcp-server.js');
   
   if (!fs.existsSync(testScript)) {
     console.error('❌ Test script not found:', testScript);
     process.exit(1);
   }
 
-  const child = spawn('bash', [testScript], {
+  // The test runner takes the --test options (--transport, --reporter, ...)
+  const testArgs = formatOptions(options, TEST_OPTIONS);
+  const child = spawn('node', [testScript, ...testArgs], {
     stdio: 'inherit',
     cwd: packageRoot
   });
@@ -87,41 +154,25 @@ function runTest() {
   });
 }
 
-function runMcpServer(mode) {
-  console.log(`🚀 Starting Darbot Teams MCP Server in ${mode} mode...`);
-  
-  const serverProject = path.join(packageRoot, 'src', 'DarbotTeamsMcp.Server');
-  
-  if (!fs.existsSync(serverProject)) {
-    console.error(`❌ Server project not found: ${serverProject}`);
-    console.error(`
-🔧 TROUBLESHOOTING:
-  • Make sure the package was installed correctly
-  • Try reinstalling: npm uninstall -g darbot-teams-mcp && npm install -g darbot-teams-mcp
-  • Check .NET SDK is installed: dotnet --version
-  • For help: npx darbot-teams-mcp --help
-`);
-    process.exit(1);
-  }
+async function runDoctor({ options }) {
+  const { runChecks, printReport } = require('../lib/doctor');
+  const json = Boolean(options.json);
 
-  const args = ['run', '--project', serverProject];
-  
-  if (mode === 'stdio') {
-    args.push('--', '--stdio');
-    // Set MCP_MODE environment variable for stdio mode
-    process.env.MCP_MODE = 'stdio';
-    process.env.TEAMS_LOG_LEVEL = 'Warning'; // Reduce logging noise for stdio
+  if (!json) {
+    console.log('🩺 Checking your Darbot Teams MCP setup...');
   }
 
-  const child = spawn('dotnet', args, {
-    stdio: 'inherit',
-    cwd: packageRoot,
-    env: process.env
-  });
+  const report = await runChecks({ skipBuild: Boolean(options.skipBuild) });
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  process.exit(report.ok ? 0 : 1);
+}
 
-  child.on('error', (error) => {
-    if (error.code === 'ENOENT') {
-      console.error(`
+function printDotnetMissing() {
+  console.error(`
 ❌ .NET SDK not found!
 
 📥 REQUIRED: Install .NET SDK first:
@@ -137,51 +188,1783 @@ function runMcpServer(mode) {
   • Documentation: https://github.com/darbotlabs/darbot-teams-mcp
   • Issues: https://github.com/darbotlabs/darbot-teams-mcp/issues
 `);
+}
+
+function cleanBuildCache() {
+  const { cleanCache } = require('../lib/build-cache');
+  const removed = cleanCache();
+  console.error(removed ? `🧹 Removed cached builds: ${removed}` : '🧹 No cached builds to remove');
+}
+
+/**
+ * Makes sure the Release build in the cache matches the sources. Progress goes to stderr so
+ * it never mixes with the stdio protocol stream.
+ */
+async function prepareServerBuild(options) {
+  const { ensureBuild } = require('../lib/build-cache');
+  const { mockEnabled } = require('../lib/server');
+
+  if (mockEnabled()) {
+    return { dll: null };
+  }
+
+  try {
+    return await ensureBuild({
+      rebuild: Boolean(options.rebuild),
+      log: (message) => console.error(message)
+    });
+  } catch (error) {
+    if (/\.NET SDK not found/.test(error.message)) {
+      printDotnetMissing();
     } else {
-      console.error(`❌ Failed to start MCP server: ${error.message}`);
+      console.error(`❌ Failed to build MCP server: ${error.message}`);
       console.error(`
 🔧 TROUBLESHOOTING:
   • Check .NET SDK: dotnet --version
-  • Reinstall package: npm install -g darbot-teams-mcp
-  • Check logs in the 'logs/' directory
+  • Check your internet connection / NuGet feed for package restore
+  • Diagnose the installation: npx darbot-teams-mcp --doctor
+  • Start over with a clean build: npx darbot-teams-mcp --clean-cache --rebuild
   • Report issue: https://github.com/darbotlabs/darbot-teams-mcp/issues
 `);
     }
     process.exit(1);
-  });
+  }
+}
 
-  child.on('close', (code) => {
-    if (code !== 0) {
-      console.error(`
+async function runBuildCache({ options }) {
+  if (options.cleanCache) {
+    cleanBuildCache();
+  }
+  if (options.rebuild || !options.cleanCache) {
+    const build = await prepareServerBuild(options);
+    console.error(`📁 Server build: ${build.dll}`);
+  }
+}
+
+/**
+ * Host and port for HTTP mode: --host/--port, then TEAMS_SERVER_HOST/TEAMS_SERVER_PORT, then the defaults
+ */
+function httpAddress(options) {
+  const { DEFAULT_HOST, DEFAULT_PORT } = require('../lib/daemon');
+  const host = options.host || process.env.TEAMS_SERVER_HOST || DEFAULT_HOST;
+  const port = Number(options.port || process.env.TEAMS_SERVER_PORT || DEFAULT_PORT);
+
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error(`❌ Invalid port: ${options.port || process.env.TEAMS_SERVER_PORT} (expected 1-65535)`);
+    process.exit(1);
+  }
+  return { host, port };
+}
+
+/**
+ * profile add|list|use|remove: named tenant profiles stored in the user config directory
+ */
+function runProfile({ options, args }) {
+  const profiles = require('../lib/profiles');
+  const { renderTable } = require('../lib/table');
+  const { action, name } = args;
+  const requireName = () => {
+    if (!name) throw new Error(`Missing profile name: npx darbot-teams-mcp profile ${action} <name>`);
+  };
+
+  try {
+    switch (action) {
+      case 'add': {
+        const profile = profiles.addProfile(name, {
+          tenantId: options.tenant,
+          clientId: options.clientId,
+          simulation: options.simulation,
+          requireAuth: options.requireAuth,
+          policy: options.policy
+        }, { force: Boolean(options.force) });
+        console.log(`✅ Saved profile ${profile.name} (tenant ${profile.tenantId})${profile.current ? ' - now the current profile' : ''}`);
+        console.log(`💡 Use it with: npx darbot-teams-mcp --stdio --profile ${profile.name}`);
+        return;
+      }
+
+      case 'list':
+      case undefined: {
+        const list = profiles.listProfiles();
+        if (options.json) {
+          console.log(JSON.stringify(list, null, 2));
+          return;
+        }
+        if (list.length === 0) {
+          console.log('No profiles yet. Add one with: npx darbot-teams-mcp profile add <name> --tenant <tenant-id>');
+          return;
+        }
+        console.log(renderTable(list.map((profile) => ({
+          ...profile,
+          name: `${profile.current ? '*' : ' '} ${profile.name}`,
+          entry: profiles.profileServerName(profile.name),
+          simulation: profile.simulation ? 'on' : 'off',
+          auth: profile.requireAuth ? 'required' : 'off',
+          policy: profile.policy || ''
+        })), ['name', 'tenantId', 'clientId', 'simulation', 'auth', 'policy', 'entry']));
+        console.log(`\n📁 ${profiles.profilesFile()}`);
+        return;
+      }
+
+      case 'use':
+        requireName();
+        profiles.useProfile(name);
+        console.log(`✅ Current profile: ${name}`);
+        return;
+
+      case 'remove':
+        requireName();
+        profiles.removeProfile(name);
+        console.log(`🗑️  Removed profile ${name}`);
+        console.log(`💡 Client entries named ${profiles.profileServerName(name)} are left in place; delete them from the client configuration if no longer needed`);
+        return;
+
+      default:
+        console.error(`❌ Unknown profile command: ${action} (expected add, list, use or remove)`);
+        process.exit(2);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Where stdio mode sends everything that is not protocol traffic: stderr, or --log-file <path>
+ */
+function createStdioLog(options) {
+  const file = options.logFile;
+  if (!file) {
+    return (line) => process.stderr.write(line + '\n');
+  }
+
+  // Synchronous appends so nothing is lost when the launcher exits with the server
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  return (line) => fs.appendFileSync(file, `${new Date().toISOString()} ${line}\n`);
+}
+
+/**
+ * The tool policy selected by --policy/--read-only, DARBOT_POLICY or the profile (see lib/policy.js), or null
+ */
+function openPolicy(log) {
+  const { policyFromEnv, READ_ONLY_PRESET } = require('../lib/policy');
+  let policy;
+  try {
+    policy = policyFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (policy) {
+    log(policy.name === READ_ONLY_PRESET ? '🛡️  Read-only: tools that change Teams are hidden' : `🛡️  Tool policy ${policy.name}: ${policy.describe()}`);
+  }
+  return policy;
+}
+
+/**
+ * The audit log of tool calls (see lib/audit.js); invalid DARBOT_AUDIT_* settings end the command
+ */
+function openAuditLog(log) {
+  const { createAuditLog } = require('../lib/audit');
+  try {
+    return createAuditLog({ log });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function runMcpServer(mode, options, hooks = {}) {
+  // In stdio mode stdout belongs to the JSON-RPC stream, so launcher output goes to stderr
+  const say = mode === 'stdio' ? console.error : console.log;
+  say(`🚀 Starting Darbot Teams MCP Server in ${mode} mode...`);
+  
+  const { serverProject, serverEnv, mockEnabled } = require('../lib/server');
+  
+  if (!mockEnabled() && !fs.existsSync(serverProject)) {
+    console.error(`❌ Server project not found: ${serverProject}`);
+    console.error(`
+🔧 TROUBLESHOOTING:
+  • Make sure the package was installed correctly
+  • Try reinstalling: npm uninstall -g darbot-teams-mcp && npm install -g darbot-teams-mcp
+  • Check .NET SDK is installed: dotnet --version
+  • For help: npx darbot-teams-mcp --help
+`);
+    process.exit(1);
+  }
+
+  if (options.cleanCache) {
+    cleanBuildCache();
+  }
+
+  // Run the cached Release build directly instead of `dotnet run`, which re-checks the build on every launch
+  const build = await prepareServerBuild(options);
+  const { createSupervisor } = require('../lib/supervisor');
+  const log = mode === 'stdio' ? createStdioLog(options) : (line) => console.error(line);
+  const address = mode === 'http' ? httpAddress(options) : null;
+  let envOverrides = address ? { TEAMS_SERVER_HOST: address.host, TEAMS_SERVER_PORT: String(address.port) } : {};
+  let relay = null;
+
+  let recorder = null;
+  if (options.record) {
+    const { createRecorder } = require('../lib/recording');
+    recorder = createRecorder(options.record, { transport: mode });
+    log(`🎥 Recording the session to ${recorder.file}`);
+  }
+
+  const policy = openPolicy(log);
+  const { createAuditObserver } = require('../lib/audit');
+  const audit = openAuditLog(log);
+  const auditObserver = createAuditObserver(audit, mode);
+  process.on('exit', () => auditObserver.finish());
+  const observe = recorder || audit.enabled
+    ? (direction, message, exchange) => {
+      if (recorder) recorder.record(direction, message);
+      auditObserver(direction, message, exchange);
+    }
+    : undefined;
+
+  if ((observe || policy) && address) {
+    // HTTP traffic is recorded, audited and screened by a proxy on the requested address; the server listens on a private port
+    const { findFreePort } = require('../lib/mcp-connection');
+    const { createMessageProxy } = require('../lib/recording');
+    const serverPort = await findFreePort();
+    envOverrides = { TEAMS_SERVER_HOST: 'localhost', TEAMS_SERVER_PORT: String(serverPort) };
+    try {
+      await createMessageProxy({ target: `http://localhost:${serverPort}`, host: address.host, port: address.port, onMessage: observe, policy, log });
+    } catch (error) {
+      console.error(`❌ Could not listen on ${address.host}:${address.port}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (mode === 'stdio') {
+    const { createStdioRelay } = require('../lib/stdio-relay');
+    relay = createStdioRelay({
+      log,
+      onMessage: observe,
+      policy,
+      onDiagnostic: (diagnostic) => log(`⚠️  MCP protocol violation (${diagnostic.type}): ${diagnostic.message}`),
+      // The server exits on EOF by itself; make sure it does not linger if it does not
+      onClientEnd: () => setTimeout(() => supervisor.stop('SIGTERM'), 5000).unref()
+    });
+  }
+
+  const supervisor = createSupervisor({
+    mode,
+    dll: build.dll,
+    env: serverEnv(mode, envOverrides),
+    stdio: mode === 'stdio' ? 'pipe' : 'inherit',
+    restart: !options.noRestart,
+    log,
+    // In stdio mode any exit while the client is still connected is a crash
+    shouldRestart: (code, signal) => (relay ? !relay.clientEnded : code !== 0 || signal !== null),
+    onSpawn: (child, { restarted }) => {
+      if (relay) relay.attach(child, { replay: restarted });
+      if (hooks.onSpawn) hooks.onSpawn(child);
+    },
+    onCrash: () => {
+      if (relay) relay.detach('Server process crashed before responding');
+    },
+    onError: (error) => {
+      if (error.code === 'ENOENT') {
+        printDotnetMissing();
+      } else {
+        console.error(`❌ Failed to start MCP server: ${error.message}`);
+        console.error(`
+🔧 TROUBLESHOOTING:
+  • Check .NET SDK: dotnet --version
+  • Reinstall package: npm install -g darbot-teams-mcp
+  • Check the server logs: npx darbot-teams-mcp logs --level warning
+  • Report issue: https://github.com/darbotlabs/darbot-teams-mcp/issues
+`);
+      }
+    },
+    onExit: (code, { stopped }) => {
+      if (code !== 0 && !stopped) {
+        console.error(`
 ⚠️  MCP server exited with code ${code}
 
 🔧 TROUBLESHOOTING:
-  • Check logs in the 'logs/' directory
+  • Check the server logs: npx darbot-teams-mcp logs --level warning
   • Try: npx darbot-teams-mcp --test
+  • Rebuild the cached server: npx darbot-teams-mcp --rebuild
   • For help: npx darbot-teams-mcp --help
   • Report issue: https://github.com/darbotlabs/darbot-teams-mcp/issues
 `);
+      }
+      process.exit(code);
     }
-    process.exit(code);
+  });
+
+  // The server runs in its own process group, so signals reach it only through us
+  ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((signal) => {
+    process.on(signal, () => {
+      log(`🛑 Received ${signal}, stopping the server...`);
+      supervisor.stop(signal);
+    });
+  });
+
+  supervisor.start();
+
+  if (address) {
+    // Report readiness from the health endpoint rather than guessing with a fixed delay
+    const { baseUrl } = require('../lib/daemon');
+    const { waitForHealth } = require('../lib/mcp-connection');
+    const url = baseUrl(address.host, address.port);
+    waitForHealth(url, { timeoutMs: 300000, isAlive: () => supervisor.child !== null })
+      .then((health) => console.log(`✅ Ready: ${url}/mcp (${health.toolsCount} tools)`))
+      .catch(() => {});
+  }
+}
+
+/**
+ * --gateway: runs the stdio server and exposes it to remote clients over Streamable HTTP
+ */
+async function runGateway({ options }) {
+  console.log('🚀 Starting Darbot Teams MCP gateway (Streamable HTTP → stdio)...');
+
+  const http = require('http');
+  const { serverEnv } = require('../lib/server');
+  const { createSupervisor } = require('../lib/supervisor');
+  const { createGateway } = require('../lib/gateway');
+  const { createStdioConnection } = require('../lib/mcp-connection');
+  const { baseUrl } = require('../lib/daemon');
+
+  const address = httpAddress(options);
+  const token = options.token || process.env.DARBOT_GATEWAY_TOKEN;
+  const verbose = Boolean(options.verbose);
+  const log = (line) => console.error(line);
+
+  if (options.cleanCache) {
+    cleanBuildCache();
+  }
+  const build = await prepareServerBuild(options);
+
+  const allowedOrigins = (options.allowedOrigin || process.env.DARBOT_GATEWAY_ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+  const gateway = createGateway({
+    host: address.host,
+    token,
+    allowedOrigins,
+    jsonResponse: Boolean(options.jsonResponse),
+    audit: openAuditLog(log),
+    policy: openPolicy(log),
+    log
+  });
+
+  const supervisor = createSupervisor({
+    mode: 'stdio',
+    dll: build.dll,
+    env: serverEnv('stdio'),
+    stdio: 'pipe',
+    restart: !options.noRestart,
+    log,
+    // The stdio server only exits on its own when something went wrong
+    shouldRestart: () => true,
+    onSpawn: (child) => {
+      const connection = createStdioConnection(child, {
+        timeoutMs: 300000,
+        onNotification: (message) => gateway.onServerMessage(message, connection),
+        onDiagnostic: (diagnostic) => {
+          if (diagnostic.type === 'non-json-output') {
+            log(`[server stdout] ${diagnostic.line}`);
+          } else if (verbose) {
+            log(`⚠️  ${diagnostic.type}: ${diagnostic.message}`);
+          }
+        }
+      });
+      child.stderr.on('data', (data) => process.stderr.write(data));
+      gateway.attach(connection)
+        .then(({ toolsCount }) => log(`✅ Server ready (${toolsCount} tools)`))
+        .catch((error) => {
+          log(`❌ Server handshake failed: ${error.message}`);
+          gateway.detach(new Error(`handshake failed: ${error.message}`));
+        });
+    },
+    onCrash: () => gateway.detach(),
+    onError: (error) => {
+      if (error.code === 'ENOENT') {
+        printDotnetMissing();
+      } else {
+        console.error(`❌ Failed to start MCP server: ${error.message}`);
+      }
+    },
+    onExit: (code) => process.exit(code)
+  });
+
+  const server = http.createServer((req, res) => gateway.handle(req, res));
+  server.on('error', (error) => {
+    console.error(`❌ Gateway could not listen on ${address.host}:${address.port}: ${error.message}`);
+    supervisor.stop('SIGTERM');
+  });
+  server.listen(address.port, address.host, () => {
+    const url = baseUrl(address.host, address.port);
+    console.log(`🌐 Streamable HTTP endpoint: ${url}/mcp`);
+    console.log(token ? '🔒 Bearer token required (Authorization: Bearer <token>)' : '🔓 No bearer token configured (--token or DARBOT_GATEWAY_TOKEN)');
+  });
+
+  ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((signal) => {
+    process.on(signal, () => {
+      log(`🛑 Received ${signal}, stopping the gateway...`);
+      gateway.close();
+      server.close();
+      supervisor.stop(signal);
+    });
+  });
+
+  supervisor.start();
+}
+
+/**
+ * Connects an MCP client: to --url when given, otherwise to a stdio server started for this command
+ */
+async function connectClient(options) {
+  const { createClient } = require('../lib/client');
+  const timeoutMs = Number(options.timeout || 120000);
+  if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+    console.error(`❌ Invalid --timeout: ${options.timeout} (milliseconds)`);
+    process.exit(2);
+  }
+  const client = createClient({
+    url: options.url,
+    timeoutMs,
+    audit: openAuditLog((message) => console.error(message)),
+    log: (message) => console.error(message),
+    onStderr: options.verbose ? (text) => process.stderr.write(text) : undefined
+  });
+
+  try {
+    await client.connect();
+  } catch (error) {
+    console.error(`❌ Could not connect to the MCP server: ${error.message}`);
+    console.error('💡 Run "npx darbot-teams-mcp --doctor" to check the installation');
+    process.exit(1);
+  }
+  return client;
+}
+
+function formatParameters(tool) {
+  const { toolParameters } = require('../lib/tool-args');
+  return toolParameters(tool.inputSchema).map((param) => `${param.name}${param.required ? '*' : ''}`).join(', ');
+}
+
+function printToolDetails(tool) {
+  const { toolParameters, describeType } = require('../lib/tool-args');
+  const { renderTable } = require('../lib/table');
+  const params = toolParameters(tool.inputSchema);
+
+  console.log(`🔧 ${tool.name}`);
+  console.log(`   ${tool.description || ''}`);
+  if (tool.category) console.log(`   Category: ${tool.category}`);
+  if (tool.requiredPermission) console.log(`   Permission: ${tool.requiredPermission}`);
+  console.log('');
+
+  if (params.length === 0) {
+    console.log('No parameters.');
+  } else {
+    console.log(renderTable(params.map((param) => ({
+      flag: `--${param.name}`,
+      type: describeType(param.schema),
+      required: param.required ? 'yes' : '',
+      description: [param.schema.description, param.schema.default !== undefined ? `(default: ${JSON.stringify(param.schema.default)})` : '']
+        .filter(Boolean).join(' ')
+    })), [{ key: 'flag', title: 'parameter' }, 'type', 'required', 'description']));
+  }
+
+  const example = params.filter((param) => param.required).map((param) => `--${param.name} <${describeType(param.schema)}>`);
+  console.log(`\nUsage: npx darbot-teams-mcp call ${tool.name}${example.length ? ` ${example.join(' ')}` : ''} [--json]`);
+}
+
+/**
+ * tools [name]: lists the server's tools, or shows one tool's parameters
+ */
+async function runTools({ options, args }) {
+  const { renderTable } = require('../lib/table');
+  const { suggest } = require('../lib/tool-args');
+  const { name } = args;
+  const { category } = options;
+
+  const client = await connectClient(options);
+  let tools;
+  try {
+    tools = await client.listTools();
+  } finally {
+    await client.close();
+  }
+
+  if (name) {
+    const tool = tools.find((item) => item.name === name);
+    if (!tool) {
+      const hint = suggest(name, tools.map((item) => item.name));
+      console.error(`❌ Unknown tool: ${name}${hint ? ` (did you mean ${hint}?)` : ''}`);
+      process.exit(2);
+    }
+    if (options.json) {
+      console.log(JSON.stringify(tool, null, 2));
+    } else {
+      printToolDetails(tool);
+    }
+    process.exit(0);
+  }
+
+  const selected = category ? tools.filter((tool) => String(tool.category).toLowerCase() === category.toLowerCase()) : tools;
+  if (options.json) {
+    console.log(JSON.stringify(selected, null, 2));
+    process.exit(0);
+  }
+
+  console.log(renderTable(selected.map((tool) => ({ ...tool, parameters: formatParameters(tool) })),
+    ['name', ...(selected.some((tool) => tool.category) ? ['category'] : []), 'parameters', 'description']));
+  console.log(`\n📋 ${selected.length} tool(s)${category ? ` in ${category}` : ''}; * = required. Details: npx darbot-teams-mcp tools <name>`);
+  process.exit(0);
+}
+
+/**
+ * export-tools: renders the server's tools/list as Markdown, a JSON Schema bundle or OpenAPI 3;
+ * --check fails when the committed docs differ from what the server registers, --update rewrites them
+ */
+async function runExportTools({ options }) {
+  const { FORMATS, docTargets, renderTools, exportContent } = require('../lib/tool-docs');
+  const { unifiedDiff } = require('../lib/diff');
+  const format = options.format || 'markdown';
+  if (!FORMATS.includes(format)) {
+    console.error(`❌ Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+    process.exit(2);
+  }
+  if (options.check && options.update) {
+    console.error('❌ Use either --check or --update');
+    process.exit(2);
+  }
+
+  const client = await connectClient(options);
+  let tools;
+  try {
+    tools = await client.listTools();
+  } finally {
+    await client.close();
+  }
+  const renderOptions = { version: require('../package.json').version };
+
+  if (!options.output && !options.check && !options.update) {
+    process.stdout.write(renderTools(tools, format, renderOptions));
+    process.exit(0);
+  }
+
+  // An explicit --output is the only target; otherwise the committed docs (of --format, if given)
+  const targets = options.output ? [{ format, file: path.resolve(options.output) }] : docTargets(options.format || null);
+  let stale = 0;
+  for (const target of targets) {
+    const relative = path.relative(process.cwd(), target.file);
+    const name = relative && !relative.startsWith('..') ? relative : target.file;
+    let current;
+    try {
+      current = fs.existsSync(target.file) ? fs.readFileSync(target.file, 'utf8') : null;
+    } catch (error) {
+      console.error(`❌ Could not read ${name}: ${error.message}`);
+      process.exit(2);
+    }
+    const expected = exportContent(tools, target.format, current, renderOptions);
+    if (current === expected) {
+      console.log(`✔️  Up to date: ${name}`);
+      continue;
+    }
+    if (options.check) {
+      stale++;
+      console.log(current === null ? `❌ Missing: ${name}` : `❌ Stale: ${name}`);
+      if (current !== null) {
+        const diff = unifiedDiff(current, expected, name, name).split('\n');
+        console.log(diff.slice(0, 40).join('\n') + (diff.length > 40 ? `\n... ${diff.length - 40} more diff line(s)` : ''));
+      }
+      continue;
+    }
+    try {
+      fs.mkdirSync(path.dirname(target.file), { recursive: true });
+      fs.writeFileSync(target.file, expected);
+    } catch (error) {
+      console.error(`❌ Could not write ${name}: ${error.message}`);
+      process.exit(2);
+    }
+    console.log(`📝 Wrote ${name} (${target.format}, ${tools.length} tools)`);
+  }
+
+  if (options.check) {
+    if (stale > 0) {
+      console.log(`\n❌ ${stale} of ${targets.length} file(s) do not match the ${tools.length} tools the server registers`);
+      console.log(`💡 Regenerate them with: npx darbot-teams-mcp export-tools ${options.output ? `--format ${format} --output ${options.output}` : '--update'}${options.mock ? ' --mock' : ''}`);
+    } else {
+      console.log(`\n✅ Tool docs match the ${tools.length} tools the server registers`);
+    }
+  }
+  process.exit(stale > 0 ? 1 : 0);
+}
+
+/**
+ * call <tool> --param value ...: builds arguments from the tool's inputSchema and calls it
+ */
+async function runCall({ options, args, passthrough: tokens }) {
+  const { parseToolArgs, readArgsJson, suggest } = require('../lib/tool-args');
+  const { renderContent } = require('../lib/table');
+  const name = args.tool;
+
+  let baseArgs = {};
+  try {
+    baseArgs = options.argsJson ? readArgsJson(options.argsJson) : {};
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+
+  const client = await connectClient(options);
+  let exitCode = 0;
+  try {
+    const tools = await client.listTools();
+    const tool = tools.find((item) => item.name === name);
+    if (!tool) {
+      const hint = suggest(name, tools.map((item) => item.name));
+      console.error(`❌ Unknown tool: ${name}${hint ? ` (did you mean ${hint}?)` : ''}`);
+      exitCode = 2;
+      return;
+    }
+
+    const { args: toolArgs, errors } = parseToolArgs(tool.inputSchema, tokens, baseArgs);
+    if (errors.length > 0) {
+      errors.forEach((error) => console.error(`❌ ${error}`));
+      console.error(`💡 See the parameters with: npx darbot-teams-mcp tools ${name}`);
+      exitCode = 2;
+      return;
+    }
+
+    const result = await client.callTool(name, toolArgs);
+    if (options.json) {
+      console.log(JSON.stringify(result.error ? { error: result.error } : result.raw, null, 2));
+    } else if (result.error) {
+      console.error(`❌ ${result.error.message}${result.error.code !== undefined ? ` (code ${result.error.code})` : ''}`);
+    } else {
+      const text = renderContent(result.content);
+      if (result.isError) {
+        console.error(`❌ ${text}`);
+      } else {
+        console.log(text);
+      }
+    }
+    exitCode = result.isError ? 1 : 0;
+  } catch (error) {
+    console.error(`❌ ${name} failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await client.close();
+    process.exit(exitCode);
+  }
+}
+
+/**
+ * shell: interactive REPL over one server session
+ */
+async function runShell({ options }) {
+  const { startShell } = require('../lib/shell');
+  const client = await connectClient(options);
+  try {
+    const tools = await client.listTools();
+    await startShell(client, tools);
+  } catch (error) {
+    console.error(`❌ Shell failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+    process.exit(process.exitCode || 0);
+  }
+}
+
+function printStatus(status) {
+  const { formatUptime } = require('../lib/daemon');
+
+  if (!status.running) {
+    console.log(`⏹️  HTTP server is not running${status.stale ? ' (removed a stale PID file)' : ''}`);
+    return;
+  }
+
+  console.log(`${status.healthy ? '✅' : '⚠️ '} HTTP server is running${status.healthy ? '' : ' but not healthy'}`);
+  console.log(`  URL:        ${status.url}/mcp`);
+  console.log(`  PID:        ${status.pid}${status.serverPid ? ` (server ${status.serverPid})` : ''}`);
+  console.log(`  Uptime:     ${formatUptime(status.uptimeMs)} (since ${status.startedAt})`);
+  console.log(`  Tools:      ${status.toolCount !== null ? status.toolCount : 'unknown'}`);
+  if (status.logFile) {
+    console.log(`  Log:        ${status.logFile}`);
+  }
+  if (status.error) {
+    console.log(`  Error:      ${status.error}`);
+  }
+  if (status.info) {
+    console.log('');
+    console.log('📋 /mcp/info:');
+    console.log(JSON.stringify(status.info, null, 2));
+  }
+}
+
+function printReplayResult(result) {
+  const label = `line ${result.line}  ${result.method}${result.tool ? ` ${result.tool}` : ''}`;
+  switch (result.status) {
+    case 'match':
+      console.log(`✅ ${label}`);
+      break;
+    case 'differ':
+      console.log(`❌ ${label}: ${result.differenceCount} difference(s)`);
+      result.differences.forEach((difference) => {
+        console.log(`     ${difference.path}`);
+        console.log(`       - ${difference.expected === undefined ? '(missing)' : JSON.stringify(difference.expected)}`);
+        console.log(`       + ${difference.actual === undefined ? '(missing)' : JSON.stringify(difference.actual)}`);
+      });
+      if (result.differenceCount > result.differences.length) {
+        console.log(`     ... and ${result.differenceCount - result.differences.length} more`);
+      }
+      break;
+    case 'error':
+      console.log(`💥 ${label}: ${result.error}`);
+      break;
+    case 'unanswered':
+      console.log(`⏭️  ${label}: no recorded response to compare with`);
+      break;
+    default:
+      console.log(`⏭️  line ${result.line}: skipped (${result.error})`);
+  }
+}
+
+/**
+ * replay <file.jsonl>: sends the client side of a --record session to a fresh server (or --url)
+ * and reports where the responses differ from the recorded ones
+ */
+async function runReplay({ options, args }) {
+  const { readRecording } = require('../lib/recording');
+  const { DEFAULT_IGNORE, replaySession } = require('../lib/replay');
+  const { createStdioConnection, createHttpConnection } = require('../lib/mcp-connection');
+  const { spawnServer, stopServer } = require('../lib/server');
+  const json = Boolean(options.json);
+
+  let recording;
+  try {
+    recording = readRecording(path.resolve(args.file));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  const timeoutMs = Number(options.timeout || 120000);
+  if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+    console.error(`❌ Invalid --timeout: ${options.timeout} (milliseconds)`);
+    process.exit(2);
+  }
+  const ignore = [
+    ...(options.noDefaultIgnore ? [] : DEFAULT_IGNORE),
+    ...(Array.isArray(recording.header.ignore) ? recording.header.ignore : []),
+    ...(options.ignore ? options.ignore.split(',').map((rule) => rule.trim()).filter(Boolean) : [])
+  ];
+
+  let child = null;
+  let connection;
+  if (options.url) {
+    connection = createHttpConnection(options.url, { timeoutMs });
+  } else {
+    const build = await prepareServerBuild(options);
+    child = spawnServer('stdio', { dll: build.dll });
+    child.stderr.on('data', (data) => (options.verbose ? process.stderr.write(data) : null));
+    connection = createStdioConnection(child, { timeoutMs });
+  }
+
+  if (!json) {
+    console.log(`🔁 Replaying ${args.file} (${recording.header.transport}, recorded ${recording.header.startedAt}) against ${options.url || 'a fresh stdio server'}...`);
+  }
+  let results;
+  try {
+    results = await replaySession(recording, connection, { ignore, onResult: json ? undefined : printReplayResult });
+  } finally {
+    connection.close();
+    await stopServer(child);
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const failed = count('differ') + count('error');
+  if (json) {
+    console.log(JSON.stringify({ file: path.resolve(args.file), ignore, results }, null, 2));
+  } else {
+    console.log(`\n📋 ${results.length} message(s): ${count('match')} matched, ${count('differ')} differed, ${count('error')} failed, ${count('unanswered') + count('skipped')} not compared`);
+    console.log(failed > 0 ? '❌ Responses differ from the recording' : '🎉 Replay matches the recording');
+  }
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+function printWorkflowPlan(plan) {
+  const { placeholderReplacer } = require('../lib/workflow');
+  const indent = (text, prefix) => text.split('\n').map((line) => `${prefix}${line}`).join('\n');
+  console.log(`📋 Plan for ${plan.name} (${plan.steps.length} step${plan.steps.length === 1 ? '' : 's'}, nothing is called)`);
+  if (Object.keys(plan.vars).length > 0) {
+    console.log(`   vars: ${JSON.stringify(plan.vars)}`);
+  }
+
+  plan.steps.forEach((step, index) => {
+    const notes = [
+      step.condition === 'runtime' ? 'if decided at run time' : '',
+      step.items === 'runtime' ? 'for each item of an earlier result' : step.items !== null ? `for each of ${step.items} item${step.items === 1 ? '' : 's'}` : '',
+      step.onError !== 'abort' || step.retries > 0 ? `on error: ${step.retries > 0 ? `retry ${step.retries}x, then ` : ''}${step.onError === 'continue' ? 'continue' : 'abort'}` : ''
+    ].filter(Boolean);
+    console.log('');
+    console.log(`${index + 1}. ${step.id}${step.name ? ` (${step.name})` : ''}: ${step.tool}${notes.length > 0 ? `  [${notes.join(', ')}]` : ''}`);
+    if (step.status === 'skipped') {
+      console.log('   ⏭️  skipped: its if is false');
+    } else if (step.status === 'invalid') {
+      console.log(`   ❌ ${step.error}`);
+    } else if (step.calls.length === 0) {
+      console.log('   ⏭️  no calls: the forEach list is empty');
+    }
+    for (const call of step.calls) {
+      const args = JSON.stringify(call.args, placeholderReplacer, 2);
+      console.log(call.label ? `   ${call.label}:` : '   args:');
+      console.log(indent(args, '     '));
+      call.errors.forEach((error) => console.log(`   ❌ ${error}`));
+    }
+  });
+}
+
+/**
+ * run <workflow.yaml>: calls the workflow's tools step by step over one client, or with --plan
+ * prints the calls it would make (checked against the tool catalog) without connecting
+ */
+async function runWorkflowFile({ options, args }) {
+  const { loadWorkflow, parseVarAssignments, planWorkflow, runWorkflow } = require('../lib/workflow');
+  const json = Boolean(options.json);
+
+  let workflow;
+  let vars;
+  try {
+    workflow = loadWorkflow(path.resolve(args.file));
+    vars = parseVarAssignments(options.var);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+  for (const name of Object.keys(vars)) {
+    if (!Object.prototype.hasOwnProperty.call(workflow.vars, name)) {
+      console.error(`⚠️  --var ${name} is not one of the workflow's vars`);
+    }
+  }
+
+  if (options.plan) {
+    const { loadToolCatalog } = require('../lib/tool-catalog');
+    let tools = null;
+    try {
+      tools = loadToolCatalog();
+    } catch (error) {
+      console.error(`⚠️  Arguments are not checked: could not read the tool catalog (${error.message})`);
+    }
+    let plan;
+    try {
+      plan = planWorkflow(workflow, { vars, tools });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(2);
+    }
+    if (json) {
+      const { placeholderReplacer } = require('../lib/workflow');
+      console.log(JSON.stringify(plan, placeholderReplacer, 2));
+    } else {
+      printWorkflowPlan(plan);
+      console.log('');
+      console.log(plan.errors > 0 ? `❌ ${plan.errors} problem(s) found` : `✅ Plan is valid; run it with: npx darbot-teams-mcp run ${args.file}`);
+    }
+    process.exitCode = plan.errors > 0 ? 1 : 0;
+    return;
+  }
+
+  const client = await connectClient(options);
+  let report;
+  try {
+    const tools = await client.listTools();
+    if (!json) {
+      console.log(`🚀 Running ${workflow.name} (${workflow.steps.length} step${workflow.steps.length === 1 ? '' : 's'})`);
+    }
+    report = await runWorkflow(workflow, client, { vars, tools, log: json ? undefined : (line) => console.log(line) });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+    return;
+  } finally {
+    await client.close();
+  }
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const count = (status) => report.steps.filter((step) => step.status === status).length;
+    console.log('');
+    console.log(`📋 ${report.steps.length} step(s): ${count('succeeded')} succeeded, ${count('failed')} failed, ${count('skipped')} skipped, ${count('not-run')} not run`);
+    console.log(report.status === 'succeeded' ? '🎉 Workflow completed' : report.status === 'failed' ? '⚠️  Workflow completed with failures' : '❌ Workflow aborted');
+  }
+  process.exitCode = report.status === 'succeeded' ? 0 : 1;
+}
+
+/**
+ * audit query: filters the audit log (and its rotated files) by tool, time range, outcome or client
+ */
+function runAudit({ options, args }) {
+  const { auditOptions, readAuditEntries, filterAuditEntries } = require('../lib/audit');
+  const { renderTable } = require('../lib/table');
+  const action = args.action || 'query';
+  if (action !== 'query') {
+    console.error(`❌ Unknown audit command: ${action} (expected query)`);
+    process.exit(2);
+  }
+  const limit = Number(options.limit || 50);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    console.error(`❌ Invalid --limit: ${options.limit} (expected a positive number)`);
+    process.exit(2);
+  }
+
+  try {
+    // Checks the filters before reading anything
+    filterAuditEntries([], options);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+
+  let settings;
+  let entries;
+  try {
+    settings = auditOptions();
+    entries = filterAuditEntries(readAuditEntries(settings.file, settings.maxFiles), options);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  const shown = entries.slice(-limit);
+
+  if (options.json) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+  if (!settings.enabled) {
+    console.log('⚠️  Auditing is off (DARBOT_AUDIT=false); showing what was logged before');
+  }
+  if (shown.length === 0) {
+    console.log(`📭 No matching audit entries in ${settings.file}`);
+    return;
+  }
+  console.log(renderTable(shown.map((entry) => ({
+    time: entry.time,
+    tool: entry.tool,
+    status: entry.status,
+    ms: entry.durationMs,
+    client: entry.client ? `${entry.client.name || ''} ${entry.client.version || ''}`.trim() : '',
+    transport: entry.transport || '',
+    arguments: JSON.stringify(entry.arguments)
+  })), ['time', 'tool', 'status', 'ms', 'client', 'transport', 'arguments']));
+  console.log(`\n📋 ${shown.length === entries.length ? entries.length : `Last ${shown.length} of ${entries.length}`} matching call(s) from ${settings.file}`);
+}
+
+/**
+ * logs: prints the server's Serilog files from logs/ (merged by time), filtered by level, time and
+ * text; --follow keeps printing new records, across daily and size rollovers
+ */
+function runLogs({ options, args }, settings) {
+  const { logsDir, listLogFiles, readLogRecords, createLogFilter, followLogs } = require('../lib/logs');
+  if (args.action === 'bundle') {
+    return runLogBundle({ options }, settings);
+  }
+  if (args.action) {
+    console.error(`❌ Unknown logs command: ${args.action} (expected bundle, or no command to show logs)`);
+    process.exit(2);
+  }
+
+  const lines = Number(options.lines || 100);
+  if (!Number.isInteger(lines) || lines < 0) {
+    console.error(`❌ Invalid --lines: ${options.lines} (expected a number)`);
+    process.exit(2);
+  }
+  let filter;
+  try {
+    filter = createLogFilter(options);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+
+  // One JSON record per line, so --json --follow can be piped into jq
+  const print = (record) => {
+    if (options.json) {
+      const { raw, ...fields } = record;
+      console.log(JSON.stringify(fields));
+    } else {
+      console.log(record.raw);
+    }
+  };
+
+  const dir = logsDir();
+  const files = listLogFiles(dir);
+  if (files.length === 0) {
+    console.error(`📭 No server logs in ${dir} yet (the server writes them while it runs, unless TEAMS_LOG_TO_FILE=false)`);
+  } else {
+    const records = readLogRecords(files).filter(filter);
+    const shown = lines === 0 ? [] : records.slice(-lines);
+    shown.forEach(print);
+    if (!options.follow && !options.json) {
+      console.error(`\n📋 ${shown.length === records.length ? records.length : `Last ${shown.length} of ${records.length}`} matching record(s) from ${files.length} file(s) in ${dir}`);
+    }
+  }
+
+  if (options.follow) {
+    console.error(`👀 Following ${dir} (Ctrl+C to stop)`);
+    const stop = followLogs(dir, (record) => {
+      if (filter(record)) print(record);
+    });
+    process.on('SIGINT', () => {
+      stop();
+      process.exit(0);
+    });
+  }
+}
+
+/**
+ * logs bundle: zips recent server logs with the doctor report, masked settings and launcher logs
+ * for attaching to a bug report
+ */
+async function runLogBundle({ options }, settings) {
+  const { logsDir, listLogFiles } = require('../lib/logs');
+  const { parseTime } = require('../lib/audit');
+  const { runChecks, printReport } = require('../lib/doctor');
+  const { createZip } = require('../lib/zip');
+  const daemon = require('../lib/daemon');
+  const { versionDir } = require('../lib/build-cache');
+
+  let since;
+  try {
+    since = parseTime(options.since || '3d');
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const output = path.resolve(options.output || `darbot-teams-mcp-logs-${stamp}.zip`);
+
+  console.log('🩺 Running the doctor checks...');
+  const report = await runChecks({ skipBuild: Boolean(options.skipBuild) });
+  let doctorText = '';
+  printReport(report, (text) => { doctorText += text; });
+
+  const entries = [
+    { name: 'doctor.txt', data: doctorText },
+    { name: 'doctor.json', data: JSON.stringify(report, null, 2) },
+    {
+      name: 'settings.json',
+      data: JSON.stringify({
+        layers: settings.layers,
+        values: settings.values.map((entry) => ({ key: entry.key, env: entry.env, value: maskSetting(entry), source: entry.source }))
+      }, null, 2)
+    },
+    {
+      name: 'environment.json',
+      data: JSON.stringify({
+        package: require('../package.json').version,
+        node: process.version,
+        platform: process.platform,
+        arch: process.arch,
+        osRelease: require('os').release(),
+        logsDir: logsDir(),
+        createdAt: new Date().toISOString()
+      }, null, 2)
+    }
+  ];
+
+  const logs = listLogFiles().filter((file) => file.mtime.getTime() >= since);
+  logs.forEach((file) => entries.push({ name: `logs/${file.name}`, data: fs.readFileSync(file.path), mtime: file.mtime }));
+  // Launcher-side logs: the background HTTP server and the install-time build
+  [daemon.logFile(), path.join(versionDir(), 'build.log')]
+    .filter((file) => fs.existsSync(file) && fs.statSync(file).mtime.getTime() >= since)
+    .forEach((file) => entries.push({ name: `launcher/${path.basename(file)}`, data: fs.readFileSync(file), mtime: fs.statSync(file).mtime }));
+
+  const zip = createZip(entries);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, zip);
+
+  console.log(`📦 Wrote ${output} (${entries.length} files, ${formatBytes(zip.length)})`);
+  entries.forEach((entry) => console.log(`  • ${entry.name}`));
+  if (logs.length === 0) {
+    console.log(`⚠️  No server logs from the last ${options.since || '3d'} in ${logsDir()}`);
+  }
+  console.log('💡 Check it before attaching it to an issue (https://github.com/darbotlabs/darbot-teams-mcp/issues): logs can contain team, channel and user names');
+}
+
+const formatBytes = (bytes) => (bytes >= 1024 ** 2 ? `${(bytes / 1024 ** 2).toFixed(1)} MB` : bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`);
+
+/**
+ * Asks a yes/no question on the terminal; anything but y/yes is no
+ */
+function confirm(question) {
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(`${question} [y/N] `, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+    rl.on('close', () => resolve(false));
   });
 }
 
-// Main execution logic
-const args = process.argv.slice(2);
+/**
+ * uninstall: lists what the package left in client configurations and on disk, then removes it
+ * after confirmation (--yes skips the question; scripts/preuninstall.js uses it under npm 6)
+ */
+async function runUninstall({ options }) {
+  const { findArtifacts, removeArtifact } = require('../lib/uninstall');
+  const artifacts = findArtifacts({ keepConfig: Boolean(options.keepConfig) });
+  const fromNpm = process.env.npm_lifecycle_event === 'preuninstall';
+
+  if (artifacts.length === 0) {
+    console.log('✅ Nothing to clean up: no client entries, backups, logs, builds or caches found');
+    return;
+  }
+
+  const total = artifacts.reduce((sum, artifact) => sum + (artifact.size || 0), 0);
+  console.log(`🔍 Found ${artifacts.length} item(s) left by darbot-teams-mcp (${formatBytes(total)} on disk):`);
+  artifacts.forEach((artifact) => {
+    const size = artifact.size !== undefined ? ` (${formatBytes(artifact.size)})` : '';
+    console.log(`  • ${artifact.kind.padEnd(9)} ${artifact.description}${size}`);
+  });
+  if (options.keepConfig) {
+    console.log(`  (keeping profiles and settings in ${require('../lib/paths').configDir()})`);
+  }
+
+  if (options.dryRun) {
+    console.log('\nℹ️  Dry run - nothing was removed. Run again without --dry-run to remove these.');
+    return;
+  }
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      console.error('\n❌ Not a terminal: pass --yes to remove these without asking');
+      process.exit(1);
+    }
+    if (!(await confirm(`\nRemove ${artifacts.length === 1 ? 'it' : `all ${artifacts.length}`}?`))) {
+      console.log('Nothing was removed.');
+      return;
+    }
+  }
 
-if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
-  showHelp();
-} else if (args.includes('--vscode-setup')) {
-  runVSCodeSetup();
-} else if (args.includes('--test')) {
-  runTest();
-} else if (args.includes('--stdio')) {
-  runMcpServer('stdio');
-} else if (args.includes('--http')) {
-  runMcpServer('http');
-} else {
-  console.error('❌ Unknown command:', args.join(' '));
   console.log('');
-  showHelp();
-  process.exit(1);
-}
\ No newline at end of file
+  const failed = [];
+  for (const artifact of artifacts) {
+    try {
+      await removeArtifact(artifact);
+      console.log(`🗑️  Removed ${artifact.kind === 'daemon' ? artifact.description.toLowerCase() : artifact.description}`);
+    } catch (error) {
+      failed.push(artifact);
+      console.error(`❌ Could not remove ${artifact.description}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n📋 Removed ${artifacts.length - failed.length} of ${artifacts.length} item(s)${failed.length > 0 ? `; ${failed.length} failed` : ''}`);
+  if (!fromNpm) {
+    console.log('💡 Remove the package itself with: npm uninstall -g darbot-teams-mcp');
+  }
+  // scripts/preuninstall.js keeps a failure here from aborting npm's own uninstall
+  process.exitCode = failed.length > 0 ? 1 : 0;
+}
+
+/**
+ * start [--detach], stop, restart and status for a shared background HTTP server tracked by a PID file
+ */
+async function runDaemonCommand(command, options) {
+  const daemon = require('../lib/daemon');
+  const { formatOptions } = require('../lib/cli');
+
+  const startInBackground = async (address) => {
+    console.log(`🚀 Starting Darbot Teams MCP HTTP server in the background (${daemon.baseUrl(address.host, address.port)})...`);
+    const forwarded = { ...options, detach: undefined, host: address.host, port: String(address.port) };
+    const launcherArgs = ['start', ...formatOptions(forwarded, [...GLOBAL_OPTIONS, ...SERVER_OPTIONS, DETACH_OPTION])];
+    const started = await daemon.startDetached(launcherArgs, address);
+    console.log(`✅ Ready: ${started.url}/mcp (pid ${started.pid}, ${started.health.toolsCount} tools)`);
+    console.log(`📄 Log: ${daemon.logFile()}`);
+  };
+
+  try {
+    switch (command) {
+      case 'start': {
+        const address = httpAddress(options);
+        if (options.detach) {
+          await startInBackground(address);
+          return;
+        }
+        daemon.registerDaemon(address);
+        await runMcpServer('http', options, { onSpawn: (child) => daemon.updateDaemon({ serverPid: child.pid }) });
+        return;
+      }
+
+      case 'stop': {
+        const stopped = await daemon.stopDaemon();
+        console.log(stopped ? `⏹️  Stopped HTTP server (pid ${stopped.pid}${stopped.url ? `, ${stopped.url}` : ''})` : '⏹️  HTTP server is not running');
+        return;
+      }
+
+      case 'restart': {
+        const previous = daemon.readDaemon();
+        const stopped = await daemon.stopDaemon();
+        if (stopped) {
+          console.log(`⏹️  Stopped HTTP server (pid ${stopped.pid})`);
+        }
+        // Keep the previous address unless a new one is given
+        const address = httpAddress({
+          ...options,
+          host: options.host || (previous ? previous.host : undefined),
+          port: options.port || (previous ? String(previous.port) : undefined)
+        });
+        await startInBackground(address);
+        return;
+      }
+
+      case 'status': {
+        const status = await daemon.daemonStatus();
+        if (options.json) {
+          console.log(JSON.stringify(status, null, 2));
+        } else {
+          printStatus(status);
+        }
+        // LSB convention: 0 running, 1 running but unhealthy, 3 not running
+        process.exitCode = status.running ? (status.healthy ? 0 : 1) : 3;
+        return;
+      }
+    }
+  } catch (error) {
+    console.error(`❌ ${command} failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Secret settings (tokens) are never printed or bundled
+const maskSetting = (entry) => (entry.secret && entry.value !== undefined ? '********' : entry.value);
+
+/**
+ * config show: every resolved setting and the layer it came from
+ */
+function runConfig({ options, args }, settings) {
+  const { renderTable } = require('../lib/table');
+
+  if (args.action && args.action !== 'show') {
+    console.error(`❌ Unknown config command: ${args.action} (expected show)`);
+    process.exit(2);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      layers: settings.layers,
+      values: settings.values.map((entry) => ({ key: entry.key, env: entry.env, value: maskSetting(entry), source: entry.source })),
+      warnings: settings.warnings
+    }, null, 2));
+    return;
+  }
+
+  console.log('⚙️  Resolved settings:');
+  console.log(renderTable(settings.values.map((entry) => ({ ...entry, value: maskSetting(entry) })), ['key', 'env', 'value', 'source']));
+  console.log('\n📚 Layers (highest precedence first):');
+  [...settings.layers, 'default'].forEach((layer, i) => console.log(`  ${i + 1}. ${layer}`));
+}
+
+/**
+ * --version: package, server assembly and MCP protocol versions
+ */
+function runVersion({ options }) {
+  const { serverVersion } = require('../lib/server');
+  const { PROTOCOL_VERSION } = require('../lib/mcp-connection');
+  const { SUPPORTED_PROTOCOL_VERSIONS } = require('../lib/gateway');
+  const packageVersion = require('../package.json').version;
+  const server = serverVersion();
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      package: packageVersion,
+      server,
+      protocol: { stdio: PROTOCOL_VERSION, gateway: SUPPORTED_PROTOCOL_VERSIONS },
+      node: process.version
+    }, null, 2));
+    return;
+  }
+
+  console.log(`darbot-teams-mcp ${packageVersion}`);
+  console.log(`  Server assembly:  DarbotTeamsMcp.Server ${server.assemblyVersion}${server.targetFramework ? ` (${server.targetFramework})` : ''}`);
+  console.log(`  MCP protocol:     ${PROTOCOL_VERSION} (gateway: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')})`);
+  console.log(`  Node.js:          ${process.version}`);
+}
+
+// Options shared by several commands
+const HOST_OPTION = { name: 'host', value: '<host>', description: 'Bind address (TEAMS_SERVER_HOST, default localhost)' };
+const PORT_OPTION = { name: 'port', value: '<port>', description: 'Port (TEAMS_SERVER_PORT, default 3001)' };
+const PROFILE_OPTION = { name: 'profile', value: '<name>', description: 'Use a saved tenant profile (see "profile list")' };
+const JSON_OPTION = { name: 'json', description: 'Print JSON for scripts' };
+const VERBOSE_OPTION = { name: 'verbose', description: 'Show server output' };
+const DETACH_OPTION = { name: 'detach', description: 'Run in the background and wait until /mcp/health is ready' };
+const RECORD_OPTION = { name: 'record', value: '<file.jsonl>', description: 'Record every JSON-RPC message to a file (see replay)' };
+
+// Options that run the pure-Node mock server in place of the .NET one
+const MOCK_OPTIONS = [
+  { name: 'mock', description: 'Use the built-in mock server with fixture data\n(no .NET SDK or tenant needed)' },
+  { name: 'seed', value: '<n>', description: 'Seed of the generated mock data (default 1)' },
+  { name: 'fixtures', value: '<file>', description: 'Mock dataset JSON to load (written from the seed if missing)' }
+];
+
+// Options that restrict the tools clients can see and call
+const POLICY_OPTIONS = [
+  { name: 'policy', value: '<file>', description: 'Tool policy: allow/deny globs, readOnly, rateLimits\n(JSON file, or read-only)' },
+  { name: 'read-only', description: 'Hide every tool that changes Teams' }
+];
+
+// Options of every command that runs the server
+const SERVER_OPTIONS = [
+  HOST_OPTION,
+  PORT_OPTION,
+  PROFILE_OPTION,
+  { name: 'no-restart', description: 'Exit when the server crashes instead of restarting it\n(restarts use exponential backoff)' },
+  { name: 'rebuild', description: 'Rebuild the cached Release build of the server first' },
+  { name: 'clean-cache', description: 'Delete all cached server builds first' },
+  ...POLICY_OPTIONS,
+  ...MOCK_OPTIONS
+];
+const withoutAddress = SERVER_OPTIONS.filter((spec) => spec !== HOST_OPTION && spec !== PORT_OPTION);
+
+// Options of commands that talk to the server as an MCP client
+const CLIENT_OPTIONS = [
+  { name: 'url', value: '<url>', description: 'Use a running HTTP server instead of starting one' },
+  { name: 'timeout', value: '<ms>', description: 'Request timeout in milliseconds (default 120000)' },
+  PROFILE_OPTION,
+  VERBOSE_OPTION,
+  ...MOCK_OPTIONS
+];
+
+const SETUP_OPTIONS = [
+  { name: 'dry-run', description: 'Print a diff of the change without writing anything' },
+  { name: 'uninstall', description: 'Remove only the darbot-teams entry' },
+  { name: 'restore', value: '<stamp>', optionalValue: true, description: 'Restore the newest (or given) timestamped backup' },
+  { name: 'all-profiles', description: 'One darbot-teams-<profile> entry per saved profile' },
+  { name: 'tenant', value: '<id>', description: 'Tenant GUID or domain to configure (skips discovery)' },
+  ...POLICY_OPTIONS
+];
+
+const TEST_OPTIONS = [
+  { name: 'transport', value: '<t>', description: 'stdio, http or all (default all)' },
+  { name: 'reporter', value: '<r>', description: 'console, tap or junit (default console)' },
+  { name: 'output', value: '<file>', description: 'Write the report to a file' },
+  { name: 'strict', description: 'Treat protocol warnings as failures' },
+  { name: 'no-call', description: 'Only validate schemas, do not call each tool' },
+  { name: 'no-build', description: 'Skip the dotnet build step' },
+  { name: 'min-tools', value: '<n>', description: 'Minimum number of tools expected (default 40)' },
+  { name: 'port', value: '<n>', description: 'Port for the HTTP server (default: a free port)' }
+];
+
+const GLOBAL_OPTIONS = [
+  { name: 'config', value: '<file>', description: 'Settings file (JSON); wins over .darbot-teams.json, .env\nand the environment' },
+  { name: 'help', description: 'Show help (-h)' }
+];
+
+/**
+ * Every command: a word ("start") or a flag ("--stdio") selects it; settings: true loads the
+ * layered configuration into the environment before it runs
+ */
+const COMMANDS = [
+  {
+    name: 'stdio',
+    flags: [{ flag: '--stdio' }],
+    usage: '--stdio [options]',
+    summary: 'Run in stdio mode (for VS Code integration)',
+    description: 'Runs the server over stdio. Only JSON-RPC reaches stdout; everything else goes to stderr or --log-file.',
+    options: [{ name: 'log-file', value: '<path>', description: 'Write launcher and server logs to a file' }, RECORD_OPTION, ...withoutAddress],
+    settings: true,
+    run: ({ options }) => runMcpServer('stdio', options)
+  },
+  {
+    name: 'http',
+    flags: [{ flag: '--http' }],
+    usage: '--http [options]',
+    summary: 'Run in HTTP mode (localhost:3001)',
+    options: [RECORD_OPTION, ...SERVER_OPTIONS],
+    settings: true,
+    run: ({ options }) => runMcpServer('http', options)
+  },
+  {
+    name: 'gateway',
+    flags: [{ flag: '--gateway' }],
+    usage: '--gateway [options]',
+    summary: 'Serve the stdio server over MCP Streamable HTTP',
+    description: 'Serves the stdio server to remote clients over MCP Streamable HTTP (sessions, SSE notifications, resumable streams).',
+    options: [
+      { name: 'token', value: '<token>', description: 'Require "Authorization: Bearer <token>"\n(or set DARBOT_GATEWAY_TOKEN)' },
+      { name: 'json-response', description: 'Answer POSTs with JSON instead of an SSE stream' },
+      { name: 'allowed-origin', value: '<origins>', description: 'Also accept requests for these origins, comma-separated\n(e.g. https://mcp.example.com; or set DARBOT_GATEWAY_ALLOWED_ORIGINS)' },
+      VERBOSE_OPTION,
+      ...SERVER_OPTIONS
+    ],
+    settings: true,
+    run: runGateway
+  },
+  {
+    name: 'start',
+    usage: 'start [--detach] [options]',
+    summary: 'Run the shared HTTP server recorded in a PID file',
+    options: [DETACH_OPTION, ...SERVER_OPTIONS],
+    settings: true,
+    run: ({ options }) => runDaemonCommand('start', options)
+  },
+  {
+    name: 'stop',
+    usage: 'stop',
+    summary: 'Stop the background HTTP server',
+    run: ({ options }) => runDaemonCommand('stop', options)
+  },
+  {
+    name: 'restart',
+    usage: 'restart [options]',
+    summary: 'Restart it (keeps the previous --host/--port)',
+    options: SERVER_OPTIONS,
+    settings: true,
+    run: ({ options }) => runDaemonCommand('restart', options)
+  },
+  {
+    name: 'status',
+    usage: 'status [--json]',
+    summary: 'Uptime, tool count and /mcp/info',
+    description: 'Shows the background HTTP server. Exit code 0 healthy, 1 unhealthy, 3 not running.',
+    options: [JSON_OPTION],
+    run: ({ options }) => runDaemonCommand('status', options)
+  },
+  {
+    name: 'tools',
+    usage: 'tools [name] [options]',
+    summary: 'List tools with their parameters, or show one tool',
+    args: [{ name: 'name' }],
+    options: [{ name: 'category', value: '<c>', description: 'Only tools of one category' }, JSON_OPTION, ...CLIENT_OPTIONS],
+    settings: true,
+    run: runTools
+  },
+  {
+    name: 'export-tools',
+    usage: 'export-tools [options]',
+    summary: 'Export the tool catalog as Markdown, JSON Schema or OpenAPI',
+    description: 'Runs tools/list and renders it as Markdown reference docs grouped by category (channels, messaging, files, meetings, tasks, presence, users, integrations, support), a JSON Schema bundle of every tool\'s arguments, or an OpenAPI 3 document with one POST /tools/<name> operation per tool. Prints to stdout unless --output, --check or --update is given. --check and --update work on the committed docs/tools.md, docs/tools.schema.json, docs/openapi.json and the category table in README.md (between export-tools:summary markers).',
+    options: [
+      { name: 'format', value: '<format>', description: 'markdown (default), json-schema or openapi' },
+      { name: 'output', value: '<file>', description: 'Write to a file (a Markdown file with summary markers only gets the category table)' },
+      { name: 'check', description: 'Exit 1 when the committed docs (or --output) are stale' },
+      { name: 'update', description: 'Rewrite the committed docs' },
+      ...CLIENT_OPTIONS
+    ],
+    examples: [
+      'npx darbot-teams-mcp export-tools --format openapi --output teams-tools.openapi.json',
+      'npx darbot-teams-mcp export-tools --check --mock'
+    ],
+    settings: true,
+    run: runExportTools
+  },
+  {
+    name: 'call',
+    usage: 'call <tool> [--param value ...]',
+    summary: 'Call a tool; flags come from its inputSchema',
+    description: 'Calls a tool. Every option not listed below is a tool parameter, type-checked against the tool\'s inputSchema.',
+    args: [{ name: 'tool', required: true }],
+    passthrough: true,
+    options: [
+      { name: 'args-json', value: '<json>', description: 'Arguments as JSON (or @file.json); flags override' },
+      { name: 'json', description: 'Print the raw result instead of a table' },
+      ...CLIENT_OPTIONS
+    ],
+    settings: true,
+    run: runCall
+  },
+  {
+    name: 'shell',
+    usage: 'shell [options]',
+    summary: 'Interactive shell with completion and result variables',
+    options: CLIENT_OPTIONS,
+    settings: true,
+    run: runShell
+  },
+  {
+    name: 'replay',
+    usage: 'replay <file.jsonl> [options]',
+    summary: 'Replay a --record session and diff the responses',
+    description: 'Sends the client side of a session recorded with --record to a fresh stdio server (or --url) and reports every response that differs from the recording. Exit code 1 when any does.',
+    args: [{ name: 'file', required: true }],
+    options: [
+      { name: 'ignore', value: '<paths>', description: 'More fields to ignore, comma-separated (e.g. **.etag,result.content.*.text.total)' },
+      { name: 'no-default-ignore', description: 'Also compare ids and timestamps' },
+      JSON_OPTION,
+      ...CLIENT_OPTIONS
+    ],
+    examples: [
+      'npx darbot-teams-mcp --stdio --record session.jsonl',
+      'npx darbot-teams-mcp replay session.jsonl --mock'
+    ],
+    settings: true,
+    run: runReplay
+  },
+  {
+    name: 'run',
+    usage: 'run <workflow.yaml> [options]',
+    summary: 'Run a workflow file of tool calls',
+    description: 'Calls the tools listed in a YAML workflow in order. Args take ${{ }} templates over vars, env and earlier results (steps.<id>.output); steps can have an if, a forEach over a list or a CSV file, and onError: continue, retry or abort. --plan prints the resolved calls without connecting. Exit code 1 when a call fails.',
+    args: [{ name: 'file', required: true }],
+    options: [
+      { name: 'plan', description: 'Print the calls the workflow would make, checked against the tool catalog, without making them' },
+      { name: 'var', value: '<name=value>', repeatable: true, description: 'Set a workflow variable (repeatable)' },
+      JSON_OPTION,
+      ...CLIENT_OPTIONS
+    ],
+    examples: [
+      'npx darbot-teams-mcp run docs/workflows/onboard-team.yaml --plan',
+      'npx darbot-teams-mcp run onboard-team.yaml --var hires=new-hires.csv --mock'
+    ],
+    settings: true,
+    run: runWorkflowFile
+  },
+  {
+    name: 'audit',
+    usage: 'audit query [options]',
+    summary: 'Query the audit log of tool calls',
+    description: 'Every tools/call made through the stdio, HTTP and gateway servers, call and shell is logged with redacted arguments to audit.jsonl in the state directory (DARBOT_AUDIT_* settings). Times are ISO dates or durations ago such as 30m, 12h or 7d.',
+    args: [{ name: 'action' }],
+    options: [
+      { name: 'tool', value: '<name>', description: 'Tool name or glob (e.g. teams-*-member)' },
+      { name: 'since', value: '<time>', description: 'Calls at or after this time' },
+      { name: 'until', value: '<time>', description: 'Calls at or before this time' },
+      { name: 'outcome', value: '<list>', description: 'success, tool-error, rpc-error, unanswered or failed (comma-separated)' },
+      { name: 'client', value: '<name>', description: 'Client name contains this text' },
+      { name: 'limit', value: '<n>', description: 'Show the last n matches (default 50)' },
+      JSON_OPTION
+    ],
+    examples: [
+      'npx darbot-teams-mcp audit query --since 24h --outcome failed',
+      'npx darbot-teams-mcp audit query --tool "teams-*-member" --json'
+    ],
+    settings: true,
+    run: runAudit
+  },
+  {
+    name: 'logs',
+    usage: 'logs [bundle] [options]',
+    summary: 'Show, follow and filter the server logs, or bundle them for a bug report',
+    description: 'Reads the daily darbot-teams-mcp-YYYYMMDD.log files (and the startup and service logs) from the package\'s logs/ directory, merged by time. Times are ISO dates or durations ago such as 30m, 12h or 7d. "logs bundle" writes a zip with recent logs, the --doctor report, the resolved settings (secrets masked) and the launcher logs.',
+    args: [{ name: 'action' }],
+    options: [
+      { name: 'follow', description: 'Keep printing new records, across file rollovers' },
+      { name: 'level', value: '<level>', description: 'Records at or above Verbose, Debug, Information, Warning, Error or Fatal' },
+      { name: 'since', value: '<time>', description: 'Records at or after this time (bundle: files changed since, default 3d)' },
+      { name: 'grep', value: '<pattern>', description: 'Source context or message matches this regular expression (case-insensitive)' },
+      { name: 'lines', value: '<n>', description: 'Show the last n matching records first (default 100)' },
+      { name: 'output', value: '<file.zip>', description: 'bundle: where to write the zip' },
+      { name: 'skip-build', description: 'bundle: skip the doctor build check' },
+      { name: 'json', description: 'Print one parsed record per line: time, level, source, message, exception, file' }
+    ],
+    examples: [
+      'npx darbot-teams-mcp logs --level warning --since 1h',
+      'npx darbot-teams-mcp logs --follow --grep "Graph|token"',
+      'npx darbot-teams-mcp logs --json | jq \'select(.level == "Error")\'',
+      'npx darbot-teams-mcp logs bundle --output bug-report.zip'
+    ],
+    settings: true,
+    run: runLogs
+  },
+  {
+    name: 'uninstall',
+    usage: 'uninstall [options]',
+    summary: 'Remove client entries, backups, logs, builds and caches',
+    description: 'Lists everything darbot-teams-mcp left behind - darbot-teams entries in every supported client configuration, setup backups, the generated reference config, logs/, .NET bin/obj folders, the build cache, state and configuration directories and a running background server - and removes it after confirmation. Run it before npm uninstall: only npm 6 runs it (with --yes --keep-config) on its own.',
+    options: [
+      { name: 'yes', description: 'Remove without asking' },
+      { name: 'dry-run', description: 'Only list what would be removed' },
+      { name: 'keep-config', description: 'Keep profiles and settings (the configuration directory)' }
+    ],
+    examples: [
+      'npx darbot-teams-mcp uninstall --dry-run',
+      'npx darbot-teams-mcp uninstall --yes && npm uninstall -g darbot-teams-mcp'
+    ],
+    run: runUninstall
+  },
+  {
+    name: 'profile',
+    usage: 'profile <add|list|use|remove> [name]',
+    summary: 'Manage named tenant profiles',
+    args: [{ name: 'action' }, { name: 'name' }],
+    options: [
+      { name: 'tenant', value: '<id>', description: 'Tenant GUID or domain (add)' },
+      { name: 'client-id', value: '<id>', description: 'Application (client) ID (add)' },
+      { name: 'simulation', negatable: true, description: 'Simulation mode (add, default off)' },
+      { name: 'require-auth', negatable: true, description: 'Require authentication (add, default on)' },
+      { name: 'policy', value: '<file>', description: 'Tool policy file, or read-only (add)' },
+      { name: 'force', description: 'Replace an existing profile (add)' },
+      JSON_OPTION
+    ],
+    examples: [
+      'npx darbot-teams-mcp profile add contoso --tenant contoso.onmicrosoft.com',
+      'npx darbot-teams-mcp profile use contoso'
+    ],
+    run: runProfile
+  },
+  {
+    name: 'config',
+    usage: 'config show [--json]',
+    summary: 'Show resolved settings and where each came from',
+    args: [{ name: 'action' }],
+    options: [PROFILE_OPTION, JSON_OPTION],
+    settings: true,
+    run: runConfig
+  },
+  {
+    name: 'setup',
+    flags: [{ flag: '--setup', value: '<client>' }, { flag: '--vscode-setup', preset: { client: 'vscode' } }],
+    usage: '--setup <client> [options]',
+    summary: 'Configure an MCP client (--vscode-setup for VS Code)',
+    description: 'Configures an MCP client: vscode, vscode-insiders, workspace, cursor, claude, or all (detected clients).',
+    args: [{ name: 'client', required: true }],
+    options: SETUP_OPTIONS,
+    run: runClientSetup
+  },
+  {
+    name: 'test',
+    flags: [{ flag: '--test' }],
+    usage: '--test [options]',
+    summary: 'Run the MCP conformance tests (stdio + HTTP)',
+    options: [...TEST_OPTIONS, ...MOCK_OPTIONS],
+    settings: true,
+    run: runTest
+  },
+  {
+    name: 'doctor',
+    flags: [{ flag: '--doctor' }],
+    usage: '--doctor [options]',
+    summary: 'Diagnose the installation',
+    options: [JSON_OPTION, { name: 'skip-build', description: 'Skip the dotnet build check' }],
+    settings: true,
+    run: runDoctor
+  },
+  {
+    name: 'build',
+    impliedBy: ['--rebuild', '--clean-cache'],
+    usage: '--rebuild | --clean-cache',
+    summary: 'Rebuild the cached server, or delete all cached builds',
+    options: [
+      { name: 'rebuild', description: 'Rebuild the cached Release build of the server' },
+      { name: 'clean-cache', description: 'Delete all cached server builds' }
+    ],
+    run: runBuildCache
+  },
+  {
+    name: 'version',
+    flags: [{ flag: '--version' }],
+    usage: '--version [--json]',
+    summary: 'Show package, server assembly and protocol versions',
+    options: [JSON_OPTION],
+    run: runVersion
+  },
+  {
+    name: 'help',
+    usage: 'help [command]',
+    summary: 'Show help for a command',
+    args: [{ name: 'command' }],
+    run: ({ args }) => {
+      const command = COMMANDS.find((item) => item.name === args.command);
+      if (args.command && !command) {
+        console.error(`❌ Unknown command: ${args.command}`);
+        process.exit(2);
+      }
+      return command ? showCommandHelp(command) : showHelp();
+    }
+  }
+];
+
+/**
+ * --mock, --seed and --fixtures win over the settings layers; the server (and the mock server it
+ * may be) reads them from the environment
+ */
+function applyMockOptions(options) {
+  if (options.mock) {
+    process.env.DARBOT_MOCK = 'true';
+  }
+  if (options.seed !== undefined) {
+    process.env.DARBOT_MOCK_SEED = options.seed;
+  }
+  if (options.fixtures !== undefined) {
+    process.env.DARBOT_MOCK_FIXTURES = options.fixtures;
+  }
+  if (process.env.DARBOT_MOCK_SEED && !/^-?\d+$/.test(process.env.DARBOT_MOCK_SEED.trim())) {
+    console.error(`❌ Invalid mock seed: ${process.env.DARBOT_MOCK_SEED} (expected an integer)`);
+    process.exit(2);
+  }
+  // The server runs in the package directory, so relative paths are resolved here
+  if (process.env.DARBOT_MOCK_FIXTURES) {
+    process.env.DARBOT_MOCK_FIXTURES = path.resolve(process.env.DARBOT_MOCK_FIXTURES);
+  }
+}
+
+function applyPolicyOptions(options) {
+  if (options.policy !== undefined) {
+    process.env.DARBOT_POLICY = options.policy;
+  }
+  if (options.readOnly) {
+    process.env.DARBOT_READ_ONLY = 'true';
+  }
+  // The server may run elsewhere than the working directory, so relative paths are resolved here
+  const { READ_ONLY_PRESET } = require('../lib/policy');
+  if (process.env.DARBOT_POLICY && process.env.DARBOT_POLICY !== READ_ONLY_PRESET) {
+    process.env.DARBOT_POLICY = path.resolve(process.env.DARBOT_POLICY);
+  }
+}
+
+function main(argv) {
+  const { parseArgs } = require('../lib/cli');
+
+  if (argv.length === 0) {
+    showHelp();
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv, COMMANDS, GLOBAL_OPTIONS);
+  } catch (error) {
+    if (!error.usage) throw error;
+    console.error(`❌ ${error.message}`);
+    console.error(`💡 See: npx darbot-teams-mcp ${error.command ? `help ${error.command.name}` : '--help'}`);
+    process.exit(2);
+  }
+
+  const { command, options } = parsed;
+  if (!command) {
+    if (!options.help) {
+      console.error('❌ No command given');
+    }
+    showHelp();
+    process.exit(options.help ? 0 : 2);
+  }
+  if (options.help) {
+    showCommandHelp(command);
+    return;
+  }
+
+  let settings = null;
+  if (command.settings) {
+    const { applySettings } = require('../lib/settings');
+    try {
+      settings = applySettings({ configFile: options.config, profile: options.profile });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    // stderr, so stdio mode keeps stdout for JSON-RPC
+    settings.warnings.forEach((warning) => console.error(`⚠️  ${warning}`));
+    applyMockOptions(options);
+    applyPolicyOptions(options);
+    if (process.env.DARBOT_PROFILE && command.name !== 'config') {
+      console.error(`👤 Profile: ${process.env.DARBOT_PROFILE} (tenant ${process.env.TEAMS_TENANT_ID})`);
+    }
+  }
+
+  // An unexpected failure in any command ends with a message, not a stack trace
+  Promise.resolve(command.run(parsed, settings)).catch((error) => {
+    console.error(`❌ ${command.name} failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { stateDir } = require('./paths');
+const { messageKind, normalizeResponse } = require('./mcp-connection');
+const { CLIENT_TO_SERVER, SERVER_TO_CLIENT } = require('./recording');
+
+const DEFAULT_MAX_SIZE = '10MB';
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_REDACT = 'emails,upns,bodies';
+// Free-text arguments; their content is replaced by its length
+const DEFAULT_BODY_FIELDS = 'message,body,content,description,welcomeMessage,customMessage,completionNotes,statusMessage,reason,topic,question';
+const REDACTION_RULES = ['emails', 'upns', 'bodies'];
+
+// Outcomes of an audited call
+const OUTCOMES = ['success', 'tool-error', 'rpc-error', 'unanswered'];
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+'-]+)@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+// Fields whose addresses are user principal names even outside *.onmicrosoft.com
+const UPN_FIELDS = /^(userPrincipalName|upn|userId)$/i;
+
+/**
+ * Default audit log location: audit.jsonl in the state directory
+ */
+function auditFile() {
+  return path.join(stateDir(), 'audit.jsonl');
+}
+
+const isEnabled = (value, fallback) => (value === undefined || value === '' ? fallback : /^(1|true|yes|on)$/i.test(String(value).trim()));
+
+/**
+ * Parses "10MB", "512KB" or a plain number of bytes
+ */
+function parseSize(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid size: ${value} (expected bytes or a KB/MB/GB value)`);
+  }
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.floor(Number(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Audit settings from the environment (DARBOT_AUDIT_*), with the defaults filled in
+ */
+function auditOptions(env = process.env) {
+  const redact = String(env.DARBOT_AUDIT_REDACT || DEFAULT_REDACT).split(',').map((rule) => rule.trim().toLowerCase()).filter(Boolean);
+  const unknown = redact.filter((rule) => rule !== 'none' && !REDACTION_RULES.includes(rule));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown DARBOT_AUDIT_REDACT rule: ${unknown.join(', ')} (expected ${REDACTION_RULES.join(', ')} or none)`);
+  }
+  const maxFiles = Number(env.DARBOT_AUDIT_MAX_FILES || DEFAULT_MAX_FILES);
+  if (!Number.isInteger(maxFiles) || maxFiles < 0) {
+    throw new Error(`Invalid DARBOT_AUDIT_MAX_FILES: ${env.DARBOT_AUDIT_MAX_FILES} (expected 0 or more)`);
+  }
+
+  return {
+    enabled: isEnabled(env.DARBOT_AUDIT, true),
+    file: path.resolve(env.DARBOT_AUDIT_FILE || auditFile()),
+    maxSize: parseSize(env.DARBOT_AUDIT_MAX_SIZE || DEFAULT_MAX_SIZE),
+    maxFiles,
+    redact: redact.filter((rule) => rule !== 'none'),
+    bodyFields: String(env.DARBOT_AUDIT_BODY_FIELDS || DEFAULT_BODY_FIELDS).split(',').map((field) => field.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Per-install secret the pseudonyms are keyed with: audit.key in the state directory, created on
+ * first use and readable only by the user. Without it anyone with a staff directory could hash
+ * every address and look the pseudonyms up.
+ */
+function auditKey(file = path.join(stateDir(), 'audit.key')) {
+  try {
+    const key = fs.readFileSync(file, 'utf8').trim();
+    if (/^[0-9a-f]{64}$/.test(key)) return key;
+  } catch {
+    // Not created yet
+  }
+  const key = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${key}\n`, { mode: 0o600 });
+  return key;
+}
+
+// For callers that pass no key: pseudonyms are then only stable within this process
+const processKey = crypto.randomBytes(32).toString('hex');
+
+const pseudonym = (text, secret) => crypto.createHmac('sha256', secret).update(text.toLowerCase()).digest('hex').slice(0, 16);
+
+/**
+ * Replaces personal data in tool arguments. Addresses keep their domain and get a stable
+ * pseudonym, an HMAC of the address under options.secret (see auditKey), so the same address
+ * always redacts to the same text and entries can be correlated; body fields keep only their
+ * length. options: bodyFields, secret.
+ */
+function redactValue(value, rules, options = {}, key = null) {
+  if (rules.length === 0) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, rules, options, key));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactValue(item, rules, options, name)]));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const bodyFields = options.bodyFields || DEFAULT_BODY_FIELDS.split(',');
+  if (rules.includes('bodies') && key && bodyFields.some((field) => field.toLowerCase() === key.toLowerCase())) {
+    return `<redacted: ${value.length} chars>`;
+  }
+  return value.replace(EMAIL_PATTERN, (address, local, domain) => {
+    const upn = /\.onmicrosoft\.com$/i.test(domain) || (key !== null && UPN_FIELDS.test(key));
+    if (upn ? !rules.includes('upns') : !rules.includes('emails')) {
+      return address;
+    }
+    return `<${upn ? 'upn' : 'email'}:${pseudonym(address, options.secret || processKey)}>@${domain}`;
+  });
+}
+
+/**
+ * Appends a line, first rotating file -> file.1 -> ... -> file.<maxFiles> when it would grow past maxSize
+ */
+function appendRotating(file, line, maxSize, maxFiles) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = 0;
+  try {
+    size = fs.statSync(file).size;
+  } catch {
+    // Not created yet
+  }
+
+  if (size > 0 && size + Buffer.byteLength(line) > maxSize) {
+    const rotated = (n) => `${file}.${n}`;
+    if (maxFiles === 0) {
+      fs.rmSync(file, { force: true });
+    } else {
+      fs.rmSync(rotated(maxFiles), { force: true });
+      for (let n = maxFiles - 1; n >= 1; n--) {
+        if (fs.existsSync(rotated(n))) fs.renameSync(rotated(n), rotated(n + 1));
+      }
+      fs.renameSync(file, rotated(1));
+    }
+  }
+  fs.appendFileSync(file, line);
+}
+
+/**
+ * Outcome of a tools/call response: "success", "tool-error" (isError), "rpc-error" or "unanswered"
+ */
+function callOutcome(response) {
+  if (!response) return { status: 'unanswered' };
+  const { message } = normalizeResponse(response);
+  if (message.error) {
+    return { status: 'rpc-error', code: message.error.code, error: message.error.message };
+  }
+  if (message.result && message.result.isError) {
+    const text = (message.result.content || []).filter((item) => item && item.type === 'text').map((item) => item.text).join('\n');
+    return { status: 'tool-error', error: text.slice(0, 500) };
+  }
+  return { status: 'success' };
+}
+
+/**
+ * The launcher's audit log of tools/call requests. begin() is called when a call is sent and
+ * returns a handle for end(), which writes one JSONL entry: { time, tool, arguments, status,
+ * durationMs, client, transport, session, tenant, profile, simulation, mock, code, error, pid }.
+ * Arguments and error texts are redacted. When auditing is off, begin() returns null and
+ * end(null) does nothing.
+ */
+function createAuditLog(options = {}) {
+  const settings = auditOptions(options.env);
+  const env = options.env || process.env;
+  const log = options.log || ((line) => process.stderr.write(line + '\n'));
+  let failed = false;
+  let secret = null;
+
+  const redaction = () => {
+    if (!secret) {
+      try {
+        secret = auditKey();
+      } catch (error) {
+        log(`⚠️  Could not read or create the audit key (${error.message}); pseudonyms will differ from other sessions`);
+        secret = processKey;
+      }
+    }
+    return { bodyFields: settings.bodyFields, secret };
+  };
+
+  const write = (entry) => {
+    try {
+      appendRotating(settings.file, JSON.stringify(entry) + '\n', settings.maxSize, settings.maxFiles);
+    } catch (error) {
+      // An unwritable audit log must not break the session; say so once
+      if (!failed) log(`⚠️  Could not write the audit log ${settings.file}: ${error.message}`);
+      failed = true;
+    }
+  };
+
+  return {
+    enabled: settings.enabled,
+    file: settings.file,
+
+    begin({ name, arguments: args, client, transport, session }) {
+      if (!settings.enabled) return null;
+      return { name, args, client, transport, session, started: Date.now(), time: new Date().toISOString() };
+    },
+
+    end(call, response) {
+      if (!call) return;
+      const outcome = callOutcome(response);
+      write({
+        time: call.time,
+        tool: call.name,
+        arguments: redactValue(call.args === undefined ? {} : call.args, settings.redact, redaction()),
+        status: outcome.status,
+        ...(outcome.code !== undefined ? { code: outcome.code } : {}),
+        ...(outcome.error ? { error: redactValue(outcome.error, settings.redact.filter((rule) => rule !== 'bodies'), redaction()) } : {}),
+        durationMs: Date.now() - call.started,
+        client: call.client ? { name: call.client.name || null, version: call.client.version || null } : null,
+        transport: call.transport || null,
+        ...(call.session ? { session: call.session } : {}),
+        tenant: env.TEAMS_TENANT_ID || null,
+        profile: env.DARBOT_PROFILE || null,
+        simulation: isEnabled(env.TEAMS_SIMULATION_MODE, false),
+        mock: isEnabled(env.DARBOT_MOCK, false),
+        pid: process.pid
+      });
+    }
+  };
+}
+
+/**
+ * Audits a JSON-RPC message stream (the stdio relay's or the HTTP proxy's onMessage): pairs
+ * each tools/call with its response and remembers the client from initialize. Responses are
+ * matched by id, or by exchange when the transport pairs them itself (one HTTP request and its
+ * answer). finish() logs calls still waiting as unanswered.
+ */
+function createAuditObserver(audit, transport) {
+  const pending = new Map();
+  let client = null;
+
+  const observe = (direction, message, exchange) => {
+    if (!audit.enabled || !message || typeof message !== 'object') {
+      return;
+    }
+    for (const item of Array.isArray(message) ? message : [message]) {
+      const kind = messageKind(item);
+      if (direction === CLIENT_TO_SERVER && kind === 'request') {
+        if (item.method === 'initialize') {
+          client = (item.params && item.params.clientInfo) || null;
+        } else if (item.method === 'tools/call') {
+          const params = item.params || {};
+          pending.set(exchange || item.id, audit.begin({ name: params.name, arguments: params.arguments, client, transport }));
+        }
+      } else if (direction === SERVER_TO_CLIENT && kind === 'response') {
+        const key = exchange || item.id;
+        if (pending.has(key)) {
+          audit.end(pending.get(key), item);
+          pending.delete(key);
+        }
+      }
+    }
+  };
+
+  observe.finish = () => {
+    for (const call of pending.values()) {
+      audit.end(call, null);
+    }
+    pending.clear();
+  };
+  return observe;
+}
+
+/**
+ * Parses an absolute time (anything Date understands) or a relative one ("15m", "2h", "7d" ago)
+ */
+function parseTime(value, now = Date.now()) {
+  const relative = /^(\d+)\s*(s|m|h|d|w)$/i.exec(String(value).trim());
+  if (relative) {
+    const units = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    return now - Number(relative[1]) * units[relative[2].toLowerCase()];
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time: ${value} (expected an ISO date or a duration such as 30m, 12h, 7d)`);
+  }
+  return time;
+}
+
+/**
+ * Reads the audit log and its rotated files, oldest entry first. Unparsable lines are skipped.
+ */
+function readAuditEntries(file = auditFile(), maxFiles = DEFAULT_MAX_FILES) {
+  const files = [];
+  for (let n = maxFiles; n >= 1; n--) {
+    files.push(`${file}.${n}`);
+  }
+  files.push(file);
+
+  const entries = [];
+  for (const name of files.filter((item) => fs.existsSync(item))) {
+    for (const line of fs.readFileSync(name, 'utf8').split('\n')) {
+      if (line.trim() === '') continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Filters audit entries. tool is a name or a glob ("teams-*-member"); outcome is a list of
+ * statuses, where "failed" means anything but success; since/until are times for parseTime.
+ */
+function filterAuditEntries(entries, filters = {}) {
+  const tool = filters.tool ? new RegExp(`^${filters.tool.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i') : null;
+  const outcomes = filters.outcome ? String(filters.outcome).split(',').map((item) => item.trim()).filter(Boolean) : null;
+  (outcomes || []).forEach((outcome) => {
+    if (outcome !== 'failed' && !OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown outcome: ${outcome} (expected ${OUTCOMES.join(', ')} or failed)`);
+    }
+  });
+  const since = filters.since ? parseTime(filters.since) : null;
+  const until = filters.until ? parseTime(filters.until) : null;
+  const client = filters.client ? filters.client.toLowerCase() : null;
+
+  return entries.filter((entry) => {
+    const time = Date.parse(entry.time);
+    return (!tool || tool.test(entry.tool || '')) &&
+      (!outcomes || outcomes.includes(entry.status) || (outcomes.includes('failed') && entry.status !== 'success')) &&
+      (since === null || time >= since) &&
+      (until === null || time <= until) &&
+      (!client || (entry.client && String(entry.client.name || '').toLowerCase().includes(client)));
+  });
+}
+
+module.exports = {
+  OUTCOMES,
+  REDACTION_RULES,
+  auditFile,
+  auditOptions,
+  auditKey,
+  redactValue,
+  createAuditLog,
+  createAuditObserver,
+  parseTime,
+  readAuditEntries,
+  filterAuditEntries
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { packageRoot, buildServer } = require('./server');
+const { cacheDir } = require('./paths');
+
+const SOURCE_ROOT = path.join(packageRoot, 'src');
+const SOURCE_EXTENSIONS = new Set(['.cs', '.fs', '.csproj', '.fsproj', '.props', '.targets']);
+const SKIP_DIRS = new Set(['bin', 'obj', 'node_modules', '.git', '.vs']);
+const SERVER_DLL = 'DarbotTeamsMcp.Server.dll';
+const MANIFEST = 'build.json';
+// Written when npm install did not build the server, so the first launch says why it builds now
+const PENDING_MARKER = 'build-pending.json';
+const LOCK_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * Root of all cached builds; one subdirectory per package version
+ */
+function buildsRoot() {
+  return path.join(cacheDir(), 'builds');
+}
+
+/**
+ * Cache directory for the given package version
+ */
+function versionDir(version = require('../package.json').version) {
+  return path.join(buildsRoot(), version);
+}
+
+/**
+ * Lists the files that feed the build: sources, project files and the appsettings copied to the output
+ */
+function sourceFiles(root = SOURCE_ROOT) {
+  const files = [];
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) walk(fullPath);
+      } else if (SOURCE_EXTENSIONS.has(path.extname(entry.name)) || /^appsettings(\..+)?\.json$/.test(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  if (fs.existsSync(root)) walk(root);
+  return files.sort();
+}
+
+/**
+ * SHA-256 over the relative path and content of every source file
+ */
+function sourceHash(root = SOURCE_ROOT) {
+  const hash = crypto.createHash('sha256');
+
+  for (const file of sourceFiles(root)) {
+    hash.update(path.relative(root, file).split(path.sep).join('/'));
+    hash.update('\0');
+    hash.update(fs.readFileSync(file));
+    hash.update('\0');
+  }
+
+  return hash.digest('hex');
+}
+
+function readManifest(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Describes the cached build for this version: where it lives and whether it matches the sources
+ */
+function cacheStatus(options = {}) {
+  const dir = options.dir || versionDir();
+  const hash = options.hash || sourceHash();
+  const manifest = readManifest(dir);
+  const dll = manifest ? path.join(dir, manifest.output, SERVER_DLL) : null;
+
+  return {
+    dir,
+    hash,
+    manifest,
+    dll,
+    fresh: Boolean(manifest && manifest.hash === hash && fs.existsSync(dll))
+  };
+}
+
+/**
+ * Records that the build was skipped or failed during install: { reason, at, logFile }
+ */
+function markBuildPending(reason, details = {}) {
+  const dir = versionDir();
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, PENDING_MARKER), JSON.stringify({ reason, at: new Date().toISOString(), ...details }, null, 2) + '\n');
+}
+
+/**
+ * The pending-build marker for this version, or null
+ */
+function buildPending(dir = versionDir()) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, PENDING_MARKER), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function clearBuildPending(dir = versionDir()) {
+  fs.rmSync(path.join(dir, PENDING_MARKER), { force: true });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Takes the build lock for a cache directory so parallel launches (several editor windows)
+ * do not build into the same place. Resolves with a release function.
+ */
+async function acquireLock(dir, log) {
+  const lockFile = path.join(dir, 'build.lock');
+  let waiting = false;
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+      return () => fs.rmSync(lockFile, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    try {
+      if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+        fs.rmSync(lockFile, { force: true });
+        continue;
+      }
+    } catch {
+      continue;
+    }
+
+    if (!waiting) {
+      log('⏳ Another process is building the server, waiting...');
+      waiting = true;
+    }
+    await sleep(1000);
+  }
+}
+
+/**
+ * Removes builds in the version directory other than the current one. Failures are ignored:
+ * on Windows a build that a running server still has loaded cannot be deleted yet.
+ */
+function pruneOutputs(dir, keep) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory() && entry.name.startsWith('server-') && entry.name !== keep) {
+      try {
+        fs.rmSync(path.join(dir, entry.name), { recursive: true, force: true });
+      } catch {
+        // Still in use
+      }
+    }
+  }
+}
+
+/**
+ * Returns the path of a Release build of the server that matches the current sources,
+ * building it into the cache first when the source hash changed or rebuild is set.
+ * options.logFile receives the full dotnet output. Resolves with { dll, built, hash, dir }.
+ */
+async function ensureBuild(options = {}) {
+  const log = options.log || (() => {});
+  const dir = versionDir();
+  const hash = sourceHash();
+
+  let status = cacheStatus({ dir, hash });
+  if (status.fresh && !options.rebuild) {
+    clearBuildPending(dir);
+    return { dll: status.dll, built: false, hash, dir };
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const release = await acquireLock(dir, log);
+
+  try {
+    // Someone else may have finished the same build while we waited for the lock
+    status = cacheStatus({ dir, hash });
+    if (status.fresh && !options.rebuild) {
+      clearBuildPending(dir);
+      return { dll: status.dll, built: false, hash, dir };
+    }
+
+    const pending = buildPending(dir);
+    const output = `server-${hash.slice(0, 12)}-${Date.now().toString(36)}`;
+    const outputDir = path.join(dir, output);
+    if (options.rebuild) {
+      log('📦 Rebuilding the server (Release)...');
+    } else if (pending) {
+      log(`📦 The server was not built during install (${pending.reason}); building it now (Release), this only happens once...`);
+    } else {
+      log(status.manifest ? '📦 Sources changed, rebuilding the server (Release)...' : '📦 Building the server (Release), this only happens once per version...');
+    }
+
+    const started = Date.now();
+    await buildServer(['-c', 'Release', '-o', outputDir], { logFile: options.logFile });
+
+    const dll = path.join(outputDir, SERVER_DLL);
+    if (!fs.existsSync(dll)) {
+      throw new Error(`Build finished but ${SERVER_DLL} was not found in ${outputDir}`);
+    }
+
+    fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify({
+      version: require('../package.json').version,
+      hash,
+      output,
+      builtAt: new Date().toISOString(),
+      durationMs: Date.now() - started
+    }, null, 2) + '\n');
+    pruneOutputs(dir, output);
+    clearBuildPending(dir);
+
+    log(`✅ Server built in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    return { dll, built: true, hash, dir };
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Deletes every cached build (all versions). Returns the removed directory, or null when there was none.
+ */
+function cleanCache() {
+  const root = buildsRoot();
+  if (!fs.existsSync(root)) {
+    return null;
+  }
+  fs.rmSync(root, { recursive: true, force: true });
+  return root;
+}
+
+module.exports = {
+  SERVER_DLL,
+  buildsRoot,
+  versionDir,
+  sourceFiles,
+  sourceHash,
+  cacheStatus,
+  acquireLock,
+  markBuildPending,
+  buildPending,
+  clearBuildPending,
+  ensureBuild,
+  cleanCache
+};
@@ -0,0 +1,227 @@
+const { suggest } = require('./tool-args');
+
+const camelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Error for a command line that does not parse; command is the command it was meant for, if known
+ */
+function usageError(message, command = null) {
+  const error = new Error(message);
+  error.usage = true;
+  error.command = command;
+  return error;
+}
+
+function findOption(specs, name) {
+  for (const spec of specs) {
+    if (spec.name === name) return { spec, value: true };
+    if (spec.negatable && name === `no-${spec.name}`) return { spec, value: false };
+  }
+  return null;
+}
+
+/**
+ * Finds the command a command line is for. Commands are either a leading word ("start", "tools")
+ * or a flag anywhere on the line ("--stdio", "--setup <client>"); naming two of them is an error
+ * instead of one silently winning.
+ */
+function detectCommand(argv, commands) {
+  const tokens = argv.indexOf('--') === -1 ? argv : argv.slice(0, argv.indexOf('--'));
+  const byWord = commands.find((command) => command.name === tokens[0] && !command.hidden);
+  const flagged = [];
+
+  tokens.forEach((token, index) => {
+    const [flag] = token.split('=');
+    for (const command of commands) {
+      const alias = (command.flags || []).find((item) => item.flag === flag);
+      if (alias) flagged.push({ command, alias, index });
+    }
+  });
+
+  if (byWord) {
+    if (flagged.length > 0) {
+      throw usageError(`${flagged[0].alias.flag} cannot be combined with ${byWord.name}`, byWord);
+    }
+    return { command: byWord, rest: argv.slice(1) };
+  }
+
+  const distinct = flagged.filter((item, i) => flagged.findIndex((other) => other.command === item.command) === i);
+  if (distinct.length > 1) {
+    throw usageError(`${distinct[0].alias.flag} and ${distinct[1].alias.flag} cannot be combined; run one command at a time`);
+  }
+  if (distinct.length === 0) {
+    // Commands implied by their options alone, e.g. "--rebuild"
+    const implied = commands.find((command) => (command.impliedBy || []).some((flag) => tokens.includes(flag)));
+    return implied ? { command: implied, rest: argv } : { command: null, rest: argv };
+  }
+
+  const { command, alias, index } = distinct[0];
+  const rest = argv.filter((token, i) => i !== index);
+  const preset = { ...(alias.preset || {}) };
+  if (alias.value) {
+    // "--setup claude": the flag's value is the command's first argument
+    const inline = argv[index].includes('=') ? argv[index].slice(argv[index].indexOf('=') + 1) : undefined;
+    const value = inline !== undefined ? inline : argv[index + 1];
+    if (value === undefined || value === '' || value.startsWith('-')) {
+      throw usageError(`Missing ${alias.value} for ${alias.flag}`, command);
+    }
+    if (inline === undefined) {
+      rest.splice(index, 1);
+    }
+    preset[command.args[0].name] = value;
+  }
+  return { command, rest, preset };
+}
+
+/**
+ * Parses argv against a command table. Each command is
+ * { name, flags: [{ flag, value, preset }], impliedBy, args: [{ name, required }], options, passthrough },
+ * each option { name, value ("<port>" for options taking a value), optionalValue, negatable, repeatable
+ * (collect every value into an array), description }.
+ * Returns { command, options, args, passthrough, tokens } or throws a usage error.
+ */
+function parseArgs(argv, commands, globalOptions = []) {
+  const { command, rest, preset = {} } = detectCommand(argv, commands);
+  const specs = [...globalOptions, ...(command ? command.options || [] : [])];
+  const options = {};
+  const positionals = [];
+  const passthrough = [];
+  const declared = command ? command.args || [] : [];
+
+  for (let i = 0; i < rest.length; i++) {
+    const token = rest[i];
+
+    if (token === '--') {
+      passthrough.push(...rest.slice(i + 1));
+      break;
+    }
+
+    if (token === '-h') {
+      options.help = true;
+      continue;
+    }
+
+    if (token.startsWith('--') && token.length > 2) {
+      const [name, inline] = token.slice(2).split(/=(.*)/s);
+      const found = findOption(specs, name);
+
+      if (!found) {
+        if (command && command.passthrough) {
+          passthrough.push(token);
+          continue;
+        }
+        const candidates = specs.flatMap((spec) => (spec.negatable ? [spec.name, `no-${spec.name}`] : [spec.name]));
+        const hint = suggest(name, candidates);
+        throw usageError(`Unknown option --${name}${command ? ` for ${command.name}` : ''}${hint ? ` (did you mean --${hint}?)` : ''}`, command);
+      }
+
+      const { spec, value } = found;
+      const key = camelCase(spec.name);
+      if (!spec.value) {
+        if (inline !== undefined && !/^(true|false)$/.test(inline)) {
+          throw usageError(`--${name} does not take a value`, command);
+        }
+        options[key] = inline === undefined ? value : inline === 'true' ? value : !value;
+      } else if (inline !== undefined || (rest[i + 1] !== undefined && !rest[i + 1].startsWith('--'))) {
+        const given = inline !== undefined ? inline : rest[++i];
+        options[key] = spec.repeatable ? [...(options[key] || []), given] : given;
+      } else if (spec.optionalValue) {
+        options[key] = true;
+      } else {
+        throw usageError(`Missing value for --${name} (expected ${spec.value})`, command);
+      }
+      continue;
+    }
+
+    if (positionals.length < declared.length || !command || !command.passthrough) {
+      positionals.push(token);
+    } else {
+      passthrough.push(token);
+    }
+  }
+
+  if (options.help) {
+    return { command, options, args: {}, passthrough, tokens: rest };
+  }
+
+  const args = { ...preset };
+  const free = declared.filter((arg) => args[arg.name] === undefined);
+  if (positionals.length > free.length && !(command && command.passthrough)) {
+    const extra = positionals[free.length];
+    throw usageError(command ? `Unexpected argument "${extra}" for ${command.name}` : `Unknown command: ${extra}`, command);
+  }
+  free.forEach((arg, i) => {
+    if (positionals[i] !== undefined) args[arg.name] = positionals[i];
+  });
+  for (const arg of declared) {
+    if (arg.required && args[arg.name] === undefined) {
+      throw usageError(`Missing <${arg.name}> for ${command.name}`, command);
+    }
+  }
+
+  return { command, options, args, passthrough, tokens: rest };
+}
+
+/**
+ * Turns parsed options back into command-line tokens (for forwarding to a child process)
+ */
+function formatOptions(options, specs) {
+  const tokens = [];
+  for (const spec of specs) {
+    const value = options[camelCase(spec.name)];
+    if (value === undefined) continue;
+    if (!spec.value) {
+      tokens.push(value ? `--${spec.name}` : `--no-${spec.name}`);
+    } else if (value === true) {
+      tokens.push(`--${spec.name}`);
+    } else if (Array.isArray(value)) {
+      value.forEach((item) => tokens.push(`--${spec.name}`, String(item)));
+    } else {
+      tokens.push(`--${spec.name}`, String(value));
+    }
+  }
+  return tokens;
+}
+
+function optionLabel(spec) {
+  const name = spec.negatable ? `--[no-]${spec.name}` : `--${spec.name}`;
+  if (!spec.value) return name;
+  return spec.optionalValue ? `${name} [${spec.value.replace(/[<>]/g, '')}]` : `${name} ${spec.value}`;
+}
+
+/**
+ * Two-column text: labels padded to a common width, descriptions wrapped under themselves
+ */
+function formatColumns(rows, indent = '  ', width = 22) {
+  return rows.map(([label, description]) => {
+    const lines = String(description || '').split('\n');
+    const first = label.length >= width - 1 ? `${indent}${label}\n${indent}${' '.repeat(width)}${lines[0]}` : `${indent}${label.padEnd(width)}${lines[0]}`;
+    return [first, ...lines.slice(1).map((line) => `${indent}${' '.repeat(width)}${line}`)].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Help for one command: usage, description, arguments and options
+ */
+function formatCommandHelp(command, globalOptions, program) {
+  const sections = [
+    `\nUSAGE:\n  ${program} ${command.usage || command.name}`,
+    command.description || command.summary
+  ];
+  if (command.options && command.options.length > 0) {
+    sections.push(`OPTIONS:\n${formatColumns(command.options.map((spec) => [optionLabel(spec), spec.description]))}`);
+  }
+  sections.push(`GLOBAL OPTIONS:\n${formatColumns(globalOptions.map((spec) => [optionLabel(spec), spec.description]))}`);
+  if (command.examples) {
+    sections.push(`EXAMPLES:\n${command.examples.map((line) => `  ${line}`).join('\n')}`);
+  }
+  return sections.join('\n\n') + '\n';
+}
+
+module.exports = {
+  usageError,
+  parseArgs,
+  formatOptions,
+  formatColumns,
+  formatCommandHelp
+};
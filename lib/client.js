@@ -0,0 +1,133 @@
+const {
+  initializeParams,
+  createStdioConnection,
+  createHttpConnection,
+  toolResult,
+  normalizeResponse
+} = require('./mcp-connection');
+const { spawnServer, stopServer, mockEnabled } = require('./server');
+const { ensureBuild } = require('./build-cache');
+
+/**
+ * Error returned by the server for a JSON-RPC request
+ */
+function rpcError(method, error) {
+  const result = new Error(`${method} failed: ${error.message || JSON.stringify(error)}${error.code !== undefined ? ` (code ${error.code})` : ''}`);
+  result.code = error.code;
+  result.data = error.data;
+  return result;
+}
+
+/**
+ * MCP client for the Teams server. Over stdio it starts the cached server build itself;
+ * over HTTP it talks to an already running server at options.url.
+ *
+ * Options: transport ("stdio" or "http", default stdio unless url is set), url, env,
+ * timeoutMs, clientName, audit (see audit.js), log (build progress), onDiagnostic, onStderr.
+ */
+function createClient(options = {}) {
+  const transport = options.transport || (options.url ? 'http' : 'stdio');
+  const timeoutMs = options.timeoutMs || 120000;
+  let connection = null;
+  let child = null;
+  let serverInfo = null;
+
+  const request = async (method, params) => {
+    if (!connection) {
+      throw new Error('Client is not connected; call connect() first');
+    }
+    const response = await connection.request(method, params);
+    if (response.error) {
+      throw rpcError(method, response.error);
+    }
+    return response;
+  };
+
+  return {
+    transport,
+
+    /**
+     * Starts (stdio) or reaches (HTTP) the server and performs the initialize handshake
+     */
+    async connect() {
+      if (connection) {
+        return serverInfo;
+      }
+
+      if (transport === 'http') {
+        if (!options.url) {
+          throw new Error('An url is required for the HTTP transport');
+        }
+        connection = createHttpConnection(options.url, { timeoutMs, onDiagnostic: options.onDiagnostic });
+      } else if (transport === 'stdio') {
+        // The mock server needs no build
+        const build = options.dll || mockEnabled({ ...process.env, ...options.env }) ? { dll: options.dll } : await ensureBuild({ log: options.log });
+        child = spawnServer('stdio', { dll: build.dll, env: options.env });
+        child.stderr.on('data', (data) => (options.onStderr ? options.onStderr(data.toString()) : null));
+        connection = createStdioConnection(child, { timeoutMs, onDiagnostic: options.onDiagnostic });
+      } else {
+        throw new Error(`Unknown transport: ${transport} (expected stdio or http)`);
+      }
+
+      try {
+        const response = await request('initialize', initializeParams(options.clientName));
+        connection.notify('notifications/initialized');
+        serverInfo = response.result || {};
+        return serverInfo;
+      } catch (error) {
+        await this.close();
+        throw error;
+      }
+    },
+
+    /**
+     * Resolves with the tools/list entries ({ name, description, inputSchema, ... })
+     */
+    async listTools() {
+      const response = await request('tools/list', {});
+      return (response.result && response.result.tools) || [];
+    },
+
+    /**
+     * Calls a tool. Resolves with { isError, content, raw } or, for JSON-RPC errors, { isError, error }.
+     */
+    async callTool(name, args = {}) {
+      if (!connection) {
+        throw new Error('Client is not connected; call connect() first');
+      }
+      const call = options.audit
+        ? options.audit.begin({ name, arguments: args, client: initializeParams(options.clientName).clientInfo, transport })
+        : null;
+      let raw;
+      try {
+        raw = await connection.request('tools/call', { name, arguments: args });
+      } catch (error) {
+        if (call) options.audit.end(call, null);
+        throw error;
+      }
+      const { requestId, httpStatus, ...response } = raw;
+      if (call) options.audit.end(call, response);
+      return toolResult(normalizeResponse(response).message);
+    },
+
+    /**
+     * Sends an arbitrary JSON-RPC request and resolves with the raw response
+     */
+    request,
+
+    async close() {
+      if (connection) {
+        connection.close();
+        connection = null;
+      }
+      if (child) {
+        await stopServer(child);
+        child = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createClient
+};
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+const jsonc = require('jsonc-parser');
+
+// Backups are written next to the file as <name>.<timestamp>.darbot.bak
+const BACKUP_SUFFIX = '.darbot.bak';
+const MAX_BACKUPS = 10;
+
+/**
+ * Reads a JSON-with-comments configuration file (VS Code settings, mcp.json, ...).
+ * Throws instead of guessing when the file cannot be parsed, so user content is never discarded.
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { exists: false, text: '', data: {} };
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  const errors = [];
+  const data = jsonc.parse(text, errors, { allowTrailingComma: true, disallowComments: false });
+
+  if (errors.length > 0) {
+    const { error, offset } = errors[0];
+    const line = text.slice(0, offset).split('\n').length;
+    throw new Error(`Cannot parse ${filePath} (line ${line}: ${jsonc.printParseErrorCode(error)}) - fix the file and run setup again`);
+  }
+
+  if (data !== undefined && (data === null || typeof data !== 'object' || Array.isArray(data))) {
+    throw new Error(`Expected a JSON object in ${filePath}`);
+  }
+
+  return { exists: true, text, data: data || {} };
+}
+
+/**
+ * Detects indentation and line endings so edits blend into the existing file
+ */
+function detectFormatting(text) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const indentMatch = text.match(/^([ \t]+)\S/m);
+  const indent = indentMatch ? indentMatch[1] : '  ';
+
+  return {
+    eol,
+    insertSpaces: !indent.startsWith('\t'),
+    tabSize: indent.startsWith('\t') ? 1 : indent.length
+  };
+}
+
+const indentUnit = (formatting) => (formatting.insertSpaces ? ' '.repeat(formatting.tabSize) : '\t');
+
+function lineStart(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+function indentAt(text, offset) {
+  return text.slice(lineStart(text, offset)).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Renders a value the way the file is formatted, continuation lines indented by indent
+ */
+function renderValue(value, indent, formatting) {
+  return JSON.stringify(value, null, indentUnit(formatting)).split('\n').join(formatting.eol + indent);
+}
+
+/**
+ * What follows a member up to the end of its line: the offset of its comma (null if none), where
+ * the line ends, whether a comment sits there and whether the member is the last thing on the line
+ */
+function afterMember(text, node) {
+  const scanner = jsonc.createScanner(text, false);
+  scanner.setPosition(node.offset + node.length);
+  const result = { comma: null, lineEnd: text.length, comment: false, endsLine: true };
+
+  for (let token = scanner.scan(); token !== jsonc.SyntaxKind.EOF; token = scanner.scan()) {
+    if (token === jsonc.SyntaxKind.Trivia) {
+      continue;
+    }
+    if (token === jsonc.SyntaxKind.CommaToken && result.comma === null) {
+      result.comma = scanner.getTokenOffset();
+    } else if (token === jsonc.SyntaxKind.LineCommentTrivia || token === jsonc.SyntaxKind.BlockCommentTrivia) {
+      result.comment = true;
+    } else {
+      result.lineEnd = scanner.getTokenOffset();
+      result.endsLine = token === jsonc.SyntaxKind.LineBreakTrivia;
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Renders a value on one line, spaced like hand-written JSON: { "a": [1, 2] }
+ */
+function inlineValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(inlineValue).join(', ')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${inlineValue(item)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return JSON.stringify(value);
+}
+
+function memberText(container, name, value, indent, formatting) {
+  const rendered = renderValue(value, indent, formatting);
+  return container.type === 'object' ? `${JSON.stringify(name)}: ${rendered}` : rendered;
+}
+
+/**
+ * Edits adding a member at the end of an object or array, leaving the members already there as
+ * they are
+ */
+function insertEdits(text, container, name, value, formatting) {
+  const children = container.children || [];
+  const [open, close] = container.type === 'object' ? ['{', '}'] : ['[', ']'];
+
+  if (children.length === 0 && !afterMember(text, container).endsLine) {
+    const inline = container.type === 'object' ? `${JSON.stringify(name)}: ${inlineValue(value)}` : inlineValue(value);
+    return [{ offset: container.offset, length: container.length, content: `${open} ${inline} ${close}` }];
+  }
+  if (children.length === 0) {
+    const indent = indentAt(text, container.offset);
+    const inner = indent + indentUnit(formatting);
+    const member = memberText(container, name, value, inner, formatting);
+    return [{ offset: container.offset, length: container.length, content: `${open}${formatting.eol}${inner}${member}${formatting.eol}${indent}${close}` }];
+  }
+
+  const last = children[children.length - 1];
+  const after = afterMember(text, last);
+  const lastEnd = last.offset + last.length;
+  if (!after.endsLine || lineStart(text, last.offset) === lineStart(text, container.offset)) {
+    // Members share a line with the brackets: keep the new one on that line too
+    const inline = container.type === 'object' ? `${JSON.stringify(name)}: ${inlineValue(value)}` : inlineValue(value);
+    return [{ offset: lastEnd, length: 0, content: `, ${inline}` }];
+  }
+
+  // After the last member's trailing comma and comment, so those stay where they were
+  const indent = indentAt(text, last.offset);
+  const member = memberText(container, name, value, indent, formatting);
+  const edits = [{ offset: after.lineEnd, length: 0, content: `${formatting.eol}${indent}${member}${after.comma === null ? '' : ','}` }];
+  if (after.comma === null) {
+    edits.unshift({ offset: lastEnd, length: 0, content: ',' });
+  }
+  return edits;
+}
+
+/**
+ * Edits removing a member (property or array element): its whole line when it has one to itself,
+ * otherwise just the member and the comma separating it from a neighbour
+ */
+function removeEdits(text, container, index) {
+  const children = container.children;
+  const member = children[index];
+  const after = afterMember(text, member);
+  const start = lineStart(text, member.offset);
+
+  if (text.slice(start, member.offset).trim() !== '' || after.comment || !after.endsLine) {
+    if (index > 0) {
+      const previous = children[index - 1];
+      return [{ offset: previous.offset + previous.length, length: member.offset + member.length - previous.offset - previous.length, content: '' }];
+    }
+    const end = index + 1 < children.length ? children[index + 1].offset : member.offset + member.length;
+    return [{ offset: member.offset, length: end - member.offset, content: '' }];
+  }
+
+  const lineEnd = after.lineEnd + (text.startsWith('\r\n', after.lineEnd) ? 2 : 1);
+  const edits = [{ offset: start, length: lineEnd - start, content: '' }];
+  if (index === children.length - 1 && after.comma === null && index > 0) {
+    // The previous member becomes the last one: drop its comma so strict JSON files stay valid
+    const previous = afterMember(text, children[index - 1]);
+    if (previous.comma !== null) {
+      edits.unshift({ offset: previous.comma, length: 1, content: '' });
+    }
+  }
+  return edits;
+}
+
+/**
+ * Minimal edits setting or removing the value at jsonPath: only that member's text changes, so
+ * neighbouring entries keep their layout and comments. Null when the document has a shape this
+ * does not handle.
+ */
+function memberEdits(text, jsonPath, value, formatting) {
+  const tree = jsonc.parseTree(text, [], { allowTrailingComma: true });
+  let container = tree;
+  for (let depth = 0; depth < jsonPath.length; depth++) {
+    if (!container || (container.type !== 'object' && container.type !== 'array')) {
+      return null;
+    }
+    const segment = jsonPath[depth];
+    const children = container.children || [];
+    const index = container.type === 'object'
+      ? children.findIndex((property) => property.children[0].value === segment)
+      : (typeof segment === 'number' && segment >= 0 && segment < children.length ? segment : -1);
+    const last = depth === jsonPath.length - 1;
+
+    if (index === -1) {
+      if (value === undefined) {
+        return [];
+      }
+      if (typeof segment !== 'string' && segment !== -1) {
+        return null;
+      }
+      // Missing parents are created along with the value
+      const nested = jsonPath.slice(depth + 1).reduceRight((inner, key) => {
+        if (typeof key !== 'string') throw new Error(`Cannot create ${jsonPath.join('.')}`);
+        return { [key]: inner };
+      }, value);
+      return insertEdits(text, container, segment, nested, formatting);
+    }
+
+    if (last) {
+      if (value === undefined) {
+        return removeEdits(text, container, index);
+      }
+      const member = children[index];
+      const node = container.type === 'object' ? member.children[1] : member;
+      if (node && JSON.stringify(jsonc.getNodeValue(node)) === JSON.stringify(value)) {
+        return [];
+      }
+      return node ? [{ offset: node.offset, length: node.length, content: renderValue(value, indentAt(text, member.offset), formatting) }] : null;
+    }
+    container = container.type === 'object' ? children[index].children[1] : children[index];
+  }
+  return null;
+}
+
+/**
+ * Sets (or with value undefined, removes) the value at jsonPath, preserving comments and layout.
+ * A -1 array index appends.
+ */
+function editConfigText(text, jsonPath, value) {
+  const source = text.trim() === '' ? '{}' : text;
+  const formattingOptions = detectFormatting(text.trim() === '' ? '' : text);
+  let edits;
+  try {
+    edits = memberEdits(source, jsonPath, value, formattingOptions);
+  } catch {
+    edits = null;
+  }
+  let result = jsonc.applyEdits(source, edits || jsonc.modify(source, jsonPath, value, { formattingOptions }));
+
+  if (text.trim() === '' && !result.endsWith('\n')) {
+    result += '\n';
+  }
+  return result;
+}
+
+/**
+ * Writes a file atomically: the content goes to a temporary sibling that is renamed into place
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  let mode;
+  try {
+    mode = fs.statSync(filePath).mode;
+  } catch {
+    mode = undefined;
+  }
+
+  try {
+    fs.writeFileSync(tempPath, content, mode === undefined ? undefined : { mode });
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Lists backups of a file, newest first
+ */
+function listBackups(filePath) {
+  const dir = path.dirname(filePath);
+  const prefix = `${path.basename(filePath)}.`;
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter((name) => name.startsWith(prefix) && name.endsWith(BACKUP_SUFFIX))
+    .map((name) => ({
+      path: path.join(dir, name),
+      stamp: name.slice(prefix.length, -BACKUP_SUFFIX.length)
+    }))
+    .sort((a, b) => b.stamp.localeCompare(a.stamp));
+}
+
+/**
+ * Copies the current file to a timestamped backup and prunes old backups
+ */
+function createBackup(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const backupPath = `${filePath}.${timestamp()}${BACKUP_SUFFIX}`;
+  fs.copyFileSync(filePath, backupPath);
+
+  for (const stale of listBackups(filePath).slice(MAX_BACKUPS)) {
+    fs.rmSync(stale.path, { force: true });
+  }
+  return backupPath;
+}
+
+/**
+ * Restores the newest backup (or the one matching stamp) over the file
+ */
+function restoreBackup(filePath, stamp = null) {
+  const backups = listBackups(filePath);
+  const backup = stamp ? backups.find((entry) => entry.stamp === stamp) : backups[0];
+  if (!backup) {
+    throw new Error(stamp
+      ? `No backup ${stamp} found for ${filePath}`
+      : `No backups found for ${filePath}`);
+  }
+
+  // Keep the state being replaced so a restore can itself be undone
+  const content = fs.readFileSync(backup.path, 'utf8');
+  createBackup(filePath);
+  writeFileAtomic(filePath, content);
+  return backup;
+}
+
+module.exports = {
+  readConfigFile,
+  editConfigText,
+  writeFileAtomic,
+  listBackups,
+  createBackup,
+  restoreBackup
+};
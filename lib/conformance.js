@@ -0,0 +1,384 @@
+const Ajv = require('ajv');
+const { spawnServer, stopServer, mockEnabled } = require('./server');
+const { ensureBuild, cacheStatus } = require('./build-cache');
+const {
+  initializeParams,
+  createStdioConnection,
+  createHttpConnection,
+  waitForHealth,
+  findFreePort
+} = require('./mcp-connection');
+const { sampleArguments } = require('./schema-sample');
+
+// Environment every conformance run uses: simulated Graph calls, no interactive sign-in
+const SIMULATION_ENV = {
+  TEAMS_SIMULATION_MODE: 'true',
+  TEAMS_REQUIRE_AUTHENTICATION: 'false',
+  TEAMS_LOG_TO_FILE: 'false'
+};
+
+const STARTUP_TIMEOUT_MS = 120000;
+
+// Standard JSON-RPC error codes; any of these on a tool call means the call itself was malformed
+const PROTOCOL_ERROR_CODES = new Set([-32700, -32600, -32601, -32602, -32603]);
+
+function tail(lines, count = 20) {
+  return lines.slice(-count).join('\n');
+}
+
+/**
+ * Checks that a response is a well-formed JSON-RPC 2.0 response
+ */
+function envelopeProblems(response) {
+  const problems = [];
+  if (response.jsonrpc !== '2.0') {
+    problems.push('missing "jsonrpc": "2.0"');
+  }
+  const hasResult = 'result' in response;
+  const hasError = 'error' in response;
+  if (hasResult === hasError) {
+    problems.push(hasResult ? 'has both "result" and "error"' : 'has neither "result" nor "error"');
+  }
+  if (hasError && (!Number.isInteger(response.error.code) || typeof response.error.message !== 'string')) {
+    problems.push('"error" must have an integer code and a string message');
+  }
+  return problems;
+}
+
+/**
+ * Creates the test harness: runs named checks, times them and forwards results to the reporter
+ */
+function createHarness(reporter, options) {
+  const results = [];
+
+  async function test(suite, name, fn) {
+    const started = Date.now();
+    const warnings = [];
+    const result = { suite, name, status: 'pass', message: '', warnings, durationMs: 0 };
+    const t = {
+      warn: (message) => warnings.push(message),
+      skip: (message) => {
+        const error = new Error(message);
+        error.skip = true;
+        throw error;
+      }
+    };
+
+    try {
+      const value = await fn(t);
+      if (options.strict && warnings.length > 0) {
+        result.status = 'fail';
+        result.message = `strict mode: ${warnings[0]}`;
+      }
+      return value;
+    } catch (error) {
+      result.status = error.skip ? 'skip' : 'fail';
+      result.message = error.message;
+      return undefined;
+    } finally {
+      result.durationMs = Date.now() - started;
+      results.push(result);
+      reporter.onResult(result);
+    }
+  }
+
+  return { test, results };
+}
+
+/**
+ * Tests shared by every transport: handshake, ping, tools/list, per-tool schema and call checks
+ */
+async function runProtocolTests(suite, connection, harness, options) {
+  const { test } = harness;
+  const ajv = new Ajv({ allErrors: true, strict: true, validateFormats: false, logger: false });
+
+  const initialized = await test(suite, 'initialize', async (t) => {
+    const response = await connection.request('initialize', initializeParams('darbot-teams-mcp-conformance'), { timeoutMs: STARTUP_TIMEOUT_MS });
+    const problems = envelopeProblems(response);
+    if (problems.length > 0) {
+      throw new Error(`Invalid response: ${problems.join('; ')}`);
+    }
+    if (response.error) {
+      throw new Error(`initialize failed: ${response.error.message}`);
+    }
+
+    const result = response.result || {};
+    const serverName = (result.serverInfo && result.serverInfo.name) || result.name;
+    if (serverName !== 'darbot-teams-mcp') {
+      throw new Error(`Unexpected server name: ${JSON.stringify(serverName)}`);
+    }
+    if (!result.protocolVersion) {
+      t.warn('initialize result has no protocolVersion');
+    }
+    if (!result.serverInfo) {
+      t.warn('initialize result has no serverInfo (name/version are at the top level)');
+    }
+    return true;
+  });
+
+  if (!initialized) {
+    return;
+  }
+
+  await test(suite, 'notifications/initialized', async (t) => {
+    const res = await connection.notify('notifications/initialized');
+    // Round-trip a ping so any reply to the notification has arrived before checking
+    const response = await connection.request('ping');
+    if (response.error) {
+      throw new Error(`ping failed: ${response.error.message}`);
+    }
+
+    const answered = (res && res.body) || options.diagnostics.some((diagnostic) =>
+      diagnostic.type === 'unknown-id' && diagnostic.data && diagnostic.data.id == null);
+    if (answered) {
+      t.warn('server sent a response to a notification');
+    }
+  });
+
+  await test(suite, 'unknown method returns -32601', async () => {
+    const response = await connection.request('darbot/does-not-exist');
+    if (!response.error || response.error.code !== -32601) {
+      throw new Error(`Expected error -32601, got ${JSON.stringify(response.error || response.result)}`);
+    }
+  });
+
+  const tools = await test(suite, 'tools/list', async () => {
+    const response = await connection.request('tools/list');
+    if (response.error) {
+      throw new Error(`tools/list failed: ${response.error.message}`);
+    }
+    const list = response.result && response.result.tools;
+    if (!Array.isArray(list)) {
+      throw new Error('result.tools is not an array');
+    }
+    if (list.length < options.minTools) {
+      throw new Error(`Only ${list.length} tools registered (expected at least ${options.minTools})`);
+    }
+
+    const names = new Set();
+    for (const tool of list) {
+      if (typeof tool.name !== 'string' || tool.name === '') {
+        throw new Error(`Tool without a name: ${JSON.stringify(tool).slice(0, 120)}`);
+      }
+      if (names.has(tool.name)) {
+        throw new Error(`Duplicate tool name: ${tool.name}`);
+      }
+      names.add(tool.name);
+      if (typeof tool.description !== 'string' || tool.description === '') {
+        throw new Error(`Tool ${tool.name} has no description`);
+      }
+    }
+    return list;
+  });
+
+  if (!tools) {
+    return;
+  }
+
+  await test(suite, 'tools/call with unknown tool returns an error', async () => {
+    const response = await connection.request('tools/call', { name: 'teams-does-not-exist', arguments: {} });
+    if (!response.error) {
+      throw new Error('Expected an error response');
+    }
+  });
+
+  for (const tool of tools) {
+    const validate = await test(suite, `schema: ${tool.name}`, async () => {
+      const schema = tool.inputSchema;
+      if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('inputSchema is missing or not an object');
+      }
+      if (schema.type !== 'object') {
+        throw new Error(`inputSchema.type must be "object" (got ${JSON.stringify(schema.type)})`);
+      }
+      if (!ajv.validateSchema(schema)) {
+        throw new Error(`Not a valid JSON Schema: ${ajv.errorsText(ajv.errors)}`);
+      }
+
+      const properties = schema.properties || {};
+      for (const name of schema.required || []) {
+        if (!(name in properties)) {
+          throw new Error(`Required property "${name}" is not declared in properties`);
+        }
+      }
+
+      try {
+        return ajv.compile(schema);
+      } catch (error) {
+        throw new Error(`Schema does not compile: ${error.message}`);
+      }
+    });
+
+    if (!options.callTools) {
+      continue;
+    }
+
+    await test(suite, `call: ${tool.name}`, async (t) => {
+      if (!validate) {
+        t.skip('schema is invalid');
+      }
+
+      const args = sampleArguments(tool.inputSchema);
+      if (!validate(args)) {
+        t.warn(`generated arguments do not satisfy the schema: ${ajv.errorsText(validate.errors)}`);
+      }
+
+      const response = await connection.request('tools/call', { name: tool.name, arguments: args });
+      if (response.id !== response.requestId) {
+        t.warn(`response id ${JSON.stringify(response.id)} does not echo request id ${response.requestId}`);
+      }
+
+      if (response.error) {
+        if (PROTOCOL_ERROR_CODES.has(response.error.code)) {
+          throw new Error(`Protocol error ${response.error.code}: ${response.error.message}`);
+        }
+        t.warn(`tool returned error ${response.error.code}: ${String(response.error.message).split('\n')[0]}`);
+        return;
+      }
+
+      const content = (response.result && response.result.content) || response.content;
+      if (!Array.isArray(content)) {
+        throw new Error('Response has no content array');
+      }
+      if (!response.result) {
+        t.warn('tool content is returned at the top level instead of inside "result"');
+      }
+    });
+  }
+
+  return tools;
+}
+
+async function runStdioSuite(harness, reporter, options) {
+  const suite = 'stdio';
+  reporter.onSuite({ title: 'Testing stdio mode...', icon: '📡' });
+
+  const stderr = [];
+  const diagnostics = [];
+  const child = spawnServer('stdio', { env: SIMULATION_ENV, dll: options.dll });
+  child.stderr.on('data', (data) => stderr.push(...data.toString().split('\n').filter(Boolean)));
+
+  const connection = createStdioConnection(child, {
+    timeoutMs: options.timeoutMs,
+    onDiagnostic: (diagnostic) => diagnostics.push(diagnostic)
+  });
+
+  try {
+    await runProtocolTests(suite, connection, harness, { ...options, diagnostics });
+
+    await harness.test(suite, 'stdout carries only JSON-RPC messages', async () => {
+      const pollution = diagnostics.filter((diagnostic) => diagnostic.type === 'non-json-output');
+      if (pollution.length > 0) {
+        throw new Error(`${pollution.length} non JSON-RPC line(s) on stdout, first: ${pollution[0].line}`);
+      }
+    });
+  } finally {
+    connection.close();
+    await stopServer(child);
+    if (harness.results.some((result) => result.suite === suite && result.status === 'fail') && stderr.length > 0) {
+      options.log(`stdio server stderr (last lines):\n${tail(stderr)}\n`);
+    }
+  }
+}
+
+async function runHttpSuite(harness, reporter, options) {
+  const suite = 'http';
+  const port = options.port || await findFreePort();
+  const baseUrl = `http://localhost:${port}`;
+  reporter.onSuite({ title: `Testing HTTP mode (${baseUrl})...`, icon: '🌐' });
+
+  const output = [];
+  const diagnostics = [];
+  const child = spawnServer('http', { dll: options.dll, env: { ...SIMULATION_ENV, TEAMS_SERVER_PORT: String(port), TEAMS_SERVER_HOST: 'localhost' } });
+  child.stdout.on('data', (data) => output.push(...data.toString().split('\n').filter(Boolean)));
+  child.stderr.on('data', (data) => output.push(...data.toString().split('\n').filter(Boolean)));
+
+  try {
+    const ready = await harness.test(suite, 'server becomes healthy', () =>
+      waitForHealth(baseUrl, { timeoutMs: STARTUP_TIMEOUT_MS, isAlive: () => child.exitCode === null }));
+    if (!ready) {
+      return;
+    }
+
+    const connection = createHttpConnection(baseUrl, {
+      timeoutMs: options.timeoutMs,
+      onDiagnostic: (diagnostic) => diagnostics.push(diagnostic)
+    });
+    const tools = await runProtocolTests(suite, connection, harness, { ...options, diagnostics });
+
+    await harness.test(suite, 'GET /mcp/health', async () => {
+      const res = await connection.get('/mcp/health');
+      if (res.status !== 200 || !res.body || res.body.status !== 'healthy') {
+        throw new Error(`Unexpected health response: HTTP ${res.status} ${res.text.slice(0, 200)}`);
+      }
+      if (tools && res.body.toolsCount !== tools.length) {
+        throw new Error(`toolsCount ${res.body.toolsCount} does not match tools/list (${tools.length})`);
+      }
+    });
+
+    await harness.test(suite, 'GET /mcp/info', async () => {
+      const res = await connection.get('/mcp/info');
+      if (res.status !== 200 || !res.body || res.body.name !== 'darbot-teams-mcp') {
+        throw new Error(`Unexpected info response: HTTP ${res.status} ${res.text.slice(0, 200)}`);
+      }
+      if (tools && res.body.totalTools !== tools.length) {
+        throw new Error(`totalTools ${res.body.totalTools} does not match tools/list (${tools.length})`);
+      }
+    });
+  } finally {
+    await stopServer(child);
+    if (harness.results.some((result) => result.suite === suite && result.status === 'fail') && output.length > 0) {
+      options.log(`HTTP server output (last lines):\n${tail(output)}\n`);
+    }
+  }
+}
+
+/**
+ * Runs the conformance suite against the requested transports and returns the results
+ */
+async function runConformance(options = {}) {
+  const settings = {
+    transports: ['stdio', 'http'],
+    minTools: 40,
+    callTools: true,
+    strict: false,
+    build: true,
+    timeoutMs: 30000,
+    log: (message) => process.stderr.write(message),
+    ...options
+  };
+  const reporter = settings.reporter;
+  const harness = createHarness(reporter, settings);
+
+  reporter.start();
+
+  let built = true;
+  if (mockEnabled()) {
+    reporter.onSuite({ title: 'Using the mock server (no build needed)', icon: '🎭' });
+  } else if (settings.build) {
+    reporter.onSuite({ title: 'Building project...', icon: '📦' });
+    const build = await harness.test('build', 'dotnet build (Release cache)', () => ensureBuild());
+    built = build !== undefined;
+    settings.dll = built ? build.dll : undefined;
+  } else {
+    // Without a build step use the cached build when it is current, otherwise fall back to dotnet run
+    const status = cacheStatus();
+    settings.dll = status.fresh ? status.dll : undefined;
+  }
+
+  if (built) {
+    if (settings.transports.includes('stdio')) {
+      await runStdioSuite(harness, reporter, settings);
+    }
+    if (settings.transports.includes('http')) {
+      await runHttpSuite(harness, reporter, settings);
+    }
+  }
+
+  reporter.finish(harness.results);
+  return harness.results;
+}
+
+module.exports = {
+  runConformance
+};
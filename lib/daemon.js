@@ -0,0 +1,298 @@
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { stateDir } = require('./paths');
+const { httpRequest, waitForHealth } = require('./mcp-connection');
+
+const DEFAULT_PORT = 3001;
+const DEFAULT_HOST = 'localhost';
+
+function pidFile() {
+  return path.join(stateDir(), 'http-daemon.json');
+}
+
+function logFile() {
+  return path.join(stateDir(), 'http-daemon.log');
+}
+
+/**
+ * Whether a process with this pid exists (EPERM means it exists but belongs to someone else)
+ */
+function isAlive(pid) {
+  if (!pid) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * What tells a process apart from a later one that reuses its pid: its start time and command line
+ * (from /proc on Linux, ps elsewhere). null when it cannot be read (Windows, or the process is gone).
+ */
+function processIdentity(pid) {
+  try {
+    if (process.platform === 'linux') {
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      // Fields after the parenthesized command name; the start time is field 22 of the whole line
+      const startTime = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+      const command = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').filter(Boolean).join(' ');
+      return `${startTime} ${command}`;
+    }
+    if (process.platform !== 'win32') {
+      return execFileSync('ps', ['-o', 'lstart=', '-o', 'command=', '-p', String(pid)], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+    }
+  } catch {
+    // Gone, or not ours to inspect
+  }
+  return null;
+}
+
+/**
+ * Whether the PID file's process is the launcher that wrote it: true, false (the pid now belongs to
+ * another process), or null when that cannot be told locally (no identity recorded or readable)
+ */
+function verifyDaemon(state) {
+  if (!isAlive(state.pid)) {
+    return false;
+  }
+  const identity = processIdentity(state.pid);
+  if (!state.identity || !identity) {
+    return null;
+  }
+  return identity === state.identity;
+}
+
+/**
+ * Reads the PID file. Returns { ...state, alive, verified } or null when there is none; alive is
+ * false when the pid is gone or belongs to another process (see verifyDaemon).
+ */
+function readDaemon() {
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(pidFile(), 'utf8'));
+  } catch {
+    return null;
+  }
+  const verified = verifyDaemon(state);
+  return { ...state, alive: verified !== false, verified };
+}
+
+/**
+ * For a PID file whose process cannot be identified locally: whether the server at its URL answers
+ * /mcp/health, which only our launcher (or its server) would
+ */
+async function answersHealth(state) {
+  try {
+    const response = await httpRequest(`${state.url || baseUrl(state.host, state.port)}/mcp/health`, { timeoutMs: 5000 });
+    return response.status === 200;
+  } catch {
+    return false;
+  }
+}
+
+function writeDaemon(state) {
+  fs.mkdirSync(stateDir(), { recursive: true });
+  fs.writeFileSync(pidFile(), JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Merges fields into the PID file if it still belongs to this process
+ */
+function updateDaemon(patch) {
+  const state = readDaemon();
+  if (state && state.pid === process.pid) {
+    const { alive, verified, ...rest } = state;
+    writeDaemon({ ...rest, ...patch });
+  }
+}
+
+/**
+ * Removes the PID file, only when it belongs to the given pid (or unconditionally without one)
+ */
+function removeDaemon(pid) {
+  const state = readDaemon();
+  if (state && (pid === undefined || state.pid === pid)) {
+    fs.rmSync(pidFile(), { force: true });
+  }
+}
+
+/**
+ * URL clients use to reach a server bound to host:port (wildcard binds are reached via localhost)
+ */
+function baseUrl(host = DEFAULT_HOST, port = DEFAULT_PORT) {
+  const reachable = ['0.0.0.0', '::', '*', '+'].includes(host) ? 'localhost' : host;
+  return `http://${reachable.includes(':') ? `[${reachable}]` : reachable}:${port}`;
+}
+
+/**
+ * Records the current (foreground) launcher as the HTTP daemon. Fails when another one is running.
+ */
+function registerDaemon({ host, port }) {
+  const existing = readDaemon();
+  if (existing && existing.alive && existing.pid !== process.pid) {
+    throw new Error(`An HTTP server is already running (pid ${existing.pid}, ${baseUrl(existing.host, existing.port)})`);
+  }
+
+  writeDaemon({
+    pid: process.pid,
+    identity: processIdentity(process.pid),
+    host,
+    port,
+    url: baseUrl(host, port),
+    startedAt: new Date().toISOString(),
+    version: require('../package.json').version,
+    logFile: process.env.DARBOT_DAEMON_LOG || null
+  });
+  process.on('exit', () => removeDaemon(process.pid));
+}
+
+/**
+ * Starts the launcher in the background with the given arguments, output appended to the
+ * daemon log, and waits until /mcp/health reports healthy. Resolves with { pid, url, health }.
+ */
+async function startDetached(launcherArgs, { host, port, timeoutMs = 300000 }) {
+  const existing = readDaemon();
+  if (existing && existing.alive) {
+    throw new Error(`An HTTP server is already running (pid ${existing.pid}, ${baseUrl(existing.host, existing.port)})`);
+  }
+
+  fs.mkdirSync(stateDir(), { recursive: true });
+  const out = fs.openSync(logFile(), 'a');
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'darbot-teams-mcp.js'), ...launcherArgs], {
+    detached: true,
+    stdio: ['ignore', out, out],
+    env: { ...process.env, DARBOT_DAEMON_LOG: logFile() }
+  });
+  fs.closeSync(out);
+  child.unref();
+
+  const url = baseUrl(host, port);
+  try {
+    const health = await waitForHealth(url, { timeoutMs, isAlive: () => isAlive(child.pid) });
+    return { pid: child.pid, url, health };
+  } catch (error) {
+    if (isAlive(child.pid)) {
+      process.kill(child.pid, 'SIGTERM');
+    }
+    throw new Error(`${error.message}; see ${logFile()}`);
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitForExit(pid, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (isAlive(pid) && Date.now() < deadline) {
+    await sleep(200);
+  }
+  return !isAlive(pid);
+}
+
+/**
+ * Stops the running daemon: SIGTERM to the launcher (which shuts the server down gracefully),
+ * then SIGKILL to the launcher and the server's process group if it does not exit in time.
+ * Resolves with the stopped state, or null when nothing was running (a PID file whose process is
+ * not the launcher is removed as stale).
+ */
+async function stopDaemon({ timeoutMs = 15000 } = {}) {
+  const state = readDaemon();
+  if (!state) {
+    return null;
+  }
+  // Never signal a process that merely reuses the recorded pid
+  if (!state.alive || (state.verified === null && !await answersHealth(state))) {
+    removeDaemon();
+    return null;
+  }
+
+  process.kill(state.pid, 'SIGTERM');
+  if (!await waitForExit(state.pid, timeoutMs)) {
+    for (const target of [state.serverPid && process.platform !== 'win32' ? -state.serverPid : null, state.pid]) {
+      try {
+        if (target) process.kill(target, 'SIGKILL');
+      } catch {
+        // Already gone
+      }
+    }
+    await waitForExit(state.pid, 2000);
+  }
+  removeDaemon();
+  return state;
+}
+
+/**
+ * Collects the daemon's status: PID file state, uptime and the /mcp/health and /mcp/info payloads
+ */
+async function daemonStatus() {
+  const state = readDaemon();
+  if (!state || !state.alive) {
+    if (state) {
+      removeDaemon();
+    }
+    return { running: false, stale: Boolean(state) };
+  }
+
+  const url = state.url || baseUrl(state.host, state.port);
+  const status = {
+    running: true,
+    pid: state.pid,
+    serverPid: state.serverPid || null,
+    url,
+    version: state.version,
+    startedAt: state.startedAt,
+    uptimeMs: Date.now() - Date.parse(state.startedAt),
+    logFile: state.logFile,
+    healthy: false,
+    health: null,
+    info: null,
+    toolCount: null
+  };
+
+  try {
+    const [health, info] = await Promise.all([
+      httpRequest(`${url}/mcp/health`, { timeoutMs: 5000 }),
+      httpRequest(`${url}/mcp/info`, { timeoutMs: 5000 })
+    ]);
+    status.health = health.body;
+    status.info = info.status === 200 ? info.body : null;
+    status.healthy = health.status === 200 && health.body && health.body.status === 'healthy';
+    status.toolCount = (status.info && status.info.totalTools) || (status.health && status.health.toolsCount) || null;
+  } catch (error) {
+    status.error = error.message;
+  }
+
+  return status;
+}
+
+/**
+ * Formats a duration as "2d 3h 4m 5s", dropping leading zero units
+ */
+function formatUptime(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const parts = [[Math.floor(seconds / 86400), 'd'], [Math.floor(seconds / 3600) % 24, 'h'], [Math.floor(seconds / 60) % 60, 'm'], [seconds % 60, 's']];
+  const first = parts.findIndex(([value]) => value > 0);
+  return parts.slice(first === -1 ? 3 : first).map(([value, unit]) => `${value}${unit}`).join(' ');
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  pidFile,
+  logFile,
+  isAlive,
+  processIdentity,
+  readDaemon,
+  updateDaemon,
+  removeDaemon,
+  baseUrl,
+  registerDaemon,
+  startDetached,
+  stopDaemon,
+  daemonStatus,
+  formatUptime
+};
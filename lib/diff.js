@@ -0,0 +1,114 @@
+/**
+ * Minimal line-based unified diff, used to preview configuration edits (--dry-run)
+ */
+
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Computes an edit script (equal/delete/insert operations) from the longest common subsequence
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+    } else {
+      ops.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+  while (i < rows) {
+    ops.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+  }
+  while (j < cols) {
+    ops.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+  }
+  return ops;
+}
+
+/**
+ * Groups changed operations into hunks with surrounding context
+ */
+function buildHunks(ops) {
+  const hunks = [];
+  let current = null;
+
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(ops.length, index + CONTEXT_LINES + 1);
+    if (current && start <= current.end) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  return hunks.map(({ start, end }) => {
+    const slice = ops.slice(start, end);
+    const oldCount = slice.filter((op) => op.type !== '+').length;
+    const newCount = slice.filter((op) => op.type !== '-').length;
+    return {
+      oldStart: oldCount === 0 ? slice[0].oldIndex : slice[0].oldIndex + 1,
+      oldCount,
+      newStart: newCount === 0 ? slice[0].newIndex : slice[0].newIndex + 1,
+      newCount,
+      lines: slice.map((op) => op.type + op.line)
+    };
+  });
+}
+
+/**
+ * Returns a unified diff between two texts, or an empty string when they are identical
+ */
+function unifiedDiff(oldText, newText, oldLabel = 'a', newLabel = 'b') {
+  if (oldText === newText) {
+    return '';
+  }
+
+  const hunks = buildHunks(diffLines(splitLines(oldText), splitLines(newText)));
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    output.push(`@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@`);
+    output.push(...hunk.lines);
+  }
+  return output.join('\n') + '\n';
+}
+
+module.exports = {
+  unifiedDiff
+};
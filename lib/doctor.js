@@ -0,0 +1,310 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { packageRoot, serverProject } = require('./server');
+const { ensureBuild, buildPending } = require('./build-cache');
+const { SERVER_NAME, getClient, serversKey } = require('./mcp-clients');
+const { readConfigFile } = require('./config-file');
+const { parseDotenv } = require('./settings');
+
+const MIN_DOTNET_MAJOR = 8;
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const BOOLEAN_VARIABLES = [
+  'TEAMS_SIMULATION_MODE',
+  'TEAMS_REQUIRE_AUTHENTICATION',
+  'TEAMS_LOG_TO_FILE',
+  'TEAMS_ENABLE_REQUEST_LOGGING'
+];
+const LOG_LEVELS = ['Trace', 'Verbose', 'Debug', 'Information', 'Warning', 'Error', 'Critical', 'Fatal', 'None'];
+
+// Every TEAMS_* variable the server reads (see TeamsConfiguration.FromEnvironment)
+const KNOWN_VARIABLES = new Set([
+  'TEAMS_TENANT_ID',
+  'TEAMS_CLIENT_ID',
+  'TEAMS_REDIRECT_URI',
+  'TEAMS_CURRENT_TEAM_ID',
+  'TEAMS_CURRENT_CHANNEL_ID',
+  'TEAMS_SERVER_PORT',
+  'TEAMS_SERVER_HOST',
+  'TEAMS_LOG_LEVEL',
+  ...BOOLEAN_VARIABLES
+]);
+
+const pass = (detail) => ({ status: 'pass', detail });
+const warn = (detail, fix) => ({ status: 'warn', detail, fix });
+const fail = (detail, fix) => ({ status: 'fail', detail, fix });
+
+function runCapture(command, args) {
+  return new Promise((resolve) => {
+    let stdout = '';
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.on('error', (error) => resolve({ code: -1, stdout, error }));
+    child.on('close', (code) => resolve({ code, stdout }));
+  });
+}
+
+async function checkDotnetSdk() {
+  const result = await runCapture('dotnet', ['--list-sdks']);
+  if (result.error) {
+    return fail('dotnet is not on PATH', 'Install the .NET 8.0+ SDK from https://dotnet.microsoft.com/download and open a new terminal');
+  }
+
+  const versions = result.stdout.split('\n')
+    .map((line) => line.trim().split(' ')[0])
+    .filter((version) => /^\d+\.\d+/.test(version));
+  const supported = versions.filter((version) => Number(version.split('.')[0]) >= MIN_DOTNET_MAJOR);
+
+  if (supported.length === 0) {
+    return fail(
+      versions.length > 0 ? `Found SDK ${versions.join(', ')}, need ${MIN_DOTNET_MAJOR}.0 or newer` : 'No .NET SDK installed (runtime only?)',
+      `Install the .NET ${MIN_DOTNET_MAJOR}.0+ SDK from https://dotnet.microsoft.com/download`
+    );
+  }
+  return pass(`SDK ${supported[supported.length - 1]}`);
+}
+
+async function checkServerProject(options) {
+  const projectFile = path.join(serverProject, 'DarbotTeamsMcp.Server.csproj');
+  if (!fs.existsSync(projectFile)) {
+    return fail(`Missing ${projectFile}`, 'Reinstall the package: npm uninstall -g darbot-teams-mcp && npm install -g darbot-teams-mcp');
+  }
+  if (options.skipBuild) {
+    const pending = buildPending();
+    return pass(`${path.relative(packageRoot, projectFile)} exists (build skipped${pending ? `; not built yet: ${pending.reason}` : ''})`);
+  }
+
+  try {
+    const build = await ensureBuild();
+    return pass(`${path.relative(packageRoot, projectFile)} builds (${build.built ? 'built into' : 'cached in'} ${build.dir})`);
+  } catch (error) {
+    const firstError = (error.output || []).find((line) => /error/i.test(line));
+    return fail(
+      firstError ? firstError.trim() : error.message.split('\n')[0],
+      `Run "dotnet build ${path.relative(process.cwd(), serverProject) || '.'}" to see the full output; check your NuGet feed access if restore fails`
+    );
+  }
+}
+
+function checkEnvironment() {
+  const env = process.env;
+  const problems = [];
+  const warnings = [];
+
+  for (const name of ['TEAMS_TENANT_ID', 'TEAMS_CLIENT_ID']) {
+    const value = env[name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    if (name === 'TEAMS_TENANT_ID' && ['common', 'organizations'].includes(value.toLowerCase())) {
+      warnings.push(`${name}="${value}" is multi-tenant; set your tenant GUID for production use`);
+    } else if (!GUID_PATTERN.test(value)) {
+      problems.push(`${name}="${value}" is not a GUID`);
+    }
+  }
+
+  if (!env.TEAMS_TENANT_ID) {
+    warnings.push('TEAMS_TENANT_ID is not set (the server will report TENANT_ID_REQUIRED)');
+  }
+
+  for (const name of BOOLEAN_VARIABLES) {
+    if (env[name] !== undefined && !/^(true|false)$/i.test(env[name].trim())) {
+      problems.push(`${name}="${env[name]}" must be true or false`);
+    }
+  }
+
+  if (env.TEAMS_SERVER_PORT !== undefined) {
+    const port = Number(env.TEAMS_SERVER_PORT);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      problems.push(`TEAMS_SERVER_PORT="${env.TEAMS_SERVER_PORT}" must be an integer between 1 and 65535`);
+    }
+  }
+
+  if (env.TEAMS_LOG_LEVEL !== undefined && !LOG_LEVELS.some((level) => level.toLowerCase() === env.TEAMS_LOG_LEVEL.toLowerCase())) {
+    problems.push(`TEAMS_LOG_LEVEL="${env.TEAMS_LOG_LEVEL}" is not one of ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const unknown = Object.keys(env).filter((name) => name.startsWith('TEAMS_') && !KNOWN_VARIABLES.has(name));
+  if (unknown.length > 0) {
+    warnings.push(`Unknown variable(s) ignored by the server: ${unknown.join(', ')}`);
+  }
+
+  if (problems.length > 0) {
+    return fail(problems.join('; '), 'Fix the values in your shell profile or the "env" block of your MCP client configuration');
+  }
+  if (warnings.length > 0) {
+    return warn(warnings.join('; '), 'Run "npx darbot-teams-mcp --vscode-setup" after "az login" to detect your tenant (or pass --tenant <id>), or set TEAMS_TENANT_ID');
+  }
+  return pass('TEAMS_* variables are well-formed');
+}
+
+function checkPort() {
+  const port = Number(process.env.TEAMS_SERVER_PORT) || 3001;
+  const host = process.env.TEAMS_SERVER_HOST || 'localhost';
+
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', (error) => {
+      if (error.code === 'EADDRINUSE') {
+        resolve(warn(
+          `Port ${port} on ${host} is already in use (HTTP mode will fail; stdio mode is unaffected)`,
+          `Stop the process using port ${port} or set TEAMS_SERVER_PORT to a free port`
+        ));
+      } else {
+        resolve(warn(`Could not probe port ${port}: ${error.message}`, 'Check TEAMS_SERVER_HOST resolves to a local interface'));
+      }
+    });
+    server.listen(port, host, () => {
+      server.close(() => resolve(pass(`Port ${port} on ${host} is free`)));
+    });
+  });
+}
+
+function checkLogsDirectory() {
+  const logsDir = path.join(packageRoot, 'logs');
+  const probe = path.join(logsDir, `.doctor-${process.pid}.tmp`);
+
+  try {
+    fs.mkdirSync(logsDir, { recursive: true });
+    fs.writeFileSync(probe, 'ok');
+    fs.rmSync(probe, { force: true });
+    return pass(`${logsDir} is writable`);
+  } catch (error) {
+    return fail(
+      `${logsDir} is not writable (${error.code || error.message})`,
+      process.platform === 'win32'
+        ? `Grant your user write access to ${logsDir}`
+        : `Run: sudo chown -R "$(whoami)" "${logsDir}" (or set TEAMS_LOG_TO_FILE=false)`
+    );
+  }
+}
+
+function checkVSCodeEntry() {
+  // Required lazily: the setup script is also a CLI entry point
+  const { createMCPServerConfig, findVSCodeSettingsPath } = require('../scripts/vscode-setup');
+  const client = getClient('vscode');
+  const setupFix = 'Run: npx darbot-teams-mcp --vscode-setup';
+
+  let configPath;
+  let config;
+  try {
+    configPath = client.configPath();
+    config = readConfigFile(configPath);
+  } catch (error) {
+    return fail(error.message, `Fix the syntax error in ${configPath || 'mcp.json'}, then run: npx darbot-teams-mcp --vscode-setup`);
+  }
+
+  const entry = (config.data[serversKey(client)] || {})[SERVER_NAME];
+  if (!entry) {
+    let legacy = false;
+    try {
+      const settings = readConfigFile(findVSCodeSettingsPath()).data;
+      legacy = Boolean(settings["mcp.servers"] && settings["mcp.servers"][SERVER_NAME]);
+    } catch {
+      // Unreadable settings.json is reported by VS Code itself
+    }
+    return warn(
+      legacy ? `Only a legacy "mcp.servers" entry exists in ${findVSCodeSettingsPath()}` : `No "${SERVER_NAME}" server in ${configPath}`,
+      setupFix
+    );
+  }
+
+  const expected = createMCPServerConfig(packageRoot, null);
+  const differences = [];
+  if (entry.command !== expected.command) {
+    differences.push(`command is "${entry.command}" (expected "${expected.command}")`);
+  }
+  // Launcher options after the expected arguments (--policy, --read-only) are the user's choice
+  if (!Array.isArray(entry.args) || JSON.stringify(entry.args.slice(0, expected.args.length)) !== JSON.stringify(expected.args)) {
+    differences.push(`args are ${JSON.stringify(entry.args)} (expected ${JSON.stringify(expected.args)})`);
+  }
+  // Entries written by setup keep their settings in an envFile; inline env wins, as in VS Code
+  let env = entry.env || {};
+  if (entry.envFile) {
+    const envFile = String(entry.envFile).replace(/^\$\{userHome\}/, os.homedir());
+    if (!fs.existsSync(envFile)) {
+      differences.push(`envFile ${envFile} does not exist`);
+    } else {
+      env = { ...parseDotenv(fs.readFileSync(envFile, 'utf8')), ...env };
+    }
+  }
+  const missingEnv = Object.keys(expected.env).filter((name) => !env[name]);
+  if (missingEnv.length > 0) {
+    differences.push(`env is missing ${missingEnv.join(', ')}`);
+  }
+  if (env.TEAMS_TENANT_ID === '${TEAMS_TENANT_ID}') {
+    differences.push('TEAMS_TENANT_ID is still the ${TEAMS_TENANT_ID} placeholder');
+  }
+
+  if (differences.length > 0) {
+    return warn(`${configPath}: ${differences.join('; ')}`, `${setupFix} (preview first with --dry-run)`);
+  }
+  return pass(`"${SERVER_NAME}" entry in ${configPath} matches`);
+}
+
+// Checks run in order; ids are stable for --json consumers
+const CHECKS = [
+  { id: 'dotnet-sdk', title: '.NET SDK 8.0+', run: checkDotnetSdk },
+  { id: 'server-project', title: 'Server project builds', run: checkServerProject },
+  { id: 'environment', title: 'TEAMS_* environment', run: checkEnvironment },
+  { id: 'port', title: 'HTTP port available', run: checkPort },
+  { id: 'logs', title: 'logs/ directory writable', run: checkLogsDirectory },
+  { id: 'vscode', title: 'VS Code MCP entry', run: checkVSCodeEntry }
+];
+
+/**
+ * Runs every diagnostic check and returns { ok, summary, checks }
+ */
+async function runChecks(options = {}) {
+  const checks = [];
+
+  for (const check of CHECKS) {
+    if (check.id === 'server-project' && checks[0] && checks[0].status === 'fail') {
+      checks.push({ id: check.id, title: check.title, ...warn('Skipped because the .NET SDK check failed', 'Fix the .NET SDK first') });
+      continue;
+    }
+
+    let result;
+    try {
+      result = await check.run(options);
+    } catch (error) {
+      result = fail(`Check crashed: ${error.message}`, 'Report this at https://github.com/darbotlabs/darbot-teams-mcp/issues');
+    }
+    checks.push({ id: check.id, title: check.title, ...result });
+  }
+
+  const count = (status) => checks.filter((check) => check.status === status).length;
+  return {
+    ok: count('fail') === 0,
+    summary: { pass: count('pass'), warn: count('warn'), fail: count('fail') },
+    checks
+  };
+}
+
+/**
+ * Prints the human-readable report
+ */
+function printReport(report, write = (text) => process.stdout.write(text)) {
+  const icons = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+
+  write('\n🩺 Darbot Teams MCP Doctor\n═══════════════════════════════\n\n');
+  for (const check of report.checks) {
+    write(`${icons[check.status]} ${check.status.toUpperCase().padEnd(4)} ${check.title}\n`);
+    write(`      ${check.detail}\n`);
+    if (check.fix) {
+      write(`      → Fix: ${check.fix}\n`);
+    }
+  }
+  write(`\n📋 ${report.summary.pass} passed, ${report.summary.warn} warnings, ${report.summary.fail} failed\n`);
+  write(report.ok ? '🎉 Ready to run: npx darbot-teams-mcp --stdio\n' : '🔧 Fix the failures above, then run --doctor again\n');
+}
+
+module.exports = {
+  CHECKS,
+  runChecks,
+  printReport
+};
@@ -0,0 +1,593 @@
+const crypto = require('crypto');
+const os = require('os');
+const { parseMessage, messageKind, initializeParams, normalizeResponse, PROTOCOL_VERSION } = require('./mcp-connection');
+
+// Protocol revisions the gateway speaks to clients, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', PROTOCOL_VERSION];
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+// Events kept per session for Last-Event-ID replay
+const MAX_EVENTS = 1000;
+const KEEPALIVE_MS = 15000;
+const STANDALONE_STREAM = 'get';
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::', '*', '+'];
+
+// "localhost", "::1" from a URL or Host header value; null when it does not parse
+function hostnameOf(value) {
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fills in the InitializeResult fields the .NET server leaves out (protocolVersion, serverInfo)
+ */
+function normalizeInitializeResult(result, requestedVersion) {
+  const { name, version, description, author, capabilities, serverInfo, protocolVersion, ...rest } = result || {};
+  return {
+    ...rest,
+    protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion) ? requestedVersion : SUPPORTED_PROTOCOL_VERSIONS[0],
+    capabilities: capabilities || { tools: {} },
+    serverInfo: serverInfo || { name: name || 'darbot-teams-mcp', version: version || require('../package.json').version },
+    ...(description ? { instructions: description } : {})
+  };
+}
+
+const jsonRpcError = (id, code, message) => ({ jsonrpc: '2.0', id, error: { code, message } });
+
+function sendJson(res, status, body, headers = {}) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, { 'content-type': 'application/json', 'content-length': Buffer.byteLength(text), ...headers });
+  res.end(text);
+}
+
+function accepts(req, type) {
+  return (req.headers.accept || '').split(',').some((part) => {
+    const value = part.split(';')[0].trim();
+    return value === type || value === '*/*' || value === `${type.split('/')[0]}/*`;
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Exposes a stdio MCP server over the Streamable HTTP transport. All sessions share one server
+ * process: request ids are rewritten per request by the stdio connection and mapped back here.
+ *
+ * - POST /mcp: JSON-RPC messages; requests are answered on an SSE stream (or as JSON with
+ *   jsonResponse, or when the client does not accept text/event-stream)
+ * - GET /mcp: standalone SSE stream for server-to-client notifications; Last-Event-ID resumes
+ *   any stream of the session
+ * - DELETE /mcp: ends the session
+ * - GET /mcp/health, /mcp/info: unauthenticated status for tooling
+ *
+ * Options: host (the bound host, for the Host header check), token (bearer token), jsonResponse,
+ * sessionTtlMs, connectTimeoutMs (how long a request waits for the server to (re)start before a
+ * 503), allowedOrigins, audit (see audit.js), policy (see policy.js), log.
+ */
+function createGateway(options = {}) {
+  const log = options.log || ((line) => process.stderr.write(line + '\n'));
+  const sessionTtlMs = options.sessionTtlMs || 60 * 60 * 1000;
+  const connectTimeoutMs = options.connectTimeoutMs || 30000;
+  const sessions = new Map();
+  // Clients pick their own progress tokens, so two sessions may use the same one: each request's
+  // token is replaced upstream by a gateway-unique one. upstream token -> { session, streamId, token }
+  const progressRoutes = new Map();
+  let progressSeq = 0;
+  let connection = null;
+  let toolsCount = null;
+  let waiters = [];
+
+  const whenConnected = () => {
+    if (connection) return Promise.resolve(connection);
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          waiters = waiters.filter((other) => other !== waiter);
+          reject(new Error(`Server not available: not ready after ${connectTimeoutMs / 1000}s`));
+        }, connectTimeoutMs)
+      };
+      waiters.push(waiter);
+    });
+  };
+
+  // Settles every request waiting for the server: with the server, or with the error that stopped it
+  const settleWaiters = (server, error) => {
+    const pending = waiters;
+    waiters = [];
+    pending.forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      if (server) {
+        waiter.resolve(server);
+      } else {
+        waiter.reject(new Error(`Server not available: ${error.message}`));
+      }
+    });
+  };
+
+  // Sessions and SSE streams
+
+  const createSession = () => {
+    const session = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      lastSeen: Date.now(),
+      protocolVersion: null,
+      clientInfo: null,
+      seq: 0,
+      events: [],
+      streams: new Map()
+    };
+    sessions.set(session.id, session);
+    return session;
+  };
+
+  const closeStream = (session, streamId) => {
+    const stream = session.streams.get(streamId);
+    if (stream) {
+      stream.done = true;
+      if (stream.res) {
+        clearInterval(stream.keepalive);
+        stream.res.end();
+        stream.res = null;
+      }
+    }
+  };
+
+  const endSession = (session) => {
+    for (const streamId of session.streams.keys()) {
+      closeStream(session, streamId);
+    }
+    for (const [token, route] of progressRoutes) {
+      if (route.session === session) progressRoutes.delete(token);
+    }
+    sessions.delete(session.id);
+  };
+
+  const attachStream = (session, streamId, res) => {
+    let stream = session.streams.get(streamId);
+    if (!stream) {
+      stream = { res: null, done: false, keepalive: null };
+      session.streams.set(streamId, stream);
+    } else if (stream.res) {
+      // A reconnect replaces the previous listener
+      clearInterval(stream.keepalive);
+      stream.res.end();
+    }
+
+    stream.res = res;
+    stream.keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    stream.keepalive.unref();
+    res.on('close', () => {
+      if (stream.res === res) {
+        clearInterval(stream.keepalive);
+        stream.res = null;
+      }
+    });
+    return stream;
+  };
+
+  const writeEvent = (res, event) => {
+    res.write(`id: ${event.id}\nevent: message\ndata: ${JSON.stringify(event.message)}\n\n`);
+  };
+
+  /**
+   * Sends a message on a session stream. Every event is stored so a client that lost the
+   * connection can resume with Last-Event-ID.
+   */
+  const sendEvent = (session, streamId, message) => {
+    const event = { id: `${streamId}_${++session.seq}`, streamId, seq: session.seq, message };
+    session.events.push(event);
+    if (session.events.length > MAX_EVENTS) {
+      session.events.shift();
+    }
+    const stream = session.streams.get(streamId);
+    if (stream && stream.res) {
+      writeEvent(stream.res, event);
+    }
+  };
+
+  // Server -> client traffic that is not a response
+
+  const onServerMessage = (message, server) => {
+    if (messageKind(message) === 'request') {
+      // Server-initiated requests cannot be attributed to one session of a shared server
+      server.sendRaw(JSON.stringify(jsonRpcError(message.id, -32601, 'Server-to-client requests are not supported by the gateway')));
+      return;
+    }
+
+    const token = message.params && message.params.progressToken;
+    if (token !== undefined) {
+      const route = progressRoutes.get(token);
+      if (route && sessions.has(route.session.id)) {
+        sendEvent(route.session, route.streamId, { ...message, params: { ...message.params, progressToken: route.token } });
+      } else {
+        log(`⚠️  Dropped ${message.method} for unknown progress token ${JSON.stringify(token)}`);
+      }
+      return;
+    }
+    for (const session of sessions.values()) {
+      sendEvent(session, STANDALONE_STREAM, message);
+    }
+  };
+
+  /**
+   * The request's params with its progress token swapped for a gateway-unique one routed to
+   * streamId, and a release() for when the request is answered
+   */
+  const routeProgress = (session, streamId, params) => {
+    const token = params && params._meta && params._meta.progressToken;
+    if (token === undefined) {
+      return { params, release: () => {} };
+    }
+    const upstream = `darbot-gateway-progress-${++progressSeq}`;
+    progressRoutes.set(upstream, { session, streamId, token });
+    return {
+      params: { ...params, _meta: { ...params._meta, progressToken: upstream } },
+      release: () => progressRoutes.delete(upstream)
+    };
+  };
+
+  // Forwards one client request to the server and returns the client-facing response. Progress
+  // notifications go to streamId (the request's SSE stream), or to the session's GET stream.
+  const forwardRequest = async (session, request, streamId = STANDALONE_STREAM) => {
+    let server;
+    try {
+      server = await whenConnected();
+    } catch (error) {
+      return jsonRpcError(request.id, -32000, error.message);
+    }
+    const params = request.params || {};
+    const call = request.method === 'tools/call' && options.audit
+      ? options.audit.begin({ name: params.name, arguments: params.arguments, client: session.clientInfo, transport: 'gateway', session: session.id })
+      : null;
+    const refusal = options.policy ? options.policy.screen(request) : null;
+    if (refusal) {
+      if (call) options.audit.end(call, refusal);
+      return refusal;
+    }
+    const progress = routeProgress(session, streamId, request.params);
+    let response;
+    try {
+      response = await server.request(request.method, progress.params);
+    } catch (error) {
+      if (call) options.audit.end(call, null);
+      return jsonRpcError(request.id, -32603, error.message);
+    } finally {
+      progress.release();
+    }
+
+    const { requestId, ...raw } = response;
+    const { message } = normalizeResponse(raw);
+    const result = { jsonrpc: '2.0', id: request.id };
+    if (message.error) {
+      result.error = message.error;
+    } else if (request.method === 'initialize') {
+      result.result = normalizeInitializeResult(message.result, request.params && request.params.protocolVersion);
+      session.protocolVersion = result.result.protocolVersion;
+    } else {
+      result.result = message.result;
+    }
+    if (call) options.audit.end(call, result);
+    return options.policy ? options.policy.filterResponse(request.method, result) : result;
+  };
+
+  // HTTP handlers
+
+  const checkAuth = (req, res) => {
+    if (!options.token) {
+      return true;
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const given = Buffer.from(match ? match[1].trim() : '');
+    const expected = Buffer.from(options.token);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+      return true;
+    }
+    sendJson(res, 401, jsonRpcError(null, -32001, 'Unauthorized: a valid bearer token is required'), { 'www-authenticate': 'Bearer' });
+    return false;
+  };
+
+  // Names the Host header may carry: loopback, the bound host (on a wildcard bind, this machine's
+  // name and addresses) and the hosts of allowedOrigins. A DNS-rebinding page reaches us under its
+  // own domain name, so its requests fail here whatever Origin they send.
+  const allowedHosts = new Set([...LOOPBACK_HOSTS, ...(options.allowedOrigins || []).map(hostnameOf).filter(Boolean)]);
+  if (options.host && !WILDCARD_HOSTS.includes(options.host)) {
+    allowedHosts.add(hostnameOf(options.host));
+  } else if (options.host) {
+    allowedHosts.add(os.hostname().toLowerCase());
+    Object.values(os.networkInterfaces()).flat().forEach((item) => allowedHosts.add(item.address.toLowerCase()));
+  }
+
+  const checkHost = (req, res) => {
+    const hostname = hostnameOf(req.headers.host || '');
+    if (hostname && allowedHosts.has(hostname)) {
+      return true;
+    }
+    sendJson(res, 403, jsonRpcError(null, -32002, `Forbidden host: ${req.headers.host || '(none)'}`));
+    return false;
+  };
+
+  // Browsers send Origin; reject cross-site pages unless explicitly allowed
+  const checkOrigin = (req, res) => {
+    const origin = req.headers.origin;
+    if (!origin) {
+      return true;
+    }
+    const allowed = (options.allowedOrigins || []).includes(origin) || LOOPBACK_HOSTS.includes(hostnameOf(origin));
+    if (!allowed) {
+      sendJson(res, 403, jsonRpcError(null, -32002, `Forbidden origin: ${origin}`));
+    }
+    return allowed;
+  };
+
+  const sessionFor = (req, res) => {
+    const id = req.headers['mcp-session-id'];
+    if (!id) {
+      sendJson(res, 400, jsonRpcError(null, -32000, 'Bad Request: Mcp-Session-Id header is required'));
+      return null;
+    }
+    const session = sessions.get(id);
+    if (!session) {
+      sendJson(res, 404, jsonRpcError(null, -32001, 'Session not found'));
+      return null;
+    }
+    const version = req.headers['mcp-protocol-version'];
+    if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+      sendJson(res, 400, jsonRpcError(null, -32000, `Bad Request: unsupported MCP-Protocol-Version ${version}`));
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  };
+
+  const handlePost = async (req, res) => {
+    if (!accepts(req, 'application/json') && !accepts(req, 'text/event-stream')) {
+      sendJson(res, 406, jsonRpcError(null, -32000, 'Not Acceptable: client must accept application/json or text/event-stream'));
+      return;
+    }
+
+    let message;
+    try {
+      message = parseMessage(await readBody(req));
+    } catch (error) {
+      sendJson(res, error.status || 400, jsonRpcError(null, -32700, error.message));
+      return;
+    }
+    if (!message) {
+      sendJson(res, 400, jsonRpcError(null, -32700, 'Parse error: expected a JSON-RPC 2.0 message or batch'));
+      return;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const initialize = messages.find((item) => item.method === 'initialize' && 'id' in item);
+    let session;
+    if (initialize) {
+      if (messages.length > 1) {
+        sendJson(res, 400, jsonRpcError(null, -32600, 'Invalid Request: initialize must not be batched'));
+        return;
+      }
+      session = createSession();
+      session.clientInfo = initialize.params && initialize.params.clientInfo;
+      log(`🔗 Session ${session.id} opened by ${session.clientInfo ? `${session.clientInfo.name} ${session.clientInfo.version || ''}`.trim() : 'unknown client'}`);
+    } else {
+      session = sessionFor(req, res);
+      if (!session) return;
+    }
+
+    const requests = messages.filter((item) => messageKind(item) === 'request');
+    let server;
+    try {
+      server = await whenConnected();
+    } catch (error) {
+      if (initialize) endSession(session);
+      sendJson(res, 503, jsonRpcError(initialize ? initialize.id : null, -32000, error.message), { 'retry-after': '5' });
+      return;
+    }
+    for (const item of messages) {
+      if (messageKind(item) === 'notification') {
+        server.notify(item.method, item.params);
+      }
+    }
+    if (requests.length === 0) {
+      res.writeHead(202, { 'mcp-session-id': session.id });
+      res.end();
+      return;
+    }
+
+    const headers = { 'mcp-session-id': session.id };
+    const useSse = accepts(req, 'text/event-stream') && !(options.jsonResponse && accepts(req, 'application/json'));
+    if (!useSse) {
+      const responses = await Promise.all(requests.map((request) => forwardRequest(session, request)));
+      sendJson(res, 200, Array.isArray(message) ? responses : responses[0], headers);
+      return;
+    }
+
+    const streamId = crypto.randomBytes(6).toString('hex');
+    res.writeHead(200, { ...headers, 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+    attachStream(session, streamId, res);
+
+    await Promise.all(requests.map(async (request) => {
+      sendEvent(session, streamId, await forwardRequest(session, request, streamId));
+    }));
+    closeStream(session, streamId);
+  };
+
+  const handleGet = (req, res) => {
+    if (!accepts(req, 'text/event-stream')) {
+      sendJson(res, 406, jsonRpcError(null, -32000, 'Not Acceptable: client must accept text/event-stream'));
+      return;
+    }
+    const session = sessionFor(req, res);
+    if (!session) return;
+
+    res.writeHead(200, { 'mcp-session-id': session.id, 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+
+    // Resume: replay what the client missed on the stream the event id belongs to
+    const lastEventId = req.headers['last-event-id'];
+    let streamId = STANDALONE_STREAM;
+    if (lastEventId) {
+      const separator = lastEventId.lastIndexOf('_');
+      const lastSeq = Number(lastEventId.slice(separator + 1));
+      streamId = lastEventId.slice(0, separator);
+      for (const event of session.events) {
+        if (event.streamId === streamId && event.seq > lastSeq) {
+          writeEvent(res, event);
+        }
+      }
+      const stream = session.streams.get(streamId);
+      if (stream && stream.done) {
+        res.end();
+        return;
+      }
+    }
+
+    attachStream(session, streamId, res);
+    res.write(': connected\n\n');
+  };
+
+  const handleDelete = (req, res) => {
+    const session = sessionFor(req, res);
+    if (!session) return;
+    endSession(session);
+    log(`🔌 Session ${session.id} closed by the client`);
+    res.writeHead(200);
+    res.end();
+  };
+
+  const handleStatus = (pathname, res) => {
+    const ready = connection !== null;
+    if (pathname === '/mcp/info') {
+      sendJson(res, 200, {
+        name: 'darbot-teams-mcp',
+        transport: 'streamable-http',
+        protocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+        totalTools: toolsCount,
+        sessions: sessions.size,
+        authentication: options.token ? 'bearer' : 'none'
+      });
+      return;
+    }
+    sendJson(res, ready ? 200 : 503, { status: ready ? 'healthy' : 'starting', toolsCount, sessions: sessions.size, server: 'darbot-teams-mcp gateway' });
+  };
+
+  // Idle sessions expire so abandoned clients do not accumulate
+  const sweeper = setInterval(() => {
+    for (const session of sessions.values()) {
+      if (Date.now() - session.lastSeen > sessionTtlMs && ![...session.streams.values()].some((stream) => stream.res)) {
+        endSession(session);
+        log(`⌛ Session ${session.id} expired`);
+      }
+    }
+  }, 60000);
+  sweeper.unref();
+
+  return {
+    /**
+     * Node http request handler
+     */
+    async handle(req, res) {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      try {
+        if (req.method === 'GET' && ['/mcp/health', '/mcp/info', '/health'].includes(pathname)) {
+          handleStatus(pathname, res);
+          return;
+        }
+        if (pathname !== '/mcp') {
+          sendJson(res, 404, { error: `Not found: ${pathname}` });
+          return;
+        }
+        if (!checkHost(req, res) || !checkOrigin(req, res) || !checkAuth(req, res)) {
+          return;
+        }
+
+        switch (req.method) {
+          case 'POST':
+            await handlePost(req, res);
+            break;
+          case 'GET':
+            handleGet(req, res);
+            break;
+          case 'DELETE':
+            handleDelete(req, res);
+            break;
+          default:
+            res.writeHead(405, { allow: 'GET, POST, DELETE' });
+            res.end();
+        }
+      } catch (error) {
+        log(`❌ ${req.method} ${pathname} failed: ${error.message}`);
+        if (!res.headersSent) {
+          sendJson(res, 500, jsonRpcError(null, -32603, error.message));
+        } else {
+          res.end();
+        }
+      }
+    },
+
+    /**
+     * Connects a (re)started stdio server: performs the gateway's own handshake and counts the tools
+     */
+    async attach(server) {
+      await server.request('initialize', initializeParams('darbot-teams-mcp-gateway'));
+      server.notify('notifications/initialized');
+      const list = await server.request('tools/list', {});
+      toolsCount = list.result && Array.isArray(list.result.tools) ? list.result.tools.length : null;
+
+      connection = server;
+      settleWaiters(server);
+      return { toolsCount };
+    },
+
+    /**
+     * Disconnects the server while it restarts; with an error the server is not coming back (or
+     * failed its handshake) and waiting requests get it now instead of at connectTimeoutMs
+     */
+    detach(error) {
+      connection = null;
+      if (error) settleWaiters(null, error);
+    },
+
+    onServerMessage,
+
+    close() {
+      clearInterval(sweeper);
+      settleWaiters(null, new Error('the gateway is shutting down'));
+      for (const session of [...sessions.values()]) {
+        endSession(session);
+      }
+    },
+
+    get sessionCount() {
+      return sessions.size;
+    }
+  };
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  normalizeInitializeResult,
+  createGateway
+};
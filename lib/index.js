@@ -0,0 +1,218 @@
+const path = require('path');
+const { createClient: createMcpClient } = require('./client');
+const { serverEnv, mockEnabled } = require('./server');
+const { resolveSettings } = require('./settings');
+const { createSupervisor } = require('./supervisor');
+const { ensureBuild } = require('./build-cache');
+const { createLineReader, waitForHealth, findFreePort } = require('./mcp-connection');
+const { DEFAULT_HOST, DEFAULT_PORT, baseUrl } = require('./daemon');
+const { readPolicy } = require('./policy');
+
+// Programmatic API: require('darbot-teams-mcp'). Nothing here writes to the console or exits the
+// process; progress goes to options.log and failures are thrown or rejected.
+
+const MODES = ['http', 'stdio'];
+
+/**
+ * Server environment from the same layers as the CLI (options.profile, options.config, the project
+ * .darbot-teams.json, .env, the process environment, the current profile), with options.mock,
+ * options.seed, options.fixtures and then options.env on top
+ */
+function launchEnv(options) {
+  const { env } = resolveSettings({ profile: options.profile, configFile: options.config, cwd: options.cwd });
+  const mock = {};
+  if (options.mock) mock.DARBOT_MOCK = 'true';
+  if (options.seed !== undefined) mock.DARBOT_MOCK_SEED = String(options.seed);
+  // The server runs in the package directory
+  if (options.fixtures) mock.DARBOT_MOCK_FIXTURES = path.resolve(options.cwd || process.cwd(), options.fixtures);
+  return { ...env, ...mock, ...options.env };
+}
+
+/**
+ * Starts the Teams MCP server (the cached .NET build, or the mock server with options.mock) and
+ * returns a handle at once:
+ * - ready resolves with { url, health } once /mcp/health reports healthy (http), or with
+ *   { child } once the process is running (stdio: talk JSON-RPC over child.stdin/child.stdout)
+ * - stop() stops the server (force-killing it after 5s) and resolves with its exit code
+ * - exited resolves with the exit code however the server ends
+ *
+ * Options: mode ("http" or "stdio", default http), host, port (0 picks a free one), env, profile,
+ * config, mock, seed, fixtures, restart (restart after crashes; default true for http),
+ * readyTimeoutMs, log(line) for build progress and server output.
+ */
+function startServer(options = {}) {
+  const mode = options.mode || 'http';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown mode: ${mode} (expected ${MODES.join(' or ')})`);
+  }
+  const log = options.log || (() => {});
+  const env = launchEnv(options);
+  const host = options.host || env.TEAMS_SERVER_HOST || DEFAULT_HOST;
+  const requestedPort = Number(options.port !== undefined ? options.port : env.TEAMS_SERVER_PORT || DEFAULT_PORT);
+  if (mode === 'http' && (!Number.isInteger(requestedPort) || requestedPort < 0 || requestedPort > 65535)) {
+    throw new Error(`Invalid port: ${options.port} (expected 0-65535)`);
+  }
+
+  let supervisor = null;
+  let stopped = false;
+  let url = null;
+  let resolveExited;
+  const exited = new Promise((resolve) => {
+    resolveExited = resolve;
+  });
+
+  const ready = (async () => {
+    const build = mockEnabled(env) ? {} : await ensureBuild({ log });
+    const port = mode === 'http' && requestedPort === 0 ? await findFreePort() : requestedPort;
+    if (stopped) {
+      throw new Error('Server was stopped before it started');
+    }
+    const overrides = mode === 'http' ? { TEAMS_SERVER_HOST: host, TEAMS_SERVER_PORT: String(port) } : {};
+
+    supervisor = createSupervisor({
+      mode,
+      dll: build.dll,
+      env: serverEnv(mode, { ...env, ...overrides }),
+      stdio: 'pipe',
+      restart: options.restart !== undefined ? options.restart : mode === 'http',
+      log,
+      onSpawn: (child) => {
+        child.stderr.on('data', createLineReader(log));
+        // In stdio mode stdout is the protocol stream and belongs to the caller
+        if (mode === 'http') child.stdout.on('data', createLineReader(log));
+      },
+      onExit: (code) => resolveExited(code)
+    });
+    supervisor.start();
+
+    if (mode === 'stdio') {
+      return { child: supervisor.child };
+    }
+    url = baseUrl(host, port);
+    const health = await waitForHealth(url, { timeoutMs: options.readyTimeoutMs || 300000, isAlive: () => supervisor.child !== null });
+    return { url, health };
+  })();
+  // Callers that only use stop() or exited must not see an unhandled rejection
+  ready.catch(() => {});
+
+  return {
+    mode,
+    ready,
+    exited,
+
+    /**
+     * Base URL of the HTTP server (http://host:port) once ready has resolved; null in stdio mode
+     */
+    get url() {
+      return url;
+    },
+
+    /**
+     * The current server process (a new one after a restart), or null
+     */
+    get child() {
+      return supervisor ? supervisor.child : null;
+    },
+
+    async stop() {
+      stopped = true;
+      if (!supervisor) {
+        resolveExited(null);
+        return exited;
+      }
+      await supervisor.stop('SIGTERM');
+      return exited;
+    }
+  };
+}
+
+/**
+ * MCP client over stdio (starts its own server) or HTTP (options.url, or options.server: a started
+ * startServer() handle). listTools() and callTool() connect on first use; close() ends the session.
+ *
+ * Options: transport, url, server, env, profile, config, mock, seed, fixtures, timeoutMs,
+ * clientName, log(line) for build progress and server stderr.
+ */
+function createClient(options = {}) {
+  const log = options.log || (() => {});
+  const url = options.url || (options.server && options.server.url) || undefined;
+  if (options.server && !url) {
+    throw new Error('The server handle has no URL yet; await server.ready first (stdio servers cannot be shared)');
+  }
+  const client = createMcpClient({
+    transport: options.transport,
+    url,
+    env: url ? options.env : launchEnv(options),
+    timeoutMs: options.timeoutMs,
+    clientName: options.clientName,
+    log,
+    onStderr: (text) => text.split(/\r?\n/).filter(Boolean).forEach((line) => log(line))
+  });
+
+  // Concurrent first calls share one connection attempt
+  let connecting = null;
+  const connect = () => {
+    if (!connecting) {
+      connecting = client.connect().catch((error) => {
+        connecting = null;
+        throw error;
+      });
+    }
+    return connecting;
+  };
+
+  return {
+    transport: client.transport,
+    connect,
+
+    async listTools() {
+      await connect();
+      return client.listTools();
+    },
+
+    async callTool(name, args = {}) {
+      await connect();
+      return client.callTool(name, args);
+    },
+
+    async request(method, params) {
+      await connect();
+      return client.request(method, params);
+    },
+
+    async close() {
+      connecting = null;
+      await client.close();
+    }
+  };
+}
+
+/**
+ * Adds the darbot-teams entry to an MCP client's configuration, as --setup <target> does: target is
+ * vscode, vscode-insiders, workspace, cursor, claude or all. Without options.tenant the tenant is
+ * detected from the environment and the Azure CLI (never with a prompt). Resolves with
+ * { tenantId, clients: [{ id, label, configPath }] }.
+ *
+ * Options: tenant, dryRun, policy (a policy file or "read-only"), readOnly, log(line).
+ */
+async function setupClient(target, options = {}) {
+  const { configureClients } = require('../scripts/vscode-setup');
+  if (options.policy) {
+    readPolicy(options.policy);
+  }
+  const { tenantId, clients } = await configureClients(target, {
+    tenant: options.tenant,
+    dryRun: Boolean(options.dryRun),
+    policy: options.policy,
+    readOnly: Boolean(options.readOnly),
+    interactive: false,
+    log: options.log || (() => {})
+  });
+  return { tenantId, clients };
+}
+
+module.exports = {
+  startServer,
+  createClient,
+  setupClient
+};
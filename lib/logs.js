@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { packageRoot } = require('./server');
+const { parseTime } = require('./audit');
+
+// Serilog levels, lowest first, with the {Level:u3} codes the file template writes
+const LEVELS = ['Verbose', 'Debug', 'Information', 'Warning', 'Error', 'Fatal'];
+const LEVEL_CODES = { VRB: 'Verbose', DBG: 'Debug', INF: 'Information', WRN: 'Warning', ERR: 'Error', FTL: 'Fatal' };
+
+// Daily files written by the server, service and startup logger: <name>-YYYYMMDD[_NNN].log
+const LOG_FILE_PATTERN = /^(.+)-(\d{8})(?:_(\d{3}))?\.log$/;
+
+// "[{Timestamp:yyyy-MM-dd HH:mm:ss.fff zzz} {Level:u3}] {SourceContext}: {Message:lj}"; the console
+// template has no milliseconds or offset
+const RECORD_PATTERN = /^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?)(?: ([+-]\d{2}:\d{2}))? (VRB|DBG|INF|WRN|ERR|FTL)\] (\S*?): ?(.*)$/;
+
+const FOLLOW_INTERVAL_MS = 500;
+
+/**
+ * Directory the server writes its logs to (it runs with the package as working directory)
+ */
+function logsDir() {
+  return path.join(packageRoot, 'logs');
+}
+
+/**
+ * Log files in dir, oldest first: [{ path, name, family, date, sequence, size, mtime }]
+ */
+function listLogFiles(dir = logsDir()) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  return names
+    .map((name) => ({ name, match: LOG_FILE_PATTERN.exec(name) }))
+    .filter((item) => item.match)
+    .map(({ name, match }) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { path: path.join(dir, name), name, family: match[1], date: match[2], sequence: Number(match[3] || 0), size: stat.size, mtime: stat.mtime };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || a.sequence - b.sequence || a.name.localeCompare(b.name));
+}
+
+/**
+ * Index of a level in LEVELS from a name, a prefix (warn, err) or a u3 code (WRN)
+ */
+function parseLevel(value) {
+  const text = String(value).trim().toLowerCase();
+  const code = LEVEL_CODES[text.toUpperCase()];
+  const index = LEVELS.findIndex((level) => level === code || (text.length >= 3 && level.toLowerCase().startsWith(text)));
+  if (index === -1) {
+    throw new Error(`Unknown level: ${value} (expected ${LEVELS.join(', ')})`);
+  }
+  return index;
+}
+
+/**
+ * Parses log lines into records: { time, level, source, message, exception, file, raw }. Lines that
+ * do not start a record (exception stack traces, multi-line messages) are added to the previous
+ * record's exception. A record is emitted when the next one starts or on flush().
+ */
+function createLogParser(onRecord, file = null) {
+  let current = null;
+
+  const emit = () => {
+    if (current) {
+      const record = current;
+      current = null;
+      while (record.exception.length > 0 && record.exception[record.exception.length - 1].trim() === '') {
+        record.exception.pop();
+        record.raw.pop();
+      }
+      if (record.exception.length === 0) delete record.exception;
+      else record.exception = record.exception.join('\n');
+      record.raw = record.raw.join('\n');
+      onRecord(record);
+    }
+  };
+
+  return {
+    push(line) {
+      const match = RECORD_PATTERN.exec(line);
+      if (match) {
+        emit();
+        const [, stamp, offset, code, source, message] = match;
+        const time = new Date(`${stamp.replace(' ', 'T')}${offset || ''}`);
+        current = {
+          time: Number.isNaN(time.getTime()) ? null : time.toISOString(),
+          level: LEVEL_CODES[code],
+          source,
+          message,
+          exception: [],
+          file,
+          raw: [line]
+        };
+      } else if (current) {
+        current.exception.push(line);
+        current.raw.push(line);
+      } else if (line.trim() !== '') {
+        // Text before the first record of a file (e.g. the tail of a record from the previous file)
+        current = { time: null, level: null, source: '', message: line, exception: [], file, raw: [line] };
+      }
+    },
+    flush: emit
+  };
+}
+
+const splitLines = (text) => text.split(/\r?\n/);
+
+/**
+ * Every record in files ({ path, name } from listLogFiles), ordered by time across files
+ */
+function readLogRecords(files) {
+  const records = [];
+  files.forEach((file, fileIndex) => {
+    let last = 0;
+    const parser = createLogParser((record) => {
+      // Records without a time keep their place after the previous record of the file
+      last = record.time ? Date.parse(record.time) : last;
+      records.push({ record, order: [last, fileIndex, records.length] });
+    }, file.name);
+    splitLines(fs.readFileSync(file.path, 'utf8')).forEach(parser.push);
+    parser.flush();
+  });
+  return records
+    .sort((a, b) => a.order[0] - b.order[0] || a.order[1] - b.order[1] || a.order[2] - b.order[2])
+    .map((item) => item.record);
+}
+
+/**
+ * Predicate for records at or above level, at or after since (a time for parseTime) and whose
+ * source context or message matches grep (a case-insensitive regular expression). Throws on an
+ * invalid filter.
+ */
+function createLogFilter(filters = {}) {
+  const minimum = filters.level ? parseLevel(filters.level) : null;
+  const since = filters.since ? parseTime(filters.since) : null;
+  let grep = null;
+  if (filters.grep) {
+    try {
+      grep = new RegExp(filters.grep, 'i');
+    } catch (error) {
+      throw new Error(`Invalid --grep pattern: ${error.message}`);
+    }
+  }
+
+  return (record) => {
+    if (minimum !== null && (!record.level || LEVELS.indexOf(record.level) < minimum)) return false;
+    if (since !== null && (!record.time || Date.parse(record.time) < since)) return false;
+    if (grep && !grep.test(`${record.source}: ${record.message}`)) return false;
+    return true;
+  };
+}
+
+/**
+ * Follows the log files in dir from their current end, passing new records to onRecord. Files
+ * that appear later (the next day's file, a size rollover) are read from the start. A record is
+ * held back until the next one starts or its file stays quiet for one poll, so its stack trace
+ * stays attached. Returns stop().
+ */
+function followLogs(dir, onRecord, options = {}) {
+  const interval = options.interval || FOLLOW_INTERVAL_MS;
+  // path -> { offset, partial, decoder, parser }; the decoder keeps a character split across reads
+  const tracked = new Map();
+  const track = (file, offset) => {
+    tracked.set(file.path, { offset, partial: '', decoder: new StringDecoder('utf8'), parser: createLogParser(onRecord, file.name) });
+  };
+  listLogFiles(dir).forEach((file) => track(file, file.size));
+
+  const poll = () => {
+    const files = listLogFiles(dir);
+    for (const [file, state] of tracked) {
+      // Deleted by the retention limit
+      if (!files.some((item) => item.path === file)) {
+        state.parser.flush();
+        tracked.delete(file);
+      }
+    }
+    for (const file of files) {
+      if (!tracked.has(file.path)) {
+        track(file, 0);
+      }
+      const state = tracked.get(file.path);
+      if (file.size < state.offset) {
+        // Truncated or recreated
+        state.offset = 0;
+        state.partial = '';
+        state.decoder = new StringDecoder('utf8');
+      }
+      if (file.size === state.offset) {
+        state.parser.flush();
+        continue;
+      }
+
+      const buffer = Buffer.alloc(file.size - state.offset);
+      const fd = fs.openSync(file.path, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, buffer.length, state.offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+      state.offset = file.size;
+      const lines = splitLines(state.partial + state.decoder.write(buffer));
+      state.partial = lines.pop();
+      lines.forEach(state.parser.push);
+    }
+  };
+
+  const timer = setInterval(poll, interval);
+  return () => {
+    clearInterval(timer);
+    poll();
+    tracked.forEach((state) => state.parser.flush());
+  };
+}
+
+module.exports = {
+  LEVELS,
+  logsDir,
+  listLogFiles,
+  parseLevel,
+  createLogParser,
+  readLogRecords,
+  createLogFilter,
+  followLogs
+};
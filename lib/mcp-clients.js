@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Name of the server entry written into every client configuration
+const SERVER_NAME = 'darbot-teams';
+
+/**
+ * Resolves the per-user settings directory of a VS Code flavour ("Code", "Code - Insiders")
+ */
+function vscodeUserDir(product) {
+  const platform = os.platform();
+
+  switch (platform) {
+    case 'win32':
+      return path.join(os.homedir(), 'AppData', 'Roaming', product, 'User');
+    case 'darwin':
+      return path.join(os.homedir(), 'Library', 'Application Support', product, 'User');
+    case 'linux':
+      return path.join(os.homedir(), '.config', product, 'User');
+    default:
+      throw new Error(`Unsupported platform: ${platform}`);
+  }
+}
+
+/**
+ * Resolves the Claude Desktop configuration directory
+ */
+function claudeConfigDir() {
+  const platform = os.platform();
+
+  switch (platform) {
+    case 'win32':
+      return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'Claude');
+    case 'darwin':
+      return path.join(os.homedir(), 'Library', 'Application Support', 'Claude');
+    case 'linux':
+      return path.join(os.homedir(), '.config', 'Claude');
+    default:
+      throw new Error(`Unsupported platform: ${platform}`);
+  }
+}
+
+/**
+ * Supported MCP clients. Each entry knows where its configuration lives, how to tell
+ * whether the client is installed and which schema ("vscode" or "mcpServers") it reads.
+ */
+const CLIENTS = {
+  vscode: {
+    label: 'VS Code',
+    format: 'vscode',
+    configPath: () => path.join(vscodeUserDir('Code'), 'mcp.json'),
+    detect: () => fs.existsSync(vscodeUserDir('Code'))
+  },
+  'vscode-insiders': {
+    label: 'VS Code Insiders',
+    format: 'vscode',
+    configPath: () => path.join(vscodeUserDir('Code - Insiders'), 'mcp.json'),
+    detect: () => fs.existsSync(vscodeUserDir('Code - Insiders'))
+  },
+  workspace: {
+    label: 'VS Code workspace',
+    format: 'vscode',
+    configPath: (options = {}) => path.join(options.workspace || process.cwd(), '.vscode', 'mcp.json'),
+    detect: (options = {}) => fs.existsSync(path.join(options.workspace || process.cwd(), '.vscode'))
+  },
+  cursor: {
+    label: 'Cursor',
+    format: 'mcpServers',
+    configPath: () => path.join(os.homedir(), '.cursor', 'mcp.json'),
+    detect: () => fs.existsSync(path.join(os.homedir(), '.cursor'))
+  },
+  claude: {
+    label: 'Claude Desktop',
+    format: 'mcpServers',
+    configPath: () => path.join(claudeConfigDir(), 'claude_desktop_config.json'),
+    detect: () => fs.existsSync(claudeConfigDir())
+  }
+};
+
+/**
+ * Looks up a client by id, throwing a helpful error for unknown ids
+ */
+function getClient(id) {
+  const client = CLIENTS[id];
+  if (!client) {
+    throw new Error(`Unknown client: ${id} (supported: ${Object.keys(CLIENTS).join(', ')}, all)`);
+  }
+  return { id, ...client };
+}
+
+/**
+ * Returns the clients that appear to be installed on this machine
+ */
+function detectClients(options = {}) {
+  return Object.keys(CLIENTS)
+    .filter((id) => {
+      try {
+        return CLIENTS[id].detect(options);
+      } catch {
+        return false;
+      }
+    })
+    .map(getClient);
+}
+
+/**
+ * Name of the top-level key holding server entries for a client
+ */
+function serversKey(client) {
+  return client.format === 'vscode' ? 'servers' : 'mcpServers';
+}
+
+/**
+ * Converts a client-neutral server definition ({ command, args, env }) into the entry
+ * shape the client expects
+ */
+function formatServerEntry(client, server) {
+  if (client.format === 'vscode') {
+    return { type: 'stdio', ...server };
+  }
+  return { ...server };
+}
+
+/**
+ * Builds a complete configuration document containing only the darbot-teams entry
+ */
+function formatClientConfig(client, server) {
+  return {
+    [serversKey(client)]: {
+      [SERVER_NAME]: formatServerEntry(client, server)
+    }
+  };
+}
+
+module.exports = {
+  SERVER_NAME,
+  CLIENTS,
+  getClient,
+  detectClients,
+  serversKey,
+  formatServerEntry,
+  formatClientConfig,
+  vscodeUserDir,
+  claudeConfigDir
+};
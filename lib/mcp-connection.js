@@ -0,0 +1,382 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// MCP protocol revision sent in initialize requests
+const PROTOCOL_VERSION = '2024-11-05';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Builds the initialize request parameters for a client
+ */
+function initializeParams(clientName = 'darbot-teams-mcp', clientVersion = require('../package.json').version) {
+  return {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: { tools: {} },
+    clientInfo: { name: clientName, version: clientVersion }
+  };
+}
+
+/**
+ * Splits a byte stream into newline-delimited messages
+ */
+function createLineReader(onLine) {
+  let buffer = '';
+
+  return (chunk) => {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (line.trim() !== '') {
+        onLine(line);
+      }
+    }
+  };
+}
+
+/**
+ * Parses a line as a JSON-RPC 2.0 message, returning null for anything else
+ */
+function parseMessage(line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch {
+    return null;
+  }
+
+  const isMessage = (item) => item !== null && typeof item === 'object' && item.jsonrpc === '2.0';
+  if (Array.isArray(message) ? message.length > 0 && message.every(isMessage) : isMessage(message)) {
+    return message;
+  }
+  return null;
+}
+
+/**
+ * Classifies a JSON-RPC message as "request", "notification", "response" or null
+ */
+function messageKind(message) {
+  if (!message || typeof message !== 'object') {
+    return null;
+  }
+  if (typeof message.method === 'string') {
+    return 'id' in message ? 'request' : 'notification';
+  }
+  if ('result' in message || 'error' in message || 'content' in message) {
+    return 'response';
+  }
+  return null;
+}
+
+/**
+ * Extracts the MCP tool result from a response. The .NET server answers tools/call with a
+ * top-level "content" array rather than result.content, so both shapes are accepted.
+ */
+function toolResult(response) {
+  if (response.error) {
+    return { isError: true, error: response.error, content: [] };
+  }
+  const result = response.result && typeof response.result === 'object' ? response.result : {};
+  return {
+    isError: Boolean(result.isError),
+    content: result.content || response.content || [],
+    raw: response.result !== undefined ? response.result : response
+  };
+}
+
+/**
+ * Rewrites a server response into a valid JSON-RPC response. The .NET server answers
+ * tools/call with a top-level "content" array instead of result.content.
+ */
+function normalizeResponse(message) {
+  if ('result' in message || 'error' in message) {
+    return { message, normalized: false };
+  }
+  const { jsonrpc, id, content, isError, ...rest } = message;
+  const result = { ...rest, content };
+  if (isError !== undefined) {
+    result.isError = isError;
+  }
+  return { message: { jsonrpc, id, result }, normalized: true };
+}
+
+/**
+ * Tracks outstanding requests and matches responses to them. A response whose id is unknown
+ * (the .NET server answers tool calls with a correlation id) is matched to the outstanding request
+ * only when there is exactly one, and dropped otherwise; both are reported as diagnostics.
+ */
+function createPendingRequests(onDiagnostic) {
+  const pending = new Map();
+
+  return {
+    add(id, method, timeoutMs) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${method} response`));
+        }, timeoutMs);
+        pending.set(id, { method, resolve, reject, timer });
+      });
+    },
+
+    resolve(message) {
+      let id = message.id;
+      if (id === null || id === undefined) {
+        // Error responses to notifications or unparsable input cannot belong to a request
+        onDiagnostic({ type: 'unknown-id', message: `Response without an id: ${JSON.stringify(message).slice(0, 200)}`, data: message });
+        return false;
+      }
+      if (!pending.has(id)) {
+        // Only a single request in flight can be matched without its id
+        if (pending.size !== 1) {
+          const why = pending.size === 0 ? '' : ` (${pending.size} requests pending, cannot tell which it answers)`;
+          onDiagnostic({ type: 'unknown-id', message: `Response with unknown id ${JSON.stringify(id)}${why}`, data: message });
+          return false;
+        }
+        const [only] = pending.keys();
+        onDiagnostic({
+          type: 'unknown-id',
+          message: `Response id ${JSON.stringify(id)} does not match any request; matched to the only pending request ${JSON.stringify(only)}`,
+          data: message
+        });
+        id = only;
+      }
+
+      const entry = pending.get(id);
+      pending.delete(id);
+      clearTimeout(entry.timer);
+      entry.resolve(message);
+      return true;
+    },
+
+    rejectAll(error) {
+      for (const entry of pending.values()) {
+        clearTimeout(entry.timer);
+        entry.reject(error);
+      }
+      pending.clear();
+    },
+
+    get size() {
+      return pending.size;
+    }
+  };
+}
+
+/**
+ * Creates a JSON-RPC connection over a child process speaking newline-delimited JSON on stdio.
+ * Non-JSON output on stdout is reported through onDiagnostic rather than breaking the stream.
+ */
+function createStdioConnection(child, options = {}) {
+  const onDiagnostic = options.onDiagnostic || (() => {});
+  const onNotification = options.onNotification || (() => {});
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const pending = createPendingRequests(onDiagnostic);
+  let nextId = 1;
+  let closed = false;
+
+  child.stdout.on('data', createLineReader((line) => {
+    const message = parseMessage(line);
+    if (!message) {
+      onDiagnostic({ type: 'non-json-output', message: `Non JSON-RPC output on stdout: ${line}`, line });
+      return;
+    }
+    for (const item of Array.isArray(message) ? message : [message]) {
+      const kind = messageKind(item);
+      if (kind === 'response') {
+        pending.resolve(item);
+      } else if (kind === 'notification' || kind === 'request') {
+        onNotification(item);
+      } else {
+        onDiagnostic({ type: 'invalid-message', message: `Unrecognised JSON-RPC message: ${line}` });
+      }
+    }
+  }));
+
+  const onClose = (code, signal) => {
+    closed = true;
+    pending.rejectAll(new Error(`Server exited (${signal || `code ${code}`}) before responding`));
+  };
+  child.on('exit', onClose);
+  child.on('error', (error) => {
+    closed = true;
+    pending.rejectAll(error);
+  });
+
+  function send(message) {
+    if (closed) {
+      throw new Error('Connection is closed');
+    }
+    child.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  return {
+    request(method, params, requestOptions = {}) {
+      const id = nextId++;
+      const promise = pending.add(id, method, requestOptions.timeoutMs || timeoutMs);
+      send({ jsonrpc: '2.0', id, method, ...(params !== undefined ? { params } : {}) });
+      return promise.then((response) => ({ ...response, requestId: id }));
+    },
+
+    notify(method, params) {
+      send({ jsonrpc: '2.0', method, ...(params !== undefined ? { params } : {}) });
+    },
+
+    sendRaw(text) {
+      child.stdin.write(text.endsWith('\n') ? text : text + '\n');
+    },
+
+    close() {
+      closed = true;
+      pending.rejectAll(new Error('Connection closed'));
+      child.stdin.end();
+    }
+  };
+}
+
+/**
+ * Performs an HTTP request and resolves with { status, headers, body } (body parsed as JSON when possible)
+ */
+function httpRequest(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const body = options.body === undefined ? undefined
+      : typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+
+    const req = transport.request(target, {
+      method: options.method || (body === undefined ? 'GET' : 'POST'),
+      headers: {
+        accept: 'application/json',
+        ...(body !== undefined ? { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body) } : {}),
+        ...options.headers
+      },
+      timeout: options.timeoutMs || DEFAULT_TIMEOUT_MS
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let parsed = text;
+        try {
+          parsed = text ? JSON.parse(text) : null;
+        } catch {
+          // Leave non-JSON bodies as text
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed, text });
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${options.timeoutMs || DEFAULT_TIMEOUT_MS}ms: ${url}`)));
+    req.on('error', reject);
+    if (body !== undefined) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Creates a JSON-RPC connection that POSTs each message to <baseUrl>/mcp
+ */
+function createHttpConnection(baseUrl, options = {}) {
+  const onDiagnostic = options.onDiagnostic || (() => {});
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const endpoint = `${baseUrl.replace(/\/$/, '')}/mcp`;
+  let nextId = 1;
+
+  return {
+    async request(method, params, requestOptions = {}) {
+      const id = nextId++;
+      const res = await httpRequest(endpoint, {
+        body: { jsonrpc: '2.0', id, method, ...(params !== undefined ? { params } : {}) },
+        headers: options.headers,
+        timeoutMs: requestOptions.timeoutMs || timeoutMs
+      });
+
+      if (!res.body || typeof res.body !== 'object') {
+        throw new Error(`HTTP ${res.status} from ${endpoint}: ${res.text.slice(0, 200)}`);
+      }
+      if (res.body.id !== id) {
+        onDiagnostic({ type: 'unknown-id', message: `Response id ${JSON.stringify(res.body.id)} does not match request id ${id}`, data: res.body });
+      }
+      return { ...res.body, requestId: id, httpStatus: res.status };
+    },
+
+    notify(method, params) {
+      return httpRequest(endpoint, {
+        body: { jsonrpc: '2.0', method, ...(params !== undefined ? { params } : {}) },
+        headers: options.headers,
+        timeoutMs
+      });
+    },
+
+    get(pathname) {
+      return httpRequest(`${baseUrl.replace(/\/$/, '')}${pathname}`, { headers: options.headers, timeoutMs });
+    },
+
+    close() {}
+  };
+}
+
+/**
+ * Polls <baseUrl>/mcp/health until it reports healthy, instead of sleeping a fixed time
+ */
+async function waitForHealth(baseUrl, options = {}) {
+  const timeoutMs = options.timeoutMs || 120000;
+  const intervalMs = options.intervalMs || 500;
+  const deadline = Date.now() + timeoutMs;
+  let lastError = null;
+
+  while (Date.now() < deadline) {
+    if (options.isAlive && !options.isAlive()) {
+      throw new Error('Server process exited before becoming ready');
+    }
+    try {
+      const res = await httpRequest(`${baseUrl.replace(/\/$/, '')}/mcp/health`, { timeoutMs: 2000 });
+      if (res.status === 200 && res.body && res.body.status === 'healthy') {
+        return res.body;
+      }
+      lastError = new Error(`Health check returned HTTP ${res.status}`);
+    } catch (error) {
+      lastError = error;
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+
+  throw new Error(`Server did not become healthy within ${timeoutMs}ms${lastError ? ` (${lastError.message})` : ''}`);
+}
+
+/**
+ * Finds a free TCP port on the loopback interface
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  initializeParams,
+  createLineReader,
+  parseMessage,
+  messageKind,
+  toolResult,
+  normalizeResponse,
+  createPendingRequests,
+  createStdioConnection,
+  createHttpConnection,
+  httpRequest,
+  waitForHealth,
+  findFreePort
+};
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./config-file');
+
+const DEFAULT_SEED = 1;
+
+// The mock clock: every generated date is relative to this, so a seed always yields the same data
+const DEFAULT_NOW = '2025-06-02T09:00:00.000Z';
+
+const FIRST_NAMES = ['Adele', 'Alex', 'Diego', 'Grady', 'Henrietta', 'Isaiah', 'Johanna', 'Joni', 'Lee', 'Lidia', 'Lynne', 'Megan', 'Miriam', 'Nestor', 'Patti', 'Pradeep'];
+const LAST_NAMES = ['Vance', 'Wilber', 'Siciliani', 'Archie', 'Mueller', 'Langer', 'Lorenz', 'Sherman', 'Gu', 'Holloway', 'Robbins', 'Bowen', 'Graham', 'Wilke', 'Fernandez', 'Gupta'];
+const DEPARTMENTS = ['Engineering', 'Marketing', 'Sales', 'Finance', 'Operations', 'Legal'];
+const JOB_TITLES = ['Product Manager', 'Software Engineer', 'Designer', 'Marketing Lead', 'Account Executive', 'Analyst'];
+const CHANNEL_NAMES = ['Engineering', 'Design', 'Marketing', 'Release Planning', 'Customer Feedback', 'Sales', 'Random', 'Support'];
+const MESSAGES = [
+  'Has anyone looked at the latest build?',
+  'The release checklist is updated, please review before Friday.',
+  'Great work on the demo yesterday!',
+  'Reminder: standup moves to 10:00 tomorrow.',
+  'I pushed the fix for the login timeout.',
+  'Customer call notes are in the Files tab.',
+  'Can we get a second reviewer on the pricing page?',
+  'Budget numbers for Q3 are final.',
+  'Who owns the onboarding docs now?',
+  'Lunch and learn on Thursday: accessibility basics.'
+];
+const FILE_NAMES = ['Roadmap.pptx', 'Budget.xlsx', 'Architecture.docx', 'Release notes.md', 'Logo.png', 'Meeting notes.docx', 'Test plan.xlsx', 'Contract.pdf'];
+const MEETING_TITLES = ['Weekly sync', 'Sprint planning', 'Design review', 'Customer check-in', 'Quarterly business review', 'Retrospective', 'Architecture deep dive'];
+const TASK_TITLES = ['Update the onboarding guide', 'Review pricing page copy', 'Prepare the Q3 roadmap deck', 'Fix flaky integration test', 'Send the customer survey', 'Renew the design tool licenses', 'Archive old project channels', 'Draft the release announcement'];
+const AVAILABILITY = ['Available', 'Busy', 'DoNotDisturb', 'BeRightBack', 'Away'];
+
+/**
+ * Seeded pseudo-random generator (mulberry32) with the helpers the mock needs
+ */
+function createRandom(seed) {
+  let state = Number(seed) >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const hex = (length) => Array.from({ length }, () => int(0, 15).toString(16)).join('');
+
+  return {
+    next,
+    int,
+    hex,
+    pick: (items) => items[int(0, items.length - 1)],
+    shuffle: (items) => {
+      const copy = [...items];
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = int(0, i);
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+    },
+    guid: () => `${hex(8)}-${hex(4)}-4${hex(3)}-${'89ab'[int(0, 3)]}${hex(3)}-${hex(12)}`,
+    channelId: () => `19:${hex(32)}@thread.tacv2`
+  };
+}
+
+const addMinutes = (iso, minutes) => new Date(Date.parse(iso) + minutes * 60000).toISOString();
+
+/**
+ * Generates the mock tenant for a seed: one team with members, guests, channels, messages,
+ * files, meetings, tasks, a poll, apps and presence
+ */
+function generateDataset(seed = DEFAULT_SEED) {
+  const random = createRandom(seed);
+  const now = DEFAULT_NOW;
+  const day = 24 * 60;
+
+  const firstNames = random.shuffle(FIRST_NAMES);
+  const lastNames = random.shuffle(LAST_NAMES);
+  const users = firstNames.slice(0, 12).map((firstName, i) => {
+    const lastName = lastNames[i];
+    const guest = i >= 10;
+    return {
+      id: random.guid(),
+      displayName: `${firstName} ${lastName}`,
+      email: `${firstName}.${lastName}`.toLowerCase() + (guest ? '@fabrikam.com' : '@contoso.com'),
+      role: i < 2 ? 'owner' : guest ? 'guest' : 'member',
+      jobTitle: guest ? 'External consultant' : random.pick(JOB_TITLES),
+      department: guest ? null : random.pick(DEPARTMENTS),
+      joinedDateTime: addMinutes(now, -random.int(30, 700) * day),
+      lastActivityDateTime: addMinutes(now, -random.int(5, 5 * day)),
+      mutedUntil: null
+    };
+  });
+  const members = users.filter((user) => user.role !== 'guest');
+
+  const channels = [{ displayName: 'General', membershipType: 'standard' }]
+    .concat(random.shuffle(CHANNEL_NAMES).slice(0, 5).map((displayName, i) => ({ displayName, membershipType: i === 4 ? 'private' : 'standard' })))
+    .map((channel) => ({
+      id: random.channelId(),
+      displayName: channel.displayName,
+      description: `${channel.displayName} discussions`,
+      membershipType: channel.membershipType,
+      topic: null,
+      isArchived: false,
+      isLocked: false,
+      createdDateTime: addMinutes(now, -random.int(60, 600) * day),
+      members: channel.membershipType === 'private' ? random.shuffle(members).slice(0, 4).map((user) => user.email) : null
+    }));
+
+  let messageTime = Date.parse(addMinutes(now, -14 * day));
+  const messages = channels.flatMap((channel) => Array.from({ length: random.int(3, 6) }, () => {
+    messageTime += random.int(10, 600) * 60000;
+    return {
+      id: String(messageTime),
+      channelId: channel.id,
+      from: random.pick(users).email,
+      body: random.pick(MESSAGES),
+      createdDateTime: new Date(messageTime).toISOString(),
+      isPinned: false,
+      reactions: random.int(0, 6)
+    };
+  }));
+  random.shuffle(messages).slice(0, 2).forEach((message) => {
+    message.isPinned = true;
+  });
+
+  const files = channels.flatMap((channel) => random.shuffle(FILE_NAMES).slice(0, random.int(1, 3)).map((name) => {
+    const created = addMinutes(now, -random.int(2, 90) * day);
+    return {
+      id: random.guid(),
+      channelId: channel.id,
+      name,
+      folderPath: `/${channel.displayName}`,
+      size: random.int(12, 4096) * 1024,
+      fileType: name.split('.').pop(),
+      createdBy: random.pick(members).email,
+      createdDateTime: created,
+      modifiedDateTime: addMinutes(created, random.int(0, 30) * day),
+      description: null
+    };
+  }));
+
+  const meetings = Array.from({ length: 7 }, (item, i) => {
+    const recurring = i < 2;
+    return {
+      id: random.guid(),
+      title: MEETING_TITLES[i % MEETING_TITLES.length],
+      startDateTime: addMinutes(now, (i * 3 + random.int(0, 2)) * day + random.int(0, 7) * 60),
+      durationMinutes: random.pick([30, 45, 60]),
+      organizer: random.pick(members).email,
+      attendees: random.shuffle(members).slice(0, random.int(2, 5)).map((user) => user.email),
+      isRecurring: recurring,
+      recurrencePattern: recurring ? 'weekly' : null,
+      channelId: random.next() < 0.5 ? random.pick(channels).id : null,
+      status: 'scheduled',
+      joinUrl: `https://teams.microsoft.com/l/meetup-join/${random.hex(24)}`
+    };
+  });
+
+  const tasks = TASK_TITLES.map((title, i) => {
+    const completed = i % 3 === 2;
+    const due = addMinutes(now, random.int(-10, 20) * day);
+    return {
+      id: random.guid(),
+      title,
+      description: null,
+      assignedTo: (i % 4 === 0 ? users[0] : random.pick(members)).email,
+      assignedBy: random.pick(users.slice(0, 2)).email,
+      priority: random.pick(['low', 'normal', 'normal', 'high', 'urgent']),
+      status: completed ? 'completed' : 'pending',
+      dueDate: due.slice(0, 10),
+      channelId: random.pick(channels).id,
+      createdDateTime: addMinutes(now, -random.int(5, 30) * day),
+      completedDateTime: completed ? addMinutes(now, -random.int(0, 4) * day) : null,
+      completionNotes: null
+    };
+  });
+
+  const pollVoters = random.shuffle(members).slice(0, 6);
+  const polls = [{
+    id: random.guid(),
+    question: 'Where should we hold the team offsite?',
+    channelId: channels[0].id,
+    createdBy: users[0].email,
+    createdDateTime: addMinutes(now, -2 * day),
+    closesDateTime: addMinutes(now, 1 * day),
+    allowMultipleChoices: false,
+    anonymousVoting: false,
+    options: ['Lisbon', 'Seattle', 'Remote'].map((text) => ({ text, voters: [] }))
+  }];
+  pollVoters.forEach((user) => random.pick(polls[0].options).voters.push(user.email));
+
+  const apps = [
+    { name: 'Polly', type: 'bot', permissions: ['read-messages', 'send-messages'] },
+    { name: 'Planner', type: 'tab', permissions: ['read-tasks'] },
+    { name: 'GitHub', type: 'connector', permissions: ['send-messages'] },
+    { name: 'Release Bot', type: 'bot', permissions: ['read-messages', 'send-messages', 'manage-channels'] },
+    { name: 'Approvals', type: 'messaging-extension', permissions: ['read-messages'] }
+  ].map((app, i) => ({
+    id: random.guid(),
+    installationId: random.guid(),
+    ...app,
+    status: i === 3 ? 'inactive' : 'active',
+    installedDateTime: addMinutes(now, -random.int(10, 200) * day),
+    channelId: null
+  }));
+
+  const tabs = [
+    { name: 'Roadmap', app: apps[1] },
+    { name: 'Wiki', app: null }
+  ].map((tab) => ({
+    id: random.guid(),
+    channelId: random.pick(channels).id,
+    appId: tab.app ? tab.app.id : 'com.microsoft.teamspace.tab.wiki',
+    name: tab.name,
+    contentUrl: `https://contoso.sharepoint.com/sites/team/${tab.name.toLowerCase()}`,
+    websiteUrl: null
+  }));
+
+  const presence = Object.fromEntries(users.map((user) => [user.email, {
+    availability: random.pick(AVAILABILITY),
+    activity: null,
+    statusMessage: null,
+    expirationTime: null,
+    outOfOffice: random.next() < 0.1
+  }]));
+
+  return {
+    seed: Number(seed),
+    now,
+    currentUser: users[0].email,
+    team: {
+      id: random.guid(),
+      displayName: 'Contoso Product Team',
+      description: 'Product planning, releases and customer feedback',
+      visibility: 'private',
+      createdDateTime: addMinutes(now, -720 * day)
+    },
+    users,
+    channels,
+    messages,
+    files,
+    meetings,
+    tasks,
+    polls,
+    apps,
+    tabs,
+    presence,
+    notificationSettings: [],
+    issues: []
+  };
+}
+
+/**
+ * The dataset a mock session starts from. With a fixtures file, the file is read (or created
+ * from the seed when it does not exist yet, so it can be edited for the next run); changes
+ * made by tool calls stay in memory and never touch the file.
+ */
+function loadDataset(options = {}) {
+  const seed = options.seed !== undefined && options.seed !== '' ? Number(options.seed) : DEFAULT_SEED;
+  if (!Number.isInteger(seed)) {
+    throw new Error(`Invalid mock seed: ${options.seed} (expected an integer)`);
+  }
+  if (!options.fixtures) {
+    return { dataset: generateDataset(seed), created: false };
+  }
+
+  const file = path.resolve(options.fixtures);
+  if (!fs.existsSync(file)) {
+    const dataset = generateDataset(seed);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeFileAtomic(file, JSON.stringify(dataset, null, 2) + '\n');
+    return { dataset, created: true, file };
+  }
+
+  let dataset;
+  try {
+    dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot parse mock fixtures ${file}: ${error.message}`);
+  }
+  // Fill in anything the file leaves out, so a trimmed-down fixture still works
+  const defaults = generateDataset(Number.isInteger(dataset.seed) ? dataset.seed : seed);
+  for (const [key, value] of Object.entries(defaults)) {
+    if (dataset[key] === undefined) dataset[key] = key === 'seed' ? seed : value;
+  }
+  return { dataset, created: false, file };
+}
+
+module.exports = {
+  DEFAULT_SEED,
+  createRandom,
+  generateDataset,
+  loadDataset
+};
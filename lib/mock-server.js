@@ -0,0 +1,233 @@
+const http = require('http');
+const Ajv = require('ajv');
+const { createLineReader, messageKind, PROTOCOL_VERSION } = require('./mcp-connection');
+const { loadToolCatalog } = require('./tool-catalog');
+const { createRandom, loadDataset } = require('./mock-data');
+const { createMockTools } = require('./mock-tools');
+
+const SERVER_NAME = 'darbot-teams-mcp';
+const SERVER_VERSION = '1.0.0';
+const SERVER_DESCRIPTION = 'Microsoft Teams MCP Server - 47+ Commands for Teams Management';
+
+// Ids of items created during a session come from their own stream, so they never repeat the dataset's
+const SESSION_SEED_SALT = 0x5EED;
+
+const rpcResult = (id, result) => ({ jsonrpc: '2.0', id, result });
+const rpcError = (id, code, message) => ({ jsonrpc: '2.0', id, error: { code, message } });
+const textResult = (value, isError = false) => ({
+  content: [{ type: 'text', text: typeof value === 'string' ? value : JSON.stringify(value, null, 2) }],
+  isError
+});
+
+/**
+ * A pure-Node stand-in for the .NET server: the same tool catalog and schemas, answered from an
+ * in-memory dataset (see mock-data.js) that tool calls change for the rest of the session.
+ * handle(message) returns the JSON-RPC response, or null for notifications.
+ */
+function createMockServer(options = {}) {
+  const dataset = options.dataset || loadDataset().dataset;
+  const catalog = options.catalog || loadToolCatalog();
+  const tools = createMockTools(dataset, createRandom((dataset.seed ^ SESSION_SEED_SALT) >>> 0), catalog);
+  const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false, useDefaults: true });
+  const validators = new Map();
+
+  const validatorFor = (tool) => {
+    if (!validators.has(tool.name)) {
+      validators.set(tool.name, ajv.compile(tool.inputSchema || { type: 'object' }));
+    }
+    return validators.get(tool.name);
+  };
+
+  const callTool = (id, params) => {
+    const name = params && params.name;
+    if (typeof name !== 'string' || name === '') {
+      return rpcError(id, -32602, 'Invalid params: "name" is required');
+    }
+    const tool = catalog.find((item) => item.name === name);
+    if (!tool || !tools[name]) {
+      return rpcError(id, -32601, `Tool not found: ${name}`);
+    }
+
+    // Work on a copy: ajv fills in schema defaults
+    const args = JSON.parse(JSON.stringify((params && params.arguments) || {}));
+    const validate = validatorFor(tool);
+    if (!validate(args)) {
+      const problems = validate.errors.map((error) => ` • ${error.instancePath ? error.instancePath.slice(1) : 'arguments'} ${error.message}` +
+        (error.params && error.params.allowedValues ? `: ${error.params.allowedValues.join(', ')}` : ''));
+      return rpcResult(id, textResult(`❌ Validation failed:\n${problems.join('\n')}`, true));
+    }
+
+    try {
+      return rpcResult(id, textResult(tools[name](args)));
+    } catch (error) {
+      if (!error.mock) throw error;
+      return rpcResult(id, textResult(`❌ ${error.message}`, true));
+    }
+  };
+
+  const methods = {
+    initialize: (id, params) => rpcResult(id, {
+      protocolVersion: (params && params.protocolVersion) || PROTOCOL_VERSION,
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: SERVER_NAME, version: SERVER_VERSION },
+      instructions: `${SERVER_DESCRIPTION} (mock data, seed ${dataset.seed})`
+    }),
+    ping: (id) => rpcResult(id, {}),
+    'tools/list': (id) => rpcResult(id, { tools: catalog }),
+    'tools/call': callTool
+  };
+
+  return {
+    dataset,
+    catalog,
+
+    handle(message) {
+      const kind = messageKind(message);
+      if (kind === 'notification' || kind === 'response') {
+        return null;
+      }
+      if (kind !== 'request') {
+        return rpcError(message && message.id !== undefined ? message.id : null, -32600, 'Invalid Request');
+      }
+      const method = methods[message.method];
+      if (!method) {
+        return rpcError(message.id, -32601, `Method not found: ${message.method}`);
+      }
+      try {
+        return method(message.id, message.params);
+      } catch (error) {
+        return rpcError(message.id, -32603, `Internal error: ${error.message}`);
+      }
+    },
+
+    /**
+     * GET /mcp/health, as the .NET server's McpController answers it
+     */
+    health() {
+      return { status: 'healthy', timestamp: new Date().toISOString(), version: SERVER_VERSION, server: SERVER_NAME, toolsCount: catalog.length, mock: true };
+    },
+
+    /**
+     * GET /mcp/info, as the .NET server's McpController answers it
+     */
+    info() {
+      const toolCategories = {};
+      catalog.forEach((tool) => {
+        (toolCategories[tool.category] = toolCategories[tool.category] || [])
+          .push({ name: tool.name, description: tool.description, requiredPermission: tool.requiredPermission });
+      });
+      return {
+        name: SERVER_NAME,
+        version: SERVER_VERSION,
+        description: SERVER_DESCRIPTION,
+        author: 'Darbot Team',
+        capabilities: { tools: { list: true, call: true }, resources: { list: false, read: false }, prompts: { list: false, get: false } },
+        toolCategories,
+        totalTools: catalog.length,
+        mock: { seed: dataset.seed, now: dataset.now }
+      };
+    }
+  };
+}
+
+/**
+ * Newline-delimited JSON-RPC over stdin/stdout; exits when stdin ends
+ */
+function serveStdio(server, log) {
+  const write = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+  process.stdin.on('data', createLineReader((line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      write(rpcError(null, -32700, 'Parse error'));
+      return;
+    }
+    const response = server.handle(message);
+    if (response) write(response);
+  }));
+  process.stdin.on('end', () => {
+    log('👋 stdin closed, stopping the mock server');
+    process.exit(0);
+  });
+}
+
+/**
+ * POST /mcp, GET /mcp/health and GET /mcp/info on host:port
+ */
+function serveHttp(server, host, port, log) {
+  const send = (res, status, body) => {
+    const text = JSON.stringify(body);
+    res.writeHead(status, { 'content-type': 'application/json', 'content-length': Buffer.byteLength(text) });
+    res.end(text);
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/$/, '');
+    if (req.method === 'GET' && pathname === '/mcp/health') {
+      send(res, 200, server.health());
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/mcp/info') {
+      send(res, 200, server.info());
+      return;
+    }
+    if (req.method !== 'POST' || pathname !== '/mcp') {
+      send(res, 404, { error: `Not found: ${req.method} ${pathname}` });
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      let message;
+      try {
+        message = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch {
+        send(res, 400, rpcError(null, -32700, 'Parse error'));
+        return;
+      }
+      const response = server.handle(message);
+      if (response) {
+        send(res, 200, response);
+      } else {
+        res.writeHead(202);
+        res.end();
+      }
+    });
+  });
+
+  httpServer.on('error', (error) => {
+    log(`❌ Mock server could not listen on ${host}:${port}: ${error.message}`);
+    process.exit(1);
+  });
+  httpServer.listen(port, host, () => log(`🌐 Mock server listening on http://${host}:${port}/mcp`));
+  ['SIGINT', 'SIGTERM'].forEach((signal) => process.on(signal, () => httpServer.close(() => process.exit(0))));
+}
+
+// Started by spawnServer in place of the .NET server: "--stdio" for stdio, HTTP otherwise
+if (require.main === module) {
+  const log = (line) => process.stderr.write(line + '\n');
+  let loaded;
+  try {
+    loaded = loadDataset({ seed: process.env.DARBOT_MOCK_SEED, fixtures: process.env.DARBOT_MOCK_FIXTURES });
+  } catch (error) {
+    log(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (loaded.created) {
+    log(`📝 Wrote mock dataset to ${loaded.file} (edit it to change the data)`);
+  }
+  const server = createMockServer({ dataset: loaded.dataset });
+  log(`🎭 Mock Teams server: ${server.catalog.length} tools, seed ${loaded.dataset.seed}${loaded.file ? `, fixtures ${loaded.file}` : ''}`);
+
+  if (process.argv.includes('--stdio')) {
+    serveStdio(server, log);
+  } else {
+    serveHttp(server, process.env.TEAMS_SERVER_HOST || 'localhost', Number(process.env.TEAMS_SERVER_PORT || 3001), log);
+  }
+}
+
+module.exports = {
+  createMockServer
+};
@@ -0,0 +1,706 @@
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MUTE_DURATIONS = { '1hour': 60 * 60 * 1000, '1day': DAY_MS, '1week': 7 * DAY_MS, permanent: null };
+const TIME_RANGES = { today: 1, week: 7, month: 30 };
+const AGENT_TYPES = { bots: ['bot'], connectors: ['connector'], apps: ['tab', 'messaging-extension'] };
+const APP_TYPES = { tabs: 'tab', bots: 'bot', connectors: 'connector', 'messaging-extensions': 'messaging-extension' };
+
+/**
+ * A tool failure the mock reports as an isError result, like the server's "❌ ..." responses
+ */
+function mockError(message) {
+  const error = new Error(message);
+  error.mock = true;
+  return error;
+}
+
+const lower = (value) => String(value || '').toLowerCase();
+
+/**
+ * Tool implementations over a mock dataset: { <tool name>: (args) => result }. Results are plain
+ * values (sent back as JSON text); every change is made to the dataset, so later calls see it.
+ * random supplies ids for new items, catalog the tool list for teams-help.
+ */
+function createMockTools(dataset, random, catalog = []) {
+  const now = () => dataset.now;
+  const nowMs = () => Date.parse(dataset.now);
+  const fromNow = (ms) => new Date(nowMs() + ms).toISOString();
+
+  const findUser = (idOrEmail) => dataset.users.find((user) => lower(user.email) === lower(idOrEmail) || user.id === idOrEmail ||
+    lower(user.displayName) === lower(idOrEmail));
+  const requireUser = (idOrEmail) => {
+    const user = findUser(idOrEmail);
+    if (!user) throw mockError(`User not found: ${idOrEmail}`);
+    return user;
+  };
+  const owners = () => dataset.users.filter((user) => user.role === 'owner');
+
+  // Channels are found by id or display name; tools without a channelId use General
+  const findChannel = (idOrName) => {
+    if (!idOrName) return dataset.channels[0];
+    const channel = dataset.channels.find((item) => item.id === idOrName || lower(item.displayName) === lower(idOrName));
+    if (!channel) throw mockError(`Channel not found: ${idOrName}`);
+    return channel;
+  };
+  const isGeneral = (channel) => channel === dataset.channels[0];
+
+  const memberView = (user) => ({
+    id: user.id,
+    displayName: user.displayName,
+    email: user.email,
+    role: user.role,
+    jobTitle: user.jobTitle,
+    department: user.department,
+    availability: (dataset.presence[user.email] || {}).availability || 'Offline',
+    muted: Boolean(user.mutedUntil || user.muted)
+  });
+
+  const channelView = (channel) => ({
+    ...channel,
+    messageCount: dataset.messages.filter((message) => message.channelId === channel.id).length,
+    fileCount: dataset.files.filter((file) => file.channelId === channel.id).length
+  });
+
+  const inRange = (iso, from, to) => (!from || iso.slice(0, 10) >= from) && (!to || iso.slice(0, 10) <= to);
+
+  const nextMessageId = () => String(Math.max(nowMs(), ...dataset.messages.map((message) => Number(message.id) || 0)) + 1);
+
+  const displayNameFor = (email) => email.split('@')[0].split(/[._-]/).filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1)).join(' ');
+
+  const tools = {
+    // User management
+
+    'teams-list-members': ({ includeGuests, pageSize }) => {
+      const members = dataset.users.filter((user) => includeGuests || user.role !== 'guest');
+      return { team: dataset.team.displayName, totalCount: members.length, members: members.slice(0, pageSize).map(memberView) };
+    },
+
+    'teams-add-member': ({ userEmail, role }) => {
+      const existing = findUser(userEmail);
+      if (existing) throw mockError(`${userEmail} is already a ${existing.role} of ${dataset.team.displayName}`);
+      const user = {
+        id: random.guid(),
+        displayName: displayNameFor(userEmail),
+        email: userEmail,
+        role,
+        jobTitle: null,
+        department: null,
+        joinedDateTime: now(),
+        lastActivityDateTime: null,
+        mutedUntil: null
+      };
+      dataset.users.push(user);
+      dataset.presence[user.email] = { availability: 'Offline', activity: null, statusMessage: null, expirationTime: null, outOfOffice: false };
+      return { added: memberView(user), team: dataset.team.displayName };
+    },
+
+    'teams-remove-member': ({ userEmail, userId, reason, transferOwnership }) => {
+      if (!userEmail && !userId) throw mockError('Either userEmail or userId is required');
+      const user = requireUser(userEmail || userId);
+      let newOwner = null;
+      if (user.role === 'owner' && owners().length === 1) {
+        const successor = dataset.users.find((item) => item.role === 'member');
+        if (!transferOwnership || !successor) {
+          throw mockError(`${user.email} is the last owner; set transferOwnership to hand the team to another member first`);
+        }
+        successor.role = 'owner';
+        newOwner = successor.email;
+      }
+      dataset.users.splice(dataset.users.indexOf(user), 1);
+      return { removed: memberView(user), reason: reason || null, newOwner };
+    },
+
+    'teams-list-owners': ({ includeContactInfo }) => ({
+      team: dataset.team.displayName,
+      owners: owners().map((user) => (includeContactInfo
+        ? memberView(user)
+        : { id: user.id, displayName: user.displayName, role: user.role }))
+    }),
+
+    'teams-list-guests': ({ includeAccessDetails, sortBy }) => {
+      const keys = { name: 'displayName', email: 'email', joinDate: 'joinedDateTime', lastActivity: 'lastActivityDateTime' };
+      const guests = dataset.users.filter((user) => user.role === 'guest')
+        .sort((a, b) => String(a[keys[sortBy]] || '').localeCompare(String(b[keys[sortBy]] || '')));
+      return {
+        totalCount: guests.length,
+        guests: guests.map((user) => ({
+          ...memberView(user),
+          ...(includeAccessDetails ? {
+            joinedDateTime: user.joinedDateTime,
+            lastActivityDateTime: user.lastActivityDateTime,
+            channelAccess: user.channelAccess || []
+          } : {})
+        }))
+      };
+    },
+
+    'teams-invite-guest': ({ guestEmail, displayName, welcomeMessage, channelAccess = [] }) => {
+      if (findUser(guestEmail)) throw mockError(`${guestEmail} is already in ${dataset.team.displayName}`);
+      const channels = channelAccess.map((id) => findChannel(id));
+      const user = {
+        id: random.guid(),
+        displayName: displayName || displayNameFor(guestEmail),
+        email: guestEmail,
+        role: 'guest',
+        jobTitle: null,
+        department: null,
+        joinedDateTime: now(),
+        lastActivityDateTime: null,
+        mutedUntil: null,
+        invitationStatus: 'pending',
+        channelAccess: channels.map((channel) => channel.displayName)
+      };
+      dataset.users.push(user);
+      return { invited: memberView(user), invitationStatus: 'pending', welcomeMessage: welcomeMessage || null, channelAccess: user.channelAccess };
+    },
+
+    'teams-remove-guest': ({ guestEmail, reason, revokeSharePointAccess }) => {
+      const user = requireUser(guestEmail);
+      if (user.role !== 'guest') throw mockError(`${guestEmail} is a ${user.role}, not a guest; use teams-remove-member`);
+      dataset.users.splice(dataset.users.indexOf(user), 1);
+      return { removed: memberView(user), reason: reason || null, sharePointAccessRevoked: revokeSharePointAccess };
+    },
+
+    'teams-promote-to-owner': ({ userEmail, notifyUser, reason }) => {
+      const user = requireUser(userEmail);
+      if (user.role === 'owner') throw mockError(`${userEmail} is already an owner`);
+      if (user.role === 'guest') throw mockError(`Guests cannot be owners; add ${userEmail} as a member first`);
+      user.role = 'owner';
+      return { promoted: memberView(user), notified: notifyUser, reason: reason || null };
+    },
+
+    'teams-demote-from-owner': ({ userEmail, reason, confirmLastOwner }) => {
+      const user = requireUser(userEmail);
+      if (user.role !== 'owner') throw mockError(`${userEmail} is not an owner`);
+      if (owners().length === 1 && !confirmLastOwner) {
+        throw mockError(`${userEmail} is the last owner; set confirmLastOwner to leave the team without owners`);
+      }
+      user.role = 'member';
+      return { demoted: memberView(user), reason: reason || null, remainingOwners: owners().length };
+    },
+
+    'teams-mute-user': ({ userEmail, duration, reason, channels = [] }) => {
+      const user = requireUser(userEmail);
+      const length = MUTE_DURATIONS[duration];
+      user.mutedUntil = length === null ? 'permanent' : fromNow(length);
+      user.muteReason = reason || null;
+      user.mutedChannels = channels.map((id) => findChannel(id).displayName);
+      return { muted: memberView(user), until: user.mutedUntil, channels: user.mutedChannels.length > 0 ? user.mutedChannels : 'all', reason: reason || null };
+    },
+
+    'teams-unmute-user': ({ userEmail, reason }) => {
+      const user = requireUser(userEmail);
+      if (!user.mutedUntil) throw mockError(`${userEmail} is not muted`);
+      user.mutedUntil = null;
+      delete user.muteReason;
+      delete user.mutedChannels;
+      return { unmuted: memberView(user), reason: reason || null };
+    },
+
+    // Channel management
+
+    'teams-list-channels': ({ includePrivate }) => {
+      const channels = dataset.channels.filter((channel) => includePrivate || channel.membershipType !== 'private');
+      return { team: dataset.team.displayName, totalCount: channels.length, channels: channels.map(channelView) };
+    },
+
+    'teams-create-channel': ({ channelName, description, membershipType, includeAllMembers }) => {
+      if (dataset.channels.some((channel) => lower(channel.displayName) === lower(channelName))) {
+        throw mockError(`A channel named "${channelName}" already exists`);
+      }
+      const channel = {
+        id: random.channelId(),
+        displayName: channelName,
+        description: description || null,
+        membershipType,
+        topic: null,
+        isArchived: false,
+        isLocked: false,
+        createdDateTime: now(),
+        members: membershipType === 'private'
+          ? (includeAllMembers ? dataset.users.filter((user) => user.role !== 'guest') : [requireUser(dataset.currentUser)]).map((user) => user.email)
+          : null
+      };
+      dataset.channels.push(channel);
+      return { created: channelView(channel), team: dataset.team.displayName };
+    },
+
+    'teams-archive-channel': ({ channelId, shouldSetSpoSiteReadOnlyForMembers }) => {
+      const channel = findChannel(channelId);
+      if (isGeneral(channel)) throw mockError('The General channel cannot be archived');
+      if (channel.isArchived) throw mockError(`Channel "${channel.displayName}" is already archived`);
+      channel.isArchived = true;
+      return { archived: channelView(channel), sharePointReadOnly: shouldSetSpoSiteReadOnlyForMembers };
+    },
+
+    'teams-get-channel-info': ({ channelId }) => {
+      const channel = findChannel(channelId);
+      return {
+        ...channelView(channel),
+        pinnedMessages: dataset.messages.filter((message) => message.channelId === channel.id && message.isPinned),
+        tabs: dataset.tabs.filter((tab) => tab.channelId === channel.id)
+      };
+    },
+
+    'teams-get-channel-analytics': ({ channelId, period }) => {
+      const channel = findChannel(channelId);
+      const days = parseInt(period, 10);
+      const since = new Date(nowMs() - days * DAY_MS).toISOString();
+      const messages = dataset.messages.filter((message) => message.channelId === channel.id && message.createdDateTime >= since);
+      const posters = {};
+      messages.forEach((message) => {
+        posters[message.from] = (posters[message.from] || 0) + 1;
+      });
+      return {
+        channel: channel.displayName,
+        period,
+        messageCount: messages.length,
+        activeUsers: Object.keys(posters).length,
+        reactions: messages.reduce((sum, message) => sum + (message.reactions || 0), 0),
+        averageMessagesPerDay: Number((messages.length / days).toFixed(2)),
+        topContributors: Object.entries(posters).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, 3)
+          .map(([email, count]) => ({ email, messages: count }))
+      };
+    },
+
+    'teams-rename-channel': ({ channelId, newName }) => {
+      const channel = findChannel(channelId);
+      if (isGeneral(channel)) throw mockError('The General channel cannot be renamed');
+      if (dataset.channels.some((item) => item !== channel && lower(item.displayName) === lower(newName))) {
+        throw mockError(`A channel named "${newName}" already exists`);
+      }
+      const previousName = channel.displayName;
+      channel.displayName = newName;
+      return { renamed: channelView(channel), previousName };
+    },
+
+    'teams-set-channel-privacy': ({ channelId, membershipType }) => {
+      const channel = findChannel(channelId);
+      if (isGeneral(channel) && membershipType !== 'standard') throw mockError('The General channel must stay standard');
+      const previous = channel.membershipType;
+      channel.membershipType = membershipType;
+      if (membershipType === 'private' && !channel.members) channel.members = [dataset.currentUser];
+      if (membershipType === 'standard') channel.members = null;
+      return { channel: channelView(channel), previousMembershipType: previous };
+    },
+
+    'teams-set-channel-topic': ({ channelId, topic }) => {
+      const channel = findChannel(channelId);
+      channel.topic = topic;
+      return { channel: channelView(channel) };
+    },
+
+    'teams-lock-channel': ({ channelId, reason }) => {
+      const channel = findChannel(channelId);
+      if (channel.isLocked) throw mockError(`Channel "${channel.displayName}" is already locked`);
+      channel.isLocked = true;
+      channel.lockReason = reason || null;
+      return { locked: channelView(channel) };
+    },
+
+    'teams-unlock-channel': ({ channelId }) => {
+      const channel = findChannel(channelId);
+      if (!channel.isLocked) throw mockError(`Channel "${channel.displayName}" is not locked`);
+      channel.isLocked = false;
+      delete channel.lockReason;
+      return { unlocked: channelView(channel) };
+    },
+
+    // Messaging
+
+    'teams-pin-message': ({ messageId, channelId }) => {
+      const message = findMessage(messageId, channelId);
+      if (message.isPinned) throw mockError(`Message ${messageId} is already pinned`);
+      message.isPinned = true;
+      return { pinned: message };
+    },
+
+    'teams-unpin-message': ({ messageId, channelId }) => {
+      const message = findMessage(messageId, channelId);
+      if (!message.isPinned) throw mockError(`Message ${messageId} is not pinned`);
+      message.isPinned = false;
+      return { unpinned: message };
+    },
+
+    'teams-search-messages': ({ query, channelId, fromUser, dateFrom, dateTo, maxResults }) => {
+      const channel = channelId ? findChannel(channelId) : null;
+      const sender = fromUser ? requireUser(fromUser) : null;
+      const matches = dataset.messages.filter((message) => lower(message.body).includes(lower(query)) &&
+        (!channel || message.channelId === channel.id) &&
+        (!sender || message.from === sender.email) &&
+        inRange(message.createdDateTime, dateFrom, dateTo));
+      return { query, totalCount: matches.length, messages: matches.slice(0, maxResults) };
+    },
+
+    'teams-send-announcement': ({ title, message, channels = [], priority, notifyAll }) => {
+      const targets = channels.length > 0 ? channels.map((id) => findChannel(id)) : [dataset.channels[0]];
+      const posted = targets.map((channel) => {
+        if (channel.isArchived) throw mockError(`Channel "${channel.displayName}" is archived`);
+        const item = {
+          id: nextMessageId(),
+          channelId: channel.id,
+          from: dataset.currentUser,
+          body: `📢 ${title}\n\n${message}`,
+          createdDateTime: now(),
+          isPinned: false,
+          reactions: 0,
+          importance: priority
+        };
+        dataset.messages.push(item);
+        return item;
+      });
+      return { title, priority, notifiedEveryone: notifyAll, postedTo: targets.map((channel) => channel.displayName), messages: posted };
+    },
+
+    'teams-export-messages': ({ channelId, dateFrom, dateTo, format, includeReactions }) => {
+      const channel = findChannel(channelId);
+      const messages = dataset.messages.filter((message) => message.channelId === channel.id && inRange(message.createdDateTime, dateFrom, dateTo))
+        .map(({ reactions, ...message }) => (includeReactions ? { ...message, reactions } : message));
+      let content = messages;
+      if (format === 'csv') {
+        const columns = Object.keys(messages[0] || { id: '', from: '', createdDateTime: '', body: '' });
+        content = [columns.join(','), ...messages.map((message) => columns.map((key) => JSON.stringify(String(message[key] ?? ''))).join(','))].join('\n');
+      } else if (format === 'html') {
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        content = `<h1>${escape(channel.displayName)}</h1>\n${messages.map((message) => `<p><b>${escape(message.from)}</b> ${escape(message.createdDateTime)}<br>${escape(message.body)}</p>`).join('\n')}`;
+      }
+      return { channel: channel.displayName, format, messageCount: messages.length, content };
+    },
+
+    // Files
+
+    'teams-upload-file': ({ filePath, fileName, channelId, description, overwrite }) => {
+      const channel = findChannel(channelId);
+      const name = fileName || path.basename(filePath);
+      const existing = dataset.files.find((file) => file.channelId === channel.id && lower(file.name) === lower(name));
+      if (existing && !overwrite) throw mockError(`${name} already exists in ${channel.displayName}; set overwrite to replace it`);
+      const file = existing || {
+        id: random.guid(),
+        channelId: channel.id,
+        name,
+        folderPath: `/${channel.displayName}`,
+        createdBy: dataset.currentUser,
+        createdDateTime: now()
+      };
+      Object.assign(file, {
+        size: random.int(8, 2048) * 1024,
+        fileType: name.includes('.') ? name.split('.').pop() : null,
+        modifiedDateTime: now(),
+        description: description || null
+      });
+      if (!existing) dataset.files.push(file);
+      return { uploaded: file, source: filePath, replaced: Boolean(existing) };
+    },
+
+    'teams-download-file': ({ fileId, fileName, downloadPath, channelId }) => {
+      const file = findFile(fileId, fileName, channelId);
+      return {
+        file,
+        downloadUrl: `https://contoso.sharepoint.com/sites/team/Shared%20Documents${encodeURI(file.folderPath)}/${encodeURIComponent(file.name)}`,
+        savedTo: path.join(downloadPath || '.', file.name),
+        note: 'Mock mode: nothing was written to disk'
+      };
+    },
+
+    'teams-delete-file': ({ fileId, fileName, channelId, reason, permanentDelete }) => {
+      const file = findFile(fileId, fileName, channelId);
+      dataset.files.splice(dataset.files.indexOf(file), 1);
+      return { deleted: file, permanent: permanentDelete, reason: reason || null };
+    },
+
+    'teams-list-files': ({ channelId, folderPath, fileType, sortBy, sortOrder, maxResults }) => {
+      const channel = channelId ? findChannel(channelId) : null;
+      const keys = { name: 'name', size: 'size', modified: 'modifiedDateTime', created: 'createdDateTime' };
+      const direction = sortOrder === 'asc' ? 1 : -1;
+      const files = dataset.files.filter((file) => (!channel || file.channelId === channel.id) &&
+        (!folderPath || lower(file.folderPath).startsWith(lower(folderPath))) &&
+        (!fileType || lower(file.fileType) === lower(fileType).replace(/^\./, '')))
+        .sort((a, b) => direction * (typeof a[keys[sortBy]] === 'number' ? a[keys[sortBy]] - b[keys[sortBy]] : String(a[keys[sortBy]]).localeCompare(String(b[keys[sortBy]]))));
+      return { totalCount: files.length, files: files.slice(0, maxResults) };
+    },
+
+    // Meetings
+
+    'teams-schedule-meeting': ({ title, startDateTime, durationMinutes, description, attendees = [], isRecurring, recurrencePattern, channelId }) => {
+      if (Number.isNaN(Date.parse(startDateTime))) throw mockError(`Invalid startDateTime: ${startDateTime}`);
+      if (isRecurring && !recurrencePattern) throw mockError('recurrencePattern is required for recurring meetings');
+      const meeting = {
+        id: random.guid(),
+        title,
+        description: description || null,
+        startDateTime: new Date(startDateTime).toISOString(),
+        durationMinutes,
+        organizer: dataset.currentUser,
+        attendees,
+        isRecurring,
+        recurrencePattern: isRecurring ? recurrencePattern : null,
+        channelId: channelId ? findChannel(channelId).id : null,
+        status: 'scheduled',
+        joinUrl: `https://teams.microsoft.com/l/meetup-join/${random.hex(24)}`
+      };
+      dataset.meetings.push(meeting);
+      return { scheduled: meeting };
+    },
+
+    'teams-cancel-meeting': ({ meetingId, reason, notifyAttendees, customMessage }) => {
+      const meeting = dataset.meetings.find((item) => item.id === meetingId);
+      if (!meeting) throw mockError(`Meeting not found: ${meetingId}`);
+      if (meeting.status === 'cancelled') throw mockError(`Meeting "${meeting.title}" is already cancelled`);
+      meeting.status = 'cancelled';
+      return { cancelled: meeting, reason: reason || null, notified: notifyAttendees ? meeting.attendees : [], message: customMessage || null };
+    },
+
+    'teams-list-meetings': ({ timeRange, includeRecurring, onlyOrganized, channelId, maxResults }) => {
+      const channel = channelId ? findChannel(channelId) : null;
+      const until = fromNow(TIME_RANGES[timeRange] * DAY_MS);
+      const meetings = dataset.meetings.filter((meeting) => meeting.status !== 'cancelled' &&
+        meeting.startDateTime >= now() && meeting.startDateTime < until &&
+        (includeRecurring || !meeting.isRecurring) &&
+        (!onlyOrganized || meeting.organizer === dataset.currentUser) &&
+        (!channel || meeting.channelId === channel.id))
+        .sort((a, b) => a.startDateTime.localeCompare(b.startDateTime));
+      return { timeRange, totalCount: meetings.length, meetings: meetings.slice(0, maxResults) };
+    },
+
+    // Tasks and polls
+
+    'teams-assign-task': ({ taskTitle, assignedTo, description, dueDate, priority, channelId }) => {
+      const assignee = requireUser(assignedTo);
+      if (dueDate && Number.isNaN(Date.parse(dueDate))) throw mockError(`Invalid dueDate: ${dueDate}`);
+      const task = {
+        id: random.guid(),
+        title: taskTitle,
+        description: description || null,
+        assignedTo: assignee.email,
+        assignedBy: dataset.currentUser,
+        priority,
+        status: 'pending',
+        dueDate: dueDate ? dueDate.slice(0, 10) : null,
+        channelId: findChannel(channelId).id,
+        createdDateTime: now(),
+        completedDateTime: null,
+        completionNotes: null
+      };
+      dataset.tasks.push(task);
+      return { assigned: task };
+    },
+
+    'teams-complete-task': ({ taskId, completionNotes, notifyAssigner }) => {
+      const task = dataset.tasks.find((item) => item.id === taskId);
+      if (!task) throw mockError(`Task not found: ${taskId}`);
+      if (task.status === 'completed') throw mockError(`Task "${task.title}" is already completed`);
+      Object.assign(task, { status: 'completed', completedDateTime: now(), completionNotes: completionNotes || null });
+      return { completed: task, notified: notifyAssigner ? task.assignedBy : null };
+    },
+
+    'teams-list-tasks': ({ filter, assignedTo, priority, limit }) => {
+      const today = now().slice(0, 10);
+      const assignee = assignedTo ? requireUser(assignedTo) : null;
+      const filters = {
+        all: () => true,
+        pending: (task) => task.status === 'pending',
+        completed: (task) => task.status === 'completed',
+        overdue: (task) => task.status === 'pending' && task.dueDate && task.dueDate < today,
+        'my-tasks': (task) => task.assignedTo === dataset.currentUser
+      };
+      const tasks = dataset.tasks.filter((task) => filters[filter](task) &&
+        (!assignee || task.assignedTo === assignee.email) &&
+        (!priority || task.priority === priority));
+      return { filter, totalCount: tasks.length, tasks: tasks.slice(0, limit) };
+    },
+
+    'teams-start-poll': ({ question, options, channelId, allowMultipleChoices, anonymousVoting, durationHours }) => {
+      if (options.length < 2) throw mockError('A poll needs at least two options');
+      const poll = {
+        id: random.guid(),
+        question,
+        channelId: findChannel(channelId).id,
+        createdBy: dataset.currentUser,
+        createdDateTime: now(),
+        closesDateTime: fromNow(durationHours * 60 * 60 * 1000),
+        allowMultipleChoices,
+        anonymousVoting,
+        options: options.map((text) => ({ text, voters: [] }))
+      };
+      dataset.polls.push(poll);
+      return { started: poll };
+    },
+
+    'teams-show-poll-results': ({ pollId, includeVoterDetails, includeStatistics }) => {
+      const poll = dataset.polls.find((item) => item.id === pollId);
+      if (!poll) throw mockError(`Poll not found: ${pollId}`);
+      const total = poll.options.reduce((sum, option) => sum + option.voters.length, 0);
+      const results = poll.options.map((option) => ({
+        option: option.text,
+        votes: option.voters.length,
+        ...(includeStatistics ? { percentage: total ? Math.round((option.voters.length / total) * 100) : 0 } : {}),
+        ...(includeVoterDetails && !poll.anonymousVoting ? { voters: option.voters } : {})
+      }));
+      const top = Math.max(...results.map((result) => result.votes));
+      return {
+        question: poll.question,
+        status: poll.closesDateTime <= now() ? 'closed' : 'open',
+        totalVotes: total,
+        leading: total ? results.filter((result) => result.votes === top).map((result) => result.option) : [],
+        results
+      };
+    },
+
+    // Integrations
+
+    'teams-add-agent': ({ agentId, agentName, channelId, permissions, welcomeMessage }) => {
+      if (dataset.apps.some((app) => app.id === agentId)) throw mockError(`Agent ${agentId} is already installed`);
+      const app = {
+        id: agentId,
+        installationId: random.guid(),
+        name: agentName,
+        type: 'bot',
+        permissions,
+        status: 'active',
+        installedDateTime: now(),
+        channelId: channelId ? findChannel(channelId).id : null
+      };
+      dataset.apps.push(app);
+      return { installed: app, welcomeMessage: welcomeMessage || null };
+    },
+
+    'teams-remove-bot': ({ agentId, installationId, removeData, reason }) => {
+      const app = dataset.apps.find((item) => item.id === agentId || (installationId && item.installationId === installationId));
+      if (!app) throw mockError(`Agent not found: ${agentId}`);
+      dataset.apps.splice(dataset.apps.indexOf(app), 1);
+      return { removed: app, dataRemoved: removeData, reason: reason || null };
+    },
+
+    'teams-list-agents': ({ includeInactive, agentType, includePermissions }) => {
+      const types = AGENT_TYPES[agentType];
+      const agents = dataset.apps.filter((app) => (includeInactive || app.status === 'active') && (!types || types.includes(app.type)))
+        .map(({ permissions, ...app }) => (includePermissions ? { ...app, permissions } : app));
+      return { totalCount: agents.length, agents };
+    },
+
+    'teams-add-tab': ({ channelId, appId, tabName, contentUrl, websiteUrl, configuration }) => {
+      const channel = findChannel(channelId);
+      if (dataset.tabs.some((tab) => tab.channelId === channel.id && lower(tab.name) === lower(tabName))) {
+        throw mockError(`A tab named "${tabName}" already exists in ${channel.displayName}`);
+      }
+      const tab = { id: random.guid(), channelId: channel.id, appId, name: tabName, contentUrl: contentUrl || null, websiteUrl: websiteUrl || null, configuration: configuration || null };
+      dataset.tabs.push(tab);
+      return { added: tab, channel: channel.displayName };
+    },
+
+    'teams-remove-tab': ({ channelId, tabId, tabName, reason }) => {
+      const channel = findChannel(channelId);
+      if (!tabId && !tabName) throw mockError('Either tabId or tabName is required');
+      const tab = dataset.tabs.find((item) => item.channelId === channel.id && (item.id === tabId || (tabName && lower(item.name) === lower(tabName))));
+      if (!tab) throw mockError(`Tab not found in ${channel.displayName}: ${tabId || tabName}`);
+      dataset.tabs.splice(dataset.tabs.indexOf(tab), 1);
+      return { removed: tab, channel: channel.displayName, reason: reason || null };
+    },
+
+    'teams-list-apps': ({ includeChannelTabs, includeTeamApps, channelId, appType }) => {
+      const channel = channelId ? findChannel(channelId) : null;
+      const type = APP_TYPES[appType];
+      return {
+        apps: includeTeamApps ? dataset.apps.filter((app) => !type || app.type === type) : [],
+        tabs: includeChannelTabs && (!type || type === 'tab') ? dataset.tabs.filter((tab) => !channel || tab.channelId === channel.id) : []
+      };
+    },
+
+    // Presence and notifications
+
+    'teams-get-status': ({ userId, includeDetails, includeActivity, includeOutOfOffice }) => {
+      const user = requireUser(userId || dataset.currentUser);
+      const presence = dataset.presence[user.email] || { availability: 'Offline' };
+      return {
+        user: user.displayName,
+        email: user.email,
+        availability: presence.availability,
+        ...(includeActivity ? { activity: presence.activity || presence.availability } : {}),
+        ...(includeDetails ? { statusMessage: presence.statusMessage, expirationTime: presence.expirationTime, lastActivityDateTime: user.lastActivityDateTime } : {}),
+        ...(includeOutOfOffice ? { outOfOffice: Boolean(presence.outOfOffice) } : {})
+      };
+    },
+
+    'teams-set-status': ({ availability, statusMessage, expirationTime, activity }) => {
+      if (expirationTime && Number.isNaN(Date.parse(expirationTime))) throw mockError(`Invalid expirationTime: ${expirationTime}`);
+      const presence = dataset.presence[dataset.currentUser] || {};
+      Object.assign(presence, { availability, activity: activity || null, statusMessage: statusMessage || null, expirationTime: expirationTime || null });
+      dataset.presence[dataset.currentUser] = presence;
+      return { user: dataset.currentUser, ...presence };
+    },
+
+    'teams-set-notification': ({ scope, channelId, notificationType, alertStyle, quietHours, keywords }) => {
+      if (scope === 'channel' && !channelId) throw mockError('channelId is required when scope is "channel"');
+      const channel = scope === 'channel' ? findChannel(channelId) : null;
+      const setting = { scope, channelId: channel ? channel.id : null, notificationType, alertStyle, quietHours: quietHours || null, keywords: keywords || [] };
+      const index = dataset.notificationSettings.findIndex((item) => item.scope === scope && item.channelId === setting.channelId);
+      if (index === -1) {
+        dataset.notificationSettings.push(setting);
+      } else {
+        dataset.notificationSettings[index] = setting;
+      }
+      return { saved: setting, channel: channel ? channel.displayName : null };
+    },
+
+    // Team and support
+
+    'teams-get-info': () => ({
+      ...dataset.team,
+      currentUser: dataset.currentUser,
+      memberCount: dataset.users.filter((user) => user.role !== 'guest').length,
+      guestCount: dataset.users.filter((user) => user.role === 'guest').length,
+      owners: owners().map((user) => user.email),
+      channelCount: dataset.channels.filter((channel) => !channel.isArchived).length
+    }),
+
+    'teams-help': ({ category }) => {
+      const tools = catalog.filter((tool) => !category || tool.category === category);
+      const categories = {};
+      tools.forEach((tool) => {
+        (categories[tool.category] = categories[tool.category] || []).push({ name: tool.name, description: tool.description });
+      });
+      return { totalTools: tools.length, categories };
+    },
+
+    'teams-report-issue': ({ title, description, priority, category, contactEmail, attachments = [] }) => {
+      const issue = {
+        id: `ISSUE-${1001 + dataset.issues.length}`,
+        title,
+        description,
+        priority,
+        category,
+        contactEmail: contactEmail || dataset.currentUser,
+        attachments,
+        status: 'open',
+        createdDateTime: now()
+      };
+      dataset.issues.push(issue);
+      return { reported: issue };
+    }
+  };
+
+  function findMessage(messageId, channelId) {
+    const channel = channelId ? findChannel(channelId) : null;
+    const message = dataset.messages.find((item) => item.id === messageId && (!channel || item.channelId === channel.id));
+    if (!message) throw mockError(`Message not found: ${messageId}`);
+    return message;
+  }
+
+  function findFile(fileId, fileName, channelId) {
+    if (!fileId && !fileName) throw mockError('Either fileId or fileName is required');
+    const channel = channelId ? findChannel(channelId) : null;
+    const file = dataset.files.find((item) => (item.id === fileId || (fileName && lower(item.name) === lower(fileName))) &&
+      (!channel || item.channelId === channel.id));
+    if (!file) throw mockError(`File not found: ${fileId || fileName}`);
+    return file;
+  }
+
+  return tools;
+}
+
+module.exports = {
+  mockError,
+  createMockTools
+};
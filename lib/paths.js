@@ -0,0 +1,68 @@
+const os = require('os');
+const path = require('path');
+
+const APP_NAME = 'darbot-teams-mcp';
+
+/**
+ * Per-user cache directory (DARBOT_CACHE_DIR overrides the platform default)
+ */
+function cacheDir() {
+  if (process.env.DARBOT_CACHE_DIR) {
+    return path.resolve(process.env.DARBOT_CACHE_DIR);
+  }
+
+  const home = os.homedir();
+  switch (process.platform) {
+    case 'win32':
+      return path.join(process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'), APP_NAME, 'Cache');
+    case 'darwin':
+      return path.join(home, 'Library', 'Caches', APP_NAME);
+    default:
+      return path.join(process.env.XDG_CACHE_HOME || path.join(home, '.cache'), APP_NAME);
+  }
+}
+
+/**
+ * Per-user configuration directory (DARBOT_CONFIG_DIR overrides the platform default)
+ */
+function configDir() {
+  if (process.env.DARBOT_CONFIG_DIR) {
+    return path.resolve(process.env.DARBOT_CONFIG_DIR);
+  }
+
+  const home = os.homedir();
+  switch (process.platform) {
+    case 'win32':
+      return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), APP_NAME);
+    case 'darwin':
+      return path.join(home, 'Library', 'Application Support', APP_NAME);
+    default:
+      return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), APP_NAME);
+  }
+}
+
+/**
+ * Per-user directory for runtime state such as PID files (DARBOT_STATE_DIR overrides the platform default)
+ */
+function stateDir() {
+  if (process.env.DARBOT_STATE_DIR) {
+    return path.resolve(process.env.DARBOT_STATE_DIR);
+  }
+
+  const home = os.homedir();
+  switch (process.platform) {
+    case 'win32':
+      return path.join(process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'), APP_NAME, 'State');
+    case 'darwin':
+      return path.join(home, 'Library', 'Application Support', APP_NAME);
+    default:
+      return path.join(process.env.XDG_STATE_HOME || path.join(home, '.local', 'state'), APP_NAME);
+  }
+}
+
+module.exports = {
+  APP_NAME,
+  cacheDir,
+  configDir,
+  stateDir
+};
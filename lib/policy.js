@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { messageKind } = require('./mcp-connection');
+
+// DARBOT_POLICY value (or --policy) that selects the built-in read-only preset instead of a file
+const READ_ONLY_PRESET = 'read-only';
+
+// Tools that only read; the read-only preset hides everything else
+const READ_ONLY_TOOLS = [
+  'teams-list-*',
+  'teams-get-*',
+  'teams-search-*',
+  'teams-show-*',
+  'teams-download-*',
+  'teams-export-*',
+  'teams-help'
+];
+
+// JSON-RPC error codes for calls the launcher refuses (implementation-defined server error range)
+const POLICY_DENIED = -32001;
+const RATE_LIMITED = -32002;
+
+const RATE_WINDOW_MS = 60000;
+const POLICY_KEYS = ['allow', 'deny', 'readOnly', 'rateLimits'];
+
+const isEnabled = (value) => /^(1|true|yes|on)$/i.test(String(value || '').trim());
+
+/**
+ * Matches a tool name against a glob such as teams-remove-* (case-insensitive)
+ */
+function globMatcher(glob) {
+  const pattern = new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i');
+  return (name) => pattern.test(name);
+}
+
+/**
+ * Checks a policy definition: { allow: [globs], deny: [globs], readOnly, rateLimits: { glob: calls per minute } }
+ */
+function validatePolicy(definition, source) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${source}: a policy is a JSON object`);
+  }
+  const unknown = Object.keys(definition).filter((key) => !POLICY_KEYS.includes(key) && key !== '$schema' && key !== 'description');
+  if (unknown.length > 0) {
+    throw new Error(`${source}: unknown policy key ${unknown.join(', ')} (expected ${POLICY_KEYS.join(', ')})`);
+  }
+  ['allow', 'deny'].forEach((key) => {
+    const value = definition[key];
+    if (value !== undefined && (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || item === ''))) {
+      throw new Error(`${source}: "${key}" must be a list of tool names or globs`);
+    }
+  });
+  if (definition.readOnly !== undefined && typeof definition.readOnly !== 'boolean') {
+    throw new Error(`${source}: "readOnly" must be true or false`);
+  }
+  const limits = definition.rateLimits;
+  if (limits !== undefined) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      throw new Error(`${source}: "rateLimits" must map tool names or globs to calls per minute`);
+    }
+    for (const [glob, limit] of Object.entries(limits)) {
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error(`${source}: rate limit for "${glob}" must be a positive number of calls per minute`);
+      }
+    }
+  }
+  return definition;
+}
+
+/**
+ * Reads a policy: the read-only preset, or a JSON policy file
+ */
+function readPolicy(spec) {
+  if (spec === READ_ONLY_PRESET) {
+    return { name: READ_ONLY_PRESET, definition: { readOnly: true } };
+  }
+  const file = path.resolve(spec);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Policy file not found: ${file} (or use --policy ${READ_ONLY_PRESET})`);
+  }
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot parse policy ${file}: ${error.message}`);
+  }
+  return { name: file, definition: validatePolicy(definition, file) };
+}
+
+/**
+ * Tool policy enforced by the launcher between the client and the server. A tool is available
+ * when it matches allow (if given), matches no deny glob and, with readOnly, is a read tool.
+ * Unavailable tools are left out of tools/list and their calls are refused with POLICY_DENIED;
+ * calls beyond a tool's rate limit (per tool, over a sliding minute) get RATE_LIMITED.
+ */
+function createPolicy(definition, options = {}) {
+  validatePolicy(definition, options.name || 'policy');
+  const now = options.now || Date.now;
+  const allow = definition.allow ? definition.allow.map(globMatcher) : null;
+  const deny = (definition.deny || []).map(globMatcher);
+  const readOnly = definition.readOnly ? READ_ONLY_TOOLS.map(globMatcher) : null;
+  // Exact names win over globs; globs are tried in file order
+  const limits = Object.entries(definition.rateLimits || {})
+    .sort(([a], [b]) => Number(a.includes('*')) - Number(b.includes('*')))
+    .map(([glob, limit]) => ({ glob, limit, matches: globMatcher(glob) }));
+  const calls = new Map();
+
+  const allows = (name) => (!allow || allow.some((match) => match(name))) &&
+    !deny.some((match) => match(name)) &&
+    (!readOnly || readOnly.some((match) => match(name)));
+
+  const refuse = (request, code, message, data) => ({ jsonrpc: '2.0', id: request.id, error: { code, message, data } });
+
+  return {
+    name: options.name || 'policy',
+    definition,
+    allows,
+
+    /**
+     * The JSON-RPC error to answer a request with, or null to let it through. Counts allowed
+     * tools/call requests towards the rate limits.
+     */
+    screen(request) {
+      if (messageKind(request) !== 'request' || request.method !== 'tools/call') {
+        return null;
+      }
+      const name = request.params && typeof request.params.name === 'string' ? request.params.name : '';
+      if (!allows(name)) {
+        return refuse(request, POLICY_DENIED, `Tool ${name} is blocked by the launcher policy${definition.readOnly ? ' (read-only)' : ''}`, { tool: name, reason: 'denied' });
+      }
+
+      const rule = limits.find((item) => item.matches(name));
+      if (!rule) {
+        return null;
+      }
+      const time = now();
+      const recent = (calls.get(name) || []).filter((started) => time - started < RATE_WINDOW_MS);
+      if (recent.length >= rule.limit) {
+        calls.set(name, recent);
+        const retryAfterMs = RATE_WINDOW_MS - (time - recent[0]);
+        return refuse(request, RATE_LIMITED, `Rate limit for ${name} reached (${rule.limit} calls per minute); retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+          { tool: name, reason: 'rate-limited', limit: rule.limit, retryAfterMs });
+      }
+      calls.set(name, [...recent, time]);
+      return null;
+    },
+
+    /**
+     * A response as the client should see it: tools/list results without the unavailable tools
+     */
+    filterResponse(method, response) {
+      if (method !== 'tools/list' || !response || !response.result || !Array.isArray(response.result.tools)) {
+        return response;
+      }
+      return { ...response, result: { ...response.result, tools: response.result.tools.filter((tool) => tool && allows(tool.name)) } };
+    },
+
+    /**
+     * One line for the launcher log
+     */
+    describe() {
+      const parts = [];
+      if (definition.readOnly) parts.push('read-only');
+      if (allow) parts.push(`allow ${definition.allow.join(', ')}`);
+      if (deny.length > 0) parts.push(`deny ${definition.deny.join(', ')}`);
+      if (limits.length > 0) parts.push(`rate limits ${limits.map((item) => `${item.glob} ${item.limit}/min`).join(', ')}`);
+      return parts.length > 0 ? parts.join('; ') : 'no restrictions';
+    }
+  };
+}
+
+/**
+ * The policy selected by DARBOT_POLICY (a file or "read-only") and DARBOT_READ_ONLY, or null
+ */
+function policyFromEnv(env = process.env) {
+  const spec = (env.DARBOT_POLICY || '').trim();
+  const readOnly = isEnabled(env.DARBOT_READ_ONLY);
+  if (!spec && !readOnly) {
+    return null;
+  }
+  const { name, definition } = spec ? readPolicy(spec) : { name: READ_ONLY_PRESET, definition: {} };
+  return createPolicy(readOnly ? { ...definition, readOnly: true } : definition, { name });
+}
+
+module.exports = {
+  READ_ONLY_PRESET,
+  READ_ONLY_TOOLS,
+  POLICY_DENIED,
+  RATE_LIMITED,
+  readPolicy,
+  createPolicy,
+  policyFromEnv
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { configDir } = require('./paths');
+const { writeFileAtomic } = require('./config-file');
+const { SERVER_NAME } = require('./mcp-clients');
+const { READ_ONLY_PRESET, readPolicy } = require('./policy');
+
+// Public client ID of the Azure CLI, also the default of the server itself
+const DEFAULT_CLIENT_ID = '04b07795-8ddb-461a-bbee-02f9e1bf7b46';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+function profilesFile() {
+  return path.join(configDir(), 'profiles.json');
+}
+
+/**
+ * Reads the profile store: { current, profiles: { <name>: { tenantId, clientId, simulation, requireAuth, policy } } }
+ */
+function loadProfiles() {
+  const file = profilesFile();
+  if (!fs.existsSync(file)) {
+    return { current: null, profiles: {} };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot parse ${file} (${error.message}) - fix or delete the file`);
+  }
+  return {
+    current: data.current || null,
+    profiles: data.profiles && typeof data.profiles === 'object' ? data.profiles : {}
+  };
+}
+
+function saveProfiles(store) {
+  const file = profilesFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  writeFileAtomic(file, JSON.stringify(store, null, 2) + '\n');
+}
+
+function validateName(name) {
+  if (!name || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid profile name "${name || ''}" (use letters, digits and dashes, e.g. contoso)`);
+  }
+}
+
+/**
+ * Tenants are a directory GUID, a verified domain (contoso.onmicrosoft.com) or "organizations"/"common"
+ */
+function validateTenant(tenantId) {
+  if (!tenantId) {
+    throw new Error('A tenant is required (--tenant <tenant-id or domain>)');
+  }
+  if (!GUID_PATTERN.test(tenantId) && !DOMAIN_PATTERN.test(tenantId) && !['common', 'organizations'].includes(tenantId)) {
+    throw new Error(`Invalid tenant "${tenantId}" (expected a GUID or a domain such as contoso.onmicrosoft.com)`);
+  }
+}
+
+/**
+ * Adds a profile (or replaces it with force). The first profile added becomes the current one.
+ */
+function addProfile(name, fields, options = {}) {
+  validateName(name);
+  validateTenant(fields.tenantId);
+  if (fields.clientId && !GUID_PATTERN.test(fields.clientId)) {
+    throw new Error(`Invalid client ID "${fields.clientId}" (expected an application GUID)`);
+  }
+
+  if (fields.policy) {
+    // Checked now so a typo does not surface only when a client starts the server
+    readPolicy(fields.policy);
+  }
+
+  const store = loadProfiles();
+  if (store.profiles[name] && !options.force) {
+    throw new Error(`Profile "${name}" already exists (use --force to replace it)`);
+  }
+
+  const profile = {
+    tenantId: fields.tenantId,
+    clientId: fields.clientId || DEFAULT_CLIENT_ID,
+    simulation: fields.simulation === undefined ? false : Boolean(fields.simulation),
+    requireAuth: fields.requireAuth === undefined ? true : Boolean(fields.requireAuth),
+    ...(fields.policy ? { policy: fields.policy === READ_ONLY_PRESET ? READ_ONLY_PRESET : path.resolve(fields.policy) } : {}),
+    createdAt: new Date().toISOString()
+  };
+  store.profiles[name] = profile;
+  if (!store.current) {
+    store.current = name;
+  }
+  saveProfiles(store);
+  return { name, ...profile, current: store.current === name };
+}
+
+function removeProfile(name) {
+  const store = loadProfiles();
+  if (!store.profiles[name]) {
+    throw new Error(`No profile named "${name}"`);
+  }
+  delete store.profiles[name];
+  if (store.current === name) {
+    store.current = null;
+  }
+  saveProfiles(store);
+}
+
+function useProfile(name) {
+  const store = loadProfiles();
+  if (!store.profiles[name]) {
+    throw new Error(`No profile named "${name}"${profileHint(store, name)}`);
+  }
+  store.current = name;
+  saveProfiles(store);
+}
+
+function profileHint(store, name) {
+  const names = Object.keys(store.profiles);
+  if (names.length === 0) {
+    return ' - create one with: npx darbot-teams-mcp profile add <name> --tenant <tenant-id>';
+  }
+  const close = names.find((candidate) => candidate.toLowerCase() === String(name).toLowerCase());
+  return close ? ` (did you mean ${close}?)` : ` (profiles: ${names.join(', ')})`;
+}
+
+/**
+ * Profiles as a list, current one flagged
+ */
+function listProfiles() {
+  const store = loadProfiles();
+  return Object.entries(store.profiles).map(([name, profile]) => ({ name, ...profile, current: store.current === name }));
+}
+
+/**
+ * The named profile, or the current one when name is omitted (null if there is none)
+ */
+function resolveProfile(name) {
+  const store = loadProfiles();
+  const selected = name || store.current;
+  if (!selected) {
+    return null;
+  }
+  if (!store.profiles[selected]) {
+    throw new Error(`No profile named "${selected}"${profileHint(store, selected)}`);
+  }
+  return { name: selected, ...store.profiles[selected] };
+}
+
+/**
+ * Server environment variables for a profile
+ */
+function profileEnv(profile) {
+  return {
+    TEAMS_TENANT_ID: profile.tenantId,
+    TEAMS_CLIENT_ID: profile.clientId || DEFAULT_CLIENT_ID,
+    TEAMS_SIMULATION_MODE: String(Boolean(profile.simulation)),
+    TEAMS_REQUIRE_AUTHENTICATION: String(profile.requireAuth !== false),
+    ...(profile.policy ? { DARBOT_POLICY: profile.policy } : {})
+  };
+}
+
+/**
+ * Client configuration entry name for a profile: darbot-teams-<profile>
+ */
+function profileServerName(name) {
+  return `${SERVER_NAME}-${name.toLowerCase()}`;
+}
+
+module.exports = {
+  DEFAULT_CLIENT_ID,
+  profilesFile,
+  loadProfiles,
+  validateTenant,
+  addProfile,
+  removeProfile,
+  useProfile,
+  listProfiles,
+  resolveProfile,
+  profileEnv,
+  profileServerName
+};
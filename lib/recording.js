@@ -0,0 +1,211 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const RECORDING_FORMAT = 'darbot-teams-mcp-recording';
+const RECORDING_VERSION = 1;
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Who sent a recorded message
+const CLIENT_TO_SERVER = 'client-to-server';
+const SERVER_TO_CLIENT = 'server-to-client';
+
+/**
+ * Starts a session recording: a JSONL file whose first line is a header ({ format, version,
+ * transport, startedAt, ignore }) followed by one { time, direction, message } line per JSON-RPC
+ * message. Lines are appended synchronously so a crash loses nothing. An existing file is replaced.
+ */
+function createRecorder(file, options = {}) {
+  const target = path.resolve(file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const header = {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    transport: options.transport || 'stdio',
+    startedAt: new Date().toISOString(),
+    // Extra ignore rules for replay; edit the file to add rules for a fixture
+    ignore: []
+  };
+  fs.writeFileSync(target, JSON.stringify(header) + '\n');
+  let count = 0;
+
+  return {
+    file: target,
+
+    /**
+     * Appends a message; text that is not JSON is kept as { raw } so malformed input can be replayed too
+     */
+    record(direction, message) {
+      const entry = typeof message === 'string' ? { raw: message } : { message };
+      fs.appendFileSync(target, JSON.stringify({ time: new Date().toISOString(), direction, ...entry }) + '\n');
+      count++;
+    },
+
+    get count() {
+      return count;
+    }
+  };
+}
+
+/**
+ * Reads a recording into { header, entries }
+ */
+function readRecording(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Recording not found: ${file}`);
+  }
+
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  let header = null;
+  const entries = [];
+  lines.forEach((line, index) => {
+    if (line.trim() === '') return;
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: not valid JSON (${error.message})`);
+    }
+    if (value && value.format === RECORDING_FORMAT) {
+      header = value;
+    } else if (value && (value.direction === CLIENT_TO_SERVER || value.direction === SERVER_TO_CLIENT)) {
+      entries.push({ ...value, line: index + 1 });
+    } else {
+      throw new Error(`${file}:${index + 1}: expected a recorded message ({ time, direction, message })`);
+    }
+  });
+
+  if (!header) {
+    throw new Error(`${file} is not a session recording (no ${RECORDING_FORMAT} header)`);
+  }
+  if (header.version > RECORDING_VERSION) {
+    throw new Error(`${file} is a version ${header.version} recording; this launcher reads version ${RECORDING_VERSION}`);
+  }
+  return { header, entries };
+}
+
+function readBody(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        stream.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+const parseBody = (buffer) => {
+  const text = buffer.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * HTTP proxy in front of the server at target (http://host:port) that passes every JSON-RPC
+ * message posted to /mcp, and the server's answer, to onMessage(direction, message, exchange);
+ * exchange is an object shared by a request and its answer. Other requests (/mcp/health,
+ * /mcp/info) pass through unobserved. With options.policy (see policy.js), refused tool calls
+ * are answered by the proxy and tools/list responses are filtered. Resolves with the listening
+ * http.Server.
+ */
+function createMessageProxy(options) {
+  const target = new URL(options.target);
+  const onMessage = options.onMessage || (() => {});
+  const policy = options.policy || null;
+  const log = options.log || ((line) => process.stderr.write(line + '\n'));
+
+  const server = http.createServer(async (req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/$/, '');
+    const observed = req.method === 'POST' && pathname === '/mcp';
+    const exchange = {};
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      res.writeHead(413, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+      return;
+    }
+    const message = observed && body.length > 0 ? parseBody(body) : null;
+    if (message !== null) {
+      onMessage(CLIENT_TO_SERVER, message, exchange);
+    }
+
+    // Refused calls are answered here; the rest of a batch still goes to the server
+    const items = message && typeof message === 'object' ? (Array.isArray(message) ? message : [message]) : [];
+    const refusals = policy ? items.map((item) => policy.screen(item)) : [];
+    const answers = refusals.filter(Boolean);
+    const methods = new Map(items.filter((item) => item && item.method && item.id !== undefined).map((item) => [item.id, item.method]));
+    if (answers.length > 0) {
+      const forwarded = items.filter((item, i) => !refusals[i]);
+      if (forwarded.length === 0) {
+        const payload = Array.isArray(message) ? answers : answers[0];
+        const text = JSON.stringify(payload);
+        onMessage(SERVER_TO_CLIENT, payload, exchange);
+        res.writeHead(200, { 'content-type': 'application/json', 'content-length': Buffer.byteLength(text) });
+        res.end(text);
+        return;
+      }
+      body = Buffer.from(JSON.stringify(forwarded));
+    }
+
+    const { host, ...headers } = req.headers;
+    const upstream = http.request({
+      hostname: target.hostname,
+      port: target.port,
+      method: req.method,
+      path: req.url,
+      headers: { ...headers, host: target.host, 'content-length': body.length }
+    }, async (upstreamRes) => {
+      let answer = await readBody(upstreamRes).catch(() => Buffer.alloc(0));
+      let response = observed && answer.length > 0 ? parseBody(answer) : null;
+      if (response !== null && typeof response === 'object' && (policy || answers.length > 0)) {
+        const filter = (item) => (policy && item ? policy.filterResponse(methods.get(item.id), item) : item);
+        response = Array.isArray(response) || answers.length > 0
+          ? [...(Array.isArray(response) ? response : [response]).map(filter), ...answers]
+          : filter(response);
+        answer = Buffer.from(JSON.stringify(response));
+      }
+      if (response !== null) {
+        onMessage(SERVER_TO_CLIENT, response, exchange);
+      }
+      const { 'transfer-encoding': encoding, ...responseHeaders } = upstreamRes.headers;
+      res.writeHead(upstreamRes.statusCode, { ...responseHeaders, 'content-length': answer.length });
+      res.end(answer);
+    });
+    upstream.on('error', (error) => {
+      // The server is (re)starting; health checks keep polling until it answers
+      res.writeHead(502, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ status: 'unavailable', error: `Server not reachable: ${error.message}` }));
+    });
+    upstream.end(body);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => {
+      server.removeListener('error', reject);
+      server.on('error', (error) => log(`❌ Proxy: ${error.message}`));
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  CLIENT_TO_SERVER,
+  SERVER_TO_CLIENT,
+  createRecorder,
+  readRecording,
+  createMessageProxy
+};
@@ -0,0 +1,170 @@
+const { messageKind, normalizeResponse } = require('./mcp-connection');
+const { CLIENT_TO_SERVER, SERVER_TO_CLIENT } = require('./recording');
+
+/**
+ * Fields that legitimately change between runs. Paths are dot-separated (array indexes are
+ * segments too); "*" matches within one segment and "**" any number of segments. Tool results
+ * whose text is JSON are compared as parsed JSON, so rules reach inside them
+ * (result.content.0.text.channels.0.id).
+ */
+const DEFAULT_IGNORE = [
+  // The JSON-RPC id: the .NET server answers tool calls with a correlation id
+  'id',
+  '**.id',
+  '**.timestamp',
+  '**.*Time',
+  '**.requestId',
+  '**.correlationId'
+];
+
+const MAX_DIFFERENCES = 20;
+
+/**
+ * Compiles an ignore rule into a predicate over path segments
+ */
+function compileIgnoreRule(rule) {
+  const parts = rule.split('.').filter((part) => part !== '');
+  const patterns = parts.map((part) => (part === '**' ? part
+    : new RegExp(`^${part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`)));
+
+  const match = (i, segments, j) => {
+    if (i === patterns.length) return j === segments.length;
+    if (patterns[i] === '**') {
+      for (let k = j; k <= segments.length; k++) {
+        if (match(i + 1, segments, k)) return true;
+      }
+      return false;
+    }
+    return j < segments.length && patterns[i].test(String(segments[j])) && match(i + 1, segments, j + 1);
+  };
+  return (segments) => match(0, segments, 0);
+}
+
+/**
+ * result.content[0].text.channels[2].id
+ */
+function formatPath(segments) {
+  return segments.reduce((text, segment) => (typeof segment === 'number' ? `${text}[${segment}]` : text ? `${text}.${segment}` : segment), '') || '(message)';
+}
+
+/**
+ * A response in comparable form: normalized to result/error, with JSON tool output parsed
+ */
+function comparable(response) {
+  const { requestId, httpStatus, ...message } = response;
+  const { message: normalized } = normalizeResponse(message);
+  const result = normalized.result;
+  if (!result || !Array.isArray(result.content)) {
+    return normalized;
+  }
+  const content = result.content.map((item) => {
+    if (!item || typeof item.text !== 'string') return item;
+    try {
+      const parsed = JSON.parse(item.text);
+      return parsed !== null && typeof parsed === 'object' ? { ...item, text: parsed } : item;
+    } catch {
+      return item;
+    }
+  });
+  return { ...normalized, result: { ...result, content } };
+}
+
+/**
+ * Differences between a recorded and a replayed response: [{ path, expected, actual }].
+ * Paths matching an ignore rule are skipped.
+ */
+function compareResponses(expected, actual, ignore = DEFAULT_IGNORE) {
+  const rules = ignore.map(compileIgnoreRule);
+  const differences = [];
+  const isObject = (value) => value !== null && typeof value === 'object';
+
+  const walk = (left, right, segments) => {
+    if (rules.some((rule) => rule(segments))) {
+      return;
+    }
+    if (isObject(left) && isObject(right) && Array.isArray(left) === Array.isArray(right)) {
+      const keys = Array.isArray(left)
+        ? Array.from({ length: Math.max(left.length, right.length) }, (item, i) => i)
+        : [...new Set([...Object.keys(left), ...Object.keys(right)])];
+      keys.forEach((key) => walk(left[key], right[key], [...segments, key]));
+      return;
+    }
+    if (JSON.stringify(left) !== JSON.stringify(right)) {
+      differences.push({ path: formatPath(segments), expected: left, actual: right });
+    }
+  };
+
+  walk(comparable(expected), comparable(actual), []);
+  return differences;
+}
+
+/**
+ * The recorded response to a request: the first server message with its id after it
+ */
+function findRecordedResponse(entries, index, id) {
+  for (const entry of entries.slice(index + 1)) {
+    if (entry.direction !== SERVER_TO_CLIENT || !entry.message) continue;
+    const items = Array.isArray(entry.message) ? entry.message : [entry.message];
+    const response = items.find((item) => messageKind(item) === 'response' && item.id === id);
+    if (response) return response;
+  }
+  return null;
+}
+
+/**
+ * Sends the client side of a recording to connection (see mcp-connection.js) in order and
+ * compares each response with the recorded one. Resolves with one result per request:
+ * { line, method, tool, status: "match" | "differ" | "unanswered" | "error" | "skipped", differences,
+ * error }. "unanswered" means the recording holds no response to compare with; lines that were
+ * not JSON-RPC are skipped. onResult sees each result as it is produced.
+ */
+async function replaySession(recording, connection, options = {}) {
+  const ignore = options.ignore || DEFAULT_IGNORE;
+  const onResult = options.onResult || (() => {});
+  const results = [];
+  const report = (result) => {
+    results.push(result);
+    onResult(result);
+  };
+
+  for (const [index, entry] of recording.entries.entries()) {
+    if (entry.direction !== CLIENT_TO_SERVER) continue;
+    if (!entry.message) {
+      report({ line: entry.line, method: null, tool: null, status: 'skipped', differences: [], error: 'not a JSON-RPC message' });
+      continue;
+    }
+
+    for (const item of Array.isArray(entry.message) ? entry.message : [entry.message]) {
+      const kind = messageKind(item);
+      if (kind === 'notification') {
+        await connection.notify(item.method, item.params);
+        continue;
+      }
+      if (kind !== 'request') continue;
+
+      const base = { line: entry.line, method: item.method, tool: item.method === 'tools/call' && item.params ? item.params.name : null };
+      let response;
+      try {
+        response = await connection.request(item.method, item.params);
+      } catch (error) {
+        report({ ...base, status: 'error', differences: [], error: error.message });
+        continue;
+      }
+      const recorded = findRecordedResponse(recording.entries, index, item.id);
+      if (!recorded) {
+        report({ ...base, status: 'unanswered', differences: [] });
+        continue;
+      }
+      const differences = compareResponses(recorded, response, ignore);
+      report({ ...base, status: differences.length > 0 ? 'differ' : 'match', differences: differences.slice(0, MAX_DIFFERENCES), differenceCount: differences.length });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  DEFAULT_IGNORE,
+  compileIgnoreRule,
+  compareResponses,
+  replaySession
+};
@@ -0,0 +1,157 @@
+/**
+ * Generates plausible sample values from a tool's JSON Schema, used to exercise every
+ * tool in simulation mode without hand-written fixtures.
+ */
+
+const SAMPLE_GUID = '00000000-0000-4000-8000-000000000001';
+
+function primaryType(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type.find((type) => type !== 'null') || 'null';
+  }
+  if (schema.type) {
+    return schema.type;
+  }
+  if (schema.properties) {
+    return 'object';
+  }
+  if (schema.items) {
+    return 'array';
+  }
+  return undefined;
+}
+
+function sampleString(schema, name = '') {
+  let value;
+
+  switch (schema.format) {
+    case 'email':
+      value = 'alex.wilber@contoso.com';
+      break;
+    case 'date-time':
+      value = '2030-01-15T09:00:00Z';
+      break;
+    case 'date':
+      value = '2030-01-15';
+      break;
+    case 'time':
+      value = '09:00:00';
+      break;
+    case 'uri':
+    case 'url':
+      value = 'https://contoso.sharepoint.com/sample';
+      break;
+    case 'uuid':
+      value = SAMPLE_GUID;
+      break;
+    default:
+      if (/e?mail|upn/i.test(name)) {
+        value = 'alex.wilber@contoso.com';
+      } else if (/(^|[a-z])Id$|^id$/.test(name)) {
+        value = SAMPLE_GUID;
+      } else if (/(date|time|start|end)$/i.test(name)) {
+        value = '2030-01-15T09:00:00Z';
+      } else {
+        value = `sample-${name || 'value'}`;
+      }
+  }
+
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    value = value.slice(0, Math.max(schema.maxLength, 0));
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    value = value.padEnd(schema.minLength, 'x');
+  }
+  return value;
+}
+
+function sampleNumber(schema, integer) {
+  let value = schema.minimum !== undefined ? schema.minimum : 1;
+
+  if (schema.exclusiveMinimum !== undefined) {
+    value = typeof schema.exclusiveMinimum === 'number'
+      ? schema.exclusiveMinimum + (integer ? 1 : 0.5)
+      : value + (integer ? 1 : 0.5);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    value = schema.maximum;
+  }
+  if (schema.multipleOf) {
+    value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+  }
+  return integer ? Math.ceil(value) : value;
+}
+
+/**
+ * Returns a sample value satisfying the given schema (as far as is practical)
+ */
+function sampleValue(schema, name = '', options = {}) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  if ('const' in schema) {
+    return schema.const;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+  if ('default' in schema) {
+    return schema.default;
+  }
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    return schema.examples[0];
+  }
+  for (const key of ['oneOf', 'anyOf']) {
+    if (Array.isArray(schema[key]) && schema[key].length > 0) {
+      return sampleValue(schema[key][0], name, options);
+    }
+  }
+  if (Array.isArray(schema.allOf)) {
+    return sampleValue(Object.assign({}, ...schema.allOf), name, options);
+  }
+
+  switch (primaryType(schema)) {
+    case 'string':
+      return sampleString(schema, name);
+    case 'integer':
+      return sampleNumber(schema, true);
+    case 'number':
+      return sampleNumber(schema, false);
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    case 'array': {
+      const count = Math.max(schema.minItems || 0, 1);
+      const itemSchema = Array.isArray(schema.items) ? schema.items[0] : schema.items;
+      const singular = name.replace(/s$/, '');
+      return Array.from({ length: count }, () => sampleValue(itemSchema || { type: 'string' }, singular, options));
+    }
+    case 'object':
+      return sampleArguments(schema, options);
+    default:
+      return `sample-${name || 'value'}`;
+  }
+}
+
+/**
+ * Builds an arguments object for an object schema. Only required properties are filled
+ * unless options.includeOptional is set.
+ */
+function sampleArguments(schema, options = {}) {
+  const properties = (schema && schema.properties) || {};
+  const required = new Set((schema && schema.required) || []);
+  const args = {};
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (required.has(name) || options.includeOptional) {
+      args[name] = sampleValue(propertySchema, name, options);
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  sampleValue,
+  sampleArguments
+};
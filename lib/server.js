@@ -0,0 +1,177 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Package root (go up from lib/ to package root)
+const packageRoot = path.dirname(__dirname);
+const serverProject = path.join(packageRoot, 'src', 'DarbotTeamsMcp.Server');
+const mockServerScript = path.join(__dirname, 'mock-server.js');
+
+/**
+ * Whether DARBOT_MOCK (set by --mock) selects the pure-Node mock server instead of the .NET one
+ */
+function mockEnabled(env = process.env) {
+  return /^(1|true|yes|on)$/i.test(String(env.DARBOT_MOCK || '').trim());
+}
+
+/**
+ * Command line used to start the .NET server in the given mode ("stdio" or "http").
+ * With a compiled DLL the server is launched directly; otherwise it falls back to `dotnet run`.
+ * mock starts lib/mock-server.js with this Node.js instead.
+ */
+function serverCommand(mode, dll, mock = false) {
+  if (mock) {
+    return { command: process.execPath, args: [mockServerScript, ...(mode === 'stdio' ? ['--stdio'] : [])] };
+  }
+
+  const args = dll ? [dll] : ['run', '--project', serverProject];
+
+  if (mode === 'stdio') {
+    args.push(...(dll ? [] : ['--']), '--stdio');
+  }
+
+  return { command: 'dotnet', args };
+}
+
+/**
+ * Environment for the server process; stdio mode also quiets logging so it stays off the protocol stream
+ */
+function serverEnv(mode, overrides = {}) {
+  const env = { ...process.env, ...overrides };
+
+  if (mode === 'stdio') {
+    env.MCP_MODE = 'stdio';
+    env.TEAMS_LOG_LEVEL = overrides.TEAMS_LOG_LEVEL || 'Warning';
+  }
+
+  return env;
+}
+
+/**
+ * Runs `dotnet build` for the server project, resolving with the captured output lines.
+ * options.logFile also receives the complete output as it is produced.
+ */
+function buildServer(extraArgs = [], options = {}) {
+  return new Promise((resolve, reject) => {
+    const output = [];
+    const args = ['build', serverProject, '--nologo', '-v', 'q', ...extraArgs];
+    if (options.logFile) {
+      fs.mkdirSync(path.dirname(options.logFile), { recursive: true });
+      fs.writeFileSync(options.logFile, `${new Date().toISOString()} dotnet ${args.join(' ')}\n`);
+    }
+    const child = spawn('dotnet', args, {
+      cwd: packageRoot,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const collect = (data) => {
+      output.push(...data.toString().split('\n').filter((line) => line.trim() !== ''));
+      if (options.logFile) fs.appendFileSync(options.logFile, data);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.on('error', (error) => reject(error.code === 'ENOENT' ? new Error('.NET SDK not found (dotnet is not on PATH)') : error));
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(output);
+      } else {
+        const error = new Error(`dotnet build exited with code ${code}\n${output.slice(-20).join('\n')}`);
+        error.output = output;
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Spawns the server (options.dll selects a cached build; DARBOT_MOCK in its environment the mock
+ * server). On POSIX the child leads its own process group so the whole process tree can be
+ * signalled at once.
+ */
+function spawnServer(mode, options = {}) {
+  const env = serverEnv(mode, options.env);
+  const { command, args } = serverCommand(mode, options.dll, mockEnabled(env));
+
+  return spawn(command, args, {
+    cwd: packageRoot,
+    env,
+    stdio: options.stdio || 'pipe',
+    detached: process.platform !== 'win32'
+  });
+}
+
+/**
+ * Sends a signal to a spawned server and every process in its group
+ */
+function signalServer(child, signal = 'SIGTERM') {
+  if (!child || child.exitCode !== null || child.signalCode !== null) {
+    return;
+  }
+
+  try {
+    if (process.platform === 'win32') {
+      child.kill(signal);
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Stops a spawned server with the given signal, escalating to SIGKILL when it does not exit within timeoutMs
+ */
+function stopServer(child, timeoutMs = 5000, signal = 'SIGTERM') {
+  return new Promise((resolve) => {
+    if (!child || child.exitCode !== null || child.signalCode !== null) {
+      resolve();
+      return;
+    }
+
+    const timer = setTimeout(() => signalServer(child, 'SIGKILL'), timeoutMs);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    signalServer(child, signal);
+  });
+}
+
+/**
+ * Assembly version and target framework of the server, read from its project file (and a
+ * Directory.Build.props if there is one). Without a <Version> the SDK stamps 1.0.0.
+ */
+function serverVersion() {
+  const sources = [path.join(packageRoot, 'Directory.Build.props'), path.join(packageRoot, 'src', 'Directory.Build.props'),
+    path.join(serverProject, 'DarbotTeamsMcp.Server.csproj')];
+  const properties = {};
+  for (const file of sources) {
+    if (!fs.existsSync(file)) continue;
+    const text = fs.readFileSync(file, 'utf8');
+    for (const name of ['Version', 'VersionPrefix', 'VersionSuffix', 'AssemblyVersion', 'TargetFramework']) {
+      const match = new RegExp(`<${name}>([^<]+)</${name}>`).exec(text);
+      if (match) properties[name] = match[1].trim();
+    }
+  }
+
+  const version = properties.Version ||
+    (properties.VersionPrefix ? `${properties.VersionPrefix}${properties.VersionSuffix ? `-${properties.VersionSuffix}` : ''}` : '1.0.0');
+  return {
+    version,
+    assemblyVersion: properties.AssemblyVersion || `${version.split('-')[0].split('.').concat(['0', '0', '0']).slice(0, 4).join('.')}`,
+    targetFramework: properties.TargetFramework || null
+  };
+}
+
+module.exports = {
+  packageRoot,
+  serverProject,
+  mockEnabled,
+  serverCommand,
+  serverEnv,
+  serverVersion,
+  buildServer,
+  spawnServer,
+  signalServer,
+  stopServer
+};
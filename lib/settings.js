@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { readConfigFile } = require('./config-file');
+const { resolveProfile, profileEnv, DEFAULT_CLIENT_ID } = require('./profiles');
+
+const PROJECT_FILE = '.darbot-teams.json';
+
+/**
+ * Settings the launcher resolves, with the environment variable the server reads each one from
+ * and the server's own default
+ */
+const SETTINGS = [
+  { key: 'tenantId', env: 'TEAMS_TENANT_ID', description: 'Microsoft 365 tenant (GUID or domain)' },
+  { key: 'clientId', env: 'TEAMS_CLIENT_ID', default: DEFAULT_CLIENT_ID, description: 'Azure AD application (client) ID' },
+  { key: 'simulationMode', env: 'TEAMS_SIMULATION_MODE', default: 'false', description: 'Simulate Graph calls instead of changing Teams' },
+  { key: 'requireAuthentication', env: 'TEAMS_REQUIRE_AUTHENTICATION', default: 'true', description: 'Require sign-in before tools run' },
+  { key: 'logLevel', env: 'TEAMS_LOG_LEVEL', default: 'Information', description: 'Server log level' },
+  { key: 'logToFile', env: 'TEAMS_LOG_TO_FILE', default: 'true', description: 'Write logs/darbot-teams-mcp-*.log' },
+  { key: 'enableRequestLogging', env: 'TEAMS_ENABLE_REQUEST_LOGGING', default: 'false', description: 'Log every request' },
+  { key: 'host', env: 'TEAMS_SERVER_HOST', default: 'localhost', description: 'HTTP bind address' },
+  { key: 'port', env: 'TEAMS_SERVER_PORT', default: '3001', description: 'HTTP port' },
+  { key: 'redirectUri', env: 'TEAMS_REDIRECT_URI', default: 'http://localhost:3000', description: 'OAuth redirect URI' },
+  { key: 'currentTeamId', env: 'TEAMS_CURRENT_TEAM_ID', description: 'Team used when a tool gets no teamId' },
+  { key: 'currentChannelId', env: 'TEAMS_CURRENT_CHANNEL_ID', description: 'Channel used when a tool gets no channelId' },
+  { key: 'gatewayToken', env: 'DARBOT_GATEWAY_TOKEN', secret: true, description: 'Bearer token required by --gateway' },
+  { key: 'gatewayAllowedOrigins', env: 'DARBOT_GATEWAY_ALLOWED_ORIGINS', description: 'More origins (and Host names) --gateway accepts, comma-separated' },
+  { key: 'profile', env: 'DARBOT_PROFILE', description: 'Tenant profile to apply (see profile list)' },
+  { key: 'mock', env: 'DARBOT_MOCK', default: 'false', description: 'Run the pure-Node mock server instead of the .NET one' },
+  { key: 'mockSeed', env: 'DARBOT_MOCK_SEED', default: '1', description: 'Seed of the generated mock data' },
+  { key: 'mockFixtures', env: 'DARBOT_MOCK_FIXTURES', description: 'Mock dataset JSON file (written from the seed if missing)' },
+  { key: 'policy', env: 'DARBOT_POLICY', description: 'Tool policy file (allow, deny, readOnly, rateLimits), or read-only' },
+  { key: 'readOnly', env: 'DARBOT_READ_ONLY', default: 'false', description: 'Hide every tool that changes Teams' },
+  { key: 'audit', env: 'DARBOT_AUDIT', default: 'true', description: 'Write the audit log of tool calls' },
+  { key: 'auditFile', env: 'DARBOT_AUDIT_FILE', description: 'Audit log file (default: audit.jsonl in the state directory)' },
+  { key: 'auditMaxSize', env: 'DARBOT_AUDIT_MAX_SIZE', default: '10MB', description: 'Size at which the audit log is rotated' },
+  { key: 'auditMaxFiles', env: 'DARBOT_AUDIT_MAX_FILES', default: '5', description: 'Rotated audit log files to keep' },
+  { key: 'auditRedact', env: 'DARBOT_AUDIT_REDACT', default: 'emails,upns,bodies', description: 'What the audit log redacts: emails, upns, bodies or none' },
+  { key: 'auditBodyFields', env: 'DARBOT_AUDIT_BODY_FIELDS', description: 'Argument names treated as message bodies (comma-separated)' }
+];
+
+const byKey = new Map(SETTINGS.map((setting) => [setting.key, setting]));
+const byEnv = new Map(SETTINGS.map((setting) => [setting.env, setting]));
+
+/**
+ * Parses a .env file: KEY=value lines, optional "export", # comments, single/double quotes
+ * (double-quoted values understand \n escapes)
+ */
+function parseDotenv(text) {
+  const values = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!match) continue;
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === '\'') && value.endsWith(quote) && value.length >= 2) {
+      value = value.slice(1, -1);
+      if (quote === '"') value = value.replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  }
+  return values;
+}
+
+/**
+ * Nearest .darbot-teams.json from dir up to the filesystem root
+ */
+function findProjectFile(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, PROJECT_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Reads a JSON (with comments) config file into environment variables. Keys are the setting
+ * names above ("tenantId") or environment variable names ("TEAMS_TENANT_ID", "ASPNETCORE_URLS").
+ */
+function readSettingsFile(file, warnings) {
+  const { exists, data } = readConfigFile(file);
+  if (!exists) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  const env = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value === null || typeof value === 'object') {
+      warnings.push(`${file}: "${key}" must be a string, number or boolean`);
+      continue;
+    }
+    const setting = byKey.get(key) || byEnv.get(key);
+    if (setting) {
+      env[setting.env] = String(value);
+    } else if (/^[A-Z][A-Z0-9_]*$/.test(key) || key.includes('__')) {
+      env[key] = String(value);
+    } else {
+      warnings.push(`${file}: unknown setting "${key}" (known: ${SETTINGS.map((item) => item.key).join(', ')})`);
+    }
+  }
+  return env;
+}
+
+function pick(source, names) {
+  return Object.fromEntries(Object.entries(source).filter(([name]) => names.has(name)));
+}
+
+/**
+ * Resolves the launcher settings from every layer, highest precedence first:
+ * --profile, --config <file>, the project .darbot-teams.json, .env, the process environment,
+ * the current profile, then the server defaults. A profile named by a layer ("profile" in a
+ * config file, DARBOT_PROFILE) is expanded in that layer's place.
+ *
+ * Returns { values: [{ key, env, value, source, secret }], env (variables to pass to the server),
+ * layers, warnings }.
+ */
+function resolveSettings(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const processEnv = options.env || process.env;
+  const warnings = [];
+  const layers = [];
+
+  if (options.profile) {
+    layers.push({ source: '--profile', env: { DARBOT_PROFILE: options.profile } });
+  }
+  if (options.configFile) {
+    const file = path.resolve(cwd, options.configFile);
+    layers.push({ source: `--config ${file}`, env: readSettingsFile(file, warnings) });
+  }
+  const projectFile = findProjectFile(cwd);
+  if (projectFile) {
+    layers.push({ source: projectFile, env: readSettingsFile(projectFile, warnings) });
+  }
+  const dotenvFile = path.join(cwd, '.env');
+  if (fs.existsSync(dotenvFile)) {
+    layers.push({ source: dotenvFile, env: parseDotenv(fs.readFileSync(dotenvFile, 'utf8')) });
+  }
+  // Only the variables the launcher knows or passes on; the rest of the environment is inherited as is
+  layers.push({ source: 'environment', env: pick(processEnv, byEnv) });
+
+  // Expand the winning profile selection in place; a profile only fills what its own layer leaves unset
+  const selector = layers.find((layer) => layer.env.DARBOT_PROFILE);
+  if (selector) {
+    const profile = resolveProfile(selector.env.DARBOT_PROFILE);
+    const index = layers.indexOf(selector);
+    layers.splice(index + 1, 0, { source: `profile ${profile.name}`, env: profileEnv(profile) });
+  } else {
+    const current = resolveProfile(null);
+    if (current) {
+      layers.push({ source: `profile ${current.name} (current)`, env: { DARBOT_PROFILE: current.name, ...profileEnv(current) } });
+    }
+  }
+
+  const env = {};
+  const sources = {};
+  for (const layer of layers) {
+    for (const [name, value] of Object.entries(layer.env)) {
+      if (env[name] === undefined) {
+        env[name] = value;
+        sources[name] = layer.source;
+      }
+    }
+  }
+
+  const values = SETTINGS.map((setting) => ({
+    key: setting.key,
+    env: setting.env,
+    value: env[setting.env] !== undefined ? env[setting.env] : setting.default,
+    source: env[setting.env] !== undefined ? sources[setting.env] : setting.default !== undefined ? 'default' : 'not set',
+    secret: Boolean(setting.secret),
+    description: setting.description
+  }));
+
+  // Extra variables from config files and .env (Serilog__MinimumLevel__Default, ASPNETCORE_URLS, ...)
+  const extra = Object.keys(env).filter((name) => !byEnv.has(name))
+    .map((name) => ({ key: name, env: name, value: env[name], source: sources[name], secret: false }));
+
+  return { values: [...values, ...extra], env, layers: layers.map((layer) => layer.source), warnings };
+}
+
+/**
+ * Resolves the settings and exports them into process.env, so the server and every child inherit them
+ */
+function applySettings(options = {}) {
+  const resolved = resolveSettings(options);
+  Object.assign(process.env, resolved.env);
+  return resolved;
+}
+
+module.exports = {
+  PROJECT_FILE,
+  SETTINGS,
+  parseDotenv,
+  findProjectFile,
+  resolveSettings,
+  applySettings
+};
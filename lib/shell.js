@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { configDir } = require('./paths');
+const { parseToolArgs, coerceValue, describeType, toolParameters, suggest } = require('./tool-args');
+const { renderContent, renderTable } = require('./table');
+
+const HISTORY_SIZE = 1000;
+const COMMANDS = ['.help', '.tools', '.describe', '.vars', '.set', '.json', '.exit'];
+
+function historyFile() {
+  return path.join(configDir(), 'shell_history');
+}
+
+/**
+ * Splits a command line into words, honouring single/double quotes and backslash escapes
+ */
+function tokenize(line) {
+  const tokens = [];
+  let current = '';
+  let quote = null;
+  let started = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < line.length) {
+        current += line[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+      started = true;
+    } else if (char === '\\' && i + 1 < line.length) {
+      current += line[++i];
+      started = true;
+    } else if (/\s/.test(char)) {
+      if (started) tokens.push(current);
+      current = '';
+      started = false;
+    } else {
+      current += char;
+      started = true;
+    }
+  }
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote`);
+  }
+  if (started) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Follows a path such as "channels[0].id" into a value
+ */
+function resolvePath(value, pathText) {
+  const parts = pathText.match(/[^.[\]]+/g) || [];
+  let current = value;
+  for (const part of parts) {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+    current = current[part];
+  }
+  return current;
+}
+
+/**
+ * The value a result is remembered as: parsed JSON when the tool returned JSON text
+ */
+function resultValue(result) {
+  const texts = (result.content || []).filter((item) => item.type === 'text').map((item) => item.text);
+  const values = texts.map((text) => {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  });
+  return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Interactive shell over one connected MCP client. Tool calls are typed as
+ * `<tool> --param value`; missing required parameters are prompted for, and every result is
+ * kept as $1, $2, ... ($last for the latest) so later calls can use `--teamId $1.id`.
+ */
+function startShell(client, tools, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const print = (text = '') => output.write(`${text}\n`);
+  const byName = new Map(tools.map((tool) => [tool.name, tool]));
+  const variables = new Map();
+  let resultCount = 0;
+  let rawJson = false;
+
+  const file = options.historyFile || historyFile();
+  let history = [];
+  try {
+    history = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).slice(-HISTORY_SIZE);
+    fs.writeFileSync(file, history.length ? history.join('\n') + '\n' : '');
+  } catch {
+    // No history yet
+  }
+
+  const variableNames = () => ['last', ...variables.keys()].filter((name, i, all) => all.indexOf(name) === i);
+
+  const lookup = (reference) => {
+    const [, name, rest] = /^([A-Za-z0-9_]+)(.*)$/.exec(reference) || [];
+    if (!name || !variables.has(name)) {
+      throw new Error(`Unknown variable $${name || reference} (see .vars)`);
+    }
+    const value = rest ? resolvePath(variables.get(name), rest) : variables.get(name);
+    if (value === undefined) {
+      throw new Error(`$${reference} is undefined`);
+    }
+    return value;
+  };
+
+  // "$1.id" as a whole word keeps the value's type; "${1.id}" inside text is interpolated
+  const substitute = (token) => {
+    const whole = /^\$([A-Za-z0-9_][\w.[\]]*)$/.exec(token);
+    if (whole) {
+      const value = lookup(whole[1]);
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    return token.replace(/\$\{([^}]+)\}/g, (match, reference) => {
+      const value = lookup(reference);
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    });
+  };
+
+  const completer = (line) => {
+    const words = line.split(/\s+/);
+    const word = words[words.length - 1];
+
+    if (words.length === 1) {
+      const candidates = [...COMMANDS, ...byName.keys()];
+      return [candidates.filter((candidate) => candidate.startsWith(word)), word];
+    }
+
+    if (word.startsWith('$')) {
+      const [name, ...rest] = word.slice(1).split('.');
+      if (rest.length === 0) {
+        return [variableNames().map((candidate) => `$${candidate}`).filter((candidate) => candidate.startsWith(word)), word];
+      }
+      // Complete object keys one level at a time: $1.chan<TAB>
+      const base = rest.slice(0, -1).join('.');
+      let value;
+      try {
+        value = base ? resolvePath(lookup(name), base) : lookup(name);
+      } catch {
+        return [[], word];
+      }
+      const prefix = `$${[name, ...rest.slice(0, -1)].join('.')}.`;
+      const keys = value && typeof value === 'object' ? Object.keys(value) : [];
+      return [keys.map((key) => prefix + key).filter((candidate) => candidate.startsWith(word)), word];
+    }
+
+    const command = words[0];
+    if (command === '.describe') {
+      return [[...byName.keys()].filter((name) => name.startsWith(word)), word];
+    }
+    const tool = byName.get(command);
+    if (tool && (word === '' || word.startsWith('--'))) {
+      const used = new Set(words.filter((item) => item.startsWith('--')).map((item) => item.slice(2)));
+      const flags = toolParameters(tool.inputSchema)
+        .filter((param) => !used.has(param.name) || `--${param.name}` === word)
+        .map((param) => `--${param.name}`);
+      return [flags.filter((flag) => flag.startsWith(word)), word];
+    }
+    return [[], word];
+  };
+
+  const rl = readline.createInterface({
+    input,
+    output,
+    completer,
+    terminal: options.terminal !== undefined ? options.terminal : Boolean(output.isTTY),
+    history: [...history].reverse(),
+    historySize: HISTORY_SIZE,
+    prompt: 'teams> '
+  });
+
+  const ask = (question) => new Promise((resolve) => rl.question(question, resolve));
+
+  const remember = (line) => {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, line + '\n');
+    } catch {
+      // History is best effort
+    }
+  };
+
+  const printHelp = () => {
+    print(`
+  <tool> [--param value ...]   Call a tool; missing required parameters are prompted for
+  .tools [filter]              List tools (optionally matching a filter)
+  .describe <tool>             Show a tool's parameters
+  .vars                        Show remembered results ($1, $2, ..., $last) and variables
+  .set <name> <value>          Store a value as $name
+  .json [on|off]               Toggle raw JSON output
+  .exit                        Leave the shell (or Ctrl+D)
+
+  Reuse earlier results: --teamId $1.id, --channelId $last.channels[0].id, --text "Hi \${user.displayName}"
+  Tab completes tool names, --parameters and $variables.`);
+  };
+
+  const describe = (name) => {
+    const tool = byName.get(name);
+    if (!tool) {
+      const hint = suggest(name || '', [...byName.keys()]);
+      print(`❌ Unknown tool: ${name || ''}${hint ? ` (did you mean ${hint}?)` : ''}`);
+      return;
+    }
+    print(`🔧 ${tool.name} — ${tool.description || ''}`);
+    const params = toolParameters(tool.inputSchema);
+    if (params.length > 0) {
+      print(renderTable(params.map((param) => ({
+        parameter: `--${param.name}`,
+        type: describeType(param.schema),
+        required: param.required ? 'yes' : '',
+        description: param.schema.description || ''
+      })), ['parameter', 'type', 'required', 'description']));
+    }
+  };
+
+  const preview = (value) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+  };
+
+  // Prompts until a valid value (or an empty line, which cancels) is entered
+  const promptFor = async (param) => {
+    const hints = [describeType(param.schema), param.schema.description].filter(Boolean).join(' — ');
+    for (;;) {
+      const answer = (await ask(`  ${param.name} (${hints}): `)).trim();
+      if (answer === '') {
+        return undefined;
+      }
+      try {
+        return coerceValue(substitute(answer), param.schema, param.name);
+      } catch (error) {
+        print(`  ❌ ${error.message}`);
+      }
+    }
+  };
+
+  const callTool = async (tool, tokens) => {
+    const schema = tool.inputSchema || {};
+    const { args, errors } = parseToolArgs({ ...schema, required: [] }, tokens.map(substitute));
+    if (errors.length > 0) {
+      errors.forEach((error) => print(`❌ ${error}`));
+      return;
+    }
+
+    const missing = toolParameters(schema).filter((param) => param.required && args[param.name] === undefined);
+    if (missing.length > 0) {
+      print('📝 Required parameters (empty line cancels):');
+    }
+    for (const param of missing) {
+      const value = await promptFor(param);
+      if (value === undefined) {
+        print('↩️  Cancelled');
+        return;
+      }
+      args[param.name] = value;
+    }
+
+    const checked = parseToolArgs(schema, [], args);
+    if (checked.errors.length > 0) {
+      checked.errors.forEach((error) => print(`❌ ${error}`));
+      return;
+    }
+
+    const started = Date.now();
+    const result = await client.callTool(tool.name, checked.args);
+    const elapsed = `${((Date.now() - started) / 1000).toFixed(1)}s`;
+
+    if (result.error) {
+      print(`❌ ${result.error.message}${result.error.code !== undefined ? ` (code ${result.error.code})` : ''}`);
+      return;
+    }
+
+    const name = String(++resultCount);
+    const value = resultValue(result);
+    variables.set(name, value);
+    variables.set('last', value);
+    print(rawJson ? JSON.stringify(result.raw, null, 2) : renderContent(result.content));
+    print(`${result.isError ? '❌' : '✅'} $${name} (${elapsed})`);
+  };
+
+  const handle = async (line) => {
+    const tokens = tokenize(line);
+    const [command, ...rest] = tokens;
+
+    switch (command) {
+      case '.help':
+      case 'help':
+        printHelp();
+        return;
+      case '.tools': {
+        const filter = (rest[0] || '').toLowerCase();
+        const selected = tools.filter((tool) => !filter || tool.name.includes(filter) || (tool.description || '').toLowerCase().includes(filter));
+        print(renderTable(selected, ['name', 'description']));
+        return;
+      }
+      case '.describe':
+        describe(rest[0]);
+        return;
+      case '.vars':
+        if (variables.size === 0) {
+          print('No results yet; every call is remembered as $1, $2, ... and $last');
+        }
+        for (const [name, value] of variables) {
+          print(`$${name} = ${preview(value)}`);
+        }
+        return;
+      case '.set':
+        if (rest.length < 2 || !/^[A-Za-z_]\w*$/.test(rest[0])) {
+          print('Usage: .set <name> <value>');
+          return;
+        }
+        variables.set(rest[0], substitute(rest.slice(1).join(' ')));
+        return;
+      case '.json':
+        rawJson = rest[0] ? rest[0] === 'on' : !rawJson;
+        print(`Raw JSON output ${rawJson ? 'on' : 'off'}`);
+        return;
+      default: {
+        const tool = byName.get(command);
+        if (!tool) {
+          const hint = suggest(command, [...byName.keys(), ...COMMANDS]);
+          print(`❌ Unknown tool or command: ${command}${hint ? ` (did you mean ${hint}?)` : ''}. Type .help`);
+          return;
+        }
+        await callTool(tool, rest);
+      }
+    }
+  };
+
+  return new Promise((resolve) => {
+    print(`🐚 Darbot Teams MCP shell — ${tools.length} tools. Type .help, Tab to complete, Ctrl+D to exit.`);
+    rl.prompt();
+
+    // Lines are handled one at a time so prompts for parameters do not interleave
+    let busy = Promise.resolve();
+    rl.on('line', (line) => {
+      busy = busy.then(async () => {
+        const trimmed = line.trim();
+        if (trimmed === '') {
+          rl.prompt();
+          return;
+        }
+        if (trimmed === '.exit' || trimmed === '.quit' || trimmed === 'exit') {
+          remember(trimmed);
+          rl.close();
+          return;
+        }
+        remember(trimmed);
+        try {
+          await handle(trimmed);
+        } catch (error) {
+          print(`❌ ${error.message}`);
+        }
+        rl.prompt();
+      });
+    });
+    rl.on('close', () => {
+      busy.then(() => {
+        print('');
+        resolve();
+      });
+    });
+  });
+}
+
+module.exports = {
+  historyFile,
+  tokenize,
+  resolvePath,
+  resultValue,
+  startShell
+};
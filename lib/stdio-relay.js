@@ -0,0 +1,278 @@
+const { createLineReader, parseMessage, messageKind, normalizeResponse } = require('./mcp-connection');
+const { CLIENT_TO_SERVER, SERVER_TO_CLIENT } = require('./recording');
+
+// Error code used when a request is lost because the server process went away
+const SERVER_RESTARTED = -32603;
+
+/**
+ * Relays newline-delimited JSON-RPC between an MCP client (input/output, usually the
+ * process's own stdin/stdout) and a server child process. Only valid JSON-RPC reaches the
+ * client: anything else the server prints goes to options.log, and protocol violations
+ * (malformed messages, responses to notifications, unknown response ids) are reported
+ * through options.onDiagnostic and repaired where the intent is unambiguous.
+ *
+ * The server is attached with attach(child) and can be replaced after a crash: the client's
+ * initialize handshake is replayed to the new process before queued messages are flushed,
+ * so the client keeps its session.
+ *
+ * options.onMessage(direction, message) sees the session as the client does: every line the
+ * client sent ("client-to-server", raw text when it is not JSON-RPC) and every message it was
+ * sent back ("server-to-client"), after repairs. Internal replay traffic is not included.
+ *
+ * options.policy (see policy.js) answers refused tool calls without involving the server and
+ * filters tools/list responses.
+ */
+function createStdioRelay(options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const log = options.log || ((line) => process.stderr.write(line + '\n'));
+  const onDiagnostic = options.onDiagnostic || ((diagnostic) => log(`⚠️  ${diagnostic.type}: ${diagnostic.message}`));
+  const onClientEnd = options.onClientEnd || (() => {});
+  const onMessage = options.onMessage || (() => {});
+  const policy = options.policy || null;
+
+  // Request ids waiting for a server response, oldest first: id -> { method, internal }
+  const pending = new Map();
+  const counts = {};
+  let child = null;
+  let ready = false;
+  let queue = [];
+  const handshake = { initialize: null, initialized: null };
+  let replayCount = 0;
+  let outputClosed = false;
+  let clientEnded = false;
+
+  const diagnose = (type, message) => {
+    counts[type] = (counts[type] || 0) + 1;
+    onDiagnostic({ type, message });
+  };
+
+  const writeClient = (message) => {
+    onMessage(SERVER_TO_CLIENT, message);
+    if (!outputClosed) {
+      output.write(JSON.stringify(message) + '\n');
+    }
+  };
+
+  const writeServer = (line) => {
+    child.stdin.write(line + '\n');
+  };
+
+  const preview = (value) => (typeof value === 'string' ? value : JSON.stringify(value)).slice(0, 200);
+
+  // Requests are tracked once they actually reach the server, so queued ones survive a restart
+  const sendClientMessage = ({ line, items }) => {
+    for (const item of items) {
+      if (messageKind(item) === 'request') {
+        if (pending.has(item.id)) {
+          diagnose('duplicate-id', `Client reused request id ${JSON.stringify(item.id)} while it is still pending`);
+        }
+        pending.set(item.id, { method: item.method, internal: false });
+      }
+    }
+    writeServer(line);
+  };
+
+  // Client -> server
+  const fromClient = (line) => {
+    const message = parseMessage(line);
+    onMessage(CLIENT_TO_SERVER, message || line);
+    if (!message) {
+      diagnose('malformed-client-message', `Client sent a line that is not JSON-RPC 2.0: ${preview(line)}`);
+      writeClient({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error: expected a JSON-RPC 2.0 message' } });
+      return;
+    }
+
+    let items = Array.isArray(message) ? message : [message];
+    if (policy) {
+      const refusals = items.map((item) => policy.screen(item));
+      if (refusals.some(Boolean)) {
+        const answers = refusals.filter(Boolean);
+        writeClient(Array.isArray(message) ? answers : answers[0]);
+        items = items.filter((item, i) => !refusals[i]);
+        if (items.length === 0) {
+          return;
+        }
+        line = JSON.stringify(Array.isArray(message) ? items : items[0]);
+      }
+    }
+
+    for (const item of items) {
+      const kind = messageKind(item);
+      if (kind === 'request' && item.method === 'initialize') {
+        handshake.initialize = item;
+      } else if (kind === 'notification' && item.method === 'notifications/initialized') {
+        handshake.initialized = item;
+      }
+    }
+
+    if (ready) {
+      sendClientMessage({ line, items });
+    } else {
+      queue.push({ line, items });
+    }
+  };
+
+  const resolveResponse = (response) => {
+    const { message, normalized } = normalizeResponse(response);
+    if (normalized) {
+      diagnose('non-standard-response', `Response without result/error was wrapped into result (id ${JSON.stringify(message.id)})`);
+    }
+
+    if (message.id === null || message.id === undefined) {
+      // Notifications must not be answered; a client cannot match this to anything
+      diagnose('response-to-notification', `Dropped response without an id: ${preview(message)}`);
+      return null;
+    }
+
+    let id = message.id;
+    if (!pending.has(id)) {
+      if (pending.size !== 1) {
+        const why = pending.size === 0 ? 'no request pending' : `${pending.size} requests pending, cannot tell which it answers`;
+        diagnose('unknown-id', `Dropped response with unknown id ${JSON.stringify(id)} (${why})`);
+        return null;
+      }
+      // The .NET server replaces tool call ids with a correlation id; with one request in flight
+      // the response can only be for that one
+      const [only] = pending.keys();
+      diagnose('unknown-id', `Response id ${JSON.stringify(id)} matched no request; delivered as the response to ${JSON.stringify(only)} (${pending.get(only).method})`);
+      id = only;
+    }
+
+    const entry = pending.get(id);
+    pending.delete(id);
+    if (entry.internal) {
+      entry.resolve(message);
+      return null;
+    }
+    const delivered = id === message.id ? message : { ...message, id };
+    return policy ? policy.filterResponse(entry.method, delivered) : delivered;
+  };
+
+  // Server -> client
+  const fromServer = (source, line) => {
+    if (source !== child) {
+      return;
+    }
+    const message = parseMessage(line);
+    if (!message) {
+      log(`[server stdout] ${line}`);
+      return;
+    }
+
+    const forwarded = [];
+    for (const item of Array.isArray(message) ? message : [message]) {
+      const kind = messageKind(item);
+      if (kind === 'response') {
+        const response = resolveResponse(item);
+        if (response) forwarded.push(response);
+      } else if (kind === 'request' || kind === 'notification') {
+        forwarded.push(item);
+      } else {
+        diagnose('invalid-message', `Dropped unrecognised JSON-RPC message: ${preview(item)}`);
+      }
+    }
+
+    if (Array.isArray(message)) {
+      if (forwarded.length > 0) writeClient(forwarded);
+    } else if (forwarded.length > 0) {
+      writeClient(forwarded[0]);
+    }
+  };
+
+  const flush = () => {
+    ready = true;
+    const messages = queue;
+    queue = [];
+    messages.forEach(sendClientMessage);
+    if (clientEnded) {
+      child.stdin.end();
+    }
+  };
+
+  /**
+   * Sends the client's cached initialize (and initialized notification) to a fresh server
+   * process, swallowing the response, then releases the queued client messages.
+   */
+  const replayHandshake = () => {
+    const id = `darbot-relay-replay-${++replayCount}`;
+    const replay = new Promise((resolve) => {
+      pending.set(id, { method: 'initialize', internal: true, resolve });
+    });
+    writeServer(JSON.stringify({ ...handshake.initialize, id }));
+
+    replay.then((response) => {
+      if (response.error) {
+        diagnose('replay-failed', `Restarted server rejected the replayed initialize: ${preview(response.error)}`);
+      } else {
+        log('🔁 Replayed initialize handshake to the restarted server');
+      }
+      if (handshake.initialized) {
+        writeServer(JSON.stringify(handshake.initialized));
+      }
+      flush();
+    });
+  };
+
+  input.on('data', createLineReader(fromClient));
+  input.on('end', () => {
+    clientEnded = true;
+    if (child && ready) {
+      child.stdin.end();
+    }
+    onClientEnd();
+  });
+
+  // A client that goes away closes our stdout; stop relaying and let the server see EOF
+  output.on('error', () => {
+    outputClosed = true;
+    if (child) child.stdin.end();
+  });
+
+  return {
+    /**
+     * Connects a (new) server process. With replay set, the client's handshake is replayed first.
+     */
+    attach(server, attachOptions = {}) {
+      child = server;
+      ready = false;
+      server.stdin.on('error', () => {});
+      server.stdout.on('data', createLineReader((line) => fromServer(server, line)));
+      server.stderr.on('data', createLineReader((line) => log(line)));
+
+      if (attachOptions.replay && handshake.initialize) {
+        replayHandshake();
+      } else {
+        flush();
+      }
+    },
+
+    /**
+     * Disconnects the current server; requests it never answered are failed back to the client
+     */
+    detach(reason = 'Server process exited before responding') {
+      child = null;
+      ready = false;
+      for (const [id, entry] of pending) {
+        if (!entry.internal) {
+          writeClient({ jsonrpc: '2.0', id, error: { code: SERVER_RESTARTED, message: `${reason} (${entry.method})` } });
+        }
+      }
+      pending.clear();
+    },
+
+    get clientEnded() {
+      return clientEnded;
+    },
+    get pendingCount() {
+      return pending.size;
+    },
+    get diagnostics() {
+      return { ...counts };
+    }
+  };
+}
+
+module.exports = {
+  createStdioRelay
+};
@@ -0,0 +1,139 @@
+const os = require('os');
+const { spawnServer, signalServer, stopServer } = require('./server');
+
+const DEFAULT_BACKOFF = {
+  initialMs: 500,
+  maxMs: 30000,
+  // A server that stayed up this long is considered healthy again and the backoff resets
+  stableMs: 60000,
+  maxRetries: 5
+};
+
+/**
+ * Exit code a process conventionally reports after being killed by a signal (128 + number)
+ */
+function signalExitCode(signal) {
+  const number = os.constants.signals[signal];
+  return number ? 128 + number : 1;
+}
+
+/**
+ * Runs the server under supervision: signals are forwarded to its whole process group,
+ * stop() shuts it down gracefully before force-killing, and unexpected exits are restarted
+ * with exponential backoff.
+ *
+ * Options: mode, dll, env, stdio, restart (default true), backoff, stopTimeoutMs, log,
+ * shouldRestart(code, signal), onSpawn(child, { restarted, attempt }), onCrash(code, signal),
+ * onError(error), onExit(exitCode, { code, signal, stopped })
+ */
+function createSupervisor(options) {
+  const backoff = { ...DEFAULT_BACKOFF, ...options.backoff };
+  const log = options.log || ((message) => process.stderr.write(message + '\n'));
+  const stopTimeoutMs = options.stopTimeoutMs || 5000;
+  const shouldRestart = options.shouldRestart || ((code, signal) => code !== 0 || signal !== null);
+  const onExit = options.onExit || (() => {});
+
+  let child = null;
+  let startedAt = 0;
+  let failures = 0;
+  let restartTimer = null;
+  let stopping = null;
+  let finished = false;
+
+  const finish = (exitCode, details) => {
+    if (!finished) {
+      finished = true;
+      onExit(exitCode, details);
+    }
+  };
+
+  const spawn = (restarted) => {
+    const server = spawnServer(options.mode, { dll: options.dll, env: options.env, stdio: options.stdio });
+    child = server;
+    startedAt = Date.now();
+
+    server.on('error', (error) => {
+      child = null;
+      if (options.onError) {
+        options.onError(error);
+      }
+      finish(1, { code: null, signal: null, stopped: false, error });
+    });
+
+    server.on('exit', (code, signal) => {
+      if (child !== server) {
+        return;
+      }
+      child = null;
+
+      if (stopping) {
+        finish(stopping.exitCode, { code, signal, stopped: true });
+        return;
+      }
+
+      const exitCode = code !== null ? code : signalExitCode(signal);
+      if (options.restart === false || !shouldRestart(code, signal)) {
+        finish(exitCode, { code, signal, stopped: false });
+        return;
+      }
+
+      if (options.onCrash) {
+        options.onCrash(code, signal);
+      }
+      if (Date.now() - startedAt >= backoff.stableMs) {
+        failures = 0;
+      }
+      if (failures >= backoff.maxRetries) {
+        log(`💥 Server exited (${signal || `code ${code}`}) and failed ${failures} restarts in a row, giving up`);
+        finish(exitCode, { code, signal, stopped: false });
+        return;
+      }
+
+      const delay = Math.min(backoff.initialMs * 2 ** failures, backoff.maxMs);
+      failures++;
+      log(`💥 Server exited (${signal || `code ${code}`}); restarting in ${(delay / 1000).toFixed(1)}s (attempt ${failures}/${backoff.maxRetries})`);
+      restartTimer = setTimeout(() => {
+        restartTimer = null;
+        spawn(true);
+      }, delay);
+    });
+
+    if (options.onSpawn) {
+      options.onSpawn(server, { restarted, attempt: failures });
+    }
+  };
+
+  return {
+    start() {
+      spawn(false);
+    },
+
+    /**
+     * Forwards the signal to the server's process group and waits up to stopTimeoutMs before
+     * force-killing it. A second stop() while one is in progress kills immediately.
+     */
+    stop(signal = 'SIGTERM') {
+      if (stopping) {
+        signalServer(child, 'SIGKILL');
+        return stopping.promise;
+      }
+
+      const exitCode = signalExitCode(signal);
+      clearTimeout(restartTimer);
+      stopping = { exitCode, promise: stopServer(child, stopTimeoutMs, signal) };
+      if (!child) {
+        finish(exitCode, { code: null, signal: null, stopped: true });
+      }
+      return stopping.promise;
+    },
+
+    get child() {
+      return child;
+    }
+  };
+}
+
+module.exports = {
+  signalExitCode,
+  createSupervisor
+};
@@ -0,0 +1,107 @@
+const MIN_COLUMN_WIDTH = 6;
+
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value).replace(/\s*\n\s*/g, ' ');
+}
+
+function truncate(text, width) {
+  return text.length <= width ? text : `${text.slice(0, Math.max(0, width - 1))}…`;
+}
+
+/**
+ * Renders rows as an aligned text table. columns is a list of keys or { key, title } objects.
+ * Wide columns are shrunk (truncating with …) until the table fits maxWidth.
+ */
+function renderTable(rows, columns, options = {}) {
+  const maxWidth = options.maxWidth || process.stdout.columns || 120;
+  const specs = columns.map((column) => (typeof column === 'string' ? { key: column, title: column } : column));
+  const cells = rows.map((row) => specs.map((spec) => cellText(row[spec.key])));
+  const widths = specs.map((spec, i) => Math.max(spec.title.length, ...cells.map((row) => row[i].length)));
+
+  const gap = 2;
+  const total = () => widths.reduce((sum, width) => sum + width, 0) + gap * (widths.length - 1);
+  while (total() > maxWidth) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= MIN_COLUMN_WIDTH) break;
+    widths[widest]--;
+  }
+
+  const line = (values) => values.map((value, i) => truncate(value, widths[i]).padEnd(widths[i])).join(' '.repeat(gap)).trimEnd();
+  return [
+    line(specs.map((spec) => spec.title.toUpperCase())),
+    line(widths.map((width) => '─'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Renders a JSON value for humans: arrays of objects become tables, objects become
+ * "key: value" lines with nested arrays as their own tables
+ */
+function renderValue(value, options = {}) {
+  if (Array.isArray(value)) {
+    if (value.length > 0 && value.every(isPlainObject)) {
+      // Scalar fields only; nested objects would not fit in a cell
+      const keys = [...new Set(value.flatMap((item) => Object.keys(item)))]
+        .filter((key) => value.some((item) => item[key] !== null && item[key] !== undefined && typeof item[key] !== 'object'));
+      return renderTable(value, keys.length > 0 ? keys : Object.keys(value[0]), options);
+    }
+    return value.map((item) => `• ${cellText(item)}`).join('\n');
+  }
+
+  if (isPlainObject(value)) {
+    const scalars = [];
+    const sections = [];
+    for (const [key, item] of Object.entries(value)) {
+      if ((Array.isArray(item) && item.length > 0) || (isPlainObject(item) && Object.keys(item).length > 3)) {
+        sections.push(`\n${key}:\n${renderValue(item, options)}`);
+      } else {
+        scalars.push([key, cellText(item)]);
+      }
+    }
+    const width = Math.max(0, ...scalars.map(([key]) => key.length));
+    return [...scalars.map(([key, text]) => `${`${key}:`.padEnd(width + 1)} ${text}`), ...sections].join('\n').trim();
+  }
+
+  return cellText(value);
+}
+
+/**
+ * Renders MCP tool result content items; text that holds JSON is shown as tables
+ */
+function renderContent(content = [], options = {}) {
+  return content.map((item) => {
+    if (item.type === 'text') {
+      try {
+        const parsed = JSON.parse(item.text);
+        if (parsed !== null && typeof parsed === 'object') {
+          return renderValue(parsed, options);
+        }
+      } catch {
+        // Plain text
+      }
+      return item.text;
+    }
+    if (item.type === 'image' || item.type === 'audio') {
+      return `[${item.type}: ${item.mimeType || 'unknown type'}, ${item.data ? item.data.length : 0} bytes base64]`;
+    }
+    if (item.type === 'resource' && item.resource) {
+      return item.resource.text !== undefined ? item.resource.text : `[resource: ${item.resource.uri}]`;
+    }
+    return JSON.stringify(item, null, 2);
+  }).join('\n\n');
+}
+
+module.exports = {
+  renderTable,
+  renderValue,
+  renderContent
+};
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const AZ_TIMEOUT_MS = 20000;
+
+// Variables that name a tenant outright, in order of precedence
+const TENANT_VARIABLES = ['AZURE_TENANT_ID', 'ARM_TENANT_ID'];
+
+/**
+ * The Azure CLI configuration directory (AZURE_CONFIG_DIR overrides ~/.azure)
+ */
+function azureConfigDir() {
+  return process.env.AZURE_CONFIG_DIR || path.join(os.homedir(), '.azure');
+}
+
+/**
+ * Runs a command and resolves { success, stdout }; never rejects, and gives up after timeoutMs
+ */
+function runCommand(command, args, timeoutMs = AZ_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    let stdout = '';
+    let child;
+    try {
+      // az is a .cmd script on Windows, which only runs through a shell
+      child = spawn(command, args, { stdio: ['ignore', 'pipe', 'ignore'], shell: /\.cmd$/i.test(command) });
+    } catch {
+      resolve({ success: false, stdout });
+      return;
+    }
+    const timer = setTimeout(() => child.kill(), timeoutMs);
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.on('error', () => {
+      clearTimeout(timer);
+      resolve({ success: false, stdout });
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ success: code === 0, stdout });
+    });
+  });
+}
+
+/**
+ * Finds the Azure CLI executable on PATH
+ */
+async function findAzureCli() {
+  const commands = process.platform === 'win32' ? ['az.cmd', 'az.exe'] : ['az'];
+  const which = process.platform === 'win32' ? 'where' : 'which';
+
+  for (const command of commands) {
+    const result = await runCommand(which, [command], 5000);
+    if (result.success && result.stdout.trim()) {
+      return result.stdout.trim().split('\n')[0].trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Subscriptions from azureProfile.json, written by "az login" (the file starts with a BOM)
+ */
+function readAzureProfile(file = path.join(azureConfigDir(), 'azureProfile.json')) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+    return Array.isArray(data.subscriptions) ? data.subscriptions : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Every tenant the signed-in Azure CLI user can access, with names (needs network access)
+ */
+async function listAzureTenants(azPath) {
+  const result = await runCommand(azPath, ['account', 'tenant', 'list', '--output', 'json']);
+  if (!result.success) {
+    return [];
+  }
+  try {
+    const tenants = JSON.parse(result.stdout);
+    return Array.isArray(tenants) ? tenants : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Collects tenant candidates from the environment, azureProfile.json and the Azure CLI.
+ * Each candidate is { tenantId, name, domain, user, sources, subscriptions, isDefault }; the same
+ * tenant found in several places is merged. Candidates that are not GUIDs are dropped and reported
+ * in invalid. Options: env, profileFile, useCli (default true), azPath.
+ */
+async function discoverTenants(options = {}) {
+  const env = options.env || process.env;
+  const byId = new Map();
+  const invalid = [];
+
+  const add = (tenantId, source, details = {}) => {
+    const id = String(tenantId || '').trim();
+    if (!id) return;
+    if (!GUID_PATTERN.test(id)) {
+      invalid.push({ tenantId: id, source });
+      return;
+    }
+    const key = id.toLowerCase();
+    const candidate = byId.get(key) || { tenantId: key, name: null, domain: null, user: null, sources: [], subscriptions: [], isDefault: false };
+    if (!candidate.sources.includes(source)) candidate.sources.push(source);
+    candidate.name = candidate.name || details.name || null;
+    candidate.domain = candidate.domain || details.domain || null;
+    candidate.user = candidate.user || details.user || null;
+    if (details.subscription) candidate.subscriptions.push(details.subscription);
+    candidate.isDefault = candidate.isDefault || Boolean(details.isDefault);
+    byId.set(key, candidate);
+  };
+
+  for (const name of TENANT_VARIABLES) {
+    add(env[name], name);
+  }
+
+  for (const subscription of readAzureProfile(options.profileFile)) {
+    // Tenant-level logins (az login --allow-no-subscriptions) list the tenant as its own subscription
+    const tenantLevel = subscription.id === subscription.tenantId;
+    add(subscription.tenantId, 'azureProfile.json', {
+      name: subscription.tenantDisplayName,
+      domain: subscription.tenantDefaultDomain,
+      user: subscription.user && subscription.user.name,
+      subscription: tenantLevel ? null : subscription.name,
+      isDefault: subscription.isDefault
+    });
+  }
+
+  if (options.useCli !== false) {
+    const azPath = options.azPath || await findAzureCli();
+    if (azPath) {
+      for (const tenant of await listAzureTenants(azPath)) {
+        add(tenant.tenantId, 'az account tenant list', { name: tenant.displayName, domain: tenant.defaultDomain });
+      }
+    }
+  }
+
+  // Explicit variables first, then the az default, then the rest by name
+  const rank = (candidate) => (candidate.sources.some((source) => TENANT_VARIABLES.includes(source)) ? 0 : candidate.isDefault ? 1 : 2);
+  const candidates = [...byId.values()].sort((a, b) => rank(a) - rank(b) || tenantLabel(a).localeCompare(tenantLabel(b)));
+  return { candidates, invalid };
+}
+
+/**
+ * "Contoso (contoso.onmicrosoft.com)"; tenants az knows no name for are described by their subscriptions
+ */
+function tenantLabel(candidate) {
+  if (candidate.name) {
+    return candidate.domain ? `${candidate.name} (${candidate.domain})` : candidate.name;
+  }
+  const subscriptions = candidate.subscriptions.length > 0 ? ` (subscriptions: ${candidate.subscriptions.join(', ')})` : '';
+  return `${candidate.domain || 'Unnamed tenant'}${subscriptions}`;
+}
+
+/**
+ * Asks which tenant to use. Enter picks the first candidate, 0 skips (configure manually later).
+ * Resolves the chosen candidate or null.
+ */
+function pickTenant(candidates, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const print = (text = '') => output.write(`${text}\n`);
+
+  print(`🏢 Found ${candidates.length} tenants:`);
+  candidates.forEach((candidate, i) => {
+    const notes = [candidate.sources.join(', '), candidate.user].filter(Boolean).join('; ');
+    print(`  ${i + 1}) ${tenantLabel(candidate)}${i === 0 ? '  [default]' : ''}`);
+    print(`     ${candidate.tenantId}  ${notes}`);
+  });
+  print('  0) None - configure the tenant later');
+
+  // Lines are queued so answers piped in ahead of the prompt are not lost
+  const rl = readline.createInterface({ input, output, terminal: false });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+  rl.on('line', (line) => (waiting.length > 0 ? waiting.shift()(line) : lines.push(line)));
+  rl.on('close', () => {
+    closed = true;
+    waiting.splice(0).forEach((resolve) => resolve(null));
+  });
+  const ask = () => {
+    output.write(`Select a tenant [0-${candidates.length}, Enter for 1]: `);
+    if (lines.length > 0) return Promise.resolve(lines.shift());
+    if (closed) return Promise.resolve(null);
+    return new Promise((resolve) => waiting.push(resolve));
+  };
+
+  return (async () => {
+    try {
+      for (;;) {
+        const answer = await ask();
+        if (answer === null) {
+          // No terminal to answer from: keep the default
+          print('');
+          return candidates[0];
+        }
+        const choice = answer.trim() === '' ? 1 : Number(answer.trim());
+        if (choice === 0) {
+          return null;
+        }
+        if (Number.isInteger(choice) && choice >= 1 && choice <= candidates.length) {
+          return candidates[choice - 1];
+        }
+        print(`  ❌ Enter a number from 0 to ${candidates.length}`);
+      }
+    } finally {
+      rl.close();
+    }
+  })();
+}
+
+module.exports = {
+  GUID_PATTERN,
+  TENANT_VARIABLES,
+  azureConfigDir,
+  findAzureCli,
+  readAzureProfile,
+  discoverTenants,
+  tenantLabel,
+  pickTenant
+};
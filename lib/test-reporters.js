@@ -0,0 +1,131 @@
+/**
+ * Output formats for the conformance runner: human console output, TAP 13 and JUnit XML
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+function createConsoleReporter(write) {
+  const icons = { pass: '✅', fail: '❌', skip: '⏭️ ' };
+
+  return {
+    onSuite(suite) {
+      write(`\n${suite.icon || '🧪'} ${suite.title}\n`);
+    },
+    onResult(result) {
+      const detail = result.status === 'pass' ? '' : ` - ${result.message}`;
+      write(`${icons[result.status]} ${result.name}${detail}\n`);
+      result.warnings.forEach((warning) => write(`   ⚠️  ${warning}\n`));
+    },
+    finish(results) {
+      const count = (status) => results.filter((result) => result.status === status).length;
+      const warnings = results.reduce((total, result) => total + result.warnings.length, 0);
+      write(`\n📋 Summary: ${count('pass')} passed, ${count('fail')} failed, ${count('skip')} skipped, ${warnings} warnings\n`);
+      write(count('fail') === 0 ? '🎉 All tests passed!\n' : '💥 Some tests failed\n');
+    }
+  };
+}
+
+function createTapReporter(write) {
+  let index = 0;
+
+  return {
+    start() {
+      write('TAP version 13\n');
+    },
+    onSuite(suite) {
+      write(`# ${suite.title}\n`);
+    },
+    onResult(result) {
+      index += 1;
+      const ok = result.status === 'fail' ? 'not ok' : 'ok';
+      const directive = result.status === 'skip' ? ` # SKIP ${result.message}` : '';
+      write(`${ok} ${index} - ${result.suite}: ${result.name}${directive}\n`);
+
+      if (result.status === 'fail' || result.warnings.length > 0) {
+        write('  ---\n');
+        if (result.status === 'fail') {
+          write(`  message: ${yamlString(result.message)}\n`);
+        }
+        if (result.warnings.length > 0) {
+          write('  warnings:\n');
+          result.warnings.forEach((warning) => write(`    - ${yamlString(warning)}\n`));
+        }
+        write(`  duration_ms: ${result.durationMs}\n`);
+        write('  ...\n');
+      }
+    },
+    finish() {
+      write(`1..${index}\n`);
+    }
+  };
+}
+
+function createJUnitReporter(write) {
+  return {
+    finish(results) {
+      const suites = new Map();
+      for (const result of results) {
+        if (!suites.has(result.suite)) {
+          suites.set(result.suite, []);
+        }
+        suites.get(result.suite).push(result);
+      }
+
+      const total = (items, status) => items.filter((item) => item.status === status).length;
+      const seconds = (items) => (items.reduce((sum, item) => sum + item.durationMs, 0) / 1000).toFixed(3);
+
+      const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+      lines.push(`<testsuites name="darbot-teams-mcp" tests="${results.length}" failures="${total(results, 'fail')}" skipped="${total(results, 'skip')}" time="${seconds(results)}">`);
+      for (const [suite, items] of suites) {
+        lines.push(`  <testsuite name="${escapeXml(suite)}" tests="${items.length}" failures="${total(items, 'fail')}" skipped="${total(items, 'skip')}" time="${seconds(items)}">`);
+        for (const item of items) {
+          lines.push(`    <testcase classname="${escapeXml(suite)}" name="${escapeXml(item.name)}" time="${(item.durationMs / 1000).toFixed(3)}">`);
+          if (item.status === 'fail') {
+            lines.push(`      <failure message="${escapeXml(item.message)}"/>`);
+          } else if (item.status === 'skip') {
+            lines.push(`      <skipped message="${escapeXml(item.message)}"/>`);
+          }
+          if (item.warnings.length > 0) {
+            lines.push(`      <system-out>${escapeXml(item.warnings.map((warning) => `WARNING: ${warning}`).join('\n'))}</system-out>`);
+          }
+          lines.push('    </testcase>');
+        }
+        lines.push('  </testsuite>');
+      }
+      lines.push('</testsuites>');
+      write(lines.join('\n') + '\n');
+    }
+  };
+}
+
+const REPORTERS = {
+  console: createConsoleReporter,
+  tap: createTapReporter,
+  junit: createJUnitReporter
+};
+
+/**
+ * Creates a reporter by name; every hook is optional
+ */
+function createReporter(name, write) {
+  const factory = REPORTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown reporter: ${name} (expected ${Object.keys(REPORTERS).join(', ')})`);
+  }
+  return { start() {}, onSuite() {}, onResult() {}, finish() {}, ...factory(write) };
+}
+
+module.exports = {
+  createReporter
+};
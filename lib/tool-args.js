@@ -0,0 +1,258 @@
+const fs = require('fs');
+const Ajv = require('ajv');
+
+const normalizeKey = (name) => name.toLowerCase().replace(/[-_]/g, '');
+
+/**
+ * Kebab-case form of a property name, as accepted on the command line (channelId -> channel-id)
+ */
+function kebabCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Short human description of a schema type ("string", "integer", "string[]", "low|normal|high")
+ */
+function describeType(schema = {}) {
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.join('|');
+  }
+  const type = Array.isArray(schema.type) ? schema.type.join('|') : schema.type;
+  if (type === 'array') {
+    return `${describeType(schema.items || {})}[]`;
+  }
+  return type || 'any';
+}
+
+/**
+ * Parameters of a tool in display order: required first, then the rest as declared
+ */
+function toolParameters(inputSchema = {}) {
+  const properties = inputSchema.properties || {};
+  const required = new Set(inputSchema.required || []);
+  return Object.keys(properties)
+    .map((name) => ({ name, schema: properties[name], required: required.has(name) }))
+    .sort((a, b) => Number(b.required) - Number(a.required));
+}
+
+/**
+ * Converts a command-line string to the schema's type. Throws with a readable message on mismatch.
+ */
+function coerceValue(raw, schema = {}, flag) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type || 'string'];
+
+  const attempt = (type) => {
+    switch (type) {
+      case 'integer':
+      case 'number': {
+        const value = Number(raw);
+        if (raw.trim() === '' || Number.isNaN(value) || (type === 'integer' && !Number.isInteger(value))) {
+          return undefined;
+        }
+        return value;
+      }
+      case 'boolean':
+        if (/^(true|yes|1|on)$/i.test(raw)) return true;
+        if (/^(false|no|0|off)$/i.test(raw)) return false;
+        return undefined;
+      case 'array':
+      case 'object': {
+        let value;
+        try {
+          value = JSON.parse(raw);
+        } catch {
+          return type === 'array' ? [coerceValue(raw, schema.items || {}, flag)] : undefined;
+        }
+        if (type === 'array' && !Array.isArray(value)) return [coerceValue(raw, schema.items || {}, flag)];
+        if (type === 'object' && (value === null || typeof value !== 'object' || Array.isArray(value))) return undefined;
+        return value;
+      }
+      case 'null':
+        return raw === 'null' ? null : undefined;
+      default:
+        return raw;
+    }
+  };
+
+  for (const type of types) {
+    const value = attempt(type);
+    if (value !== undefined) {
+      if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        throw new Error(`${flag} must be one of ${schema.enum.join(', ')} (got "${raw}")`);
+      }
+      return value;
+    }
+  }
+  throw new Error(`${flag} expects ${types.length > 1 ? 'one of ' : types[0] === 'integer' ? 'an ' : 'a '}${types.join('/')}, got "${raw}"`);
+}
+
+/**
+ * Levenshtein distance, for "did you mean" suggestions
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest candidate to name, or null when nothing is reasonably close
+ */
+function suggest(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(normalizeKey(name), normalizeKey(candidate));
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best && bestDistance <= Math.max(2, Math.floor(Math.max(name.length, best.length) / 3)) ? best : null;
+}
+
+/**
+ * Reads --args-json: inline JSON, or @path to a JSON file
+ */
+function readArgsJson(value) {
+  const text = value.startsWith('@') ? fs.readFileSync(value.slice(1), 'utf8') : value;
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`--args-json is not valid JSON: ${error.message}`);
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('--args-json must be a JSON object');
+  }
+  return parsed;
+}
+
+// Compiled validators by inputSchema object
+const validators = new WeakMap();
+let ajv = null;
+
+/**
+ * Where args break inputSchema: [{ path ("members.0", "" for the arguments object), message,
+ * missing (the property a "required" error is about) }]
+ */
+function schemaErrors(inputSchema, args) {
+  let validate = validators.get(inputSchema);
+  if (!validate) {
+    ajv = ajv || new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    validate = ajv.compile(inputSchema);
+    validators.set(inputSchema, validate);
+  }
+  if (validate(args)) {
+    return [];
+  }
+  return validate.errors.map((error) => {
+    const params = error.params || {};
+    return {
+      path: error.instancePath.slice(1).replace(/\//g, '.'),
+      message: `${error.message}${params.additionalProperty ? ` (${params.additionalProperty})` : ''}`,
+      missing: params.missingProperty
+    };
+  });
+}
+
+/**
+ * Builds tool arguments from command-line tokens using the tool's inputSchema.
+ * Accepts --name value, --name=value, --kebab-name value, bare boolean flags and --no-<flag>;
+ * array parameters take a JSON array or repeat the flag. Returns { args, errors }.
+ */
+function parseToolArgs(inputSchema = {}, tokens = [], baseArgs = {}) {
+  const properties = inputSchema.properties || {};
+  const byKey = new Map(Object.keys(properties).map((name) => [normalizeKey(name), name]));
+  const args = { ...baseArgs };
+  const fromFlags = new Set();
+  const errors = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (!token.startsWith('--')) {
+      errors.push(`Unexpected argument "${token}" (parameters are passed as --name value)`);
+      continue;
+    }
+
+    const [flag, inline] = token.slice(2).split(/=(.*)/s);
+    let negated = false;
+    let name = byKey.get(normalizeKey(flag));
+    if (!name && flag.startsWith('no-') && byKey.has(normalizeKey(flag.slice(3)))) {
+      name = byKey.get(normalizeKey(flag.slice(3)));
+      negated = true;
+    }
+    if (!name) {
+      const hint = suggest(flag, Object.keys(properties));
+      errors.push(`Unknown parameter --${flag}${hint ? ` (did you mean --${hint}?)` : ''}`);
+      if (inline === undefined && tokens[i + 1] !== undefined && !tokens[i + 1].startsWith('--')) i++;
+      continue;
+    }
+
+    const schema = properties[name];
+    const isBoolean = schema.type === 'boolean';
+    let raw = inline;
+    if (negated) {
+      if (!isBoolean) {
+        errors.push(`--no-${flag.slice(3)} can only be used with boolean parameters`);
+        continue;
+      }
+      raw = 'false';
+    } else if (raw === undefined) {
+      const next = tokens[i + 1];
+      if (isBoolean && (next === undefined || !/^(true|false|yes|no|1|0|on|off)$/i.test(next))) {
+        raw = 'true';
+      } else if (next === undefined || next.startsWith('--')) {
+        errors.push(`Missing value for --${name} (${describeType(schema)})`);
+        continue;
+      } else {
+        raw = next;
+        i++;
+      }
+    }
+
+    try {
+      const value = coerceValue(raw, schema, `--${name}`);
+      if (schema.type === 'array' && fromFlags.has(name)) {
+        args[name] = [...args[name], ...value];
+      } else {
+        args[name] = value;
+      }
+      fromFlags.add(name);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  for (const name of inputSchema.required || []) {
+    if (args[name] === undefined) {
+      errors.push(`Missing required parameter --${name} (${describeType(properties[name])})`);
+    }
+  }
+
+  // Ranges, patterns and anything else the schema says
+  if (errors.length === 0) {
+    errors.push(...schemaErrors(inputSchema, args).map((error) => `${error.path ? `--${error.path}` : 'arguments'} ${error.message}`));
+  }
+
+  return { args, errors };
+}
+
+module.exports = {
+  kebabCase,
+  describeType,
+  toolParameters,
+  coerceValue,
+  suggest,
+  readArgsJson,
+  schemaErrors,
+  parseToolArgs
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { packageRoot } = require('./server');
+
+const commandsDir = path.join(packageRoot, 'src', 'DarbotTeamsMcp.Commands');
+const registrationFile = path.join(packageRoot, 'src', 'DarbotTeamsMcp.Server', 'StdioMcpServer.cs');
+
+/**
+ * Parses the C# initializer expression at text[start] - anonymous objects (new { a = 1 }),
+ * arrays (new[] { "x" }), string literals (regular and @"verbatim"), numbers, booleans and
+ * null - into the JSON value System.Text.Json serializes it to. Returns { value, end }.
+ */
+function parseCSharpValue(text, start = 0) {
+  let i = start;
+
+  const fail = (message) => {
+    const line = text.slice(0, i).split('\n').length;
+    throw new Error(`${message} at line ${line}: ${JSON.stringify(text.slice(i, i + 40))}`);
+  };
+
+  const skip = () => {
+    for (;;) {
+      while (i < text.length && /\s/.test(text[i])) i++;
+      if (text.startsWith('//', i)) {
+        while (i < text.length && text[i] !== '\n') i++;
+      } else if (text.startsWith('/*', i)) {
+        i = text.indexOf('*/', i) + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const expect = (token) => {
+    skip();
+    if (!text.startsWith(token, i)) fail(`Expected "${token}"`);
+    i += token.length;
+  };
+
+  const parseString = () => {
+    if (text[i] === '@') {
+      i += 2;
+      let value = '';
+      for (;;) {
+        const end = text.indexOf('"', i);
+        if (end === -1) fail('Unterminated verbatim string');
+        value += text.slice(i, end);
+        i = end + 1;
+        if (text[i] !== '"') return value;
+        value += '"';
+        i++;
+      }
+    }
+    i++;
+    let value = '';
+    const escapes = { n: '\n', r: '\r', t: '\t', '0': '\0', '"': '"', '\'': '\'', '\\': '\\' };
+    while (text[i] !== '"') {
+      if (i >= text.length || text[i] === '\n') fail('Unterminated string');
+      if (text[i] === '\\') {
+        const next = text[i + 1];
+        if (next === 'u') {
+          value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+          i += 6;
+          continue;
+        }
+        if (!(next in escapes)) fail(`Unsupported escape \\${next}`);
+        value += escapes[next];
+        i += 2;
+        continue;
+      }
+      value += text[i++];
+    }
+    i++;
+    return value;
+  };
+
+  // Members of new { ... } and elements of new[] { ... }, up to the closing brace
+  const parseList = (parseItem) => {
+    expect('{');
+    const items = [];
+    for (;;) {
+      skip();
+      if (text[i] === '}') {
+        i++;
+        return items;
+      }
+      items.push(parseItem());
+      skip();
+      if (text[i] === ',') {
+        i++;
+      } else if (text[i] !== '}') {
+        fail('Expected "," or "}"');
+      }
+    }
+  };
+
+  const parseValue = () => {
+    skip();
+    if (text[i] === '"' || text.startsWith('@"', i)) {
+      return parseString();
+    }
+    const number = /^-?\d+(\.\d+)?([eE][+-]?\d+)?[dDfFmMlL]?/.exec(text.slice(i, i + 40));
+    if (number) {
+      i += number[0].length;
+      return Number(number[0].replace(/[dDfFmMlL]$/, ''));
+    }
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (new RegExp(`^${literal}\\b`).test(text.slice(i, i + 6))) {
+        i += literal.length;
+        return value;
+      }
+    }
+    const empty = /^Array\.Empty<\w+>\(\)/.exec(text.slice(i, i + 40));
+    if (empty) {
+      i += empty[0].length;
+      return [];
+    }
+    if (!/^new\b/.test(text.slice(i, i + 4))) fail('Unsupported expression');
+    i += 3;
+    skip();
+    // new[] { ... }, new string[] { ... }, new object[] { ... }
+    const array = /^(\w+\s*)?\[\s*\]/.exec(text.slice(i, i + 20));
+    if (array) {
+      i += array[0].length;
+      return parseList(parseValue);
+    }
+    return Object.fromEntries(parseList(() => {
+      skip();
+      const name = /^@?([A-Za-z_]\w*)/.exec(text.slice(i, i + 80));
+      if (!name) fail('Expected a property name');
+      i += name[0].length;
+      expect('=');
+      return [name[1], parseValue()];
+    }));
+  };
+
+  const value = parseValue();
+  return { value, end: i };
+}
+
+/**
+ * Tool metadata of every TeamsToolBase subclass in one source file, keyed by class name
+ */
+function parseToolClasses(source, file = 'source') {
+  const tools = {};
+  const classPattern = /public class (\w+)\s*:\s*TeamsToolBase/g;
+  const starts = [...source.matchAll(classPattern)];
+
+  starts.forEach((match, index) => {
+    const body = source.slice(match.index, index + 1 < starts.length ? starts[index + 1].index : source.length);
+    const property = (pattern) => {
+      const found = pattern.exec(body);
+      return found ? found[1] : null;
+    };
+    const schemaAt = body.search(/public override JsonElement InputSchema/);
+    if (schemaAt === -1) {
+      throw new Error(`${file}: ${match[1]} has no InputSchema`);
+    }
+    const newAt = body.slice(schemaAt).search(/\bnew\b/) + schemaAt;
+
+    let inputSchema;
+    try {
+      inputSchema = parseCSharpValue(body, newAt).value;
+    } catch (error) {
+      throw new Error(`${file}: cannot read the InputSchema of ${match[1]}: ${error.message}`);
+    }
+
+    tools[match[1]] = {
+      name: property(/override string Name => "([^"]+)"/),
+      description: property(/override string Description => "((?:[^"\\]|\\.)*)"/),
+      inputSchema,
+      category: property(/override TeamsToolCategory Category => TeamsToolCategory\.(\w+)/),
+      requiredPermission: property(/override TeamsPermissionLevel RequiredPermission => TeamsPermissionLevel\.(\w+)/)
+    };
+  });
+  return tools;
+}
+
+let cached = null;
+
+/**
+ * The server's tool catalog as tools/list returns it ({ name, description, inputSchema,
+ * category, requiredPermission }), read from the C# sources in registration order, so it
+ * needs neither the .NET SDK nor a build
+ */
+function loadToolCatalog() {
+  if (cached) {
+    return cached;
+  }
+
+  const classes = {};
+  for (const file of fs.readdirSync(commandsDir).filter((name) => name.endsWith('.cs')).sort()) {
+    Object.assign(classes, parseToolClasses(fs.readFileSync(path.join(commandsDir, file), 'utf8'), file));
+  }
+
+  const registered = [...fs.readFileSync(registrationFile, 'utf8').matchAll(/RegisterTool\(new (\w+)\(/g)].map((match) => match[1]);
+  cached = registered.map((className) => {
+    if (!classes[className]) {
+      throw new Error(`${path.basename(registrationFile)} registers ${className}, which is not in ${commandsDir}`);
+    }
+    return classes[className];
+  });
+  return cached;
+}
+
+module.exports = {
+  parseCSharpValue,
+  parseToolClasses,
+  loadToolCatalog
+};
@@ -0,0 +1,222 @@
+const path = require('path');
+const { toolParameters, describeType } = require('./tool-args');
+const { packageRoot } = require('./server');
+
+// Reference-doc groups in display order, with the server's TeamsToolCategory values each covers
+const TOOL_GROUPS = [
+  { id: 'channels', title: '📢 Channel Management', categories: ['ChannelManagement', 'TeamManagement', 'Reporting'], summary: 'Create/archive channels, manage privacy, topics, analytics' },
+  { id: 'messaging', title: '💬 Messaging', categories: ['Messaging', 'Notifications'], summary: 'Pin messages, search, announcements, exports' },
+  { id: 'files', title: '📁 File Management', categories: ['Files'], summary: 'Upload/download files, organize content' },
+  { id: 'meetings', title: '📅 Meetings', categories: ['Meetings'], summary: 'Schedule/cancel meetings, view calendar' },
+  { id: 'tasks', title: '✅ Tasks', categories: ['Tasks', 'Polls'], summary: 'Assign tasks, track completion, polls' },
+  { id: 'presence', title: '🟢 Presence', categories: ['Presence'], summary: 'Status management, notifications' },
+  { id: 'users', title: '👥 User Management', categories: ['UserManagement'], summary: 'Add/remove members, manage roles, guest users' },
+  { id: 'integrations', title: '🔗 Integrations', categories: ['Integrations'], summary: 'Manage bots, tabs, apps' },
+  { id: 'support', title: '🆘 Support', categories: ['Support'], summary: 'Team info, help, issue reporting' }
+];
+const OTHER_GROUP = { id: 'other', title: '🧩 Other', categories: [], summary: 'Tools without a known category' };
+
+// A Markdown file with these markers (README.md) gets the category summary between them
+const SUMMARY_START = '<!-- export-tools:summary:start -->';
+const SUMMARY_END = '<!-- export-tools:summary:end -->';
+
+const FORMATS = ['markdown', 'json-schema', 'openapi'];
+
+// Committed docs that export-tools --check verifies and --update rewrites
+const DOC_TARGETS = [
+  { format: 'markdown', file: 'docs/tools.md' },
+  { format: 'markdown', file: 'README.md' },
+  { format: 'json-schema', file: 'docs/tools.schema.json' },
+  { format: 'openapi', file: 'docs/openapi.json' }
+];
+
+const GENERATED_NOTE = 'Generated by `npx darbot-teams-mcp export-tools` from the server\'s tools/list - do not edit by hand.';
+
+/**
+ * Tools grouped for the reference docs: [{ group, tools }] in TOOL_GROUPS order, empty groups left out
+ */
+function groupTools(tools) {
+  const groups = [...TOOL_GROUPS, OTHER_GROUP].map((group) => ({ group, tools: [] }));
+  for (const tool of tools) {
+    const entry = groups.find(({ group }) => group.categories.includes(tool.category)) || groups[groups.length - 1];
+    entry.tools.push(tool);
+  }
+  return groups.filter((entry) => entry.tools.length > 0);
+}
+
+// Table cells must not break the row
+const cell = (text) => String(text === undefined || text === null ? '' : text).replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+
+const anchor = (title) => title.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-');
+
+/**
+ * The category table: one row per group with its tool count
+ */
+function renderSummary(tools) {
+  const rows = groupTools(tools).map(({ group, tools: members }) => `| **${group.title}** | ${members.length} tool${members.length === 1 ? '' : 's'} | ${group.summary} |`);
+  return ['| Category | Commands | Description |', '|----------|----------|-------------|', ...rows].join('\n');
+}
+
+/**
+ * Markdown reference: the category table, then every tool with its parameters, by group
+ */
+function renderMarkdown(tools) {
+  const lines = ['# Darbot Teams MCP Tools', '', `> ${GENERATED_NOTE}`, '', `${tools.length} tools in ${groupTools(tools).length} categories.`, '', renderSummary(tools), ''];
+
+  for (const { group, tools: members } of groupTools(tools)) {
+    lines.push(`## ${group.title}`, '');
+    lines.push(members.map((tool) => `- [\`${tool.name}\`](#${anchor(tool.name)})`).join('\n'), '');
+    for (const tool of members) {
+      lines.push(`### ${tool.name}`, '', tool.description || '', '');
+      const facts = [tool.category && `Category: ${tool.category}`, tool.requiredPermission && `Permission: ${tool.requiredPermission}`].filter(Boolean);
+      if (facts.length > 0) lines.push(facts.join(' · '), '');
+
+      const params = toolParameters(tool.inputSchema);
+      if (params.length === 0) {
+        lines.push('No parameters.', '');
+        continue;
+      }
+      lines.push('| Parameter | Type | Required | Description |', '|-----------|------|----------|-------------|');
+      for (const param of params) {
+        const { schema } = param;
+        const details = [
+          schema.default !== undefined ? `default: \`${JSON.stringify(schema.default)}\`` : '',
+          schema.format ? `format: ${schema.format}` : ''
+        ].filter(Boolean);
+        const notes = [schema.description, details.length > 0 ? `(${details.join(', ')})` : ''].filter(Boolean).join(' ');
+        lines.push(`| \`${param.name}\` | ${cell(describeType(schema))} | ${param.required ? 'yes' : ''} | ${cell(notes)} |`);
+      }
+      lines.push('');
+    }
+  }
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd()}\n`;
+}
+
+/**
+ * JSON Schema bundle: each tool's inputSchema under $defs/<tool name>, annotated with its
+ * description, category and permission
+ */
+function renderJsonSchema(tools) {
+  const bundle = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://github.com/darbotlabs/darbot-teams-mcp/docs/tools.schema.json',
+    title: 'Darbot Teams MCP tool arguments',
+    description: GENERATED_NOTE,
+    $defs: Object.fromEntries(tools.map((tool) => [tool.name, {
+      title: tool.name,
+      description: tool.description,
+      'x-category': tool.category,
+      'x-required-permission': tool.requiredPermission,
+      ...tool.inputSchema
+    }]))
+  };
+  return `${JSON.stringify(bundle, null, 2)}\n`;
+}
+
+/**
+ * OpenAPI 3 document with one POST /tools/<name> operation per tool: the request body is the
+ * tool's arguments, the response its MCP result
+ */
+function renderOpenApi(tools, options = {}) {
+  const groups = groupTools(tools);
+  const groupOf = (tool) => groups.find(({ tools: members }) => members.includes(tool)).group;
+  const operationId = (name) => name.replace(/-([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+
+  const document = {
+    openapi: '3.0.3',
+    info: {
+      title: 'Darbot Teams MCP tools',
+      version: options.version || '1.0.0',
+      description: `${GENERATED_NOTE}\n\nEach operation describes one MCP tool: POST the arguments to call it (an MCP tools/call with the body as arguments).`
+    },
+    servers: [{ url: options.serverUrl || 'http://localhost:3001' }],
+    tags: groups.map(({ group }) => ({ name: group.id, description: `${group.title.replace(/^\S+\s/, '')}: ${group.summary}` })),
+    paths: Object.fromEntries(tools.map((tool) => [`/tools/${tool.name}`, {
+      post: {
+        operationId: operationId(tool.name),
+        summary: tool.description,
+        tags: [groupOf(tool).id],
+        ...(tool.requiredPermission ? { 'x-required-permission': tool.requiredPermission } : {}),
+        requestBody: {
+          required: (tool.inputSchema.required || []).length > 0,
+          content: { 'application/json': { schema: tool.inputSchema } }
+        },
+        responses: {
+          200: {
+            description: 'Tool result; isError is set when the tool failed',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ToolResult' } } }
+          }
+        }
+      }
+    }])),
+    components: {
+      schemas: {
+        ToolResult: {
+          type: 'object',
+          required: ['content'],
+          properties: {
+            isError: { type: 'boolean' },
+            content: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['type'],
+                properties: { type: { type: 'string' }, text: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Renders tools in one of FORMATS
+ */
+function renderTools(tools, format, options = {}) {
+  switch (format) {
+    case 'markdown':
+      return renderMarkdown(tools);
+    case 'json-schema':
+      return renderJsonSchema(tools);
+    case 'openapi':
+      return renderOpenApi(tools, options);
+    default:
+      throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * The content a file should have: the rendered export, or for a Markdown file with summary
+ * markers its current text with the category table between them
+ */
+function exportContent(tools, format, currentText, options = {}) {
+  if (format === 'markdown' && currentText) {
+    const start = currentText.indexOf(SUMMARY_START);
+    const end = currentText.indexOf(SUMMARY_END);
+    if (start !== -1 && end > start) {
+      return `${currentText.slice(0, start + SUMMARY_START.length)}\n${renderSummary(tools)}\n${currentText.slice(end)}`;
+    }
+  }
+  return renderTools(tools, format, options);
+}
+
+/**
+ * DOC_TARGETS with absolute paths in the package (the repository checkout during development)
+ */
+function docTargets(format = null) {
+  return DOC_TARGETS.filter((target) => !format || target.format === format)
+    .map((target) => ({ format: target.format, file: path.join(packageRoot, target.file) }));
+}
+
+module.exports = {
+  TOOL_GROUPS,
+  FORMATS,
+  docTargets,
+  groupTools,
+  renderSummary,
+  renderTools,
+  exportContent
+};
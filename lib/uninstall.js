@@ -0,0 +1,233 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SERVER_NAME, CLIENTS, getClient } = require('./mcp-clients');
+const { readConfigFile, listBackups } = require('./config-file');
+const { listProfiles, profileServerName } = require('./profiles');
+const { packageRoot } = require('./server');
+const { cacheDir, configDir, stateDir } = require('./paths');
+const daemon = require('./daemon');
+
+// .NET build output folders next to each project
+const BUILD_DIRS = new Set(['bin', 'obj']);
+
+// What the package writes into the per-user directories; anything else in them is left alone.
+// env names the variable that moves the directory somewhere that may be shared.
+const USER_DIRS = [
+  { id: 'cache', dir: cacheDir, env: 'DARBOT_CACHE_DIR', contents: ['builds'] },
+  { id: 'state', dir: stateDir, env: 'DARBOT_STATE_DIR', contents: ['http-daemon.json', 'http-daemon.log', 'audit.key', /^audit\.jsonl(\.\d+)?$/] },
+  { id: 'config', dir: configDir, env: 'DARBOT_CONFIG_DIR', contents: ['profiles.json', 'shell_history', `${SERVER_NAME}.env`, 'vscode-settings-generated.json'] }
+];
+
+const isOwned = (name, contents) => contents.some((pattern) => (typeof pattern === 'string' ? pattern === name : pattern.test(name)));
+
+/**
+ * Server names setup writes: darbot-teams and darbot-teams-<profile> for each saved profile. Other
+ * darbot-teams-* entries may be the user's own and are left alone.
+ */
+function managedServerNames() {
+  let profiles = [];
+  try {
+    profiles = listProfiles();
+  } catch {
+    // An unreadable profiles.json leaves its profiles' entries in place
+  }
+  return [SERVER_NAME, ...profiles.map((profile) => profileServerName(profile.name))];
+}
+
+/**
+ * The entries of a servers object that are among names
+ */
+function managedEntryNames(container, names) {
+  if (!container || typeof container !== 'object') {
+    return [];
+  }
+  return Object.keys(container).filter((name) => names.includes(name));
+}
+
+function readServers(configPath, key) {
+  try {
+    return readConfigFile(configPath).data[key];
+  } catch {
+    // A file we cannot parse is left alone
+    return null;
+  }
+}
+
+/**
+ * bin/ and obj/ folders of the .NET projects under root
+ */
+function buildOutputDirs(root) {
+  const found = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    const isProject = entries.some((entry) => entry.isFile() && /\.(cs|fs)proj$/.test(entry.name));
+    for (const entry of entries.filter((item) => item.isDirectory())) {
+      const fullPath = path.join(dir, entry.name);
+      if (isProject && BUILD_DIRS.has(entry.name)) {
+        found.push(fullPath);
+      } else if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        walk(fullPath);
+      }
+    }
+  };
+  walk(root);
+  return found;
+}
+
+/**
+ * Total size of a file or directory in bytes
+ */
+function diskSize(target) {
+  let stat;
+  try {
+    stat = fs.lstatSync(target);
+  } catch {
+    return 0;
+  }
+  if (!stat.isDirectory()) {
+    return stat.size;
+  }
+  return fs.readdirSync(target).reduce((sum, name) => sum + diskSize(path.join(target, name)), 0);
+}
+
+/**
+ * What to remove from the cache, state and (unless keepConfig) configuration directories: the
+ * whole directory when it is the default darbot-teams-mcp one or holds nothing else, otherwise
+ * only the files and folders the package created in it
+ */
+function userDirArtifacts(options) {
+  const keptDirs = options.keepConfig ? [configDir()] : [];
+  const byDir = new Map();
+  for (const entry of USER_DIRS) {
+    if (options.keepConfig && entry.id === 'config') continue;
+    const dir = entry.dir();
+    const known = byDir.get(dir) || { dir, contents: [], shared: false };
+    known.contents.push(...entry.contents);
+    // A directory moved by its variable may belong to someone else
+    known.shared = known.shared || Boolean(process.env[entry.env]);
+    byDir.set(dir, known);
+  }
+
+  const found = [];
+  for (const { dir, contents, shared } of byDir.values()) {
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch {
+      continue;
+    }
+    const owned = names.filter((name) => isOwned(name, contents));
+    // With keepConfig a state directory shared with the configuration (macOS) stays
+    const wholeDir = !keptDirs.includes(dir) && (!shared || owned.length === names.length);
+    if (wholeDir) {
+      found.push({ kind: 'directory', path: dir });
+    } else {
+      owned.forEach((name) => {
+        const target = path.join(dir, name);
+        found.push({ kind: fs.statSync(target).isDirectory() ? 'directory' : 'file', path: target });
+      });
+    }
+  }
+  return found;
+}
+
+/**
+ * Everything this package left on the machine, in removal order:
+ * - { kind: "daemon" }: the background HTTP server, stopped first
+ * - { kind: "entry", client, configPath, key, names }: entries setup wrote to client configurations
+ *   (see managedServerNames)
+ * - { kind: "backup" | "file" | "directory", path, size }: setup backups (<file>.<stamp>.darbot.bak and
+ *   legacy settings.json.backup), logs/, .NET bin/obj folders (not in a git checkout), and what the
+ *   package keeps in the cache, state and (unless keepConfig) configuration directories, such as the
+ *   reference VS Code configuration
+ */
+function findArtifacts(options = {}) {
+  const { clientConfigTargets } = require('../scripts/vscode-setup');
+  const artifacts = [];
+
+  const running = daemon.readDaemon();
+  if (running && running.alive) {
+    artifacts.push({ kind: 'daemon', pid: running.pid, description: `Background HTTP server (pid ${running.pid})` });
+  }
+
+  const serverNames = managedServerNames();
+  const configPaths = new Set();
+  for (const id of Object.keys(CLIENTS)) {
+    const client = getClient(id);
+    for (const { configPath, key } of clientConfigTargets(client)) {
+      if (configPaths.has(configPath) || !fs.existsSync(configPath)) continue;
+      configPaths.add(configPath);
+      const names = managedEntryNames(readServers(configPath, key), serverNames);
+      if (names.length > 0) {
+        artifacts.push({ kind: 'entry', client, configPath, key, names, description: `${client.label}: ${names.join(', ')} in ${configPath}` });
+      }
+    }
+  }
+
+  const files = [];
+  for (const configPath of configPaths) {
+    listBackups(configPath).forEach((backup) => files.push({ kind: 'backup', path: backup.path }));
+    // Written by earlier versions of setup when settings.json could not be parsed
+    if (fs.existsSync(`${configPath}.backup`)) files.push({ kind: 'backup', path: `${configPath}.backup` });
+  }
+
+  // A development checkout keeps its build output
+  if (!fs.existsSync(path.join(packageRoot, '.git'))) {
+    ['src', 'tests'].forEach((dir) => buildOutputDirs(path.join(packageRoot, dir)).forEach((output) => files.push({ kind: 'directory', path: output })));
+  }
+  const logs = path.join(packageRoot, 'logs');
+  if (fs.existsSync(logs)) files.push({ kind: 'directory', path: logs });
+  files.push(...userDirArtifacts(options));
+
+  return [
+    ...artifacts,
+    ...files.map((item) => ({ ...item, size: diskSize(item.path), description: item.path }))
+  ];
+}
+
+/**
+ * Refuses paths whose removal could never be intended: the file system root, the home directory
+ * or the package directory itself
+ */
+function assertRemovable(target) {
+  const resolved = path.resolve(target);
+  if (resolved === path.parse(resolved).root || resolved === os.homedir() || resolved === packageRoot) {
+    throw new Error(`Refusing to remove ${resolved}`);
+  }
+}
+
+/**
+ * Removes one artifact found by findArtifacts. Client configurations are edited in place
+ * (other servers and comments are kept) without leaving another backup behind.
+ */
+async function removeArtifact(artifact) {
+  const { removeClientConfig } = require('../scripts/vscode-setup');
+  switch (artifact.kind) {
+    case 'daemon':
+      await daemon.stopDaemon();
+      return;
+    case 'entry': {
+      // Edits every file of the client, but only where these names are present
+      removeClientConfig(artifact.client, { serverNames: artifact.names, backup: false });
+      const left = managedEntryNames(readServers(artifact.configPath, artifact.key), artifact.names);
+      if (left.length > 0) {
+        throw new Error(`${artifact.configPath} still lists ${left.join(', ')}`);
+      }
+      return;
+    }
+    default:
+      assertRemovable(artifact.path);
+      fs.rmSync(artifact.path, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  findArtifacts,
+  removeArtifact
+};
@@ -0,0 +1,768 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { coerceValue, schemaErrors, suggest } = require('./tool-args');
+const { resolvePath, resultValue } = require('./shell');
+
+// A workflow file: { name, description, vars, steps: [step] }
+const WORKFLOW_KEYS = ['name', 'description', 'vars', 'steps'];
+const STEP_KEYS = ['id', 'name', 'tool', 'args', 'if', 'forEach', 'as', 'onError', 'retries', 'retryDelayMs'];
+const ON_ERROR = ['abort', 'continue', 'retry'];
+const RESERVED_NAMES = ['vars', 'steps', 'env', 'index'];
+const ID_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+const TEMPLATE_PATTERN = /\$\{\{([\s\S]*?)\}\}/g;
+const WHOLE_TEMPLATE_PATTERN = /^\s*\$\{\{([\s\S]*?)\}\}\s*$/;
+
+// --plan does not know what earlier steps return: their values are placeholders that spread
+// through every expression using them and print as <steps.lookup.output.id>
+const UNKNOWN = Symbol('unknown');
+const unknown = (text) => ({ [UNKNOWN]: text.trim() });
+const isUnknown = (value) => value !== null && typeof value === 'object' && UNKNOWN in value;
+const containsUnknown = (value) => isUnknown(value) || (value !== null && typeof value === 'object' && Object.values(value).some(containsUnknown));
+
+/**
+ * JSON.stringify replacer that prints placeholders as <expression>
+ */
+const placeholderReplacer = (key, value) => (isUnknown(value) ? `<${value[UNKNOWN]}>` : value);
+
+// Numbers, 'single' and "double" quoted strings, operators and names (step ids may contain dashes)
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^']|'')*'|"(?:[^"\\]|\\.)*")|(==|!=|<=|>=|&&|\|\||[<>!()[\].,])|([A-Za-z_][\w-]*))/y;
+
+function tokenizeExpression(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    if (/^\s*$/.test(text.slice(start))) break;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      const offset = start + (text.slice(start).length - text.slice(start).trimStart().length);
+      throw new Error(`Unexpected "${text[offset]}" in "${text.trim()}"`);
+    }
+    const [whole, number, string, operator, name] = match;
+    const tokenStart = start + whole.length - whole.trimStart().length;
+    const end = TOKEN_PATTERN.lastIndex;
+    if (number !== undefined) tokens.push({ kind: 'number', value: Number(number), start: tokenStart, end });
+    else if (string !== undefined) tokens.push({ kind: 'string', value: string[0] === '\'' ? string.slice(1, -1).replace(/''/g, '\'') : JSON.parse(string), start: tokenStart, end });
+    else if (operator !== undefined) tokens.push({ kind: 'operator', value: operator, start: tokenStart, end });
+    else tokens.push({ kind: 'name', value: name, start: tokenStart, end });
+  }
+  return tokens;
+}
+
+/**
+ * Parses an expression into a tree. The language: names and paths (vars.team, steps.lookup.output.members[0].id,
+ * item['e-mail']), 'strings', numbers, true/false/null, ! && || == != < <= > >=, parentheses and
+ * calls to FUNCTIONS. && and || return an operand, so `vars.role || 'member'` is a default.
+ */
+function parseExpression(text) {
+  const tokens = tokenizeExpression(text);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const at = (value) => position < tokens.length && tokens[position].kind === 'operator' && tokens[position].value === value;
+  const fail = (message) => {
+    throw new Error(`${message} in "${text.trim()}"`);
+  };
+  const expect = (value) => {
+    if (!at(value)) fail(`Expected "${value}"${peek() ? ` before "${text.slice(peek().start, peek().end)}"` : ' at the end'}`);
+    position++;
+  };
+  const source = (first) => text.slice(tokens[first].start, tokens[position - 1].end);
+
+  const binary = (operand, operators) => () => {
+    const first = position;
+    let node = operand();
+    while (position < tokens.length && tokens[position].kind === 'operator' && operators.includes(tokens[position].value)) {
+      const operator = tokens[position++].value;
+      const right = operand();
+      node = { type: 'binary', operator, left: node, right, source: source(first) };
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const first = position;
+    const token = tokens[position++];
+    if (!token) fail('Unexpected end');
+    if (token.kind === 'number' || token.kind === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.kind === 'name') {
+      if (['true', 'false', 'null'].includes(token.value)) {
+        return { type: 'literal', value: JSON.parse(token.value) };
+      }
+      if (at('(')) {
+        position++;
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          const hint = suggest(token.value, Object.keys(FUNCTIONS));
+          fail(`Unknown function ${token.value}()${hint ? ` (did you mean ${hint}?)` : ''}`);
+        }
+        const args = [];
+        while (!at(')')) {
+          args.push(or());
+          if (!at(')')) expect(',');
+        }
+        position++;
+        return { type: 'call', name: token.value, args, source: source(first) };
+      }
+      return { type: 'name', name: token.value, source: token.value };
+    }
+    if (token.value === '(') {
+      const node = or();
+      expect(')');
+      return node;
+    }
+    position--;
+    return fail(`Unexpected "${token.value}"`);
+  };
+
+  const member = () => {
+    const first = position;
+    let node = primary();
+    for (;;) {
+      if (at('.')) {
+        position++;
+        const key = tokens[position++];
+        if (!key || (key.kind !== 'name' && key.kind !== 'number')) fail('Expected a property name after "."');
+        node = { type: 'member', object: node, key: { type: 'literal', value: String(key.value) }, source: source(first) };
+      } else if (at('[')) {
+        position++;
+        const key = or();
+        expect(']');
+        node = { type: 'member', object: node, key, source: source(first) };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const unary = () => {
+    const first = position;
+    if (at('!')) {
+      position++;
+      const operand = unary();
+      return { type: 'not', operand, source: source(first) };
+    }
+    return member();
+  };
+
+  const comparison = binary(unary, ['<', '<=', '>', '>=']);
+  const equality = binary(comparison, ['==', '!=']);
+  const and = binary(equality, ['&&']);
+  const or = binary(and, ['||']);
+
+  if (tokens.length === 0) fail('Empty expression');
+  const tree = or();
+  if (position < tokens.length) fail(`Unexpected "${text.slice(peek().start, peek().end)}"`);
+  return tree;
+}
+
+// Empty lists count as false, so `if: steps.search.output.results` runs only when there are results
+const truthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+// CSV cells are strings: 3 == '3'
+function equals(a, b) {
+  if ((typeof a === 'number' && typeof b === 'string') || (typeof a === 'string' && typeof b === 'number')) {
+    return b !== '' && a !== '' && Number(a) === Number(b);
+  }
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b || (a === undefined && b === null) || (a === null && b === undefined);
+}
+
+const FUNCTIONS = {
+  length: (value) => {
+    if (value === null || value === undefined) return 0;
+    if (Array.isArray(value)) return value.length;
+    return typeof value === 'object' ? Object.keys(value).length : String(value).length;
+  },
+  contains: (haystack, needle) => (Array.isArray(haystack) ? haystack.some((item) => equals(item, needle)) : String(haystack ?? '').includes(String(needle ?? ''))),
+  startsWith: (text, prefix) => String(text ?? '').startsWith(String(prefix ?? '')),
+  lower: (text) => String(text ?? '').toLowerCase(),
+  upper: (text) => String(text ?? '').toUpperCase(),
+  trim: (text) => String(text ?? '').trim(),
+  split: (text, separator = ',') => String(text ?? '').split(separator).map((part) => part.trim()).filter(Boolean),
+  pluck: (list, field) => (Array.isArray(list) ? list.map((item) => resolvePath(item, String(field))) : []),
+  join: (list, separator = ', ') => (Array.isArray(list) ? list.join(separator) : String(list ?? '')),
+  json: (value) => JSON.stringify(value)
+};
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'name':
+      if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+        const hint = suggest(node.name, Object.keys(scope));
+        throw new Error(`Unknown name "${node.name}"${hint ? ` (did you mean ${hint}?)` : ''}`);
+      }
+      return scope[node.name];
+    case 'member': {
+      const object = evaluate(node.object, scope);
+      const key = evaluate(node.key, scope);
+      if (isUnknown(object) || isUnknown(key)) return unknown(node.source);
+      if (node.object.type === 'name' && node.object.name === 'steps' && !Object.prototype.hasOwnProperty.call(object, key)) {
+        throw new Error(`Unknown step "${key}" (a step can only use the steps before it)`);
+      }
+      if (object === null || object === undefined || (typeof object !== 'object' && typeof object !== 'string')) return undefined;
+      return Object.prototype.hasOwnProperty.call(object, key) || (key === 'length' && (Array.isArray(object) || typeof object === 'string')) ? object[key] : undefined;
+    }
+    case 'not': {
+      const value = evaluate(node.operand, scope);
+      return isUnknown(value) ? unknown(node.source) : !truthy(value);
+    }
+    case 'binary': {
+      const left = evaluate(node.left, scope);
+      if (node.operator === '&&' || node.operator === '||') {
+        if (isUnknown(left)) return unknown(node.source);
+        return truthy(left) === (node.operator === '&&') ? evaluate(node.right, scope) : left;
+      }
+      const right = evaluate(node.right, scope);
+      if (isUnknown(left) || isUnknown(right)) return unknown(node.source);
+      switch (node.operator) {
+        case '==':
+          return equals(left, right);
+        case '!=':
+          return !equals(left, right);
+        default: {
+          const numeric = typeof left === 'number' || typeof right === 'number';
+          const [a, b] = numeric ? [Number(left), Number(right)] : [left, right];
+          if (node.operator === '<') return a < b;
+          if (node.operator === '<=') return a <= b;
+          if (node.operator === '>') return a > b;
+          return a >= b;
+        }
+      }
+    }
+    case 'call': {
+      const args = node.args.map((arg) => evaluate(arg, scope));
+      return args.some(isUnknown) ? unknown(node.source) : FUNCTIONS[node.name](...args);
+    }
+    default:
+      throw new Error(`Unknown expression node ${node.type}`);
+  }
+}
+
+const parsedExpressions = new Map();
+
+/**
+ * Value of an expression in scope ({ vars, steps, env, <as>, index })
+ */
+function evaluateExpression(text, scope) {
+  if (!parsedExpressions.has(text)) {
+    parsedExpressions.set(text, parseExpression(text));
+  }
+  return evaluate(parsedExpressions.get(text), scope);
+}
+
+/**
+ * Renders the ${{ expression }} templates in text. A string that is a single template keeps the
+ * expression's type (a list stays a list); otherwise results are joined into the text, objects
+ * as JSON and null/undefined as nothing.
+ */
+function renderTemplate(text, scope) {
+  const whole = WHOLE_TEMPLATE_PATTERN.exec(text);
+  if (whole && !whole[1].includes('${{')) {
+    return evaluateExpression(whole[1], scope);
+  }
+  return text.replace(TEMPLATE_PATTERN, (match, expression) => {
+    const value = evaluateExpression(expression, scope);
+    if (isUnknown(value)) return `<${value[UNKNOWN]}>`;
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Renders every string in a value (args, vars); properties that render to undefined are left out
+ */
+function renderValue(value, scope) {
+  if (typeof value === 'string') return renderTemplate(value, scope);
+  if (Array.isArray(value)) return value.map((item) => renderValue(item, scope));
+  if (value !== null && typeof value === 'object') {
+    const rendered = {};
+    for (const [key, item] of Object.entries(value)) {
+      const result = renderValue(item, scope);
+      if (result !== undefined) rendered[key] = result;
+    }
+    return rendered;
+  }
+  return value;
+}
+
+/**
+ * if and forEach take an expression, with or without ${{ }}
+ */
+const evaluateField = (value, scope) => (typeof value === 'string' && !value.includes('${{') ? evaluateExpression(value, scope) : renderValue(value, scope));
+
+/**
+ * Parses CSV text (RFC 4180 quoting) into one object per row, keyed by the header row
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+  if (!header) return [];
+  const columns = header.map((name) => name.trim());
+  return records.map((cells) => Object.fromEntries(columns.map((name, index) => [name, (cells[index] || '').trim()])));
+}
+
+/**
+ * Every ${{ }} expression in a value, for syntax checks when the workflow is loaded
+ */
+function templateExpressions(value) {
+  if (typeof value === 'string') return [...value.matchAll(TEMPLATE_PATTERN)].map((match) => match[1]);
+  if (value !== null && typeof value === 'object') return Object.values(value).flatMap(templateExpressions);
+  return [];
+}
+
+function checkKeys(object, allowed, where) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      const hint = suggest(key, allowed);
+      throw new Error(`${where}: unknown key "${key}"${hint ? ` (did you mean ${hint}?)` : ''}`);
+    }
+  }
+}
+
+/**
+ * Reads and checks a workflow file (YAML or JSON). Steps get their defaults: id step<n>, as item,
+ * onError abort, retries 3 and retryDelayMs 1000 for onError retry (0 otherwise). Throws with the
+ * file and step on any problem, before anything runs.
+ */
+function loadWorkflow(file) {
+  const label = path.basename(file);
+  let document;
+  try {
+    document = YAML.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${label}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+  }
+  if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`${label}: expected a mapping with steps`);
+  }
+  checkKeys(document, WORKFLOW_KEYS, label);
+  if (document.vars !== undefined && (document.vars === null || typeof document.vars !== 'object' || Array.isArray(document.vars))) {
+    throw new Error(`${label}: vars must be a mapping of names to values`);
+  }
+  if (!Array.isArray(document.steps) || document.steps.length === 0) {
+    throw new Error(`${label}: steps must be a non-empty list`);
+  }
+
+  const ids = new Set();
+  const steps = document.steps.map((raw, index) => {
+    const where = `${label}: step ${index + 1}${raw && raw.id ? ` (${raw.id})` : ''}`;
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error(`${where}: expected a mapping with a tool`);
+    }
+    checkKeys(raw, STEP_KEYS, where);
+    const step = {
+      id: raw.id !== undefined ? String(raw.id) : `step${index + 1}`,
+      name: raw.name,
+      tool: raw.tool,
+      args: raw.args !== undefined ? raw.args : {},
+      if: raw.if,
+      forEach: raw.forEach,
+      as: raw.as !== undefined ? String(raw.as) : 'item',
+      onError: raw.onError || 'abort',
+      retries: raw.retries,
+      retryDelayMs: raw.retryDelayMs !== undefined ? raw.retryDelayMs : DEFAULT_RETRY_DELAY_MS
+    };
+
+    if (typeof step.tool !== 'string' || step.tool === '') throw new Error(`${where}: tool is required`);
+    if (!ID_PATTERN.test(step.id)) throw new Error(`${where}: id must start with a letter and contain only letters, digits, _ and -`);
+    if (ids.has(step.id)) throw new Error(`${where}: duplicate id "${step.id}"`);
+    ids.add(step.id);
+    if (step.args === null || typeof step.args !== 'object' || Array.isArray(step.args)) throw new Error(`${where}: args must be a mapping`);
+    if (!ID_PATTERN.test(step.as) || RESERVED_NAMES.includes(step.as)) throw new Error(`${where}: as must be a name other than ${RESERVED_NAMES.join(', ')}`);
+    if (!ON_ERROR.includes(step.onError)) throw new Error(`${where}: onError must be ${ON_ERROR.join(', ')} (got ${step.onError})`);
+    if (step.retries === undefined) step.retries = step.onError === 'retry' ? DEFAULT_RETRIES : 0;
+    if (!Number.isInteger(step.retries) || step.retries < 0) throw new Error(`${where}: retries must be a whole number`);
+    if (!Number.isInteger(step.retryDelayMs) || step.retryDelayMs < 0) throw new Error(`${where}: retryDelayMs must be a whole number of milliseconds`);
+    if (step.forEach !== undefined && (step.forEach === null || (typeof step.forEach === 'object' && !Array.isArray(step.forEach) && typeof step.forEach.csv !== 'string'))) {
+      throw new Error(`${where}: forEach must be a list, an expression or { csv: <file> }`);
+    }
+
+    const expressions = [
+      ...templateExpressions([step.args, step.forEach]),
+      ...[step.if, step.forEach].filter((value) => typeof value === 'string' && !value.includes('${{'))
+    ];
+    for (const expression of expressions) {
+      try {
+        parseExpression(expression);
+      } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+      }
+    }
+    return step;
+  });
+
+  return {
+    file: path.resolve(file),
+    name: document.name || path.basename(file, path.extname(file)),
+    description: document.description,
+    vars: document.vars || {},
+    steps
+  };
+}
+
+/**
+ * Turns --var name=value assignments into vars; true and false become booleans
+ */
+function parseVarAssignments(assignments = []) {
+  const vars = {};
+  for (const assignment of assignments) {
+    const separator = assignment.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid --var ${assignment} (expected name=value)`);
+    }
+    const value = assignment.slice(separator + 1);
+    vars[assignment.slice(0, separator).trim()] = value === 'true' ? true : value === 'false' ? false : value;
+  }
+  return vars;
+}
+
+/**
+ * The workflow's vars rendered in order (each may use env and the vars above it), with overrides
+ * (--var) replacing them
+ */
+function resolveVars(workflow, overrides = {}, env = process.env) {
+  const vars = {};
+  for (const [name, value] of Object.entries(workflow.vars)) {
+    try {
+      vars[name] = Object.prototype.hasOwnProperty.call(overrides, name) ? overrides[name] : renderValue(value, { vars, env });
+    } catch (error) {
+      throw new Error(`vars.${name}: ${error.message}`);
+    }
+  }
+  return { ...vars, ...overrides };
+}
+
+/**
+ * forEach items: a list, an expression giving a list, or the rows of a CSV file (relative to the
+ * workflow); a placeholder in --plan when the list comes from an earlier step
+ */
+function resolveItems(step, scope, workflow) {
+  if (step.forEach === undefined) return [undefined];
+  if (step.forEach && typeof step.forEach === 'object' && !Array.isArray(step.forEach)) {
+    const file = path.resolve(path.dirname(workflow.file), String(renderValue(step.forEach.csv, scope)));
+    try {
+      return parseCsv(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`forEach csv ${path.relative(process.cwd(), file) || file}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+  }
+  const items = evaluateField(step.forEach, scope);
+  if (isUnknown(items)) return items;
+  if (items === null || items === undefined) return [];
+  if (!Array.isArray(items)) {
+    throw new Error(`forEach must be a list (got ${typeof items})`);
+  }
+  return items;
+}
+
+const typesOf = (schema) => (Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : []);
+
+/**
+ * Renders a step's args for one item and checks them against the tool's inputSchema: strings (from
+ * templates and CSV cells) are converted to the parameter's type as on the command line. Returns
+ * { args, errors }; placeholders are not checked.
+ */
+function resolveArgs(step, scope, tool) {
+  const args = renderValue(step.args, scope);
+  const errors = [];
+  if (!tool) return { args, errors };
+
+  const properties = tool.inputSchema.properties || {};
+  for (const [name, value] of Object.entries(args)) {
+    const schema = properties[name];
+    if (!schema) {
+      const hint = suggest(name, Object.keys(properties));
+      errors.push(`Unknown parameter ${name}${hint ? ` (did you mean ${hint}?)` : ''}`);
+    } else if (typeof value === 'string' && typesOf(schema).length > 0 && !typesOf(schema).includes('string')) {
+      try {
+        args[name] = coerceValue(value, schema, name);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    } else if (typeof value === 'number' && typesOf(schema).length === 1 && typesOf(schema)[0] === 'string') {
+      args[name] = String(value);
+    }
+  }
+  if (errors.length === 0) {
+    const known = Object.fromEntries(Object.entries(args).filter(([, value]) => !containsUnknown(value)));
+    errors.push(...schemaErrors(tool.inputSchema, known)
+      .filter((error) => !(error.missing && args[error.missing] !== undefined))
+      .map((error) => `${error.path || 'args'} ${error.message}`));
+  }
+  return { args, errors };
+}
+
+const LABEL_FIELDS = ['displayName', 'name', 'email', 'userEmail', 'title'];
+
+// "hire 2/5 (ada@contoso.com)": an item is shown by its name or email, else its first text field
+function itemLabel(step, item, index, count) {
+  if (item === undefined) return null;
+  const position = count === null ? '' : ` ${index + 1}/${count}`;
+  let text = item;
+  if (item !== null && typeof item === 'object' && !isUnknown(item)) {
+    const field = LABEL_FIELDS.find((name) => typeof item[name] === 'string' && item[name] !== '');
+    text = field ? item[field] : Object.values(item).find((value) => typeof value === 'string' && value !== '');
+  }
+  if (isUnknown(item) || text === undefined || text === null || typeof text === 'object') return `${step.as}${position}`;
+  const short = String(text).length > 40 ? `${String(text).slice(0, 39)}…` : String(text);
+  return `${step.as}${position} (${short})`;
+}
+
+/**
+ * Fails fast on steps whose tool the server does not have
+ */
+function checkTools(workflow, tools) {
+  const names = tools.map((tool) => tool.name);
+  const missing = workflow.steps.filter((step) => !names.includes(step.tool)).map((step) => {
+    const hint = suggest(step.tool, names);
+    return `step ${step.id}: unknown tool ${step.tool}${hint ? ` (did you mean ${hint}?)` : ''}`;
+  });
+  if (missing.length > 0) {
+    throw new Error(missing.join('\n'));
+  }
+}
+
+/**
+ * The calls a workflow would make, without making them: vars and conditions are resolved, forEach
+ * lists and CSV files are expanded and args are rendered and checked against tools (when given).
+ * Anything that depends on an earlier step's result stays a placeholder, and conditions on it are
+ * reported as decided at run time.
+ *
+ * Returns { name, vars, steps: [{ id, name, tool, status ("planned", "skipped" or "invalid"), condition,
+ * onError, retries, items, calls: [{ label, args, errors }], error }], errors } where condition is
+ * null, true, false or "runtime", items null or a count ("runtime" for an earlier step's list).
+ */
+function planWorkflow(workflow, options = {}) {
+  const tools = options.tools ? new Map(options.tools.map((tool) => [tool.name, tool])) : null;
+  if (options.tools) checkTools(workflow, options.tools);
+  const vars = resolveVars(workflow, options.vars, options.env);
+  const steps = {};
+  const plan = { name: workflow.name, vars, steps: [], errors: 0 };
+
+  for (const step of workflow.steps) {
+    const entry = { id: step.id, name: step.name, tool: step.tool, status: 'planned', condition: null, onError: step.onError, retries: step.retries, items: null, calls: [], error: null };
+    plan.steps.push(entry);
+    const scope = { vars, steps, env: options.env || process.env };
+    try {
+      if (step.if !== undefined) {
+        const value = evaluateField(step.if, scope);
+        entry.condition = isUnknown(value) ? 'runtime' : truthy(value);
+      }
+      if (entry.condition === false) {
+        entry.status = 'skipped';
+        steps[step.id] = { status: 'skipped', output: undefined, error: null };
+        continue;
+      }
+
+      const items = resolveItems(step, scope, workflow);
+      const list = isUnknown(items) ? [items] : items;
+      entry.items = step.forEach === undefined ? null : isUnknown(items) ? 'runtime' : items.length;
+      list.forEach((item, index) => {
+        const itemScope = { ...scope, [step.as]: item, index: isUnknown(item) ? unknown('index') : index };
+        const { args, errors } = resolveArgs(step, itemScope, tools && tools.get(step.tool));
+        entry.calls.push({ label: itemLabel(step, item, index, isUnknown(items) ? null : items.length), args, errors });
+        plan.errors += errors.length;
+      });
+    } catch (error) {
+      entry.status = 'invalid';
+      entry.error = error.message;
+      plan.errors++;
+    }
+    // Later steps see this one's results only at run time
+    steps[step.id] = unknown(`steps.${step.id}`);
+  }
+  return plan;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The message of a failed call: the JSON-RPC error, or the text (or error field) of an isError result
+// without the server's ❌ prefix
+function failureMessage(result, output) {
+  if (result.error) {
+    return `${result.error.message}${result.error.code !== undefined ? ` (code ${result.error.code})` : ''}`;
+  }
+  let text = typeof output === 'string' ? output : JSON.stringify(output);
+  if (output !== null && typeof output === 'object' && !Array.isArray(output)) {
+    text = String(output.error || output.message || text);
+  }
+  return text.replace(/^❌\s*/, '');
+}
+
+/**
+ * One tool call, repeated up to step.retries more times with doubling delays while it fails
+ */
+async function callWithRetries(client, step, args, options) {
+  const started = Date.now();
+  for (let attempt = 1; ; attempt++) {
+    let output;
+    let error = null;
+    try {
+      const result = await client.callTool(step.tool, args);
+      output = result.error ? undefined : resultValue(result);
+      if (result.error || result.isError) error = failureMessage(result, output);
+    } catch (thrown) {
+      error = thrown.message;
+    }
+    if (error === null || attempt > step.retries) {
+      return { status: error === null ? 'succeeded' : 'failed', output, error, attempts: attempt, durationMs: Date.now() - started };
+    }
+    const delay = step.retryDelayMs * 2 ** (attempt - 1);
+    options.log(`  🔁 ${error}; retrying in ${delay < 1000 ? `${delay}ms` : `${(delay / 1000).toFixed(1)}s`} (attempt ${attempt + 1}/${step.retries + 1})`);
+    await options.sleep(delay);
+  }
+}
+
+/**
+ * Runs a workflow's steps in order over a connected client. Each step's result is available to
+ * later steps as steps.<id>: { status, output, error }, where output is the parsed tool result
+ * (for forEach steps the list of outputs, one per item). A failed call (an error result, a
+ * JSON-RPC error, a timeout or invalid args) is retried when the step says so, then either skipped
+ * (onError: continue) or ends the run (abort, and retry once retries are used up).
+ *
+ * Options: vars (overrides), tools (from tools/list; unknown tools and invalid args are caught
+ * before calling), env, log(line) for progress.
+ *
+ * Resolves with { name, status ("succeeded", "failed" or "aborted"), vars, steps: [{ id, tool,
+ * status ("succeeded", "failed", "skipped" or "not-run"), calls: [{ label, args, status, output,
+ * error, attempts, durationMs }] }] }.
+ */
+async function runWorkflow(workflow, client, options = {}) {
+  const log = options.log || (() => {});
+  const env = options.env || process.env;
+  const tools = options.tools ? new Map(options.tools.map((tool) => [tool.name, tool])) : null;
+  if (options.tools) checkTools(workflow, options.tools);
+  const vars = resolveVars(workflow, options.vars, env);
+  const steps = {};
+  const report = { name: workflow.name, status: 'succeeded', vars, steps: [] };
+  const context = { log, sleep: options.sleep || sleep };
+
+  for (const [position, step] of workflow.steps.entries()) {
+    const entry = { id: step.id, tool: step.tool, status: 'not-run', calls: [] };
+    report.steps.push(entry);
+    if (report.status === 'aborted') continue;
+
+    const scope = { vars, steps, env };
+    const heading = `[${position + 1}/${workflow.steps.length}] ${step.id}${step.name ? ` (${step.name})` : ''}: ${step.tool}`;
+    let items;
+    try {
+      if (step.if !== undefined && !truthy(evaluateField(step.if, scope))) {
+        entry.status = 'skipped';
+        steps[step.id] = { status: 'skipped', output: undefined, error: null };
+        log(`⏭️  ${heading} skipped (if: ${String(step.if).trim()})`);
+        continue;
+      }
+      items = resolveItems(step, scope, workflow);
+    } catch (error) {
+      items = null;
+      entry.calls.push({ label: null, args: null, status: 'failed', output: undefined, error: error.message, attempts: 0, durationMs: 0 });
+    }
+
+    if (items) {
+      log(`▶️  ${heading}${step.forEach !== undefined ? ` (${items.length} item${items.length === 1 ? '' : 's'})` : ''}`);
+      for (const [index, item] of items.entries()) {
+        const label = itemLabel(step, item, index, items.length);
+        let call;
+        try {
+          const { args, errors } = resolveArgs(step, { ...scope, [step.as]: item, index }, tools && tools.get(step.tool));
+          call = errors.length > 0
+            ? { label, args, status: 'failed', output: undefined, error: `Invalid args: ${errors.join('; ')}`, attempts: 0, durationMs: 0 }
+            : { label, args, ...await callWithRetries(client, step, args, context) };
+        } catch (error) {
+          call = { label, args: null, status: 'failed', output: undefined, error: error.message, attempts: 0, durationMs: 0 };
+        }
+        entry.calls.push(call);
+        const where = label ? `${label}: ` : '';
+        const retried = call.attempts > 1 ? `, ${call.attempts} attempts` : '';
+        log(call.status === 'succeeded'
+          ? `  ✅ ${where}done (${(call.durationMs / 1000).toFixed(1)}s${retried})`
+          : `  ❌ ${where}${call.error}${retried ? ` (${call.attempts} attempts)` : ''}`);
+        if (call.status === 'failed' && step.onError !== 'continue') break;
+      }
+    } else {
+      log(`❌ ${heading}: ${entry.calls[0].error}`);
+    }
+
+    const failed = entry.calls.filter((call) => call.status === 'failed');
+    entry.status = failed.length > 0 ? 'failed' : 'succeeded';
+    const outputs = entry.calls.map((call) => call.output);
+    steps[step.id] = {
+      status: entry.status,
+      output: step.forEach !== undefined ? outputs : outputs[0],
+      error: failed.length > 0 ? failed[0].error : null
+    };
+
+    if (failed.length > 0) {
+      if (step.onError === 'continue') {
+        report.status = 'failed';
+        log(`  ⚠️  ${failed.length} failed call${failed.length === 1 ? '' : 's'}; continuing (onError: continue)`);
+      } else {
+        report.status = 'aborted';
+        log(`🛑 Stopping: step ${step.id} failed (onError: ${step.onError})`);
+      }
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  placeholderReplacer,
+  parseExpression,
+  evaluateExpression,
+  renderTemplate,
+  parseCsv,
+  loadWorkflow,
+  parseVarAssignments,
+  planWorkflow,
+  runWorkflow
+};
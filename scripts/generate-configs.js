@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { getClient, formatClientConfig } = require('../lib/mcp-clients');
+const { createMCPServerConfig, getPackageInstallPath } = require('./vscode-setup');
+
+// Template files under configs/ that are generated from the setup data
+const TEMPLATES = {
+  'claude-desktop-config.json': {
+    client: 'claude',
+    instructions: {
+      "description": "This is a template configuration file for Claude Desktop (generated by scripts/generate-configs.js)",
+      "required_setup": [
+        "Replace ${TEAMS_TENANT_ID} with your actual Microsoft 365 tenant ID",
+        "Or set TEAMS_TENANT_ID environment variable before starting Claude Desktop",
+        "Use 'npx darbot-teams-mcp --setup claude' for automatic Claude Desktop configuration"
+      ],
+      "find_tenant_id": [
+        "Azure Portal: Azure Active Directory → Properties → Tenant ID",
+        "PowerShell: (Get-AzureADTenantDetail).ObjectId",
+        "Azure CLI: az account show --query tenantId -o tsv",
+        "Office 365 Admin Center: Settings → Org settings → Organization profile"
+      ],
+      "alternative_setup": [
+        "For simplified testing, you can temporarily use 'common' as the tenant ID",
+        "This allows multi-tenant authentication but requires interactive login",
+        "For production use, always specify your actual tenant ID"
+      ]
+    }
+  }
+};
+
+function generateConfigs() {
+  const packagePath = getPackageInstallPath();
+  const server = createMCPServerConfig(packagePath, null);
+
+  for (const [fileName, template] of Object.entries(TEMPLATES)) {
+    const config = {
+      ...formatClientConfig(getClient(template.client), server),
+      "_setup_instructions": template.instructions
+    };
+
+    const outputPath = path.join(packagePath, 'configs', fileName);
+    fs.writeFileSync(outputPath, JSON.stringify(config, null, 2) + '\n');
+    console.log(`📋 Generated ${path.relative(packagePath, outputPath)}`);
+  }
+}
+
+generateConfigs();
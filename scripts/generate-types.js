@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { loadToolCatalog } = require('../lib/tool-catalog');
+
+const outputPath = path.join(__dirname, '..', 'types', 'tools.d.ts');
+
+// TeamsListMembersArgs for teams-list-members
+const interfaceName = (toolName) => `${toolName.split(/[^a-zA-Z0-9]+/).filter(Boolean).map((part) => part[0].toUpperCase() + part.slice(1)).join('')}Args`;
+
+const propertyKey = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name));
+
+/**
+ * One JSDoc block from a schema's description and constraints
+ */
+function docComment(schema, indent) {
+  const lines = [];
+  if (schema.description) lines.push(schema.description.replace(/\*\//g, '*\\/'));
+  if (schema.default !== undefined) lines.push(`@default ${JSON.stringify(schema.default)}`);
+  if (schema.format) lines.push(`Format: ${schema.format}`);
+  if (schema.pattern) lines.push(`Pattern: ${schema.pattern.replace(/\*\//g, '*\\/')}`);
+  if (lines.length === 0) return '';
+  return lines.length === 1
+    ? `${indent}/** ${lines[0]} */\n`
+    : `${indent}/**\n${lines.map((line) => `${indent} * ${line}`).join('\n')}\n${indent} */\n`;
+}
+
+/**
+ * TypeScript type for a JSON Schema fragment of a tool's inputSchema
+ */
+function schemaType(schema, indent = '') {
+  if (!schema || typeof schema !== 'object') return 'unknown';
+  if (Array.isArray(schema.enum)) return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array': {
+      const item = schemaType(schema.items, indent);
+      return /^[\w.]+$/.test(item) ? `${item}[]` : `Array<${item}>`;
+    }
+    case 'object':
+      if (schema.properties) return objectType(schema, indent);
+      return `Record<string, ${schema.additionalProperties && typeof schema.additionalProperties === 'object' ? schemaType(schema.additionalProperties, indent) : 'unknown'}>`;
+    default:
+      return 'unknown';
+  }
+}
+
+function objectType(schema, indent) {
+  const required = new Set(schema.required || []);
+  const inner = `${indent}  `;
+  const members = Object.entries(schema.properties || {}).map(([name, property]) =>
+    `${docComment(property, inner)}${inner}${propertyKey(name)}${required.has(name) ? '' : '?'}: ${schemaType(property, inner)};`);
+  return members.length > 0 ? `{\n${members.join('\n')}\n${indent}}` : '{}';
+}
+
+function generateTypes() {
+  const tools = loadToolCatalog();
+  const blocks = tools.map((tool) => {
+    const doc = docComment({ description: `Arguments of ${tool.name}: ${tool.description}` }, '');
+    return `${doc}export interface ${interfaceName(tool.name)} ${objectType(tool.inputSchema, '')}\n`;
+  });
+
+  const text = `// Generated by scripts/generate-types.js from the server's tool classes - do not edit.
+// Run \`npm run generate-types\` after changing a tool's InputSchema.
+
+${blocks.join('\n')}
+/** Argument types of every Teams tool, by tool name */
+export interface TeamsToolArgs {
+${tools.map((tool) => `  ${JSON.stringify(tool.name)}: ${interfaceName(tool.name)};`).join('\n')}
+}
+
+/** Names of the Teams tools */
+export type TeamsToolName = keyof TeamsToolArgs;
+`;
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, text);
+  console.log(`📋 Generated ${path.relative(path.join(__dirname, '..'), outputPath)} (${tools.length} tools)`);
+}
+
+generateTypes();
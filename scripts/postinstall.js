@@ -4,10 +4,28 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
-console.log('🚀 Setting up Darbot Teams MCP Server...');
+// npm runs install scripts from the package directory, but global and nested installs may not;
+// everything is resolved from this file instead of the working directory
+const packageRoot = path.resolve(__dirname, '..');
+const { ensureBuild, markBuildPending, clearBuildPending, versionDir } = require(path.join(packageRoot, 'lib', 'build-cache'));
+const { serverProject } = require(path.join(packageRoot, 'lib', 'server'));
+
+// Progress line interval while dotnet builds quietly
+const PROGRESS_INTERVAL_MS = 15000;
+
+const isSet = (value) => value !== undefined && value !== '' && !/^(0|false|no|off)$/i.test(String(value).trim());
+
+/**
+ * Why the build should wait for the first launch, or null to build now
+ */
+function skipReason(env = process.env) {
+  if (isSet(env.DARBOT_SKIP_BUILD)) return 'DARBOT_SKIP_BUILD is set';
+  if (isSet(env.npm_config_ignore_scripts)) return 'npm was run with --ignore-scripts';
+  if (isSet(env.CI)) return 'running in CI';
+  return null;
+}
 
-// Get package root directory
-const packageRoot = process.cwd();
+console.log('🚀 Setting up Darbot Teams MCP Server...');
 
 // Check if .NET SDK is available
 function checkDotnetSdk() {
@@ -28,36 +46,64 @@ function checkDotnetSdk() {
   });
 }
 
-// Build the .NET project
-function buildProject() {
-  return new Promise((resolve, reject) => {
-    console.log('📦 Building .NET project...');
-    
-    const child = spawn('dotnet', ['build'], {
-      stdio: 'inherit',
-      cwd: packageRoot
-    });
-    
-    child.on('error', reject);
-    child.on('close', (code) => {
-      if (code === 0) {
-        console.log('✅ Build completed successfully!');
-        resolve();
-      } else {
-        reject(new Error(`Build failed with exit code ${code}`));
-      }
+// Build the .NET project into the per-version cache the launcher runs from. dotnet's output
+// goes to a log file; the console only shows progress.
+async function buildProject(logFile) {
+  const started = Date.now();
+  const progress = setInterval(() => {
+    console.log(`⏳ Still building (${Math.round((Date.now() - started) / 1000)}s)...`);
+  }, PROGRESS_INTERVAL_MS);
+
+  try {
+    const build = await ensureBuild({
+      logFile,
+      log: (message) => console.log(message)
     });
-  });
+    if (build.built) {
+      console.log(`📄 Build log: ${logFile}`);
+    } else {
+      console.log('✅ Cached server build is already up to date');
+    }
+    console.log(`📁 Server build cached in ${build.dir}`);
+  } finally {
+    clearInterval(progress);
+  }
+}
+
+/**
+ * Leaves the build to the first launch: records why, so the launcher can say so when it builds
+ */
+function deferBuild(reason, details = {}) {
+  try {
+    markBuildPending(reason, details);
+  } catch {
+    // An unwritable cache only costs the explanation at first launch
+  }
 }
 
 async function setup() {
+  const reason = skipReason();
+  if (reason) {
+    deferBuild(reason);
+    console.log(`⏭️  Skipping the server build (${reason}); it is built on first launch or with: npx darbot-teams-mcp --rebuild`);
+    return;
+  }
+  if (!fs.existsSync(serverProject)) {
+    console.warn(`⚠️  Server project not found at ${serverProject}; nothing to build`);
+    return;
+  }
+
+  const logFile = path.join(versionDir(), 'build.log');
   try {
     // Check for .NET SDK
     await checkDotnetSdk();
     console.log('✅ .NET SDK found');
+
+    // This install builds the server itself; a marker left by an earlier install is stale
+    clearBuildPending();
     
     // Build the project
-    await buildProject();
+    await buildProject(logFile);
     
     console.log(`
 🎉 Darbot Teams MCP Server installed successfully!
@@ -85,18 +131,19 @@ async function setup() {
 `);
     
   } catch (error) {
-    console.error('❌ Setup failed:', error.message);
-    
+    // A failed build must not fail npm install (CI images, machines without .NET); the first launch retries it
     if (error.message.includes('.NET SDK')) {
+      deferBuild('the .NET SDK was not found');
+      console.warn(`⚠️  ${error.message}`);
       console.log(`
-📥 REQUIRED: Install .NET SDK first
+📥 REQUIRED: Install .NET SDK first; the server is built on first launch
 
 DOWNLOAD FROM: https://dotnet.microsoft.com/download
 MINIMUM VERSION: .NET 8.0
 
 AFTER INSTALLING:
   • Verify: dotnet --version
-  • Retry: npm install darbot-teams-mcp
+  • Build now: npx darbot-teams-mcp --rebuild (or just start the server)
   • Test: npx darbot-teams-mcp --test
 
 ALTERNATIVE APPROACH:
@@ -108,11 +155,13 @@ NEED HELP?
   • Issues: https://github.com/darbotlabs/darbot-teams-mcp/issues
 `);
     } else {
+      deferBuild('the build failed during install', { logFile });
+      console.warn(`⚠️  Server build failed: ${error.message.split('\n')[0]}`);
       console.log(`
 🔧 TROUBLESHOOTING:
+  • Full build output: ${logFile}
   • Check .NET SDK: dotnet --version
-  • Try cleaning: dotnet clean && dotnet build
-  • Check logs for more details
+  • Retry the build: npx darbot-teams-mcp --rebuild
   • Check internet connection for package restore
 
 GET HELP:
@@ -120,8 +169,6 @@ GET HELP:
   • Issues: https://github.com/darbotlabs/darbot-teams-mcp/issues
 `);
     }
-    
-    process.exit(1);
   }
 }
 
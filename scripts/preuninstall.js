@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+// npm 6 runs this before removing the package; npm 7 and later run no uninstall scripts at all, so
+// the documented way to clean up is `npx darbot-teams-mcp uninstall` and this hook is only a
+// convenience. Whatever happens here, npm uninstall goes on.
+const CLEANUP_TIMEOUT_MS = 60000;
+
+const bin = path.resolve(__dirname, '..', 'bin', 'darbot-teams-mcp.js');
+
+try {
+  const result = spawnSync(process.execPath, [bin, 'uninstall', '--yes', '--keep-config'], {
+    stdio: 'inherit',
+    timeout: CLEANUP_TIMEOUT_MS
+  });
+  if (result.error || result.status !== 0) {
+    console.warn('⚠️  Cleanup did not finish; remove what is left with: npx darbot-teams-mcp uninstall');
+  }
+} catch (error) {
+  console.warn(`⚠️  Cleanup skipped: ${error.message}`);
+}
+process.exitCode = 0;
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { runConformance } = require('../lib/conformance');
+const { createReporter } = require('../lib/test-reporters');
+
+function optionValue(args, name, fallback) {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return fallback;
+  }
+  const value = args[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`Missing value for ${name}`);
+  }
+  return value;
+}
+
+function showHelp() {
+  console.log(`
+🧪 Darbot Teams MCP conformance tests
+
+USAGE:
+  npx darbot-teams-mcp --test [options]
+
+OPTIONS:
+  --transport <t>      stdio, http or all (default: all)
+  --reporter <r>       console, tap or junit (default: console)
+  --output <file>      Write the report to a file instead of stdout
+  --strict             Treat protocol warnings (id mismatches, result shape) as failures
+  --no-call            Only validate schemas, do not call each tool
+  --no-build           Skip the dotnet build step
+  --min-tools <n>      Minimum number of tools expected (default: 40)
+  --port <n>           Port for the HTTP server (default: a free port)
+`);
+}
+
+/**
+ * Fans reporter hooks out to several reporters
+ */
+function combineReporters(reporters) {
+  const hook = (name) => (...args) => reporters.forEach((reporter) => reporter[name](...args));
+  return {
+    start: hook('start'),
+    onSuite: hook('onSuite'),
+    onResult: hook('onResult'),
+    finish: hook('finish')
+  };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    return;
+  }
+
+  const transport = optionValue(args, '--transport', 'all');
+  if (!['stdio', 'http', 'all'].includes(transport)) {
+    throw new Error(`Unknown transport: ${transport} (expected stdio, http or all)`);
+  }
+
+  const reporterName = optionValue(args, '--reporter', 'console');
+  const outputFile = optionValue(args, '--output', null);
+  const output = outputFile ? fs.createWriteStream(outputFile) : process.stdout;
+  const reporters = [createReporter(reporterName, (text) => output.write(text))];
+
+  // Keep human-readable progress visible when the report itself goes elsewhere
+  if (reporterName !== 'console' || outputFile) {
+    reporters.push(createReporter('console', (text) => process.stderr.write(text)));
+  }
+
+  const results = await runConformance({
+    transports: transport === 'all' ? ['stdio', 'http'] : [transport],
+    reporter: combineReporters(reporters),
+    strict: args.includes('--strict'),
+    callTools: !args.includes('--no-call'),
+    build: !args.includes('--no-build'),
+    minTools: Number(optionValue(args, '--min-tools', 40)),
+    port: args.includes('--port') ? Number(optionValue(args, '--port')) : undefined
+  });
+
+  if (outputFile) {
+    await new Promise((resolve) => output.end(resolve));
+    console.error(`📋 Report written to ${outputFile}`);
+  }
+
+  process.exitCode = results.some((result) => result.status === 'fail') ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
@@ -3,27 +3,37 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { spawn } = require('child_process');
+const {
+  SERVER_NAME,
+  getClient,
+  detectClients,
+  serversKey,
+  formatServerEntry,
+  formatClientConfig,
+  vscodeUserDir
+} = require('../lib/mcp-clients');
+const {
+  readConfigFile,
+  editConfigText,
+  writeFileAtomic,
+  listBackups,
+  createBackup,
+  restoreBackup
+} = require('../lib/config-file');
+const { unifiedDiff } = require('../lib/diff');
+const { listProfiles, profileServerName, validateTenant } = require('../lib/profiles');
+const { READ_ONLY_PRESET, readPolicy } = require('../lib/policy');
+const { discoverTenants, pickTenant, tenantLabel } = require('../lib/tenants');
+const { parseDotenv, SETTINGS } = require('../lib/settings');
+const { configDir } = require('../lib/paths');
+
+// Prefix of the ids of the VS Code inputs setup manages
+const INPUT_PREFIX = `${SERVER_NAME}-`;
+// Reference copy of the VS Code configuration, written to the user configuration directory
+const REFERENCE_CONFIG_FILE = 'vscode-settings-generated.json';
 
 function findVSCodeSettingsPath() {
-  const platform = os.platform();
-  let settingsDir;
-
-  switch (platform) {
-    case 'win32':
-      settingsDir = path.join(os.homedir(), 'AppData', 'Roaming', 'Code', 'User');
-      break;
-    case 'darwin':
-      settingsDir = path.join(os.homedir(), 'Library', 'Application Support', 'Code', 'User');
-      break;
-    case 'linux':
-      settingsDir = path.join(os.homedir(), '.config', 'Code', 'User');
-      break;
-    default:
-      throw new Error(`Unsupported platform: ${platform}`);
-  }
-
-  return path.join(settingsDir, 'settings.json');
+  return path.join(vscodeUserDir('Code'), 'settings.json');
 }
 
 function getPackageInstallPath() {
@@ -37,207 +47,596 @@ function getPackageInstallPath() {
 }
 
 /**
- * Detects Azure CLI tenant ID if available
+ * Resolves the tenant to configure: --tenant as given, otherwise the tenants found in
+ * AZURE_TENANT_ID/ARM_TENANT_ID, azureProfile.json and the Azure CLI. Several candidates are
+ * offered in a picker when a terminal is attached (and options.interactive is not false); otherwise
+ * the first (the az default) is used. Progress goes to options.log (default console.log).
  */
-async function detectTenantId() {
+async function detectTenantId(options = {}) {
+  const log = options.log || console.log;
+  if (options.tenant) {
+    validateTenant(options.tenant);
+    log(`✅ Using tenant from --tenant: ${options.tenant}`);
+    return options.tenant;
+  }
+
   try {
-    console.log('🔍 Detecting tenant configuration from Azure CLI...');
-    
-    // Check if Azure CLI is available
-    const azPath = await findAzureCli();
-    if (!azPath) {
-      console.log('ℹ️  Azure CLI not found - will use manual configuration');
+    log('🔍 Detecting tenants from the environment and Azure CLI...');
+    const { candidates, invalid } = await discoverTenants();
+
+    invalid.forEach(({ tenantId, source }) => log(`⚠️  Ignoring "${tenantId}" from ${source}: not a tenant GUID`));
+
+    if (candidates.length === 0) {
+      log('ℹ️  No Azure CLI sign-in or AZURE_TENANT_ID found - will use manual configuration');
       return null;
     }
 
-    // Get current account info
-    const accountInfo = await getAzureAccount(azPath);
-    if (accountInfo && accountInfo.tenantId) {
-      console.log(`✅ Detected tenant ID: ${accountInfo.tenantId}`);
-      return accountInfo.tenantId;
+    let selected = candidates[0];
+    if (candidates.length > 1) {
+      if (process.stdin.isTTY && !options.dryRun && options.interactive !== false) {
+        selected = await pickTenant(candidates);
+        if (!selected) {
+          log('ℹ️  No tenant selected - will use manual configuration');
+          return null;
+        }
+      } else {
+        log(`ℹ️  ${candidates.length} tenants found; using the first. Choose another with --tenant <id>:`);
+        candidates.forEach((candidate) => log(`  • ${candidate.tenantId}  ${tenantLabel(candidate)}`));
+      }
     }
 
-    console.log('ℹ️  No Azure CLI session found - will use manual configuration');
-    return null;
+    log(`✅ Detected tenant: ${tenantLabel(selected)} - ${selected.tenantId} (${selected.sources.join(', ')})`);
+    return selected.tenantId;
   } catch (error) {
-    console.log(`ℹ️  Tenant detection failed: ${error.message} - will use manual configuration`);
+    log(`ℹ️  Tenant detection failed: ${error.message} - will use manual configuration`);
     return null;
   }
 }
 
 /**
- * Finds Azure CLI executable
+ * Builds the client-neutral server definition shared by every client configuration
  */
-async function findAzureCli() {
-  const commands = process.platform === 'win32' ? ['az.cmd', 'az.exe'] : ['az'];
-  
-  for (const command of commands) {
-    try {
-      const which = process.platform === 'win32' ? 'where' : 'which';
-      const result = await runCommand(which, [command]);
-      if (result.success && result.stdout.trim()) {
-        return result.stdout.trim().split('\n')[0].trim();
-      }
-    } catch {
-      // Continue to next command
+function createMCPServerConfig(packagePath, tenantId = null) {
+  // Use detected tenant ID, or provide guidance for manual configuration
+  const finalTenantId = tenantId || '${TEAMS_TENANT_ID}';
+
+  return {
+    "command": "npx",
+    "args": [
+      "darbot-teams-mcp",
+      "--stdio"
+    ],
+    "env": {
+      "TEAMS_CLIENT_ID": "04b07795-8ddb-461a-bbee-02f9e1bf7b46",
+      "TEAMS_TENANT_ID": finalTenantId,
+      "TEAMS_LOG_LEVEL": "Warning",
+      "MCP_MODE": "stdio",
+      "TEAMS_SIMULATION_MODE": "true",
+      "TEAMS_REQUIRE_AUTHENTICATION": "false"
+    }
+  };
+}
+
+/**
+ * Server definition for a named profile: the launcher applies the profile's tenant, client ID,
+ * simulation and authentication settings at startup, so the entry only names the profile
+ */
+function createProfileServerConfig(profile) {
+  return {
+    "command": "npx",
+    "args": [
+      "darbot-teams-mcp",
+      "--stdio",
+      "--profile",
+      profile.name
+    ],
+    "env": {
+      "TEAMS_LOG_LEVEL": "Warning",
+      "MCP_MODE": "stdio"
     }
+  };
+}
+
+/**
+ * Adds the launcher's tool policy options (--policy <file|read-only>, --read-only) to a server
+ * definition, so each entry can restrict its own client
+ */
+function withPolicyArgs(server, options = {}) {
+  const args = [];
+  if (options.policy) {
+    args.push('--policy', options.policy === READ_ONLY_PRESET ? READ_ONLY_PRESET : path.resolve(options.policy));
   }
-  
-  return null;
+  if (options.readOnly) {
+    args.push('--read-only');
+  }
+  return args.length > 0 ? { ...server, args: [...server.args, ...args] } : server;
+}
+
+/**
+ * Env file VS Code loads for the server (envFile), kept in the user config directory so tenant
+ * IDs and flags never land in synced settings
+ */
+function vscodeEnvFilePath() {
+  return path.join(configDir(), `${SERVER_NAME}.env`);
+}
+
+/**
+ * The env file path as written into mcp.json: relative to ${userHome} when possible, so a
+ * workspace .vscode/mcp.json works for everyone who runs setup
+ */
+function envFileReference(file) {
+  const relative = path.relative(os.homedir(), file);
+  if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+    return `\${userHome}/${relative.split(path.sep).join('/')}`;
+  }
+  return file;
+}
+
+/**
+ * promptString input for a server environment variable; secret settings are entered as passwords
+ */
+function createInput(envName) {
+  const setting = SETTINGS.find((item) => item.env === envName) || {};
+  return {
+    "type": "promptString",
+    "id": `${INPUT_PREFIX}${(setting.key || envName).replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`,
+    "description": `Darbot Teams: ${setting.description || envName}`,
+    "password": Boolean(setting.secret)
+  };
+}
+
+/**
+ * VS Code server entry: settings come from the env file, and anything the file does not provide
+ * (the tenant ID when it could not be detected) is asked for through an input variable, which
+ * VS Code keeps in its secret storage. Returns { server, inputs }.
+ */
+function createVSCodeServerConfig(envFile, promptFor = []) {
+  const inputs = promptFor.map(createInput);
+  const server = {
+    "command": "npx",
+    "args": [
+      "darbot-teams-mcp",
+      "--stdio"
+    ],
+    "envFile": envFileReference(envFile)
+  };
+  if (inputs.length > 0) {
+    server.env = Object.fromEntries(promptFor.map((envName, i) => [envName, `\${input:${inputs[i].id}}`]));
+  }
+  return { server, inputs };
+}
+
+/**
+ * Writes the server settings into the env file. Values already in the file are kept, so edits
+ * survive a re-run; only missing keys are added, except the names in options.replace, whose
+ * lines are rewritten. Returns the merged values.
+ */
+function writeEnvFile(file, values, options = {}) {
+  const log = options.log || console.log;
+  const exists = fs.existsSync(file);
+  const current = exists ? fs.readFileSync(file, 'utf8') : '';
+  const existing = parseDotenv(current);
+  const replace = options.replace || [];
+  const missing = Object.entries(values).filter(([name, value]) => existing[name] === undefined && value !== undefined);
+  const changed = Object.entries(values).filter(([name, value]) => replace.includes(name) && existing[name] !== undefined && existing[name] !== value);
+
+  if (missing.length === 0 && changed.length === 0) {
+    log(`✔️  No changes needed: ${file}`);
+    return existing;
+  }
+
+  let body = current;
+  for (const [name, value] of changed) {
+    body = body.replace(new RegExp(`^(\\s*(?:export\\s+)?${name}\\s*=).*$`, 'm'), (match, prefix) => prefix + value);
+  }
+  const header = exists ? '' : `# Darbot Teams MCP server settings, loaded by VS Code through "envFile"\n# Generated by npx darbot-teams-mcp --setup; edits are kept when setup runs again\n`;
+  const added = missing.length > 0 ? `${body && !body.endsWith('\n') ? '\n' : ''}${missing.map(([name, value]) => `${name}=${value}`).join('\n')}\n` : '';
+  const updated = `${header}${body}${added}`;
+
+  if (options.dryRun) {
+    log(`📝 Would update ${file}:`);
+    log(unifiedDiff(current, updated, exists ? file : '/dev/null', file));
+  } else {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeFileAtomic(file, updated);
+    log(`🔐 ${exists ? 'Updated' : 'Created'} env file: ${file}`);
+  }
+  return { ...existing, ...Object.fromEntries([...missing, ...changed]) };
+}
+
+/**
+ * Reads the client id following --setup (defaults to VS Code for --vscode-setup)
+ */
+function parseSetupTarget(args) {
+  const index = args.indexOf('--setup');
+  if (index === -1) {
+    return 'vscode';
+  }
+
+  const value = args[index + 1];
+  if (!value || value.startsWith('-')) {
+    throw new Error('Missing client for --setup (expected vscode, vscode-insiders, workspace, cursor, claude or all)');
+  }
+  return value;
+}
+
+/**
+ * Resolves the clients to configure; "all" configures every client detected on this machine
+ */
+function resolveTargets(target) {
+  if (target !== 'all') {
+    return [getClient(target)];
+  }
+
+  const clients = detectClients();
+  if (clients.length === 0) {
+    throw new Error('No supported MCP clients detected (looked for VS Code, VS Code Insiders, Cursor, Claude Desktop and a .vscode workspace folder)');
+  }
+  return clients;
+}
+
+/**
+ * Applies JSONC edits ([jsonPath, value] pairs) to a configuration file: prints a diff for dry runs,
+ * otherwise backs up the current file (unless options.backup is false) and writes the result
+ * atomically. Messages go to options.log (default console.log). Returns true if the file changed.
+ */
+function applyConfigEdit(configPath, edits, options = {}) {
+  const log = options.log || console.log;
+  const current = readConfigFile(configPath);
+  const updated = edits.reduce((text, [jsonPath, value]) => editConfigText(text, jsonPath, value), current.text);
+
+  if (updated === current.text) {
+    log(`✔️  No changes needed: ${configPath}`);
+    return false;
+  }
+
+  if (options.dryRun) {
+    log(`📝 Would update ${configPath}:`);
+    log(unifiedDiff(current.text, updated, current.exists ? configPath : '/dev/null', configPath));
+    return true;
+  }
+
+  // Ensure config directory exists
+  const configDir = path.dirname(configPath);
+  if (!fs.existsSync(configDir)) {
+    fs.mkdirSync(configDir, { recursive: true });
+    log(`📁 Created config directory: ${configDir}`);
+  }
+
+  const backupPath = options.backup === false ? null : createBackup(configPath);
+  if (backupPath) {
+    log(`💾 Backup saved: ${backupPath}`);
+  } else if (!current.exists) {
+    log(`📄 Creating new configuration file: ${configPath}`);
+  }
+
+  writeFileAtomic(configPath, updated);
+  return true;
+}
+
+/**
+ * Adds or replaces server entries ({ <name>: server }) in a client's configuration file in one write.
+ * options.inputs replaces the VS Code inputs setup manages, keeping any others.
+ */
+function writeClientEntries(client, servers, options = {}) {
+  const configPath = client.configPath();
+  const edits = Object.entries(servers).map(([name, server]) => [[serversKey(client), name], formatServerEntry(client, server)]);
+  if (client.format === 'vscode') {
+    edits.push(...inputEdits(readConfigFile(configPath).data.inputs, options.inputs || []));
+  }
+  applyConfigEdit(configPath, edits, options);
+  return configPath;
+}
+
+/**
+ * Edits replacing the managed darbot-teams-* inputs with ours element by element, so the user's
+ * own inputs are left as they are written
+ */
+function inputEdits(current, ours) {
+  if (!Array.isArray(current)) {
+    return ours.length > 0 ? [[['inputs'], ours]] : [];
+  }
+  const managed = current.map((input, index) => (input && String(input.id).startsWith(INPUT_PREFIX) ? index : -1)).filter((index) => index !== -1);
+  if (ours.length === 0 && managed.length > 0 && managed.length === current.length) {
+    return [[['inputs'], undefined]];
+  }
+
+  const edits = managed.slice(0, ours.length).map((index, position) => [['inputs', index], ours[position]]);
+  for (const index of managed.slice(ours.length).reverse()) {
+    edits.push([['inputs', index], undefined]);
+  }
+  for (const input of ours.slice(managed.length)) {
+    edits.push([['inputs', -1], input]);
+  }
+  return edits;
+}
+
+/**
+ * Adds or replaces the darbot-teams entry in a client's configuration file
+ */
+function writeClientConfig(client, server, options = {}) {
+  return writeClientEntries(client, { [SERVER_NAME]: server }, options);
+}
+
+/**
+ * Files (and the key holding server entries inside them) that setup may touch for a client
+ */
+function clientConfigTargets(client) {
+  const targets = [{ configPath: client.configPath(), key: serversKey(client) }];
+  if (client.id === 'vscode') {
+    targets.push({ configPath: findVSCodeSettingsPath(), key: "mcp.servers" });
+  }
+  return targets;
+}
+
+/**
+ * Removes only the darbot-teams entry (or the entries in options.serverNames) from a client's
+ * configuration, plus legacy "mcp.servers" entries in VS Code settings.json.
+ * Returns the changed files with the entries removed from each.
+ */
+function removeClientConfig(client, options = {}) {
+  const serverNames = options.serverNames || [SERVER_NAME];
+  const changed = [];
+  for (const { configPath, key } of clientConfigTargets(client)) {
+    const container = readConfigFile(configPath).data[key];
+    if (!container || typeof container !== 'object') {
+      continue;
+    }
+    const names = serverNames.filter((name) => name in container);
+    const edits = names.map((name) => [[key, name], undefined]);
+    if (client.format === 'vscode' && key === serversKey(client) && names.includes(SERVER_NAME)) {
+      edits.push(...inputEdits(readConfigFile(configPath).data.inputs, []));
+    }
+    if (names.length > 0 && applyConfigEdit(configPath, edits, options)) {
+      changed.push({ configPath, names });
+    }
+  }
+  return changed;
+}
+
+/**
+ * Warns when settings.json still holds an entry under the legacy "mcp.servers" key
+ */
+function warnLegacyVSCodeEntry() {
+  try {
+    const settings = readConfigFile(findVSCodeSettingsPath()).data;
+    if (settings["mcp.servers"] && settings["mcp.servers"][SERVER_NAME]) {
+      console.warn(`⚠️  Found a legacy "mcp.servers" → "${SERVER_NAME}" entry in ${findVSCodeSettingsPath()}`);
+      console.warn('   VS Code now reads MCP servers from mcp.json - remove it with: npx darbot-teams-mcp --setup vscode --uninstall');
+    }
+  } catch {
+    // No settings.json, or one we cannot parse - nothing to migrate
+  }
+}
+
+/**
+ * Server entry names setup manages: darbot-teams, or one darbot-teams-<profile> per profile
+ */
+function managedServerNames(options = {}) {
+  if (!options.allProfiles) {
+    return [SERVER_NAME];
+  }
+  return listProfiles().map((profile) => profileServerName(profile.name));
 }
 
 /**
- * Gets Azure CLI account information
+ * Removes the darbot-teams entry (or every profile entry with allProfiles) from one client
+ * (or every detected client for "all")
  */
-async function getAzureAccount(azPath) {
+function uninstallClients(target = 'vscode', options = {}) {
   try {
-    const result = await runCommand(azPath, ['account', 'show', '--output', 'json']);
-    if (result.success && result.stdout) {
-      return JSON.parse(result.stdout);
+    const clients = resolveTargets(target);
+    let changed = 0;
+
+    const serverNames = managedServerNames(options);
+
+    for (const client of clients) {
+      const files = removeClientConfig(client, { ...options, serverNames });
+      changed += files.length;
+      if (files.length === 0) {
+        console.log(`ℹ️  ${client.label}: no ${serverNames.join(', ') || 'profile'} entry found`);
+      } else if (!options.dryRun) {
+        files.forEach(({ configPath, names }) => console.log(`🗑️  ${client.label}: removed ${names.join(', ')} from ${configPath}`));
+      }
+    }
+
+    if (changed > 0 && !options.dryRun) {
+      console.log('\n✅ Uninstall complete. Restore the previous configuration with --restore if needed.');
     }
   } catch (error) {
-    // Azure CLI might not be logged in
+    console.error('❌ MCP client uninstall failed:', error.message);
+    process.exit(1);
   }
-  
-  return null;
 }
 
 /**
- * Runs a command and returns the result
+ * Restores the newest (or a specific) timestamped backup of a client's configuration
  */
-function runCommand(command, args, options = {}) {
-  return new Promise((resolve) => {
-    const child = spawn(command, args, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      ...options
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout?.on('data', (data) => {
-      stdout += data.toString();
-    });
-
-    child.stderr?.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    child.on('close', (code) => {
-      resolve({
-        success: code === 0,
-        stdout,
-        stderr,
-        code
-      });
-    });
-
-    child.on('error', (error) => {
-      resolve({
-        success: false,
-        stdout,
-        stderr,
-        error: error.message,
-        code: -1
-      });
-    });
-  });
+function restoreClients(target = 'vscode', stamp = null) {
+  try {
+    const clients = resolveTargets(target);
+
+    const configPaths = clients.flatMap((client) => clientConfigTargets(client)
+      .map(({ configPath }) => ({ client, configPath })));
+
+    for (const { client, configPath } of configPaths) {
+      const backups = listBackups(configPath);
+      if (backups.length === 0) {
+        console.log(`ℹ️  ${client.label}: no backups found for ${configPath}`);
+        continue;
+      }
+      if (stamp && !backups.some((backup) => backup.stamp === stamp)) {
+        continue;
+      }
+
+      const backup = restoreBackup(configPath, stamp);
+      console.log(`♻️  ${client.label}: restored ${configPath} from backup ${backup.stamp}`);
+    }
+
+    const available = configPaths.flatMap(({ configPath }) => listBackups(configPath));
+    if (available.length > 0) {
+      console.log('\n📚 Available backups (newest first):');
+      available.forEach((backup) => console.log(`  • ${backup.stamp}  ${backup.path}`));
+    }
+  } catch (error) {
+    console.error('❌ Restore failed:', error.message);
+    process.exit(1);
+  }
 }
 
-function createMCPServerConfig(packagePath, tenantId = null) {
-  // Use detected tenant ID, or provide guidance for manual configuration
-  const finalTenantId = tenantId || '${TEAMS_TENANT_ID}';
-  const isDetected = tenantId !== null;
-  
-  return {
-    "mcp.servers": {
-      "darbot-teams": {
-        "command": "npx",
-        "args": [
-          "darbot-teams-mcp",
-          "--stdio"
-        ],
-        "env": {
-          "TEAMS_CLIENT_ID": "04b07795-8ddb-461a-bbee-02f9e1bf7b46",
-          "TEAMS_TENANT_ID": finalTenantId,
-          "TEAMS_LOG_LEVEL": "Warning",
-          "MCP_MODE": "stdio",
-          "TEAMS_SIMULATION_MODE": "true",
-          "TEAMS_REQUIRE_AUTHENTICATION": "false"
-        }
+/**
+ * Registers one darbot-teams-<profile> entry per saved profile in one client (or every detected client)
+ */
+function setupProfileClients(target = 'vscode', options = {}) {
+  try {
+    const profiles = listProfiles();
+    if (profiles.length === 0) {
+      throw new Error('No profiles saved - add one with: npx darbot-teams-mcp profile add <name> --tenant <tenant-id>');
+    }
+
+    const clients = resolveTargets(target);
+    const labels = clients.map((client) => client.label).join(', ');
+    console.log(`🔧 Configuring ${labels} with ${profiles.length} profile(s)${options.dryRun ? ' (dry run)' : ''}...`);
+
+    const servers = Object.fromEntries(profiles.map((profile) => [profileServerName(profile.name), withPolicyArgs(createProfileServerConfig(profile), options)]));
+
+    for (const client of clients) {
+      const configPath = writeClientEntries(client, servers, options);
+      if (!options.dryRun) {
+        console.log(`✅ ${client.label} configuration updated: ${configPath}`);
       }
-    },
-    // Add metadata for configuration guidance
-    "_darbot_config_info": {
-      "tenant_detected": isDetected,
-      "setup_required": !isDetected,
-      "instructions": isDetected ? 
-        "Tenant ID was automatically detected from Azure CLI" :
-        "Replace ${TEAMS_TENANT_ID} with your actual tenant ID or set TEAMS_TENANT_ID environment variable"
     }
-  };
+
+    if (options.dryRun) {
+      console.log('ℹ️  Dry run - no files were written. Run again without --dry-run to apply.');
+      return;
+    }
+
+    console.log(`
+🎉 Setup Complete!
+
+CONFIGURED SERVERS:
+${profiles.map((profile) => `  • ${profileServerName(profile.name)}: tenant ${profile.tenantId}, simulation ${profile.simulation ? 'on' : 'off'}, authentication ${profile.requireAuth ? 'required' : 'off'}`).join('\n')}
+
+NEXT STEPS:
+1. 📱 Restart ${labels} to load the new MCP servers
+2. 🔁 After adding profiles, run setup with --all-profiles again
+`);
+  } catch (error) {
+    console.error('❌ MCP client setup failed:', error.message);
+    process.exit(1);
+  }
 }
 
-async function setupVSCode() {
+/**
+ * Writes the darbot-teams entry for one client (or every detected client for "all"), the VS Code
+ * env file and a reference copy of the VS Code configuration in the user configuration directory
+ * (REFERENCE_CONFIG_FILE), leaving the package's own files alone. Progress goes to options.log
+ * (default console.log); errors are thrown with error.client set to the client being configured.
+ * Resolves with { tenantId, clients: [{ id, label, configPath }], vscode } where vscode is the
+ * VS Code entry and inputs, if a VS Code client was configured.
+ */
+async function configureClients(target = 'vscode', options = {}) {
+  const log = options.log || console.log;
+  const clients = resolveTargets(target);
+  const packagePath = getPackageInstallPath();
+  const labels = clients.map((client) => client.label).join(', ');
+  let current = clients[0];
+
   try {
-    const settingsPath = findVSCodeSettingsPath();
-    const packagePath = getPackageInstallPath();
-    
-    console.log('🔧 Configuring VS Code for Darbot Teams MCP...');
-    console.log(`📍 VS Code settings: ${settingsPath}`);
-    console.log(`📦 Package location: ${packagePath}`);
-    
-    // Try to detect tenant ID from Azure CLI
-    const detectedTenantId = await detectTenantId();
-    
-    // Ensure settings directory exists
-    const settingsDir = path.dirname(settingsPath);
-    if (!fs.existsSync(settingsDir)) {
-      fs.mkdirSync(settingsDir, { recursive: true });
-      console.log(`📁 Created settings directory: ${settingsDir}`);
+    log(`🔧 Configuring ${labels} for Darbot Teams MCP${options.dryRun ? ' (dry run)' : ''}...`);
+    log(`📦 Package location: ${packagePath}`);
+
+    const tenantId = await detectTenantId(options);
+    const server = withPolicyArgs(createMCPServerConfig(packagePath, tenantId), options);
+
+    // VS Code clients read their settings from an env file and prompt for what it lacks
+    let vscode = null;
+    if (clients.some((client) => client.format === 'vscode')) {
+      const envFile = vscodeEnvFilePath();
+      const { TEAMS_TENANT_ID, ...defaults } = server.env;
+      // An explicit --tenant replaces the tenant in the file; a detected one only fills it in
+      const values = writeEnvFile(envFile, { ...(tenantId ? { TEAMS_TENANT_ID } : {}), ...defaults }, {
+        ...options,
+        replace: options.tenant ? ['TEAMS_TENANT_ID'] : []
+      });
+      if (tenantId && values.TEAMS_TENANT_ID !== tenantId) {
+        log(`ℹ️  Keeping TEAMS_TENANT_ID=${values.TEAMS_TENANT_ID} from ${envFile} (use --tenant to replace it)`);
+      }
+      vscode = createVSCodeServerConfig(envFile, values.TEAMS_TENANT_ID ? [] : ['TEAMS_TENANT_ID']);
+      vscode.server = withPolicyArgs(vscode.server, options);
     }
 
-    // Read existing settings or create new
-    let settings = {};
-    if (fs.existsSync(settingsPath)) {
-      const settingsContent = fs.readFileSync(settingsPath, 'utf8');
-      try {
-        settings = JSON.parse(settingsContent);
-        console.log('📖 Found existing VS Code settings');
-      } catch (error) {
-        console.warn('⚠️  Invalid JSON in settings.json, creating backup and starting fresh');
-        fs.writeFileSync(settingsPath + '.backup', settingsContent);
-        settings = {};
+    const configured = [];
+    for (const client of clients) {
+      current = client;
+      const configPath = client.format === 'vscode'
+        ? writeClientEntries(client, { [SERVER_NAME]: vscode.server }, { ...options, inputs: vscode.inputs })
+        : writeClientConfig(client, server, options);
+      configured.push({ id: client.id, label: client.label, configPath });
+      if (!options.dryRun) {
+        log(`✅ ${client.label} configuration updated: ${configPath}`);
       }
-    } else {
-      console.log('📄 Creating new VS Code settings file');
     }
 
-    // Add or update MCP server configuration
-    const mcpConfig = createMCPServerConfig(packagePath, detectedTenantId);
-    
-    if (!settings["mcp.servers"]) {
-      settings["mcp.servers"] = {};
+    if (!options.dryRun) {
+      // Reference copy of the VS Code configuration, for manual setups
+      const referencePath = path.join(configDir(), REFERENCE_CONFIG_FILE);
+      const reference = vscode || createVSCodeServerConfig(vscodeEnvFilePath(), tenantId ? [] : ['TEAMS_TENANT_ID']);
+      const referenceConfig = {
+        ...(reference.inputs.length > 0 ? { "inputs": reference.inputs } : {}),
+        ...formatClientConfig(getClient('vscode'), reference.server)
+      };
+      fs.mkdirSync(path.dirname(referencePath), { recursive: true });
+      fs.writeFileSync(referencePath, JSON.stringify(referenceConfig, null, 2) + '\n');
+      log(`📋 Reference configuration saved: ${referencePath}`);
+    }
+
+    return { tenantId, clients: configured, vscode };
+  } catch (error) {
+    error.client = error.client || current;
+    throw error;
+  }
+}
+
+/**
+ * Configures one client (or every detected client for "all") to launch darbot-teams-mcp, with
+ * next steps on success and manual instructions on failure
+ */
+async function setupClients(target = 'vscode', options = {}) {
+  let manualClient = getClient('vscode');
+
+  try {
+    const clients = resolveTargets(target);
+    const labels = clients.map((client) => client.label).join(', ');
+    manualClient = clients[0];
+
+    const { tenantId: detectedTenantId, vscode } = await configureClients(target, options);
+
+    if (options.dryRun) {
+      console.log('ℹ️  Dry run - no files were written. Run again without --dry-run to apply.');
+      return;
+    }
+
+    if (clients.some((client) => client.id === 'vscode')) {
+      warnLegacyVSCodeEntry();
+    }
+
+    if (vscode && vscode.inputs.length > 0) {
+      console.log(`🔑 VS Code will ask for your tenant ID the first time the server starts (kept in its secret storage), or add TEAMS_TENANT_ID to ${vscodeEnvFilePath()}`);
     }
-    
-    settings["mcp.servers"]["darbot-teams"] = mcpConfig["mcp.servers"]["darbot-teams"];
 
-    // Write updated settings
-    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
-    
-    console.log('✅ VS Code configuration updated successfully!');
-    
     // Show appropriate next steps based on whether tenant was detected
     if (detectedTenantId) {
       console.log(`
 🎉 Setup Complete!
 
 ✅ TENANT CONFIGURATION:
-  • Automatically detected tenant ID: ${detectedTenantId}
+  • ${options.tenant ? 'Tenant ID from --tenant' : 'Automatically detected tenant ID'}: ${detectedTenantId}
   • Configuration is ready to use!
 
 NEXT STEPS:
-1. 📱 Restart VS Code to load the new MCP server
+1. 📱 Restart ${labels} to load the new MCP server
 2. 🔌 The darbot-teams MCP server should automatically connect
 3. 🎯 You can now use Teams commands in your AI conversations
 
@@ -249,8 +648,8 @@ EXAMPLE COMMANDS TO TRY:
 
 CONFIGURATION DETAILS:
   • Server: darbot-teams
-  • Mode: stdio (VS Code compatible)
-  • Tenant: ${detectedTenantId} (auto-detected)
+  • Mode: stdio
+  • Tenant: ${detectedTenantId} (${options.tenant ? '--tenant' : 'auto-detected'})
   • Authentication: Disabled (for initial testing)
   • Simulation: Enabled (safe for experimentation)
   • Tools available: 50+ Teams management commands
@@ -268,17 +667,18 @@ CONFIGURATION DETAILS:
 Option 1 - Use Azure CLI (Recommended):
   1. Install Azure CLI: https://docs.microsoft.com/en-us/cli/azure/install-azure-cli
   2. Login: az login
-  3. Re-run setup: npx darbot-teams-mcp --vscode-setup
+  3. Re-run setup: npx darbot-teams-mcp --setup ${target}
+  Or name the tenant directly: npx darbot-teams-mcp --setup ${target} --tenant <tenant-id>
 
 Option 2 - Set Environment Variable:
   1. Find your tenant ID: https://docs.microsoft.com/en-us/azure/active-directory/fundamentals/active-directory-how-to-find-tenant
   2. Set environment variable: TEAMS_TENANT_ID=your-tenant-id-here
-  3. Restart VS Code
+  3. Restart ${labels}
 
-Option 3 - Edit VS Code Settings:
-  1. Open VS Code Settings (Ctrl/Cmd + ,)
-  2. Search for "mcp"
-  3. Replace \${TEAMS_TENANT_ID} with your actual tenant ID
+Option 3 - Enter It When Prompted (VS Code):
+  1. Start the "${SERVER_NAME}" server from VS Code
+  2. Enter your tenant ID when asked; VS Code remembers it in its secret storage
+  3. For other clients, replace \${TEAMS_TENANT_ID} in the "${SERVER_NAME}" entry
 
 📋 FINDING YOUR TENANT ID:
   • Azure Portal: Go to Azure Active Directory → Properties → Tenant ID
@@ -286,7 +686,7 @@ Option 3 - Edit VS Code Settings:
   • Office 365 Admin Center: Settings → Org settings → Organization profile
 
 NEXT STEPS AFTER CONFIGURATION:
-1. 📱 Restart VS Code to load the new MCP server
+1. 📱 Restart ${labels} to load the new MCP server
 2. 🔌 The darbot-teams MCP server should automatically connect
 3. 🎯 You can now use Teams commands in your AI conversations
 `);
@@ -294,20 +694,16 @@ NEXT STEPS AFTER CONFIGURATION:
 
     console.log(`
 TROUBLESHOOTING:
-  • If tools don't appear, check VS Code Developer Console
-  • Ensure MCP extension is installed in VS Code
+  • If tools don't appear, check the client's MCP server logs
+  • In VS Code, run "MCP: List Servers" from the Command Palette
   • Run 'npx darbot-teams-mcp --test' to verify installation
 
 For more help: npx darbot-teams-mcp --help
 `);
-
-    // Also create a backup config file for reference
-    const configBackupPath = path.join(packagePath, 'configs', 'vscode-settings-generated.json');
-    fs.writeFileSync(configBackupPath, JSON.stringify(mcpConfig, null, 2));
-    console.log(`📋 Configuration backup saved: ${configBackupPath}`);
-    
   } catch (error) {
-    console.error('❌ VS Code setup failed:', error.message);
+    manualClient = error.client || manualClient;
+    console.error('❌ MCP client setup failed:', error.message);
+    const manualConfig = JSON.stringify(formatClientConfig(manualClient, createMCPServerConfig(getPackageInstallPath(), null)), null, 2);
     
     if (error.message.includes('Unsupported platform')) {
       console.log(`
@@ -315,21 +711,23 @@ For more help: npx darbot-teams-mcp --help
 
 Your platform is not automatically supported, but you can set it up manually:
 
-1️⃣  FIND YOUR VS CODE SETTINGS:
-    • Windows: %APPDATA%/Code/User/settings.json
-    • macOS: ~/Library/Application Support/Code/User/settings.json  
-    • Linux: ~/.config/Code/User/settings.json
+1️⃣  FIND YOUR CLIENT CONFIGURATION:
+    • VS Code (Windows): %APPDATA%/Code/User/mcp.json
+    • VS Code (macOS): ~/Library/Application Support/Code/User/mcp.json
+    • VS Code (Linux): ~/.config/Code/User/mcp.json
+    • Cursor: ~/.cursor/mcp.json
+    • Claude Desktop: claude_desktop_config.json in the Claude config folder
 
 2️⃣  ADD THIS CONFIGURATION:
 
-${JSON.stringify(createMCPServerConfig(getPackageInstallPath(), null), null, 2)}
+${manualConfig}
 
 3️⃣  CONFIGURE YOUR TENANT:
     • Replace \${TEAMS_TENANT_ID} with your actual tenant ID
     • Or set TEAMS_TENANT_ID environment variable
     • Find tenant ID: https://docs.microsoft.com/en-us/azure/active-directory/fundamentals/active-directory-how-to-find-tenant
 
-4️⃣  RESTART VS CODE and you're ready!
+4️⃣  RESTART YOUR MCP CLIENT and you're ready!
 
 NEED HELP?
   • Documentation: https://github.com/darbotlabs/darbot-teams-mcp
@@ -346,13 +744,11 @@ OPTION 1 - Run with elevated permissions:
   • macOS/Linux: Use sudo (not recommended)
 
 OPTION 2 - Manual setup (recommended):
-  1. Open VS Code
-  2. Go to Settings (Ctrl/Cmd + ,)
-  3. Search for "mcp"
-  4. Add the configuration manually
+  1. Open ${manualClient.label}'s MCP configuration file
+  2. Add the configuration below
 
 CONFIGURATION TO ADD:
-${JSON.stringify(createMCPServerConfig(getPackageInstallPath(), null), null, 2)}
+${manualConfig}
 
 ⚠️  IMPORTANT: Replace \${TEAMS_TENANT_ID} with your actual tenant ID!
 
@@ -364,17 +760,15 @@ NEED HELP?
 🔧 SETUP FAILED - Manual configuration required
 
 MANUAL SETUP STEPS:
-1. Open VS Code Settings (Ctrl/Cmd + ,)
-2. Search for "mcp" 
-3. Add this configuration:
+1. Open ${manualClient.label}'s MCP configuration file
+2. Add this configuration:
 
-${JSON.stringify(createMCPServerConfig(getPackageInstallPath(), null), null, 2)}
+${manualConfig}
 
 ⚠️  IMPORTANT: Replace \${TEAMS_TENANT_ID} with your actual tenant ID!
 
-ALTERNATIVE:
-  • Edit settings.json directly
-  • Location varies by OS (see documentation)
+SUPPORTED CLIENTS:
+  • npx darbot-teams-mcp --setup vscode|vscode-insiders|workspace|cursor|claude|all
 
 GET HELP:
   • Documentation: https://github.com/darbotlabs/darbot-teams-mcp
@@ -386,4 +780,69 @@ GET HELP:
   }
 }
 
-setupVSCode();
\ No newline at end of file
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let target;
+  try {
+    target = parseSetupTarget(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const options = { dryRun: args.includes('--dry-run'), allProfiles: args.includes('--all-profiles'), readOnly: args.includes('--read-only') };
+  const policyIndex = args.indexOf('--policy');
+  if (policyIndex !== -1) {
+    options.policy = args[policyIndex + 1];
+    try {
+      if (!options.policy || options.policy.startsWith('-')) {
+        throw new Error(`--policy needs a policy file or ${READ_ONLY_PRESET}`);
+      }
+      readPolicy(options.policy);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+  const tenantIndex = args.indexOf('--tenant');
+  if (tenantIndex !== -1) {
+    options.tenant = args[tenantIndex + 1];
+    try {
+      validateTenant(options.tenant && !options.tenant.startsWith('-') ? options.tenant : null);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (args.includes('--uninstall')) {
+    uninstallClients(target, options);
+  } else if (args.includes('--restore')) {
+    const stamp = args[args.indexOf('--restore') + 1];
+    restoreClients(target, stamp && !stamp.startsWith('-') ? stamp : null);
+  } else if (options.allProfiles) {
+    setupProfileClients(target, options);
+  } else {
+    setupClients(target, options);
+  }
+}
+
+module.exports = {
+  createMCPServerConfig,
+  createProfileServerConfig,
+  createVSCodeServerConfig,
+  vscodeEnvFilePath,
+  writeEnvFile,
+  detectTenantId,
+  findVSCodeSettingsPath,
+  getPackageInstallPath,
+  writeClientConfig,
+  writeClientEntries,
+  clientConfigTargets,
+  removeClientConfig,
+  configureClients,
+  setupClients,
+  setupProfileClients,
+  uninstallClients,
+  restoreClients
+};
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempHome, withEnv } = require('./helpers');
+const api = require('../../lib/index');
+const { getClient, SERVER_NAME } = require('../../lib/mcp-clients');
+
+// The API must never print; every test fails if it does
+function noConsole(t) {
+  const printed = [];
+  ['log', 'warn', 'error'].forEach((method) => t.mock.method(console, method, (...args) => printed.push(args.join(' '))));
+  t.after(() => assert.deepEqual(printed, []));
+}
+
+function isolated(t) {
+  const home = tempHome(t);
+  withEnv(t, { DARBOT_CONFIG_DIR: path.join(home, 'config'), DARBOT_STATE_DIR: path.join(home, 'state'), DARBOT_PROFILE: undefined });
+  return home;
+}
+
+test('the package entry point exports the API', () => {
+  assert.equal(require.resolve('../..'), require.resolve('../../lib/index'));
+  assert.deepEqual(Object.keys(api), ['startServer', 'createClient', 'setupClient']);
+});
+
+test('startServer validates its options before starting anything', () => {
+  assert.throws(() => api.startServer({ mode: 'sse' }), /Unknown mode: sse \(expected http or stdio\)/);
+  assert.throws(() => api.startServer({ port: 70000, mock: true }), /Invalid port: 70000 \(expected 0-65535\)/);
+});
+
+test('a mock HTTP server serves a client and stops', async (t) => {
+  isolated(t);
+  noConsole(t);
+  const server = api.startServer({ mock: true, port: 0, seed: 4 });
+  const { url, health } = await server.ready;
+  assert.equal(server.url, url);
+  assert.equal(health.status, 'healthy');
+
+  const client = api.createClient({ server });
+  try {
+    const tools = await client.listTools();
+    assert.ok(tools.some((tool) => tool.name === 'teams-list-members'));
+    const result = await client.callTool('teams-list-members');
+    assert.equal(result.isError, false);
+  } finally {
+    await client.close();
+    await server.stop();
+  }
+  assert.equal(server.child, null);
+});
+
+test('createClient needs a started server handle', () => {
+  assert.throws(() => api.createClient({ server: { url: null } }), /await server.ready first/);
+});
+
+test('a server stopped before it is ready never starts', async (t) => {
+  isolated(t);
+  const server = api.startServer({ mock: true, port: 0 });
+  assert.equal(await server.stop(), null);
+  await assert.rejects(server.ready, /stopped before it started/);
+});
+
+test('setupClient configures a client without prompting or printing', async (t) => {
+  const home = isolated(t);
+  noConsole(t);
+  const lines = [];
+  const result = await api.setupClient('cursor', { tenant: 'contoso.onmicrosoft.com', log: (line) => lines.push(line) });
+
+  const configPath = getClient('cursor').configPath();
+  assert.deepEqual(result, { tenantId: 'contoso.onmicrosoft.com', clients: [{ id: 'cursor', label: getClient('cursor').label, configPath }] });
+  assert.ok(JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers[SERVER_NAME]);
+  assert.ok(lines.length > 0);
+  // The reference copy goes to the user's configuration directory, not into the package
+  assert.ok(fs.existsSync(path.join(home, 'config', 'vscode-settings-generated.json')));
+  assert.equal(fs.existsSync(path.join(__dirname, '..', '..', 'configs', 'vscode-settings-generated.json')), false);
+  await assert.rejects(api.setupClient('cursor', { policy: path.join(path.dirname(configPath), 'missing.json') }));
+});
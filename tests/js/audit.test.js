@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, withEnv } = require('./helpers');
+const { auditOptions, auditKey, redactValue, createAuditLog, createAuditObserver, parseTime, readAuditEntries, filterAuditEntries } = require('../../lib/audit');
+
+const ALL = ['emails', 'upns', 'bodies'];
+const secret = 'a'.repeat(64);
+
+// The pseudonym key is created in DARBOT_STATE_DIR next to the log
+function auditLog(t, env = {}) {
+  const dir = tempDir(t);
+  withEnv(t, { DARBOT_STATE_DIR: dir });
+  const file = path.join(dir, 'audit.jsonl');
+  return { file, audit: createAuditLog({ env: { DARBOT_AUDIT_FILE: file, ...env }, log: () => {} }) };
+}
+
+const installKey = (file) => fs.readFileSync(path.join(path.dirname(file), 'audit.key'), 'utf8').trim();
+
+const readEntries = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+test('addresses get a keyed pseudonym that keeps the domain', () => {
+  const redacted = redactValue('cc Ada@contoso.com and ada@contoso.com', ALL, { secret });
+  const [first, second] = redacted.match(/<email:[0-9a-f]{16}>@contoso\.com/g);
+  assert.equal(first, second);
+  assert.ok(!/ada/i.test(redacted));
+
+  // Not the plain hash of the address, and different under another key
+  const plain = crypto.createHash('sha256').update('ada@contoso.com').digest('hex');
+  assert.ok(!redacted.includes(plain.slice(0, 8)));
+  assert.notEqual(redactValue('ada@contoso.com', ALL, { secret: 'b'.repeat(64) }), redactValue('ada@contoso.com', ALL, { secret }));
+});
+
+test('user principal names are recognised by domain and by field name', () => {
+  const redacted = redactValue({ owner: 'bob@contoso.onmicrosoft.com', userId: 'eve@fabrikam.com', email: 'eve@fabrikam.com' }, ['upns'], { secret });
+  assert.match(redacted.owner, /^<upn:[0-9a-f]{16}>@contoso\.onmicrosoft\.com$/);
+  assert.match(redacted.userId, /^<upn:[0-9a-f]{16}>@fabrikam\.com$/);
+  assert.equal(redacted.email, 'eve@fabrikam.com');
+});
+
+test('body fields keep only their length, in nested values too', () => {
+  const args = { teamId: 't1', messages: [{ body: 'hello there', note: 'x@y.io' }], Description: 'abc' };
+  assert.deepEqual(redactValue(args, ALL, { secret }), {
+    teamId: 't1',
+    messages: [{ body: '<redacted: 11 chars>', note: redactValue('x@y.io', ALL, { secret }) }],
+    Description: '<redacted: 3 chars>'
+  });
+  assert.deepEqual(redactValue(args, ALL, { secret, bodyFields: ['note'] }).messages[0], { body: 'hello there', note: '<redacted: 6 chars>' });
+  assert.equal(redactValue(args, []), args);
+});
+
+test('auditKey creates a private key once and reuses it', { skip: process.platform === 'win32' && 'file modes' }, (t) => {
+  const file = path.join(tempDir(t), 'state', 'audit.key');
+  const key = auditKey(file);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(auditKey(file), key);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  fs.writeFileSync(file, 'not a key');
+  assert.notEqual(auditKey(file), key);
+});
+
+test('audit settings come from DARBOT_AUDIT_* with defaults', () => {
+  const options = auditOptions({ DARBOT_AUDIT_MAX_SIZE: '1.5KB', DARBOT_AUDIT_REDACT: 'none' });
+  assert.deepEqual([options.enabled, options.maxSize, options.maxFiles, options.redact], [true, 1536, 5, []]);
+  assert.equal(auditOptions({ DARBOT_AUDIT: 'off' }).enabled, false);
+  assert.throws(() => auditOptions({ DARBOT_AUDIT_REDACT: 'emails,phones' }), /Unknown DARBOT_AUDIT_REDACT rule: phones/);
+  assert.throws(() => auditOptions({ DARBOT_AUDIT_MAX_SIZE: 'big' }), /Invalid size: big/);
+});
+
+test('each call is logged once with its outcome, pseudonymized with the install key', (t) => {
+  const { file, audit } = auditLog(t, { TEAMS_TENANT_ID: 'contoso.onmicrosoft.com', DARBOT_MOCK: '1' });
+  const observe = createAuditObserver(audit, 'stdio');
+
+  observe('client-to-server', { jsonrpc: '2.0', id: 1, method: 'initialize', params: { clientInfo: { name: 'Visual Studio Code', version: '1.99' } } });
+  observe('client-to-server', { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'teams-add-member', arguments: { userEmail: 'ada@contoso.com', message: 'welcome' } } });
+  observe('client-to-server', { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'teams-list-members' } });
+  observe('client-to-server', { jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'teams-help' } });
+  observe('server-to-client', { jsonrpc: '2.0', id: 2, error: { code: -32000, message: 'ada@contoso.com not found' } });
+  observe('server-to-client', { jsonrpc: '2.0', id: 3, content: [{ type: 'text', text: 'No team' }], isError: true });
+  observe.finish();
+
+  const entries = readEntries(file);
+  const ada = redactValue('ada@contoso.com', ALL, { secret: installKey(file) });
+  assert.deepEqual(entries.map((entry) => [entry.tool, entry.status]), [['teams-add-member', 'rpc-error'], ['teams-list-members', 'tool-error'], ['teams-help', 'unanswered']]);
+  assert.deepEqual(entries[0].arguments, { userEmail: ada, message: '<redacted: 7 chars>' });
+  assert.equal(entries[0].code, -32000);
+  assert.ok(entries[0].error.startsWith(ada));
+  assert.deepEqual(entries[0].client, { name: 'Visual Studio Code', version: '1.99' });
+  assert.deepEqual([entries[0].tenant, entries[0].mock, entries[0].transport], ['contoso.onmicrosoft.com', true, 'stdio']);
+  assert.equal(entries[1].error, 'No team');
+});
+
+test('the log rotates at its size limit and reads back across files', (t) => {
+  const { file, audit } = auditLog(t, { DARBOT_AUDIT_MAX_SIZE: '600', DARBOT_AUDIT_MAX_FILES: '2' });
+  for (let i = 0; i < 8; i++) {
+    audit.end(audit.begin({ name: `tool-${i}`, arguments: {} }), { jsonrpc: '2.0', id: i, result: { content: [] } });
+  }
+  assert.ok(fs.existsSync(`${file}.1`) && fs.existsSync(`${file}.2`) && !fs.existsSync(`${file}.3`));
+
+  const entries = readAuditEntries(file, 2);
+  assert.equal(entries.at(-1).tool, 'tool-7');
+  assert.ok(entries.length < 8);
+  assert.deepEqual(entries.map((entry) => Number(entry.tool.slice(5))), [...entries.keys()].map((i) => 8 - entries.length + i));
+});
+
+test('entries filter by tool glob, outcome, time and client', () => {
+  const now = Date.parse('2025-06-02T12:00:00Z');
+  const entries = [
+    { time: '2025-06-02T09:00:00Z', tool: 'teams-add-member', status: 'success', client: { name: 'Cursor' } },
+    { time: '2025-06-02T11:30:00Z', tool: 'teams-remove-member', status: 'tool-error', client: { name: 'Visual Studio Code' } },
+    { time: '2025-06-02T11:45:00Z', tool: 'teams-list-channels', status: 'unanswered', client: null }
+  ];
+  assert.equal(parseTime('1h', now), Date.parse('2025-06-02T11:00:00Z'));
+  assert.throws(() => parseTime('yesterday'), /Invalid time: yesterday/);
+
+  const tools = (filters) => filterAuditEntries(entries, filters).map((entry) => entry.tool);
+  assert.deepEqual(tools({ tool: 'teams-*-member' }), ['teams-add-member', 'teams-remove-member']);
+  assert.deepEqual(tools({ outcome: 'failed' }), ['teams-remove-member', 'teams-list-channels']);
+  assert.deepEqual(tools({ since: '2025-06-02T11:00:00Z', client: 'code' }), ['teams-remove-member']);
+  assert.throws(() => tools({ outcome: 'crashed' }), /Unknown outcome: crashed/);
+});
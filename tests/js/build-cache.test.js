@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, withEnv } = require('./helpers');
+const {
+  SERVER_DLL,
+  sourceFiles,
+  sourceHash,
+  cacheStatus,
+  acquireLock,
+  markBuildPending,
+  buildPending,
+  ensureBuild,
+  versionDir
+} = require('../../lib/build-cache');
+
+function sourceTree(t) {
+  const root = tempDir(t);
+  fs.mkdirSync(path.join(root, 'Server', 'obj'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'Server', 'Program.cs'), 'class Program {}');
+  fs.writeFileSync(path.join(root, 'Server', 'Server.csproj'), '<Project />');
+  fs.writeFileSync(path.join(root, 'Server', 'appsettings.Development.json'), '{}');
+  fs.writeFileSync(path.join(root, 'Server', 'README.md'), 'ignored');
+  fs.writeFileSync(path.join(root, 'Server', 'obj', 'Generated.cs'), 'ignored');
+  return root;
+}
+
+test('the source hash covers sources and project files only', (t) => {
+  const root = sourceTree(t);
+  assert.deepEqual(sourceFiles(root).map((file) => path.relative(root, file)), [
+    path.join('Server', 'Program.cs'),
+    path.join('Server', 'Server.csproj'),
+    path.join('Server', 'appsettings.Development.json')
+  ]);
+
+  const before = sourceHash(root);
+  fs.writeFileSync(path.join(root, 'Server', 'README.md'), 'changed');
+  fs.writeFileSync(path.join(root, 'Server', 'obj', 'Generated.cs'), 'changed');
+  assert.equal(sourceHash(root), before);
+  fs.writeFileSync(path.join(root, 'Server', 'Program.cs'), 'class Program { }');
+  assert.notEqual(sourceHash(root), before);
+});
+
+test('a cached build is fresh only when its hash matches and the DLL exists', (t) => {
+  const dir = tempDir(t);
+  assert.equal(cacheStatus({ dir, hash: 'abc' }).fresh, false);
+
+  fs.writeFileSync(path.join(dir, 'build.json'), JSON.stringify({ hash: 'abc', output: 'server-abc' }));
+  assert.equal(cacheStatus({ dir, hash: 'abc' }).fresh, false);
+  fs.mkdirSync(path.join(dir, 'server-abc'));
+  fs.writeFileSync(path.join(dir, 'server-abc', SERVER_DLL), '');
+  assert.equal(cacheStatus({ dir, hash: 'abc' }).fresh, true);
+  assert.equal(cacheStatus({ dir, hash: 'def' }).fresh, false);
+});
+
+test('ensureBuild reuses a fresh cached build without building', async (t) => {
+  withEnv(t, { DARBOT_CACHE_DIR: tempDir(t) });
+  const dir = versionDir();
+  fs.mkdirSync(path.join(dir, 'server-cached'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'server-cached', SERVER_DLL), '');
+  fs.writeFileSync(path.join(dir, 'build.json'), JSON.stringify({ hash: sourceHash(), output: 'server-cached' }));
+  markBuildPending('running in CI');
+  assert.equal(buildPending().reason, 'running in CI');
+
+  const result = await ensureBuild();
+  assert.equal(result.built, false);
+  assert.equal(result.dll, path.join(dir, 'server-cached', SERVER_DLL));
+  assert.equal(buildPending(), null);
+});
+
+test('the build lock makes a second builder wait for the first', async (t) => {
+  const dir = tempDir(t);
+  const messages = [];
+  const release = await acquireLock(dir, (message) => messages.push(message));
+  assert.equal(fs.readFileSync(path.join(dir, 'build.lock'), 'utf8'), String(process.pid));
+
+  let acquired = false;
+  const second = acquireLock(dir, (message) => messages.push(message)).then((releaseSecond) => {
+    acquired = true;
+    return releaseSecond;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(acquired, false);
+  assert.deepEqual(messages, ['⏳ Another process is building the server, waiting...']);
+
+  release();
+  (await second)();
+  assert.equal(acquired, true);
+  assert.equal(fs.existsSync(path.join(dir, 'build.lock')), false);
+});
+
+test('a stale build lock left by a crashed process is taken over', async (t) => {
+  const dir = tempDir(t);
+  const lockFile = path.join(dir, 'build.lock');
+  fs.writeFileSync(lockFile, '999999');
+  const old = new Date(Date.now() - 60 * 60 * 1000);
+  fs.utimesSync(lockFile, old, old);
+
+  const release = await acquireLock(dir, () => assert.fail('should not wait'));
+  assert.equal(fs.readFileSync(lockFile, 'utf8'), String(process.pid));
+  release();
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, formatOptions, formatColumns, formatCommandHelp } = require('../../lib/cli');
+
+const GLOBAL = [{ name: 'verbose', description: 'More output' }];
+const COMMANDS = [
+  { name: 'start', options: [{ name: 'port', value: '<port>', description: 'HTTP port' }, { name: 'rebuild', negatable: true }] },
+  { name: 'stdio', flags: [{ flag: '--stdio' }], impliedBy: ['--rebuild'], options: [{ name: 'rebuild', negatable: true }] },
+  { name: 'setup', flags: [{ flag: '--setup', value: '<client>' }, { flag: '--vscode-setup', preset: { client: 'vscode' } }], args: [{ name: 'client', required: true }], options: [{ name: 'dry-run' }] },
+  { name: 'call', args: [{ name: 'tool', required: true }], passthrough: true }
+];
+
+const parse = (line) => parseArgs(line ? line.split(' ') : [], COMMANDS, GLOBAL);
+
+test('commands are found by word or by flag', () => {
+  const start = parse('start --port 8080 --verbose --no-rebuild');
+  assert.equal(start.command.name, 'start');
+  assert.deepEqual(start.options, { port: '8080', verbose: true, rebuild: false });
+
+  assert.deepEqual(parse('--dry-run --setup claude').args, { client: 'claude' });
+  assert.deepEqual(parse('--setup=cursor').args, { client: 'cursor' });
+  assert.deepEqual(parse('--vscode-setup').args, { client: 'vscode' });
+  assert.equal(parse('--rebuild').command.name, 'stdio');
+  assert.equal(parse('').command, null);
+});
+
+test('tool calls keep unknown flags for the tool', () => {
+  const call = parse('call teams_send --channel-id 19:x --urgent -- --raw');
+  assert.deepEqual(call.args, { tool: 'teams_send' });
+  assert.deepEqual(call.passthrough, ['--channel-id', '19:x', '--urgent', '--raw']);
+});
+
+test('mistakes are usage errors that name the command', () => {
+  assert.throws(() => parse('--stdio --setup vscode'), { usage: true, message: '--stdio and --setup cannot be combined; run one command at a time' });
+  assert.throws(() => parse('start --stdio'), /--stdio cannot be combined with start/);
+  assert.throws(() => parse('start --prot 1'), /Unknown option --prot for start \(did you mean --port\?\)/);
+  assert.throws(() => parse('start --port'), /Missing value for --port \(expected <port>\)/);
+  assert.throws(() => parse('start --verbose=yes'), /--verbose does not take a value/);
+  assert.throws(() => parse('--setup --dry-run'), /Missing <client> for --setup/);
+  assert.throws(() => parse('start now'), /Unexpected argument "now" for start/);
+  assert.throws(() => parse('launch'), /Unknown command: launch/);
+  assert.equal(parse('setup -h').options.help, true);
+});
+
+test('options format back into tokens for child processes', () => {
+  assert.deepEqual(formatOptions({ port: 8080, rebuild: false, verbose: true }, [...COMMANDS[0].options, ...GLOBAL]), ['--port', '8080', '--no-rebuild', '--verbose']);
+});
+
+test('help lists options in aligned columns', () => {
+  assert.equal(formatColumns([['--port <port>', 'HTTP port\nDefault 3001']], '  ', 16), '  --port <port>   HTTP port\n                  Default 3001');
+  const help = formatCommandHelp({ ...COMMANDS[0], usage: 'start [options]', summary: 'Start in the background' }, GLOBAL, 'darbot-teams-mcp');
+  assert.match(help, /^\nUSAGE:\n {2}darbot-teams-mcp start \[options\]\n\nStart in the background\n\nOPTIONS:\n {2}--port <port> {9}HTTP port\n {2}--\[no-\]rebuild/);
+  assert.match(help, /GLOBAL OPTIONS:\n {2}--verbose {13}More output\n$/);
+});
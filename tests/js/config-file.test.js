@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, tempHome, quiet } = require('./helpers');
+const { readConfigFile, editConfigText, createBackup, listBackups, restoreBackup } = require('../../lib/config-file');
+const { unifiedDiff } = require('../../lib/diff');
+const { getClient } = require('../../lib/mcp-clients');
+const { writeClientConfig, removeClientConfig } = require('../../scripts/vscode-setup');
+
+const SERVER = { command: 'npx', args: ['darbot-teams-mcp'] };
+
+const USER_FILE = `{
+  // my servers
+  "servers": {
+    "other": { "command": "x", }, // trailing
+  },
+  "inputs": [ { "id": "keep", "type": "promptString" } ] // inputs note
+}
+`;
+
+test('adding a server leaves neighbouring entries and comments as written', () => {
+  const updated = editConfigText(USER_FILE, ['servers', 'darbot-teams'], SERVER);
+  assert.equal(updated, `{
+  // my servers
+  "servers": {
+    "other": { "command": "x", }, // trailing
+    "darbot-teams": {
+      "command": "npx",
+      "args": [
+        "darbot-teams-mcp"
+      ]
+    },
+  },
+  "inputs": [ { "id": "keep", "type": "promptString" } ] // inputs note
+}
+`);
+  assert.equal(editConfigText(updated, ['servers', 'darbot-teams'], undefined), USER_FILE);
+});
+
+test('replacing an entry rewrites only its value, and an unchanged value not at all', () => {
+  const text = '{\n  "servers": {\n    "darbot-teams": {"command": "old"}, // ours\n    "other": {"command": "x"}\n  }\n}\n';
+  assert.equal(editConfigText(text, ['servers', 'darbot-teams'], { command: 'old' }), text);
+  assert.equal(editConfigText(text, ['servers', 'darbot-teams'], { command: 'new' }),
+    '{\n  "servers": {\n    "darbot-teams": {\n      "command": "new"\n    }, // ours\n    "other": {"command": "x"}\n  }\n}\n');
+});
+
+test('strict JSON stays valid: commas are added and removed with the entry', () => {
+  const text = '{\n\t"mcpServers": {\n\t\t"a": {\n\t\t\t"command": "x"\n\t\t}\n\t}\n}\n';
+  const added = editConfigText(text, ['mcpServers', 'darbot-teams'], { command: 'npx' });
+  assert.equal(added, '{\n\t"mcpServers": {\n\t\t"a": {\n\t\t\t"command": "x"\n\t\t},\n\t\t"darbot-teams": {\n\t\t\t"command": "npx"\n\t\t}\n\t}\n}\n');
+  assert.doesNotThrow(() => JSON.parse(added));
+  assert.equal(editConfigText(added, ['mcpServers', 'darbot-teams'], undefined), text);
+});
+
+test('missing parents are created in the file\'s indentation and line endings', () => {
+  assert.equal(editConfigText('', ['servers', 'x'], { a: 1 }), '{\n  "servers": {\n    "x": {\n      "a": 1\n    }\n  }\n}\n');
+  assert.equal(editConfigText('{\r\n    "other": 1\r\n}\r\n', ['servers', 'x'], { a: 1 }),
+    '{\r\n    "other": 1,\r\n    "servers": {\r\n        "x": {\r\n            "a": 1\r\n        }\r\n    }\r\n}\r\n');
+  assert.equal(editConfigText('{ "servers": {} }\n', ['servers', 'x'], { a: [1, 2] }), '{ "servers": { "x": { "a": [1, 2] } } }\n');
+});
+
+test('array elements are appended, replaced and removed in place', () => {
+  const text = '{\n  "inputs": [ { "id": "keep" } ] // note\n}\n';
+  const appended = editConfigText(text, ['inputs', -1], { id: 'darbot-teams-tenant-id' });
+  assert.equal(appended, '{\n  "inputs": [ { "id": "keep" }, { "id": "darbot-teams-tenant-id" } ] // note\n}\n');
+  assert.equal(editConfigText(appended, ['inputs', 1], undefined), text);
+  assert.equal(editConfigText(appended, ['inputs', 1], { id: 'darbot-teams-tenant-id' }), appended);
+});
+
+test('removing something that is not there changes nothing', () => {
+  assert.equal(editConfigText(USER_FILE, ['servers', 'darbot-teams'], undefined), USER_FILE);
+  assert.equal(editConfigText(USER_FILE, ['mcpServers', 'darbot-teams'], undefined), USER_FILE);
+});
+
+test('readConfigFile refuses files it cannot parse instead of replacing them', (t) => {
+  const file = path.join(tempDir(t), 'mcp.json');
+
+  assert.deepEqual(readConfigFile(file), { exists: false, text: '', data: {} });
+  fs.writeFileSync(file, USER_FILE);
+  assert.deepEqual(readConfigFile(file).data.servers, { other: { command: 'x' } });
+  fs.writeFileSync(file, '{\n  "servers": {\n    "a": 1\n    "b": 2\n  }\n}\n');
+  assert.throws(() => readConfigFile(file), /line 4: CommaExpected/);
+  fs.writeFileSync(file, '[]');
+  assert.throws(() => readConfigFile(file), /Expected a JSON object/);
+});
+
+test('restoreBackup puts the newest backup back', (t) => {
+  const file = path.join(tempDir(t), 'mcp.json');
+
+  fs.writeFileSync(file, 'first');
+  createBackup(file);
+  fs.writeFileSync(file, 'second');
+  restoreBackup(file);
+  assert.equal(fs.readFileSync(file, 'utf8'), 'first');
+  assert.ok(listBackups(file).length > 0);
+  assert.throws(() => restoreBackup(file, 'nope'), /No backup nope found/);
+});
+
+test('unifiedDiff shows changed lines with context', () => {
+  assert.equal(unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', 'old', 'new'), '--- old\n+++ new\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+  assert.equal(unifiedDiff('same\n', 'same\n'), '');
+});
+
+test('setup and --uninstall touch only the darbot-teams entry, with a backup', (t) => {
+  tempHome(t);
+  quiet(t);
+  const client = getClient('vscode');
+  fs.mkdirSync(path.dirname(client.configPath()), { recursive: true });
+  fs.writeFileSync(client.configPath(), USER_FILE);
+
+  writeClientConfig(client, SERVER);
+  assert.deepEqual(Object.keys(readConfigFile(client.configPath()).data.servers), ['other', 'darbot-teams']);
+  assert.equal(listBackups(client.configPath()).length, 1);
+
+  removeClientConfig(client);
+  assert.equal(fs.readFileSync(client.configPath(), 'utf8'), USER_FILE);
+});
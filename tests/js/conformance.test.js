@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { createReporter } = require('../../lib/test-reporters');
+const { sampleValue, sampleArguments } = require('../../lib/schema-sample');
+const {
+  createLineReader,
+  parseMessage,
+  messageKind,
+  toolResult,
+  createPendingRequests,
+  createStdioConnection
+} = require('../../lib/mcp-connection');
+
+const RESULTS = [
+  { suite: 'stdio', name: 'initialize', status: 'pass', message: '', warnings: [], durationMs: 12 },
+  { suite: 'stdio', name: 'tools/call <a & b>', status: 'fail', message: 'Expected "content"', warnings: ['id mismatch'], durationMs: 30 },
+  { suite: 'http', name: 'health', status: 'skip', message: 'no port', warnings: [], durationMs: 0 }
+];
+
+function report(name) {
+  let output = '';
+  const reporter = createReporter(name, (text) => { output += text; });
+  reporter.start();
+  RESULTS.forEach((result) => reporter.onResult(result));
+  reporter.finish(RESULTS);
+  return output;
+}
+
+// A child process double: what the connection writes to stdin is collected, stdout is fed by the test
+function fakeChild() {
+  const child = new EventEmitter();
+  child.stdout = new PassThrough();
+  child.stdin = new PassThrough();
+  child.written = [];
+  child.stdin.on('data', (chunk) => child.written.push(...chunk.toString().split('\n').filter(Boolean).map((line) => JSON.parse(line))));
+  return child;
+}
+
+test('the TAP reporter numbers results and explains failures and skips', () => {
+  const output = report('tap');
+  assert.match(output, /^TAP version 13\n/);
+  assert.match(output, /\nnot ok 2 - stdio: tools\/call <a & b>\n {2}---\n {2}message: "Expected \\"content\\""\n {2}warnings:\n {4}- "id mismatch"\n/);
+  assert.match(output, /\nok 3 - http: health # SKIP no port\n/);
+  assert.match(output, /\n1\.\.3\n$/);
+});
+
+test('the JUnit reporter groups by suite and escapes XML', () => {
+  const output = report('junit');
+  assert.match(output, /<testsuites name="darbot-teams-mcp" tests="3" failures="1" skipped="1" time="0.042">/);
+  assert.match(output, /<testsuite name="stdio" tests="2" failures="1" skipped="0"/);
+  assert.match(output, /name="tools\/call &lt;a &amp; b&gt;"/);
+  assert.match(output, /<failure message="Expected &quot;content&quot;"\/>/);
+  assert.match(output, /<system-out>WARNING: id mismatch<\/system-out>/);
+});
+
+test('the console reporter ends with a summary', () => {
+  assert.match(report('console'), /📋 Summary: 1 passed, 1 failed, 1 skipped, 1 warnings\n💥 Some tests failed\n$/);
+  assert.throws(() => createReporter('xml', () => {}), /Unknown reporter: xml \(expected console, tap, junit\)/);
+});
+
+test('sample values follow formats, names and constraints', () => {
+  assert.equal(sampleValue({ type: 'string', format: 'email' }), 'alex.wilber@contoso.com');
+  assert.equal(sampleValue({ type: 'string' }, 'teamId'), '00000000-0000-4000-8000-000000000001');
+  assert.equal(sampleValue({ type: 'string', maxLength: 4 }, 'topic'), 'samp');
+  assert.equal(sampleValue({ type: 'string', enum: ['private', 'public'] }), 'private');
+  assert.equal(sampleValue({ type: 'integer', minimum: 5, maximum: 3 }), 3);
+  assert.equal(sampleValue({ type: 'number', exclusiveMinimum: 0 }), 0.5);
+  assert.equal(sampleValue({ type: ['null', 'boolean'] }), true);
+  assert.deepEqual(sampleValue({ type: 'array', minItems: 2, items: { type: 'string' } }, 'emails'), ['alex.wilber@contoso.com', 'alex.wilber@contoso.com']);
+});
+
+test('sampleArguments fills required properties unless asked for all', () => {
+  const schema = { type: 'object', required: ['teamId'], properties: { teamId: { type: 'string' }, pageSize: { type: 'integer', default: 20 } } };
+  assert.deepEqual(sampleArguments(schema), { teamId: '00000000-0000-4000-8000-000000000001' });
+  assert.deepEqual(sampleArguments(schema, { includeOptional: true }), { teamId: '00000000-0000-4000-8000-000000000001', pageSize: 20 });
+});
+
+test('the line reader joins chunks and drops blank lines', () => {
+  const lines = [];
+  const read = createLineReader((line) => lines.push(line));
+  read(Buffer.from('{"a":1}\r\n\n{"b"'));
+  read(Buffer.from(':2}\n{"c"'));
+  assert.deepEqual(lines, ['{"a":1}', '{"b":2}']);
+});
+
+test('messages are parsed and classified as JSON-RPC', () => {
+  assert.equal(parseMessage('Building...'), null);
+  assert.equal(parseMessage('{"id":1}'), null);
+  assert.deepEqual(parseMessage('[{"jsonrpc":"2.0","method":"x"}]'), [{ jsonrpc: '2.0', method: 'x' }]);
+  assert.equal(messageKind({ jsonrpc: '2.0', id: 1, method: 'ping' }), 'request');
+  assert.equal(messageKind({ jsonrpc: '2.0', method: 'notifications/progress' }), 'notification');
+  assert.equal(messageKind({ jsonrpc: '2.0', id: 1, content: [] }), 'response');
+  assert.equal(messageKind({ jsonrpc: '2.0' }), null);
+});
+
+test('toolResult accepts both result shapes and errors', () => {
+  const content = [{ type: 'text', text: 'ok' }];
+  assert.deepEqual(toolResult({ id: 1, result: { content } }).content, content);
+  assert.deepEqual(toolResult({ id: 1, content }).content, content);
+  assert.equal(toolResult({ id: 1, result: { content, isError: true } }).isError, true);
+  assert.deepEqual(toolResult({ id: 1, error: { code: -32601, message: 'nope' } }), { isError: true, error: { code: -32601, message: 'nope' }, content: [] });
+});
+
+test('pending requests match responses by id and time out', async () => {
+  const diagnostics = [];
+  const pending = createPendingRequests((diagnostic) => diagnostics.push(diagnostic.message));
+  const first = pending.add(1, 'tools/list', 1000);
+  assert.equal(pending.resolve({ jsonrpc: '2.0', id: 1, result: {} }), true);
+  assert.deepEqual(await first, { jsonrpc: '2.0', id: 1, result: {} });
+
+  assert.equal(pending.resolve({ jsonrpc: '2.0', id: 9, result: {} }), false);
+  assert.equal(pending.resolve({ jsonrpc: '2.0', id: null, error: {} }), false);
+  assert.deepEqual(diagnostics, ['Response with unknown id 9', 'Response without an id: {"jsonrpc":"2.0","id":null,"error":{}}']);
+
+  await assert.rejects(pending.add(2, 'ping', 10), /Timed out after 10ms waiting for ping response/);
+  assert.equal(pending.size, 0);
+});
+
+test('a response with an unknown id is matched only to a single pending request', async () => {
+  const diagnostics = [];
+  const pending = createPendingRequests((diagnostic) => diagnostics.push(diagnostic.message));
+  const first = pending.add(1, 'tools/call', 1000);
+  const second = pending.add(2, 'tools/call', 1000);
+
+  assert.equal(pending.resolve({ jsonrpc: '2.0', id: 'corr-1', result: {} }), false);
+  assert.equal(pending.size, 2);
+  assert.equal(pending.resolve({ jsonrpc: '2.0', id: 1, result: {} }), true);
+  assert.equal(pending.resolve({ jsonrpc: '2.0', id: 'corr-2', result: { last: true } }), true);
+  assert.deepEqual(await first, { jsonrpc: '2.0', id: 1, result: {} });
+  assert.deepEqual((await second).result, { last: true });
+  assert.deepEqual(diagnostics, [
+    'Response with unknown id "corr-1" (2 requests pending, cannot tell which it answers)',
+    'Response id "corr-2" does not match any request; matched to the only pending request 2'
+  ]);
+});
+
+test('a stdio connection sends requests and reports stray output', async () => {
+  const child = fakeChild();
+  const diagnostics = [];
+  const notifications = [];
+  const connection = createStdioConnection(child, { onDiagnostic: (item) => diagnostics.push(item.type), onNotification: (item) => notifications.push(item.method) });
+
+  const response = connection.request('tools/list', {});
+  await new Promise(setImmediate);
+  assert.deepEqual(child.written, [{ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} }]);
+  child.stdout.write('warn: starting\n{"jsonrpc":"2.0","method":"notifications/message"}\n{"jsonrpc":"2.0","id":1,"result":{"tools":[]}}\n');
+  assert.deepEqual(await response, { jsonrpc: '2.0', id: 1, result: { tools: [] }, requestId: 1 });
+  assert.deepEqual(diagnostics, ['non-json-output']);
+  assert.deepEqual(notifications, ['notifications/message']);
+
+  const unanswered = connection.request('ping');
+  child.emit('exit', 1, null);
+  await assert.rejects(unanswered, /Server exited \(code 1\) before responding/);
+  assert.throws(() => connection.notify('x'), /Connection is closed/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+const { tempDir, withEnv } = require('./helpers');
+const { pidFile, isAlive, processIdentity, readDaemon, removeDaemon, baseUrl, registerDaemon, stopDaemon, daemonStatus, formatUptime } = require('../../lib/daemon');
+
+function stateDir(t) {
+  withEnv(t, { DARBOT_STATE_DIR: tempDir(t) });
+}
+
+function writeState(state) {
+  fs.writeFileSync(pidFile(), JSON.stringify(state));
+}
+
+test('wildcard binds are reached through localhost', () => {
+  assert.equal(baseUrl(), 'http://localhost:3001');
+  assert.equal(baseUrl('0.0.0.0', 8080), 'http://localhost:8080');
+  assert.equal(baseUrl('::1', 3001), 'http://[::1]:3001');
+});
+
+test('uptime drops leading zero units', () => {
+  assert.equal(formatUptime(0), '0s');
+  assert.equal(formatUptime(65000), '1m 5s');
+  assert.equal(formatUptime((2 * 86400 + 3) * 1000), '2d 0h 0m 3s');
+});
+
+test('a PID file whose process is gone is reported as stale and removed', async (t) => {
+  stateDir(t);
+  assert.equal(readDaemon(), null);
+  assert.equal(isAlive(0), false);
+
+  writeState({ pid: 2 ** 22 + 1, host: 'localhost', port: 3001 });
+  assert.equal(readDaemon().alive, false);
+  assert.deepEqual(await daemonStatus(), { running: false, stale: true });
+  assert.equal(fs.existsSync(pidFile()), false);
+
+  writeState({ pid: 2 ** 22 + 1 });
+  assert.equal(await stopDaemon(), null);
+  assert.equal(fs.existsSync(pidFile()), false);
+});
+
+test('a second foreground server refuses to start while one is running', (t) => {
+  stateDir(t);
+  writeState({ pid: process.ppid, host: 'localhost', port: 3005 });
+  assert.throws(() => registerDaemon({ host: 'localhost', port: 3001 }), new RegExp(`already running \\(pid ${process.ppid}, http://localhost:3005\\)`));
+
+  removeDaemon(process.pid);
+  assert.equal(readDaemon().pid, process.ppid);
+});
+
+const POSIX = { skip: process.platform === 'win32' && 'POSIX signals' };
+
+function sleeper(t) {
+  const child = spawn('sleep', ['30'], { stdio: 'ignore' });
+  t.after(() => child.kill('SIGKILL'));
+  return child;
+}
+
+test('stopDaemon terminates the recorded process and removes the PID file', POSIX, async (t) => {
+  stateDir(t);
+  const child = sleeper(t);
+  writeState({ pid: child.pid, identity: processIdentity(child.pid), host: 'localhost', port: 3001 });
+  assert.equal(readDaemon().verified, true);
+
+  const exited = new Promise((resolve) => child.once('exit', (code, signal) => resolve(signal)));
+  const stopped = await stopDaemon({ timeoutMs: 5000 });
+  assert.equal(stopped.pid, child.pid);
+  assert.equal(await exited, 'SIGTERM');
+  assert.equal(fs.existsSync(pidFile()), false);
+});
+
+test('a pid reused by another process is never signalled', POSIX, async (t) => {
+  stateDir(t);
+  const child = sleeper(t);
+  writeState({ pid: child.pid, identity: 'started earlier: node darbot-teams-mcp --http', host: 'localhost', port: 3001 });
+  assert.deepEqual([readDaemon().alive, readDaemon().verified], [false, false]);
+  assert.equal(await stopDaemon({ timeoutMs: 1000 }), null);
+  assert.equal(fs.existsSync(pidFile()), false);
+
+  // Without a recorded identity only a server answering /mcp/health counts as ours
+  writeState({ pid: child.pid, host: '127.0.0.1', port: 9 });
+  assert.equal(readDaemon().verified, null);
+  assert.equal(await stopDaemon({ timeoutMs: 1000 }), null);
+  assert.equal(child.exitCode, null);
+  assert.equal(isAlive(child.pid), true);
+});
+
+test('the stop command names the stopped server', POSIX, async (t) => {
+  stateDir(t);
+  const child = sleeper(t);
+  writeState({ pid: child.pid, identity: processIdentity(child.pid) });
+
+  const bin = path.join(__dirname, '..', '..', 'bin', 'darbot-teams-mcp.js');
+  // Asynchronously, so this process can reap the stopped child
+  const result = await promisify(execFile)(process.execPath, [bin, 'stop'], { timeout: 30000 });
+  assert.equal(result.stdout, `⏹️  Stopped HTTP server (pid ${child.pid})\n`);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv } = require('./helpers');
+const { CHECKS, printReport } = require('../../lib/doctor');
+
+const checkEnvironment = CHECKS.find((check) => check.id === 'environment').run;
+
+// Starts each test from an environment without any TEAMS_* variables
+function teamsEnv(t, vars) {
+  const cleared = Object.fromEntries(Object.keys(process.env).filter((name) => name.startsWith('TEAMS_')).map((name) => [name, undefined]));
+  withEnv(t, { ...cleared, ...vars });
+}
+
+test('check ids are stable for --json consumers', () => {
+  assert.deepEqual(CHECKS.map((check) => check.id), ['dotnet-sdk', 'server-project', 'environment', 'port', 'logs', 'vscode']);
+});
+
+test('well-formed TEAMS_* variables pass', (t) => {
+  teamsEnv(t, {
+    TEAMS_TENANT_ID: '72f988bf-86f1-41af-91ab-2d7cd011db47',
+    TEAMS_SIMULATION_MODE: 'TRUE',
+    TEAMS_SERVER_PORT: '3001',
+    TEAMS_LOG_LEVEL: 'information'
+  });
+  assert.deepEqual(checkEnvironment(), { status: 'pass', detail: 'TEAMS_* variables are well-formed' });
+});
+
+test('a missing or multi-tenant tenant and unknown variables only warn', (t) => {
+  teamsEnv(t, { TEAMS_TENANT_ID: 'common', TEAMS_TENNANT_ID: 'typo' });
+  const result = checkEnvironment();
+  assert.equal(result.status, 'warn');
+  assert.match(result.detail, /TEAMS_TENANT_ID="common" is multi-tenant/);
+  assert.match(result.detail, /Unknown variable\(s\) ignored by the server: TEAMS_TENNANT_ID/);
+
+  teamsEnv(t, { TEAMS_TENANT_ID: undefined });
+  assert.match(checkEnvironment().detail, /TEAMS_TENANT_ID is not set/);
+});
+
+test('malformed values fail with every problem listed', (t) => {
+  teamsEnv(t, {
+    TEAMS_TENANT_ID: 'contoso',
+    TEAMS_REQUIRE_AUTHENTICATION: 'yes',
+    TEAMS_SERVER_PORT: '70000',
+    TEAMS_LOG_LEVEL: 'Loud'
+  });
+  const result = checkEnvironment();
+  assert.equal(result.status, 'fail');
+  assert.deepEqual(result.detail.split('; '), [
+    'TEAMS_TENANT_ID="contoso" is not a GUID',
+    'TEAMS_REQUIRE_AUTHENTICATION="yes" must be true or false',
+    'TEAMS_SERVER_PORT="70000" must be an integer between 1 and 65535',
+    'TEAMS_LOG_LEVEL="Loud" is not one of Trace, Verbose, Debug, Information, Warning, Error, Critical, Fatal, None'
+  ]);
+});
+
+test('printReport shows each check with its fix and a summary', () => {
+  let output = '';
+  printReport({
+    ok: false,
+    summary: { pass: 1, warn: 0, fail: 1 },
+    checks: [
+      { id: 'dotnet-sdk', title: '.NET SDK 8.0+', status: 'pass', detail: '8.0.100' },
+      { id: 'logs', title: 'logs/ directory writable', status: 'fail', detail: 'EACCES', fix: 'chown it' }
+    ]
+  }, (text) => { output += text; });
+
+  assert.match(output, /✅ PASS \.NET SDK 8\.0\+\n {6}8\.0\.100\n❌ FAIL logs\/ directory writable\n {6}EACCES\n {6}→ Fix: chown it\n/);
+  assert.match(output, /📋 1 passed, 0 warnings, 1 failed\n🔧 Fix the failures above/);
+});
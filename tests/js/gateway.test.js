@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { normalizeInitializeResult, createGateway } = require('../../lib/gateway');
+
+// A stand-in for the stdio connection to the .NET server
+function fakeServer() {
+  const server = { calls: [], notifications: [] };
+  server.request = async (method, params) => {
+    server.calls.push(method);
+    if (method === 'initialize') return { jsonrpc: '2.0', id: 1, result: { name: 'Darbot Teams MCP', version: '1.0.0' } };
+    if (method === 'tools/list') return { jsonrpc: '2.0', id: 2, result: { tools: [{ name: 'teams_list_teams' }] } };
+    return { jsonrpc: '2.0', id: 3, content: [{ type: 'text', text: `${method} ${JSON.stringify(params)}` }] };
+  };
+  server.notify = (method) => server.notifications.push(method);
+  server.sendRaw = () => {};
+  return server;
+}
+
+async function startGateway(t, options = {}) {
+  const gateway = createGateway({ log: () => {}, ...options });
+  const server = http.createServer((req, res) => gateway.handle(req, res));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    gateway.close();
+    server.close();
+  });
+  const stdio = fakeServer();
+  await gateway.attach(stdio);
+  return { gateway, stdio, url: `http://127.0.0.1:${server.address().port}/mcp` };
+}
+
+const JSON_HEADERS = { 'content-type': 'application/json', accept: 'application/json' };
+
+function post(url, body, headers = {}) {
+  return fetch(url, { method: 'POST', headers: { ...JSON_HEADERS, ...headers }, body: JSON.stringify(body) });
+}
+
+// fetch() sets Host itself; a rebinding page's requests carry its own domain name
+function postWithHost(url, host, body) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method: 'POST', headers: { ...JSON_HEADERS, host } }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    request.on('error', reject);
+    request.end(JSON.stringify(body));
+  });
+}
+
+const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', clientInfo: { name: 'test' } } };
+
+test('initialize results get the fields the .NET server leaves out', () => {
+  assert.deepEqual(normalizeInitializeResult({ name: 'x', version: '2.0.0', description: 'Teams' }, '2025-03-26'), {
+    protocolVersion: '2025-03-26',
+    capabilities: { tools: {} },
+    serverInfo: { name: 'x', version: '2.0.0' },
+    instructions: 'Teams'
+  });
+  assert.equal(normalizeInitializeResult({}, '1999-01-01').protocolVersion, '2025-06-18');
+});
+
+test('a session is opened by initialize and required afterwards', async (t) => {
+  const { gateway, stdio, url } = await startGateway(t);
+  const opened = await post(url, initialize);
+  assert.equal(opened.status, 200);
+  const session = opened.headers.get('mcp-session-id');
+  assert.equal((await opened.json()).result.protocolVersion, '2025-03-26');
+  assert.equal(gateway.sessionCount, 1);
+
+  const call = await post(url, { jsonrpc: '2.0', id: 'a', method: 'tools/call', params: { name: 'teams_list_teams' } }, { 'mcp-session-id': session });
+  assert.deepEqual(await call.json(), { jsonrpc: '2.0', id: 'a', result: { content: [{ type: 'text', text: 'tools/call {"name":"teams_list_teams"}' }] } });
+
+  assert.equal((await post(url, { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'mcp-session-id': session })).status, 202);
+  assert.equal(stdio.notifications.at(-1), 'notifications/initialized');
+
+  assert.equal((await post(url, { jsonrpc: '2.0', id: 2, method: 'ping' })).status, 400);
+  assert.equal((await post(url, { jsonrpc: '2.0', id: 2, method: 'ping' }, { 'mcp-session-id': 'nope' })).status, 404);
+  assert.equal((await fetch(url, { method: 'DELETE', headers: { 'mcp-session-id': session } })).status, 200);
+  assert.equal(gateway.sessionCount, 0);
+});
+
+test('responses stream as SSE when the client accepts it', async (t) => {
+  const { url } = await startGateway(t);
+  const response = await post(url, initialize, { accept: 'application/json, text/event-stream' });
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  assert.match(await response.text(), /^id: [0-9a-f]{12}_1\nevent: message\ndata: \{"jsonrpc":"2.0","id":1,"result":\{/);
+});
+
+test('cross-site origins are rejected; local ones and allowed origins pass', async (t) => {
+  const { url } = await startGateway(t, { allowedOrigins: ['https://app.contoso.com'] });
+  const evil = await post(url, initialize, { origin: 'https://evil.example' });
+  assert.equal(evil.status, 403);
+  assert.equal((await evil.json()).error.message, 'Forbidden origin: https://evil.example');
+
+  assert.equal((await post(url, initialize, { origin: 'http://localhost:5173' })).status, 200);
+  assert.equal((await post(url, initialize, { origin: 'https://app.contoso.com' })).status, 200);
+});
+
+test('the Host header must name this gateway', async (t) => {
+  const { url } = await startGateway(t, { host: '127.0.0.1', allowedOrigins: ['https://mcp.contoso.com'] });
+  const rebound = await postWithHost(url, 'attacker.example:3001', initialize);
+  assert.equal(rebound.status, 403);
+  assert.equal(rebound.body.error.message, 'Forbidden host: attacker.example:3001');
+
+  for (const host of ['localhost:3001', '127.0.0.1', '[::1]:3001', 'mcp.contoso.com']) {
+    assert.equal((await postWithHost(url, host, initialize)).status, 200, host);
+  }
+});
+
+test('a bearer token is required when configured', async (t) => {
+  const { url } = await startGateway(t, { token: 's3cret' });
+  const missing = await post(url, initialize);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await post(url, initialize, { authorization: 'Bearer wrong!' })).status, 401);
+  assert.equal((await post(url, initialize, { authorization: 'Bearer s3cret' })).status, 200);
+
+  // Status endpoints stay open for tooling
+  const health = await fetch(url.replace('/mcp', '/mcp/health'));
+  assert.deepEqual(await health.json(), { status: 'healthy', toolsCount: 1, sessions: 1, server: 'darbot-teams-mcp gateway' });
+});
+
+test('progress goes only to the session whose request it belongs to', async (t) => {
+  const { gateway, stdio, url } = await startGateway(t);
+  const progressOf = (token) => ({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: token, progress: 1 } });
+  const upstream = [];
+  stdio.request = async (method, params) => {
+    const token = params._meta.progressToken;
+    upstream.push(token);
+    gateway.onServerMessage(progressOf(token), stdio);
+    return { jsonrpc: '2.0', id: 1, result: { content: [] } };
+  };
+
+  const sessions = [];
+  for (let i = 0; i < 2; i++) {
+    sessions.push((await post(url, initialize)).headers.get('mcp-session-id'));
+  }
+  const call = { jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'teams_list_teams', _meta: { progressToken: 'p1' } } };
+  const streams = await Promise.all(sessions.map(async (session) => {
+    const response = await post(url, call, { 'mcp-session-id': session, accept: 'application/json, text/event-stream' });
+    return response.text();
+  }));
+
+  assert.equal(new Set(upstream).size, 2);
+  assert.ok(!upstream.includes('p1'));
+  for (const text of streams) {
+    const events = text.match(/^data: .*$/gm).map((line) => JSON.parse(line.slice(6)));
+    assert.deepEqual(events.map((event) => event.method || event.id), ['notifications/progress', 7]);
+    assert.equal(events[0].params.progressToken, 'p1');
+  }
+});
+
+// A gateway whose server never attaches
+async function startDetached(t, options) {
+  const gateway = createGateway({ log: () => {}, ...options });
+  const server = http.createServer((req, res) => gateway.handle(req, res));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    gateway.close();
+    server.close();
+  });
+  return { gateway, url: `http://127.0.0.1:${server.address().port}/mcp` };
+}
+
+test('requests get a 503 when the server does not come up', async (t) => {
+  const { gateway, url } = await startDetached(t, { connectTimeoutMs: 50 });
+  const timedOut = await post(url, initialize);
+  assert.equal(timedOut.status, 503);
+  assert.deepEqual(await timedOut.json(), { jsonrpc: '2.0', id: 1, error: { code: -32000, message: 'Server not available: not ready after 0.05s' } });
+  assert.equal(gateway.sessionCount, 0);
+});
+
+test('waiting requests fail at once when the server is gone', async (t) => {
+  const { gateway, url } = await startDetached(t, { connectTimeoutMs: 60000 });
+  const waiting = post(url, initialize);
+  // The session exists once the request is waiting for the server
+  while (gateway.sessionCount === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  gateway.detach(new Error('handshake failed: boom'));
+  const failed = await waiting;
+  assert.equal(failed.status, 503);
+  assert.equal((await failed.json()).error.message, 'Server not available: handshake failed: boom');
+  assert.equal(gateway.sessionCount, 0);
+});
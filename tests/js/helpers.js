@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * A fresh temporary directory, removed when the test ends
+ */
+function tempDir(t, prefix = 'darbot-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Sets environment variables (undefined deletes one) for the rest of the test
+ */
+function withEnv(t, vars) {
+  const previous = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  const apply = (values) => {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+  apply(vars);
+  t.after(() => apply(previous));
+}
+
+/**
+ * A temporary home directory (HOME and USERPROFILE) for code that writes per-user files
+ */
+function tempHome(t) {
+  const home = tempDir(t, 'darbot-home-');
+  withEnv(t, { HOME: home, USERPROFILE: home, APPDATA: path.join(home, 'AppData', 'Roaming') });
+  return home;
+}
+
+/**
+ * Silences console output for the rest of the test
+ */
+function quiet(t) {
+  ['log', 'warn', 'error'].forEach((method) => t.mock.method(console, method, () => {}));
+}
+
+module.exports = {
+  tempDir,
+  withEnv,
+  tempHome,
+  quiet
+};
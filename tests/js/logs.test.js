@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { tempDir } = require('./helpers');
+const { listLogFiles, parseLevel, createLogParser, readLogRecords, createLogFilter, followLogs } = require('../../lib/logs');
+const { createZip } = require('../../lib/zip');
+
+const SERVER_LOG = [
+  '[2026-03-01 10:00:00.000 +00:00 INF] DarbotTeamsMcp.Program: Starting',
+  '[2026-03-01 10:00:02.000 +00:00 ERR] DarbotTeamsMcp.Graph: Request failed',
+  'System.Exception: boom',
+  '   at Graph.Send()',
+  '',
+  ''
+].join('\n');
+
+const SERVICE_LOG = '[2026-03-01 10:00:01.000 +00:00 WRN] DarbotTeamsMcp.Service: Token expires soon\n';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function logDir(t) {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'darbot-teams-mcp-20260301.log'), SERVER_LOG);
+  fs.writeFileSync(path.join(dir, 'darbot-service-20260301.log'), SERVICE_LOG);
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a log');
+  return dir;
+}
+
+test('parseLevel accepts names, prefixes and u3 codes', () => {
+  assert.equal(parseLevel('Information'), 2);
+  assert.equal(parseLevel('warn'), 3);
+  assert.equal(parseLevel('ERR'), 4);
+  assert.throws(() => parseLevel('loud'), /Unknown level: loud \(expected Verbose, Debug, Information, Warning, Error, Fatal\)/);
+});
+
+test('the parser attaches stack traces to their record', () => {
+  const records = [];
+  const parser = createLogParser((record) => records.push(record), 'server.log');
+  SERVER_LOG.split('\n').forEach(parser.push);
+  parser.flush();
+
+  assert.equal(records.length, 2);
+  assert.deepEqual(records[1], {
+    time: '2026-03-01T10:00:02.000Z',
+    level: 'Error',
+    source: 'DarbotTeamsMcp.Graph',
+    message: 'Request failed',
+    exception: 'System.Exception: boom\n   at Graph.Send()',
+    file: 'server.log',
+    raw: '[2026-03-01 10:00:02.000 +00:00 ERR] DarbotTeamsMcp.Graph: Request failed\nSystem.Exception: boom\n   at Graph.Send()'
+  });
+});
+
+test('records from several files are merged by time and filtered', (t) => {
+  const files = listLogFiles(logDir(t));
+  assert.deepEqual(files.map((file) => file.family), ['darbot-service', 'darbot-teams-mcp']);
+
+  const records = readLogRecords(files);
+  assert.deepEqual(records.map((record) => record.message), ['Starting', 'Token expires soon', 'Request failed']);
+  assert.deepEqual(records.filter(createLogFilter({ level: 'warn' })).map((record) => record.level), ['Warning', 'Error']);
+  assert.equal(records.filter(createLogFilter({ grep: 'graph|service' })).length, 2);
+  assert.equal(records.filter(createLogFilter({ since: '2026-03-01T10:00:01Z' })).length, 2);
+  assert.throws(() => createLogFilter({ grep: '(' }), /Invalid --grep pattern/);
+});
+
+test('followLogs reports only records written after it started', async (t) => {
+  const dir = logDir(t);
+  const records = [];
+  const stop = followLogs(dir, (record) => records.push(record.message), { interval: 10 });
+
+  fs.appendFileSync(path.join(dir, 'darbot-service-20260301.log'), '[2026-03-01 10:00:03.000 +00:00 INF] DarbotTeamsMcp.Service: Polling');
+  await wait(50);
+  assert.deepEqual(records, []);
+
+  fs.appendFileSync(path.join(dir, 'darbot-service-20260301.log'), '\n');
+  fs.writeFileSync(path.join(dir, 'darbot-teams-mcp-20260302.log'), '[2026-03-02 00:00:00.000 +00:00 INF] DarbotTeamsMcp.Program: New day\n');
+  await wait(50);
+  stop();
+  assert.deepEqual(records.sort(), ['New day', 'Polling']);
+});
+
+test('a character split between two reads is followed intact', async (t) => {
+  const dir = logDir(t);
+  const records = [];
+  const stop = followLogs(dir, (record) => records.push(record.message), { interval: 10 });
+  const file = path.join(dir, 'darbot-service-20260301.log');
+  const line = Buffer.from('[2026-03-01 10:00:03.000 +00:00 INF] DarbotTeamsMcp.Service: Café ☕\n');
+  const split = line.indexOf(Buffer.from('☕')) + 1;
+
+  fs.appendFileSync(file, line.subarray(0, split));
+  await wait(50);
+  fs.appendFileSync(file, line.subarray(split));
+  await wait(50);
+  stop();
+  assert.deepEqual(records, ['Café ☕']);
+});
+
+test('createZip writes entries that inflate back to their contents', () => {
+  const zip = createZip([{ name: 'logs\\server.log', data: Buffer.from(SERVER_LOG) }, { name: 'info.json', data: Buffer.from('{}') }]);
+  assert.equal(zip.readUInt32LE(0), 0x04034b50);
+
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  assert.equal(zip.readUInt16LE(end + 10), 2);
+
+  assert.equal(zip.readUInt16LE(8), 8);
+  const compressedSize = zip.readUInt32LE(18);
+  const nameLength = zip.readUInt16LE(26);
+  const extraLength = zip.readUInt16LE(28);
+  assert.equal(zip.toString('utf8', 30, 30 + nameLength), 'logs/server.log');
+  const body = zip.subarray(30 + nameLength + extraLength, 30 + nameLength + extraLength + compressedSize);
+  assert.equal(zlib.inflateRawSync(body).toString(), SERVER_LOG);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tempHome, quiet } = require('./helpers');
+const { SERVER_NAME, getClient, detectClients, serversKey, formatServerEntry, formatClientConfig } = require('../../lib/mcp-clients');
+const { writeClientConfig } = require('../../scripts/vscode-setup');
+
+const SERVER = { command: 'npx', args: ['darbot-teams-mcp', '--stdio'], env: { TEAMS_TENANT_ID: 'contoso.onmicrosoft.com' } };
+
+test('clients use the schema their configuration expects', () => {
+  assert.equal(serversKey(getClient('vscode')), 'servers');
+  assert.equal(serversKey(getClient('claude')), 'mcpServers');
+  assert.deepEqual(formatServerEntry(getClient('workspace'), SERVER), { type: 'stdio', ...SERVER });
+  assert.deepEqual(formatClientConfig(getClient('cursor'), SERVER), { mcpServers: { [SERVER_NAME]: SERVER } });
+  assert.throws(() => getClient('emacs'), /Unknown client: emacs \(supported: vscode, vscode-insiders, workspace, cursor, claude, all\)/);
+});
+
+test('configuration paths live under the user\'s home', { skip: os.platform() === 'win32' && 'POSIX paths' }, (t) => {
+  const home = tempHome(t);
+  assert.equal(getClient('cursor').configPath(), path.join(home, '.cursor', 'mcp.json'));
+  assert.equal(getClient('workspace').configPath({ workspace: '/work' }), path.join('/work', '.vscode', 'mcp.json'));
+  assert.ok(getClient('vscode').configPath().startsWith(home));
+  assert.ok(getClient('claude').configPath().endsWith(path.join('Claude', 'claude_desktop_config.json')));
+});
+
+test('detectClients finds the clients whose folders exist', (t) => {
+  const home = tempHome(t);
+  const workspace = path.join(home, 'project');
+  assert.deepEqual(detectClients({ workspace }).map((client) => client.id), []);
+
+  fs.mkdirSync(path.join(home, '.cursor'));
+  fs.mkdirSync(path.join(workspace, '.vscode'), { recursive: true });
+  assert.deepEqual(detectClients({ workspace }).map((client) => client.id), ['workspace', 'cursor']);
+});
+
+test('writeClientConfig adds the entry and keeps other servers', (t) => {
+  const home = tempHome(t);
+  quiet(t);
+  const client = getClient('cursor');
+  fs.mkdirSync(path.join(home, '.cursor'));
+  fs.writeFileSync(client.configPath(), JSON.stringify({ mcpServers: { other: { command: 'x' } }, theme: 'dark' }));
+
+  writeClientConfig(client, SERVER);
+  writeClientConfig(client, { ...SERVER, args: ['darbot-teams-mcp'] });
+  assert.deepEqual(JSON.parse(fs.readFileSync(client.configPath(), 'utf8')), {
+    mcpServers: { other: { command: 'x' }, [SERVER_NAME]: { ...SERVER, args: ['darbot-teams-mcp'] } },
+    theme: 'dark'
+  });
+});
+
+test('writeClientConfig creates missing folders and files', (t) => {
+  tempHome(t);
+  quiet(t);
+  const client = getClient('vscode');
+  writeClientConfig(client, SERVER);
+  assert.deepEqual(JSON.parse(fs.readFileSync(client.configPath(), 'utf8')), { servers: { [SERVER_NAME]: { type: 'stdio', ...SERVER } } });
+});
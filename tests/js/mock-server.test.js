@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { createMockServer } = require('../../lib/mock-server');
+const { createRandom, generateDataset, loadDataset } = require('../../lib/mock-data');
+const { parseCSharpValue } = require('../../lib/tool-catalog');
+const { serverCommand, mockEnabled } = require('../../lib/server');
+
+const call = (server, name, args = {}, id = 1) => server.handle({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+const payload = (response) => JSON.parse(response.result.content[0].text);
+
+test('C# tool schemas parse into the JSON they serialize to', () => {
+  const { value } = parseCSharpValue('new { type = "object", required = new[] { "a" }, max = 3, strict = true, pattern = @"x""y", none = null /* c */ }');
+  assert.deepEqual(value, { type: 'object', required: ['a'], max: 3, strict: true, pattern: 'x"y', none: null });
+  assert.throws(() => parseCSharpValue('new { a = }'), /at line 1/);
+});
+
+test('the same seed always yields the same data', () => {
+  assert.deepEqual(generateDataset(7), generateDataset(7));
+  assert.notDeepEqual(generateDataset(7).users, generateDataset(8).users);
+  assert.equal(createRandom(1).next(), createRandom(1).next());
+  assert.throws(() => loadDataset({ seed: 'abc' }), /Invalid mock seed: abc/);
+});
+
+test('a fixtures file is written once and then read back, filling in gaps', (t) => {
+  const file = path.join(tempDir(t), 'mock.json');
+  assert.equal(loadDataset({ fixtures: file, seed: 3 }).created, true);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).seed, 3);
+
+  fs.writeFileSync(file, JSON.stringify({ seed: 3, users: [] }));
+  const { dataset, created } = loadDataset({ fixtures: file });
+  assert.equal(created, false);
+  assert.deepEqual(dataset.users, []);
+  assert.deepEqual(dataset.channels, generateDataset(3).channels);
+});
+
+test('the mock answers the protocol like the .NET server', () => {
+  const server = createMockServer();
+  assert.equal(server.handle({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } }).result.protocolVersion, '2025-03-26');
+  assert.equal(server.handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  assert.equal(server.handle({ jsonrpc: '2.0', id: 2, method: 'tools/list' }).result.tools.length, server.catalog.length);
+  assert.deepEqual(server.handle({ jsonrpc: '2.0', id: 3, method: 'nope' }).error, { code: -32601, message: 'Method not found: nope' });
+  assert.deepEqual(call(server, 'teams-nope').error, { code: -32601, message: 'Tool not found: teams-nope' });
+  assert.equal(server.health().toolsCount, server.catalog.length);
+  assert.equal(server.info().totalTools, server.catalog.length);
+});
+
+test('tool calls validate their arguments and change the session\'s data', () => {
+  const server = createMockServer();
+  const invalid = call(server, 'teams-add-member');
+  assert.equal(invalid.result.isError, true);
+  assert.match(invalid.result.content[0].text, /Validation failed:\n • arguments must have required property 'userEmail'/);
+
+  const before = payload(call(server, 'teams-list-members')).totalCount;
+  assert.equal(payload(call(server, 'teams-add-member', { userEmail: 'new.person@contoso.com' })).added.displayName, 'New Person');
+  assert.equal(payload(call(server, 'teams-list-members')).totalCount, before + 1);
+});
+
+test('DARBOT_MOCK swaps the .NET server for the Node mock', () => {
+  assert.equal(mockEnabled({ DARBOT_MOCK: 'on' }), true);
+  assert.equal(mockEnabled({ DARBOT_MOCK: '0' }), false);
+  assert.deepEqual(serverCommand('stdio', null, true), { command: process.execPath, args: [path.join(__dirname, '..', '..', 'lib', 'mock-server.js'), '--stdio'] });
+});
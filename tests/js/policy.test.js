@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { POLICY_DENIED, RATE_LIMITED, readPolicy, createPolicy, policyFromEnv } = require('../../lib/policy');
+
+const call = (name, id = 1) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: {} } });
+
+test('allow, deny and readOnly combine, with case-insensitive globs', () => {
+  const policy = createPolicy({ allow: ['teams-*'], deny: ['teams-remove-*'] });
+  assert.equal(policy.allows('teams-add-member'), true);
+  assert.equal(policy.allows('TEAMS-Remove-Member'), false);
+  assert.equal(policy.allows('other-tool'), false);
+
+  const readOnly = createPolicy({ readOnly: true, deny: ['teams-export-*'] });
+  assert.equal(readOnly.allows('teams-list-teams'), true);
+  assert.equal(readOnly.allows('teams-help'), true);
+  assert.equal(readOnly.allows('teams-create-team'), false);
+  assert.equal(readOnly.allows('teams-export-team'), false);
+  assert.equal(readOnly.describe(), 'read-only; deny teams-export-*');
+});
+
+test('screen refuses denied calls and lets everything else through', () => {
+  const policy = createPolicy({ deny: ['teams-remove-*'] });
+  const refused = policy.screen(call('teams-remove-member', 7));
+  assert.equal(refused.id, 7);
+  assert.equal(refused.error.code, POLICY_DENIED);
+  assert.deepEqual(refused.error.data, { tool: 'teams-remove-member', reason: 'denied' });
+
+  assert.equal(policy.screen(call('teams-list-teams')), null);
+  assert.equal(policy.screen({ jsonrpc: '2.0', id: 2, method: 'tools/list' }), null);
+  assert.equal(policy.screen({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+});
+
+test('rate limits count per tool over a sliding minute, exact names before globs', () => {
+  let time = 0;
+  const policy = createPolicy({ rateLimits: { 'teams-*': 2, 'teams-send-message': 1 } }, { now: () => time });
+
+  assert.equal(policy.screen(call('teams-send-message')), null);
+  const limited = policy.screen(call('teams-send-message'));
+  assert.equal(limited.error.code, RATE_LIMITED);
+  assert.equal(limited.error.data.limit, 1);
+  assert.equal(limited.error.data.retryAfterMs, 60000);
+
+  // Each tool has its own count under the glob
+  assert.equal(policy.screen(call('teams-list-teams')), null);
+  assert.equal(policy.screen(call('teams-get-team')), null);
+  time = 30000;
+  assert.equal(policy.screen(call('teams-list-teams')), null);
+  assert.equal(policy.screen(call('teams-list-teams')).error.data.retryAfterMs, 30000);
+
+  time = 60000;
+  assert.equal(policy.screen(call('teams-send-message')), null);
+});
+
+test('filterResponse hides unavailable tools from tools/list only', () => {
+  const policy = createPolicy({ readOnly: true });
+  const response = { jsonrpc: '2.0', id: 1, result: { tools: [{ name: 'teams-list-teams' }, { name: 'teams-create-team' }], nextCursor: 'x' } };
+  assert.deepEqual(policy.filterResponse('tools/list', response).result, { tools: [{ name: 'teams-list-teams' }], nextCursor: 'x' });
+  assert.equal(policy.filterResponse('tools/call', response), response);
+});
+
+test('policies are validated with the source in the message', () => {
+  assert.throws(() => createPolicy({ alow: [] }, { name: 'p.json' }), /p\.json: unknown policy key alow/);
+  assert.throws(() => createPolicy({ deny: 'teams-*' }), /"deny" must be a list/);
+  assert.throws(() => createPolicy({ readOnly: 'yes' }), /"readOnly" must be true or false/);
+  assert.throws(() => createPolicy({ rateLimits: { 'teams-*': 0 } }), /positive number of calls per minute/);
+});
+
+test('readPolicy and policyFromEnv read files, the preset and DARBOT_READ_ONLY', (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'policy.json');
+  fs.writeFileSync(file, JSON.stringify({ description: 'No removals', deny: ['teams-remove-*'] }));
+
+  assert.deepEqual(readPolicy('read-only').definition, { readOnly: true });
+  assert.deepEqual(readPolicy(file).definition.deny, ['teams-remove-*']);
+  assert.throws(() => readPolicy(path.join(dir, 'missing.json')), /Policy file not found/);
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+  assert.throws(() => readPolicy(path.join(dir, 'broken.json')), /Cannot parse policy/);
+
+  assert.equal(policyFromEnv({}), null);
+  assert.equal(policyFromEnv({ DARBOT_READ_ONLY: 'true' }).allows('teams-create-team'), false);
+  const combined = policyFromEnv({ DARBOT_POLICY: file, DARBOT_READ_ONLY: '1' });
+  assert.equal(combined.name, file);
+  assert.equal(combined.describe(), 'read-only; deny teams-remove-*');
+});
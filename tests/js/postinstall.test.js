@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { tempDir, withEnv } = require('./helpers');
+const { buildPending, versionDir } = require('../../lib/build-cache');
+
+const postinstall = path.join(__dirname, '..', '..', 'scripts', 'postinstall.js');
+
+// Runs the install script with a private cache; the build itself must never start here
+function runPostinstall(t, env) {
+  const cacheDir = tempDir(t);
+  withEnv(t, { DARBOT_CACHE_DIR: cacheDir });
+  const base = { ...process.env, DARBOT_SKIP_BUILD: '', CI: '', npm_config_ignore_scripts: '' };
+  return spawnSync(process.execPath, [postinstall], { env: { ...base, ...env }, encoding: 'utf8', timeout: 30000 });
+}
+
+for (const [env, reason] of [
+  [{ CI: 'true' }, 'running in CI'],
+  [{ DARBOT_SKIP_BUILD: '1' }, 'DARBOT_SKIP_BUILD is set'],
+  [{ npm_config_ignore_scripts: 'true' }, 'npm was run with --ignore-scripts']
+]) {
+  test(`install defers the build when ${reason}`, (t) => {
+    const result = runPostinstall(t, env);
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, new RegExp(`Skipping the server build \\(${reason}\\)`));
+    assert.equal(buildPending(versionDir()).reason, reason);
+  });
+}
+
+test('"false" values do not count as set', (t) => {
+  const result = runPostinstall(t, { CI: 'false', DARBOT_SKIP_BUILD: 'no', PATH: '' });
+  // With no dotnet on PATH the build is deferred, and the install still succeeds
+  assert.equal(result.status, 0);
+  assert.doesNotMatch(result.stdout, /Skipping the server build/);
+  assert.equal(buildPending(versionDir()).reason, 'the .NET SDK was not found');
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { tempDir } = require('./helpers');
+
+const preuninstall = path.join(__dirname, '..', '..', 'scripts', 'preuninstall.js');
+
+// The hook next to a stand-in CLI that records its arguments and then runs body
+function runHook(t, body) {
+  const root = tempDir(t);
+  fs.mkdirSync(path.join(root, 'scripts'));
+  fs.mkdirSync(path.join(root, 'bin'));
+  fs.copyFileSync(preuninstall, path.join(root, 'scripts', 'preuninstall.js'));
+  const argsFile = path.join(root, 'args.json');
+  fs.writeFileSync(path.join(root, 'bin', 'darbot-teams-mcp.js'), `require('fs').writeFileSync(${JSON.stringify(argsFile)}, JSON.stringify(process.argv.slice(2)));\n${body}\n`);
+
+  const result = spawnSync(process.execPath, [path.join(root, 'scripts', 'preuninstall.js')], { encoding: 'utf8', timeout: 30000 });
+  return { ...result, args: fs.existsSync(argsFile) ? JSON.parse(fs.readFileSync(argsFile, 'utf8')) : null };
+}
+
+test('the hook runs uninstall without asking and keeps the configuration', (t) => {
+  const result = runHook(t, '');
+  assert.equal(result.status, 0);
+  assert.deepEqual(result.args, ['uninstall', '--yes', '--keep-config']);
+  assert.equal(result.stderr, '');
+});
+
+test('a failed cleanup never fails npm uninstall', (t) => {
+  for (const body of ['process.exit(1);', 'throw new Error("boom");']) {
+    const result = runHook(t, body);
+    assert.equal(result.status, 0);
+    assert.match(result.stderr, /⚠️ {2}Cleanup did not finish; remove what is left with: npx darbot-teams-mcp uninstall/);
+  }
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { tempDir, tempHome, withEnv, quiet } = require('./helpers');
+const {
+  DEFAULT_CLIENT_ID,
+  profilesFile,
+  addProfile,
+  removeProfile,
+  useProfile,
+  listProfiles,
+  resolveProfile,
+  profileEnv,
+  profileServerName
+} = require('../../lib/profiles');
+const { getClient } = require('../../lib/mcp-clients');
+const { readConfigFile } = require('../../lib/config-file');
+const { setupProfileClients, uninstallClients } = require('../../scripts/vscode-setup');
+
+function configDir(t) {
+  withEnv(t, { DARBOT_CONFIG_DIR: tempDir(t) });
+}
+
+test('the first profile becomes current and defaults are filled in', (t) => {
+  configDir(t);
+  assert.deepEqual(listProfiles(), []);
+  assert.equal(resolveProfile(), null);
+
+  const contoso = addProfile('contoso', { tenantId: 'contoso.onmicrosoft.com' });
+  assert.equal(contoso.current, true);
+  assert.equal(contoso.clientId, DEFAULT_CLIENT_ID);
+  assert.equal(addProfile('fabrikam', { tenantId: '72f988bf-86f1-41af-91ab-2d7cd011db47', simulation: true }).current, false);
+  assert.deepEqual(listProfiles().map((profile) => [profile.name, profile.current]), [['contoso', true], ['fabrikam', false]]);
+
+  useProfile('fabrikam');
+  assert.equal(resolveProfile().name, 'fabrikam');
+  assert.equal(resolveProfile('contoso').tenantId, 'contoso.onmicrosoft.com');
+  removeProfile('fabrikam');
+  assert.equal(resolveProfile(), null);
+  assert.ok(fs.existsSync(profilesFile()));
+});
+
+test('invalid names, tenants and duplicates are refused', (t) => {
+  configDir(t);
+  assert.throws(() => addProfile('my profile', { tenantId: 'common' }), /Invalid profile name "my profile"/);
+  assert.throws(() => addProfile('x', { tenantId: 'not a tenant' }), /Invalid tenant "not a tenant"/);
+  assert.throws(() => addProfile('x', { tenantId: 'common', clientId: 'abc' }), /Invalid client ID "abc"/);
+
+  addProfile('Contoso', { tenantId: 'common' });
+  assert.throws(() => addProfile('Contoso', { tenantId: 'organizations' }), /already exists \(use --force to replace it\)/);
+  assert.equal(addProfile('Contoso', { tenantId: 'organizations' }, { force: true }).tenantId, 'organizations');
+  assert.throws(() => useProfile('contoso'), /No profile named "contoso" \(did you mean Contoso\?\)/);
+});
+
+test('a corrupt profile store is reported, not overwritten', (t) => {
+  configDir(t);
+  fs.writeFileSync(profilesFile(), '{ nope');
+  assert.throws(() => listProfiles(), /Cannot parse .*profiles\.json .* fix or delete the file/);
+  assert.equal(fs.readFileSync(profilesFile(), 'utf8'), '{ nope');
+});
+
+test('profiles become server environments and entry names', () => {
+  assert.deepEqual(profileEnv({ tenantId: 'common', simulation: true }), {
+    TEAMS_TENANT_ID: 'common',
+    TEAMS_CLIENT_ID: DEFAULT_CLIENT_ID,
+    TEAMS_SIMULATION_MODE: 'true',
+    TEAMS_REQUIRE_AUTHENTICATION: 'true'
+  });
+  assert.equal(profileServerName('Contoso'), 'darbot-teams-contoso');
+});
+
+test('--all-profiles setup registers one entry per profile and uninstall removes them', (t) => {
+  tempHome(t);
+  configDir(t);
+  quiet(t);
+  addProfile('contoso', { tenantId: 'common' });
+  addProfile('fabrikam', { tenantId: 'organizations' });
+  const client = getClient('cursor');
+
+  setupProfileClients('cursor');
+  const servers = readConfigFile(client.configPath()).data.mcpServers;
+  assert.deepEqual(Object.keys(servers), ['darbot-teams-contoso', 'darbot-teams-fabrikam']);
+  assert.deepEqual(servers['darbot-teams-contoso'].args, ['darbot-teams-mcp', '--stdio', '--profile', 'contoso']);
+
+  uninstallClients('cursor', { allProfiles: true });
+  assert.deepEqual(readConfigFile(client.configPath()).data.mcpServers, {});
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { CLIENT_TO_SERVER, SERVER_TO_CLIENT, createRecorder, readRecording } = require('../../lib/recording');
+const { compileIgnoreRule, compareResponses, replaySession } = require('../../lib/replay');
+const { createMockServer } = require('../../lib/mock-server');
+
+const text = (value) => ({ content: [{ type: 'text', text: JSON.stringify(value) }] });
+
+// A connection (as in mcp-connection.js) backed by the in-process mock server
+function mockConnection() {
+  const server = createMockServer();
+  let id = 0;
+  return {
+    request: async (method, params) => server.handle({ jsonrpc: '2.0', id: ++id, method, params }),
+    notify: async () => {}
+  };
+}
+
+test('a recording is a header plus one line per message', (t) => {
+  const file = path.join(tempDir(t), 'nested', 'session.jsonl');
+  const recorder = createRecorder(file, { transport: 'http' });
+  recorder.record(CLIENT_TO_SERVER, { jsonrpc: '2.0', id: 1, method: 'ping' });
+  recorder.record(CLIENT_TO_SERVER, 'not json');
+  recorder.record(SERVER_TO_CLIENT, { jsonrpc: '2.0', id: 1, result: {} });
+  assert.equal(recorder.count, 3);
+
+  const { header, entries } = readRecording(file);
+  assert.equal(header.transport, 'http');
+  assert.deepEqual(entries.map((entry) => [entry.line, entry.direction, entry.raw || entry.message.id]), [
+    [2, CLIENT_TO_SERVER, 1],
+    [3, CLIENT_TO_SERVER, 'not json'],
+    [4, SERVER_TO_CLIENT, 1]
+  ]);
+
+  fs.writeFileSync(file, '{"time":"x","direction":"client-to-server","message":{}}\n');
+  assert.throws(() => readRecording(file), /is not a session recording/);
+  fs.writeFileSync(file, '{"format":"darbot-teams-mcp-recording","version":9}\n');
+  assert.throws(() => readRecording(file), /is a version 9 recording/);
+  assert.throws(() => readRecording(`${file}.missing`), /Recording not found/);
+});
+
+test('ignore rules match path segments with * and **', () => {
+  assert.equal(compileIgnoreRule('**.id')(['result', 'content', 0, 'text', 'id']), true);
+  assert.equal(compileIgnoreRule('**.*Time')(['meeting', 'startTime']), true);
+  assert.equal(compileIgnoreRule('id')(['result', 'id']), false);
+  assert.equal(compileIgnoreRule('result.*.name')(['result', 'team', 'name']), true);
+});
+
+test('responses are compared inside JSON tool output, skipping ignored fields', () => {
+  const recorded = { jsonrpc: '2.0', id: 'corr-1', content: text({ id: 'a', name: 'General', members: 3, createdTime: 'x' }).content };
+  const same = { jsonrpc: '2.0', id: 7, result: text({ id: 'b', name: 'General', members: 3, createdTime: 'y' }) };
+  assert.deepEqual(compareResponses(recorded, same), []);
+
+  const changed = { jsonrpc: '2.0', id: 7, result: text({ id: 'a', name: 'General', members: 4 }) };
+  assert.deepEqual(compareResponses(recorded, changed), [{ path: 'result.content[0].text.members', expected: 3, actual: 4 }]);
+});
+
+test('replaying a session reports matches, differences and unanswered requests', async (t) => {
+  const file = path.join(tempDir(t), 'session.jsonl');
+  const recorder = createRecorder(file);
+  const live = mockConnection();
+  const members = await live.request('tools/call', { name: 'teams-list-members', arguments: {} });
+
+  recorder.record(CLIENT_TO_SERVER, { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'teams-list-members', arguments: {} } });
+  recorder.record(SERVER_TO_CLIENT, { ...members, id: 1 });
+  recorder.record(CLIENT_TO_SERVER, { jsonrpc: '2.0', method: 'notifications/initialized' });
+  recorder.record(CLIENT_TO_SERVER, { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'teams-list-owners', arguments: {} } });
+  recorder.record(SERVER_TO_CLIENT, { jsonrpc: '2.0', id: 2, result: text({ owners: [] }) });
+  recorder.record(CLIENT_TO_SERVER, { jsonrpc: '2.0', id: 3, method: 'ping' });
+  recorder.record(CLIENT_TO_SERVER, 'garbage');
+
+  const results = await replaySession(readRecording(file), mockConnection());
+  assert.deepEqual(results.map((result) => [result.tool || result.method, result.status]), [
+    ['teams-list-members', 'match'],
+    ['teams-list-owners', 'differ'],
+    ['ping', 'unanswered'],
+    [null, 'skipped']
+  ]);
+  assert.ok(results[1].differenceCount > 0);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, withEnv } = require('./helpers');
+const { parseDotenv, findProjectFile, resolveSettings } = require('../../lib/settings');
+const { addProfile } = require('../../lib/profiles');
+
+const GUID = '72f988bf-86f1-41af-91ab-2d7cd011db47';
+
+// A project directory (with a nested cwd) and an empty profile store
+function project(t, files = {}) {
+  withEnv(t, { DARBOT_CONFIG_DIR: tempDir(t) });
+  const root = tempDir(t);
+  const cwd = path.join(root, 'packages', 'app');
+  fs.mkdirSync(cwd, { recursive: true });
+  for (const [name, text] of Object.entries(files)) {
+    fs.writeFileSync(path.join(name === '.darbot-teams.json' ? root : cwd, name), text);
+  }
+  return { root, cwd };
+}
+
+const setting = (resolved, key) => resolved.values.find((item) => item.key === key);
+
+test('.env files support export, quotes, escapes and comments', () => {
+  assert.deepEqual(parseDotenv([
+    '# comment',
+    'export TEAMS_TENANT_ID=contoso.onmicrosoft.com # trailing',
+    'TEAMS_LOG_LEVEL = "Debug"',
+    'MULTI="a\\nb \\"q\\""',
+    'SINGLE=\'# not a comment\'',
+    'not a line'
+  ].join('\n')), {
+    TEAMS_TENANT_ID: 'contoso.onmicrosoft.com',
+    TEAMS_LOG_LEVEL: 'Debug',
+    MULTI: 'a\nb "q"',
+    SINGLE: '# not a comment'
+  });
+});
+
+test('the project file is found from nested directories', (t) => {
+  const { root, cwd } = project(t, { '.darbot-teams.json': '{}' });
+  assert.equal(findProjectFile(cwd), path.join(root, '.darbot-teams.json'));
+});
+
+test('layers resolve in precedence order with their source', (t) => {
+  const { root, cwd } = project(t, {
+    '.darbot-teams.json': '{\n  // shared by the team\n  "tenantId": "from-project", "logLevel": "Debug", "port": 4000, "ASPNETCORE_URLS": "http://+:4000"\n}',
+    '.env': 'TEAMS_TENANT_ID=from-dotenv\nTEAMS_SERVER_PORT=5000\nTEAMS_SIMULATION_MODE=true\n',
+    'override.json': '{ "tenantId": "from-config" }'
+  });
+  const env = { TEAMS_SIMULATION_MODE: 'false', TEAMS_CURRENT_TEAM_ID: 'team-env', PATH: '/bin' };
+
+  let resolved = resolveSettings({ cwd, env });
+  assert.equal(setting(resolved, 'tenantId').value, 'from-project');
+  assert.equal(setting(resolved, 'tenantId').source, path.join(root, '.darbot-teams.json'));
+  assert.deepEqual([setting(resolved, 'port').value, setting(resolved, 'simulationMode').value], ['4000', 'true']);
+  assert.equal(setting(resolved, 'simulationMode').source, path.join(cwd, '.env'));
+  assert.equal(setting(resolved, 'currentTeamId').source, 'environment');
+  assert.deepEqual([setting(resolved, 'host').value, setting(resolved, 'host').source], ['localhost', 'default']);
+  assert.equal(setting(resolved, 'currentChannelId').source, 'not set');
+  assert.equal(setting(resolved, 'ASPNETCORE_URLS').value, 'http://+:4000');
+  assert.equal(resolved.env.PATH, undefined);
+
+  resolved = resolveSettings({ cwd, env, configFile: 'override.json' });
+  assert.equal(setting(resolved, 'tenantId').value, 'from-config');
+  assert.equal(setting(resolved, 'logLevel').value, 'Debug');
+});
+
+test('a profile fills only what the layers above it leave unset', (t) => {
+  const { cwd } = project(t, { '.env': 'TEAMS_SIMULATION_MODE=true\n' });
+  addProfile('contoso', { tenantId: GUID });
+  addProfile('fabrikam', { tenantId: 'fabrikam.onmicrosoft.com' });
+
+  // The current profile sits below everything else
+  let resolved = resolveSettings({ cwd, env: { TEAMS_TENANT_ID: 'from-env' } });
+  assert.equal(setting(resolved, 'tenantId').value, 'from-env');
+  assert.equal(setting(resolved, 'clientId').source, 'profile contoso (current)');
+  assert.equal(setting(resolved, 'simulationMode').value, 'true');
+
+  // --profile outranks the environment
+  resolved = resolveSettings({ cwd, env: { TEAMS_TENANT_ID: 'from-env' }, profile: 'fabrikam' });
+  assert.deepEqual([setting(resolved, 'tenantId').value, setting(resolved, 'tenantId').source], ['fabrikam.onmicrosoft.com', 'profile fabrikam']);
+  assert.equal(setting(resolved, 'simulationMode').value, 'false');
+
+  // DARBOT_PROFILE is expanded in the environment's place
+  resolved = resolveSettings({ cwd, env: { DARBOT_PROFILE: 'fabrikam' } });
+  assert.equal(setting(resolved, 'tenantId').value, 'fabrikam.onmicrosoft.com');
+  assert.equal(setting(resolved, 'simulationMode').value, 'true');
+});
+
+test('config files with unknown keys warn and missing ones fail', (t) => {
+  const { cwd } = project(t, { 'bad.json': '{ "tenant": "x", "nested": {} }' });
+  const resolved = resolveSettings({ cwd, env: {}, configFile: 'bad.json' });
+  assert.equal(resolved.warnings.length, 2);
+  assert.match(resolved.warnings[0], /unknown setting "tenant" \(known: tenantId, /);
+  assert.match(resolved.warnings[1], /"nested" must be a string, number or boolean/);
+  assert.throws(() => resolveSettings({ cwd, env: {}, configFile: 'missing.json' }), /Config file not found: .*missing\.json/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { tempDir } = require('./helpers');
+const { tokenize, resolvePath, startShell } = require('../../lib/shell');
+
+const TOOLS = [
+  { name: 'teams_list_teams', description: 'List teams', inputSchema: { type: 'object', properties: {} } },
+  {
+    name: 'teams_list_channels',
+    description: 'List channels',
+    inputSchema: { type: 'object', required: ['teamId'], properties: { teamId: { type: 'string' }, pageSize: { type: 'integer' } } }
+  }
+];
+
+// Answers every call with JSON that echoes the arguments, so the test can see what was sent
+function fakeClient() {
+  const calls = [];
+  return {
+    calls,
+    async callTool(name, args) {
+      calls.push({ name, args });
+      const value = name === 'teams_list_teams' ? [{ id: 'team-1', displayName: 'Sales' }] : { channels: [{ id: `${args.teamId}-general` }] };
+      return { content: [{ type: 'text', text: JSON.stringify(value) }], raw: {} };
+    }
+  };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+test('tokenize honours quotes and escapes', () => {
+  assert.deepEqual(tokenize('send --text "hello \\"you\\"" --to \'a b\' c\\ d ""'), ['send', '--text', 'hello "you"', '--to', 'a b', 'c d', '']);
+  assert.throws(() => tokenize('send "open'), /Unterminated " quote/);
+});
+
+test('resolvePath follows dots and indexes', () => {
+  const value = { channels: [{ id: 'a' }, { id: 'b' }] };
+  assert.equal(resolvePath(value, '.channels[1].id'), 'b');
+  assert.equal(resolvePath(value, '.missing.id'), undefined);
+});
+
+test('results are remembered as $n and required parameters are prompted for', async (t) => {
+  const client = fakeClient();
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', (chunk) => { text += chunk; });
+  const historyFile = path.join(tempDir(t), 'history');
+  const done = startShell(client, TOOLS, { input, output, terminal: false, historyFile });
+
+  for (const line of ['teams_list_teams', 'teams_list_channels --teamId $1[0].id --page-size 5', 'teams_list_channels', '$last.channels[0].id', 'teams_lst_teams', '.exit']) {
+    input.write(`${line}\n`);
+    await tick();
+  }
+  await done;
+
+  assert.deepEqual(client.calls, [
+    { name: 'teams_list_teams', args: {} },
+    { name: 'teams_list_channels', args: { teamId: 'team-1', pageSize: 5 } },
+    { name: 'teams_list_channels', args: { teamId: 'team-1-general' } }
+  ]);
+  assert.match(text, /✅ \$1 \(/);
+  assert.match(text, /📝 Required parameters \(empty line cancels\):\n {2}teamId \(string\): /);
+  assert.match(text, /Unknown tool or command: teams_lst_teams \(did you mean teams_list_teams\?\)/);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { normalizeResponse } = require('../../lib/mcp-connection');
+const { createStdioRelay } = require('../../lib/stdio-relay');
+
+// Wires a relay between a fake client (input/output) and a fake server child process
+function relayHarness() {
+  const child = fakeServer();
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const harness = { child, input, output, toServer: [], toClient: [], logs: [], diagnostics: [], recorded: [] };
+
+  child.stdin.on('data', (chunk) => harness.toServer.push(...lines(chunk)));
+  output.on('data', (chunk) => harness.toClient.push(...lines(chunk).map((line) => JSON.parse(line))));
+  harness.relay = createStdioRelay({
+    input,
+    output,
+    log: (line) => harness.logs.push(line),
+    onDiagnostic: (diagnostic) => harness.diagnostics.push(diagnostic),
+    onMessage: (direction, message) => harness.recorded.push([direction, message])
+  });
+  harness.relay.attach(child);
+  return harness;
+}
+
+function fakeServer() {
+  const child = new EventEmitter();
+  child.stdin = new PassThrough();
+  child.stdout = new PassThrough();
+  child.stderr = new PassThrough();
+  return child;
+}
+
+const lines = (chunk) => chunk.toString().split('\n').filter(Boolean);
+const tick = () => new Promise(setImmediate);
+
+test('normalizeResponse wraps a bare content array into result', () => {
+  assert.deepEqual(normalizeResponse({ jsonrpc: '2.0', id: 1, content: [], isError: true }), {
+    message: { jsonrpc: '2.0', id: 1, result: { content: [], isError: true } },
+    normalized: true
+  });
+  const standard = { jsonrpc: '2.0', id: 1, result: {} };
+  assert.deepEqual(normalizeResponse(standard), { message: standard, normalized: false });
+});
+
+test('only JSON-RPC reaches the client; server chatter goes to the log', async () => {
+  const h = relayHarness();
+  h.input.write('{"jsonrpc":"2.0","id":1,"method":"tools/list"}\n');
+  await tick();
+  assert.deepEqual(h.toServer, ['{"jsonrpc":"2.0","id":1,"method":"tools/list"}']);
+  assert.equal(h.relay.pendingCount, 1);
+
+  h.child.stdout.write('info: Microsoft.Hosting.Lifetime[0] Application started\n');
+  h.child.stderr.write('warn: slow start\n');
+  h.child.stdout.write('{"jsonrpc":"2.0","id":1,"result":{"tools":[]}}\n');
+  await tick();
+  assert.deepEqual(h.toClient, [{ jsonrpc: '2.0', id: 1, result: { tools: [] } }]);
+  assert.deepEqual(h.logs, ['[server stdout] info: Microsoft.Hosting.Lifetime[0] Application started', 'warn: slow start']);
+  assert.equal(h.relay.pendingCount, 0);
+});
+
+test('malformed client lines get a parse error instead of reaching the server', async () => {
+  const h = relayHarness();
+  h.input.write('not json\n');
+  await tick();
+  assert.deepEqual(h.toServer, []);
+  assert.deepEqual(h.toClient, [{ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error: expected a JSON-RPC 2.0 message' } }]);
+  assert.deepEqual(h.relay.diagnostics, { 'malformed-client-message': 1 });
+});
+
+test('onMessage sees the session as the client does, after repairs', async () => {
+  const h = relayHarness();
+  h.input.write('{"jsonrpc":"2.0","id":1,"method":"tools/call"}\nnot json\n');
+  await tick();
+  h.child.stdout.write('{"jsonrpc":"2.0","id":1,"content":[]}\n');
+  await tick();
+  assert.deepEqual(h.recorded, [
+    ['client-to-server', { jsonrpc: '2.0', id: 1, method: 'tools/call' }],
+    ['client-to-server', 'not json'],
+    ['server-to-client', { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error: expected a JSON-RPC 2.0 message' } }],
+    ['server-to-client', { jsonrpc: '2.0', id: 1, result: { content: [] } }]
+  ]);
+});
+
+test('protocol violations from the server are repaired or dropped with a diagnostic', async () => {
+  const h = relayHarness();
+  h.input.write('{"jsonrpc":"2.0","id":7,"method":"tools/call"}\n');
+  await tick();
+
+  h.child.stdout.write('{"jsonrpc":"2.0","id":null,"result":{}}\n');
+  h.child.stdout.write('{"jsonrpc":"2.0","id":"corr-1","content":[{"type":"text","text":"ok"}]}\n');
+  h.child.stdout.write('{"jsonrpc":"2.0","id":"corr-2","result":{}}\n');
+  await tick();
+
+  assert.deepEqual(h.toClient, [{ jsonrpc: '2.0', id: 7, result: { content: [{ type: 'text', text: 'ok' }] } }]);
+  assert.deepEqual(h.relay.diagnostics, { 'response-to-notification': 1, 'non-standard-response': 1, 'unknown-id': 2 });
+  assert.match(h.diagnostics.at(-1).message, /Dropped response with unknown id "corr-2" \(no request pending\)/);
+});
+
+test('an unknown response id is never guessed while several requests are pending', async () => {
+  const h = relayHarness();
+  h.input.write('{"jsonrpc":"2.0","id":1,"method":"tools/call"}\n{"jsonrpc":"2.0","id":2,"method":"tools/call"}\n');
+  await tick();
+
+  h.child.stdout.write('{"jsonrpc":"2.0","id":"corr-1","result":{}}\n');
+  await tick();
+  assert.deepEqual(h.toClient, []);
+  assert.match(h.diagnostics.at(-1).message, /Dropped response with unknown id "corr-1" \(2 requests pending, cannot tell which it answers\)/);
+
+  // Once one is answered by its own id, the other is the only candidate
+  h.child.stdout.write('{"jsonrpc":"2.0","id":2,"result":{}}\n{"jsonrpc":"2.0","id":"corr-2","result":{}}\n');
+  await tick();
+  assert.deepEqual(h.toClient.map((message) => message.id), [2, 1]);
+  assert.equal(h.relay.pendingCount, 0);
+});
+
+test('a client that goes away ends the server\'s stdin', async () => {
+  const h = relayHarness();
+  let ended = false;
+  h.child.stdin.on('finish', () => { ended = true; });
+  h.input.end();
+  await tick();
+  assert.equal(ended, true);
+});
+
+test('a restarted server gets the handshake replayed and unanswered requests fail', async () => {
+  const h = relayHarness();
+  h.input.write('{"jsonrpc":"2.0","id":1,"method":"initialize","params":{"protocolVersion":"2024-11-05"}}\n');
+  await tick();
+  h.child.stdout.write('{"jsonrpc":"2.0","id":1,"result":{}}\n');
+  h.input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+  h.input.write('{"jsonrpc":"2.0","id":2,"method":"tools/call"}\n');
+  await tick();
+
+  h.relay.detach('Server process crashed before responding');
+  assert.deepEqual(h.toClient.at(-1), { jsonrpc: '2.0', id: 2, error: { code: -32603, message: 'Server process crashed before responding (tools/call)' } });
+
+  // Messages sent while no server is attached wait for the replayed handshake
+  h.input.write('{"jsonrpc":"2.0","id":3,"method":"tools/list"}\n');
+  await tick();
+  const restarted = fakeServer();
+  const received = [];
+  restarted.stdin.on('data', (chunk) => received.push(...lines(chunk).map((line) => JSON.parse(line))));
+  h.relay.attach(restarted, { replay: true });
+  await tick();
+  assert.deepEqual(received.map((message) => message.method), ['initialize']);
+  assert.equal(received[0].id, 'darbot-relay-replay-1');
+
+  restarted.stdout.write('{"jsonrpc":"2.0","id":"darbot-relay-replay-1","result":{}}\n');
+  await tick();
+  assert.deepEqual(received.map((message) => message.method), ['initialize', 'notifications/initialized', 'tools/list']);
+  assert.equal(h.toClient.length, 2);
+  assert.match(h.logs.at(-1), /Replayed initialize handshake/);
+});
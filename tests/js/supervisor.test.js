@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, withEnv } = require('./helpers');
+const { signalExitCode, createSupervisor } = require('../../lib/supervisor');
+
+const skip = process.platform === 'win32' && 'uses a POSIX shell script as dotnet';
+
+// Puts a fake "dotnet" running the given shell script first on PATH (and turns off the mock
+// server, which would otherwise run instead)
+function fakeDotnet(t, script) {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'dotnet');
+  fs.writeFileSync(file, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+  withEnv(t, { PATH: `${dir}${path.delimiter}${process.env.PATH}`, DARBOT_MOCK: undefined });
+}
+
+function supervise(options) {
+  const events = { spawns: [], crashes: [], logs: [] };
+  events.exited = new Promise((resolve) => {
+    events.supervisor = createSupervisor({
+      mode: 'stdio',
+      dll: 'server.dll',
+      stdio: 'ignore',
+      log: (message) => events.logs.push(message),
+      onSpawn: (child, details) => events.spawns.push(details),
+      onCrash: (code, signal) => events.crashes.push(code ?? signal),
+      onExit: (exitCode, details) => resolve({ exitCode, ...details }),
+      ...options
+    });
+  });
+  events.supervisor.start();
+  return events;
+}
+
+test('signals map to the conventional 128 + n exit codes', () => {
+  assert.equal(signalExitCode('SIGINT'), 130);
+  assert.equal(signalExitCode('SIGTERM'), 143);
+  assert.equal(signalExitCode('SIGNOPE'), 1);
+});
+
+test('a crashing server is restarted with backoff until the retries run out', { skip }, async (t) => {
+  fakeDotnet(t, 'exit 3');
+  const events = supervise({ backoff: { initialMs: 10, maxRetries: 2 } });
+
+  assert.deepEqual(await events.exited, { exitCode: 3, code: 3, signal: null, stopped: false });
+  assert.deepEqual(events.spawns, [{ restarted: false, attempt: 0 }, { restarted: true, attempt: 1 }, { restarted: true, attempt: 2 }]);
+  assert.deepEqual(events.crashes, [3, 3, 3]);
+  assert.match(events.logs[0], /restarting in 0\.0s \(attempt 1\/2\)/);
+  assert.match(events.logs.at(-1), /failed 2 restarts in a row, giving up/);
+});
+
+test('a clean exit is not restarted', { skip }, async (t) => {
+  fakeDotnet(t, 'exit 0');
+  const events = supervise({});
+  assert.deepEqual(await events.exited, { exitCode: 0, code: 0, signal: null, stopped: false });
+  assert.equal(events.spawns.length, 1);
+});
+
+test('stop() forwards the signal and reports the signal exit code', { skip }, async (t) => {
+  fakeDotnet(t, 'exec sleep 30');
+  const events = supervise({});
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  await events.supervisor.stop('SIGTERM');
+  assert.deepEqual(await events.exited, { exitCode: 143, code: null, signal: 'SIGTERM', stopped: true });
+  assert.deepEqual(events.crashes, []);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { tempDir } = require('./helpers');
+const { readAzureProfile, discoverTenants, tenantLabel, pickTenant } = require('../../lib/tenants');
+
+const CONTOSO = '11111111-1111-4111-8111-111111111111';
+const FABRIKAM = '22222222-2222-4222-8222-222222222222';
+
+function azureProfile(t, subscriptions) {
+  const file = path.join(tempDir(t), 'azureProfile.json');
+  fs.writeFileSync(file, `\uFEFF${JSON.stringify({ subscriptions })}`);
+  return file;
+}
+
+test('azureProfile.json is read despite its BOM; broken files yield nothing', (t) => {
+  const file = azureProfile(t, [{ id: 's1', tenantId: CONTOSO }]);
+  assert.deepEqual(readAzureProfile(file), [{ id: 's1', tenantId: CONTOSO }]);
+  fs.writeFileSync(file, '{');
+  assert.deepEqual(readAzureProfile(file), []);
+  assert.deepEqual(readAzureProfile(path.join(path.dirname(file), 'missing.json')), []);
+});
+
+test('tenants from every source are merged and ranked', async (t) => {
+  const profileFile = azureProfile(t, [
+    { id: 's1', name: 'Dev', tenantId: CONTOSO.toUpperCase(), tenantDisplayName: 'Contoso', tenantDefaultDomain: 'contoso.onmicrosoft.com', user: { name: 'alex@contoso.com' } },
+    { id: 's2', name: 'Prod', tenantId: CONTOSO, isDefault: false },
+    { id: FABRIKAM, tenantId: FABRIKAM, isDefault: true }
+  ]);
+  const { candidates, invalid } = await discoverTenants({
+    env: { ARM_TENANT_ID: CONTOSO, AZURE_TENANT_ID: 'contoso.com' },
+    profileFile,
+    useCli: false
+  });
+
+  assert.deepEqual(invalid, [{ tenantId: 'contoso.com', source: 'AZURE_TENANT_ID' }]);
+  assert.deepEqual(candidates.map((candidate) => candidate.tenantId), [CONTOSO, FABRIKAM]);
+  assert.deepEqual(candidates[0].sources, ['ARM_TENANT_ID', 'azureProfile.json']);
+  assert.deepEqual(candidates[0].subscriptions, ['Dev', 'Prod']);
+  assert.equal(tenantLabel(candidates[0]), 'Contoso (contoso.onmicrosoft.com)');
+  assert.equal(tenantLabel(candidates[1]), 'Unnamed tenant');
+});
+
+test('the picker takes a number, defaults on Enter and re-asks on bad input', async () => {
+  const candidates = [{ tenantId: CONTOSO, name: 'Contoso', sources: ['ARM_TENANT_ID'], subscriptions: [] }, { tenantId: FABRIKAM, name: 'Fabrikam', sources: [], subscriptions: [] }];
+  const pick = async (answers) => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', (chunk) => { text += chunk; });
+    input.end(answers);
+    return { choice: await pickTenant(candidates, { input, output }), text };
+  };
+
+  const { choice, text } = await pick('7\n2\n');
+  assert.equal(choice.tenantId, FABRIKAM);
+  assert.match(text, /1\) Contoso {2}\[default\]/);
+  assert.match(text, /❌ Enter a number from 0 to 2/);
+  assert.equal((await pick('\n')).choice.tenantId, CONTOSO);
+  assert.equal((await pick('0\n')).choice, null);
+  assert.equal((await pick('')).choice.tenantId, CONTOSO);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { kebabCase, describeType, toolParameters, coerceValue, suggest, readArgsJson, parseToolArgs } = require('../../lib/tool-args');
+const { renderTable, renderValue, renderContent } = require('../../lib/table');
+
+const SEND_MESSAGE = {
+  type: 'object',
+  required: ['channelId', 'message'],
+  properties: {
+    message: { type: 'string' },
+    importance: { type: 'string', enum: ['low', 'normal', 'high'] },
+    channelId: { type: 'string' },
+    mentions: { type: 'array', items: { type: 'string' } },
+    pageSize: { type: 'integer', minimum: 1, maximum: 50 },
+    urgent: { type: 'boolean' }
+  }
+};
+
+test('schema helpers name and describe parameters', () => {
+  assert.equal(kebabCase('channelId'), 'channel-id');
+  assert.equal(describeType({ type: 'array', items: { type: 'string' } }), 'string[]');
+  assert.equal(describeType(SEND_MESSAGE.properties.importance), 'low|normal|high');
+  assert.deepEqual(toolParameters(SEND_MESSAGE).map((item) => item.name), ['message', 'channelId', 'importance', 'mentions', 'pageSize', 'urgent']);
+});
+
+test('command-line strings are coerced to the schema type', () => {
+  assert.equal(coerceValue('42', { type: 'integer' }, '--n'), 42);
+  assert.equal(coerceValue('off', { type: 'boolean' }, '--b'), false);
+  assert.deepEqual(coerceValue('a@contoso.com', { type: 'array', items: { type: 'string' } }, '--m'), ['a@contoso.com']);
+  assert.equal(coerceValue('null', { type: ['integer', 'null'] }, '--n'), null);
+  assert.throws(() => coerceValue('4.5', { type: 'integer' }, '--n'), /--n expects an integer, got "4.5"/);
+  assert.throws(() => coerceValue('urgent', SEND_MESSAGE.properties.importance, '--importance'), /--importance must be one of low, normal, high \(got "urgent"\)/);
+});
+
+test('parseToolArgs accepts every flag spelling', () => {
+  const { args, errors } = parseToolArgs(SEND_MESSAGE, [
+    '--channel-id', '19:abc', '--message=hi there', '--urgent', '--mentions', 'a', '--mentions', 'b', '--page_size', '10'
+  ]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(args, { channelId: '19:abc', message: 'hi there', urgent: true, mentions: ['a', 'b'], pageSize: 10 });
+  assert.deepEqual(parseToolArgs(SEND_MESSAGE, ['--no-urgent'], { channelId: 'c', message: 'm' }).args, { channelId: 'c', message: 'm', urgent: false });
+});
+
+test('parseToolArgs reports every problem with suggestions', () => {
+  assert.deepEqual(parseToolArgs(SEND_MESSAGE, ['--mesage', 'hi', 'stray', '--no-message']).errors, [
+    'Unknown parameter --mesage (did you mean --message?)',
+    'Unexpected argument "stray" (parameters are passed as --name value)',
+    '--no-message can only be used with boolean parameters',
+    'Missing required parameter --channelId (string)',
+    'Missing required parameter --message (string)'
+  ]);
+  assert.deepEqual(parseToolArgs(SEND_MESSAGE, ['--channel-id', 'c', '--message', 'm', '--page-size', '99']).errors, ['--pageSize must be <= 50']);
+  assert.equal(suggest('zzz', ['message']), null);
+});
+
+test('--args-json takes inline JSON or @file', (t) => {
+  const file = path.join(tempDir(t), 'args.json');
+  fs.writeFileSync(file, '{"message":"from file"}');
+  assert.deepEqual(readArgsJson(`@${file}`), { message: 'from file' });
+  assert.deepEqual(readArgsJson('{"a":1}'), { a: 1 });
+  assert.throws(() => readArgsJson('[1]'), /--args-json must be a JSON object/);
+  assert.throws(() => readArgsJson('{'), /--args-json is not valid JSON/);
+});
+
+test('results render as aligned tables that fit the width', () => {
+  const rows = [{ name: 'General', id: '19:aaaaaaaaaaaaaaaaaaaa' }, { name: 'Design', id: '19:b' }];
+  assert.equal(renderTable(rows, ['name', 'id'], { maxWidth: 80 }), [
+    'NAME     ID',
+    `${'─'.repeat(7)}  ${'─'.repeat(23)}`,
+    'General  19:aaaaaaaaaaaaaaaaaaaa',
+    'Design   19:b'
+  ].join('\n'));
+  assert.match(renderTable(rows, ['name', 'id'], { maxWidth: 20 }), /\nGeneral  19:aaaaaaa…\n/);
+  assert.equal(renderValue({ team: 'Sales', members: 3 }), 'team:    Sales\nmembers: 3');
+  assert.equal(renderContent([{ type: 'text', text: '["a","b"]' }, { type: 'text', text: 'done' }]), '• a\n• b\n\ndone');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { tempDir } = require('./helpers');
+const { createMockServer } = require('../../lib/mock-server');
+const { docTargets, groupTools, renderSummary, renderTools, exportContent } = require('../../lib/tool-docs');
+
+const BIN = path.join(__dirname, '..', '..', 'bin', 'darbot-teams-mcp.js');
+
+const TOOLS = [
+  { name: 'teams-pin-message', description: 'Pin a | message', category: 'Messaging', requiredPermission: 'ChannelMessage.Send', inputSchema: { type: 'object', required: ['messageId'], properties: { messageId: { type: 'string' } } } },
+  { name: 'teams-list-channels', description: 'List channels', category: 'ChannelManagement', inputSchema: { type: 'object', properties: {} } },
+  { name: 'teams-hello', description: 'Says hello', category: 'Unknown', inputSchema: { type: 'object' } }
+];
+
+test('tools are grouped by category with an "other" group last', () => {
+  assert.deepEqual(groupTools(TOOLS).map(({ group, tools }) => [group.id, tools.map((tool) => tool.name)]), [
+    ['channels', ['teams-list-channels']],
+    ['messaging', ['teams-pin-message']],
+    ['other', ['teams-hello']]
+  ]);
+  assert.match(renderSummary(TOOLS), /\| \*\*💬 Messaging\*\* \| 1 tool \| Pin messages/);
+});
+
+test('each format describes every tool', () => {
+  assert.match(renderTools(TOOLS, 'markdown'), /^# Darbot Teams MCP Tools\n[\s\S]*3 tools in 3 categories\.[\s\S]*### teams-pin-message\n\nPin a \| message\n/);
+
+  const schema = JSON.parse(renderTools(TOOLS, 'json-schema'));
+  assert.deepEqual(schema.$defs['teams-pin-message'].required, ['messageId']);
+  assert.equal(schema.$defs['teams-pin-message']['x-required-permission'], 'ChannelMessage.Send');
+
+  const openapi = JSON.parse(renderTools(TOOLS, 'openapi', { version: '9.9.9' }));
+  assert.equal(openapi.info.version, '9.9.9');
+  assert.equal(openapi.paths['/tools/teams-pin-message'].post.operationId, 'teamsPinMessage');
+  assert.equal(openapi.paths['/tools/teams-pin-message'].post.requestBody.required, true);
+  assert.equal(openapi.paths['/tools/teams-hello'].post.requestBody.required, false);
+  assert.throws(() => renderTools(TOOLS, 'yaml'), /Unknown format: yaml/);
+});
+
+test('a Markdown file with summary markers only gets the category table', () => {
+  const current = 'Intro\n<!-- export-tools:summary:start -->\nold table\n<!-- export-tools:summary:end -->\nOutro\n';
+  assert.equal(exportContent(TOOLS, 'markdown', current), `Intro\n<!-- export-tools:summary:start -->\n${renderSummary(TOOLS)}\n<!-- export-tools:summary:end -->\nOutro\n`);
+  assert.equal(exportContent(TOOLS, 'markdown', 'no markers'), renderTools(TOOLS, 'markdown'));
+});
+
+test('the committed docs match the tools the server registers', () => {
+  const tools = createMockServer().handle({ jsonrpc: '2.0', id: 1, method: 'tools/list' }).result.tools;
+  const version = require('../../package.json').version;
+  for (const target of docTargets()) {
+    const current = fs.readFileSync(target.file, 'utf8');
+    assert.equal(exportContent(tools, target.format, current, { version }), current, `${target.file} is stale; run export-tools --update --mock`);
+  }
+});
+
+test('export-tools --check fails for a stale --output file', (t) => {
+  const output = path.join(tempDir(t), 'tools.schema.json');
+  fs.writeFileSync(output, '{}\n');
+  const run = (...args) => spawnSync(process.execPath, [BIN, 'export-tools', '--mock', ...args], { encoding: 'utf8', timeout: 60000 });
+
+  const stale = run('--format', 'json-schema', '--output', output, '--check');
+  assert.equal(stale.status, 1);
+  assert.match(stale.stdout, /❌ Stale: .*tools\.schema\.json/);
+
+  assert.equal(run('--format', 'json-schema', '--output', output).status, 0);
+  assert.equal(run('--format', 'json-schema', '--output', output, '--check').status, 0);
+});
+
+test('export-tools exits 2 when a file cannot be read or written', (t) => {
+  const dir = tempDir(t);
+  const blocker = path.join(dir, 'file.txt');
+  fs.writeFileSync(blocker, '');
+  const run = (output) => spawnSync(process.execPath, [BIN, 'export-tools', '--mock', '--output', output], { encoding: 'utf8', timeout: 60000 });
+
+  const unreadable = run(dir);
+  assert.equal(unreadable.status, 2);
+  assert.match(unreadable.stderr, /❌ Could not read .*: EISDIR/);
+
+  const unwritable = run(path.join(blocker, 'tools.md'));
+  assert.equal(unwritable.status, 2);
+  assert.match(unwritable.stderr, /❌ Could not write .*tools\.md: /);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, withEnv, tempHome, quiet } = require('./helpers');
+const { getClient } = require('../../lib/mcp-clients');
+const { createBackup } = require('../../lib/config-file');
+const { addProfile } = require('../../lib/profiles');
+const { findArtifacts, removeArtifact } = require('../../lib/uninstall');
+
+// Per-user directories inside the temporary home, so nothing outside it is found or removed
+function userDirs(t) {
+  const home = tempHome(t);
+  const dirs = {
+    home,
+    cache: path.join(home, 'cache'),
+    state: path.join(home, 'state'),
+    config: path.join(home, 'config')
+  };
+  withEnv(t, { DARBOT_CACHE_DIR: dirs.cache, DARBOT_STATE_DIR: dirs.state, DARBOT_CONFIG_DIR: dirs.config });
+  const cwd = process.cwd();
+  process.chdir(home);
+  t.after(() => process.chdir(cwd));
+  return dirs;
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Artifacts under the temporary home; the package's own logs/ and build folders are not ours to remove
+function homeArtifacts(home, options) {
+  return findArtifacts(options).filter((artifact) => artifact.kind === 'entry' || artifact.path.startsWith(home));
+}
+
+test('findArtifacts lists our entries, backups and per-user directories', (t) => {
+  const dirs = userDirs(t);
+  addProfile('work', { tenantId: 'contoso.onmicrosoft.com' });
+  const cursor = getClient('cursor').configPath();
+  writeJson(cursor, { mcpServers: { other: { command: 'x' }, 'darbot-teams': { command: 'npx' }, 'darbot-teams-work': { command: 'npx' } } });
+  createBackup(cursor);
+  [dirs.cache, dirs.state, dirs.config].forEach((dir) => fs.mkdirSync(dir, { recursive: true }));
+
+  const artifacts = homeArtifacts(dirs.home);
+  const entry = artifacts.find((artifact) => artifact.kind === 'entry');
+  assert.equal(entry.configPath, cursor);
+  assert.deepEqual(entry.names, ['darbot-teams', 'darbot-teams-work']);
+  assert.equal(artifacts.filter((artifact) => artifact.kind === 'backup').length, 1);
+  assert.deepEqual(artifacts.filter((artifact) => artifact.kind === 'directory').map((artifact) => artifact.path), [dirs.cache, dirs.state, dirs.config]);
+
+  const kept = homeArtifacts(dirs.home, { keepConfig: true }).filter((artifact) => artifact.kind === 'directory');
+  assert.deepEqual(kept.map((artifact) => artifact.path), [dirs.cache, dirs.state]);
+});
+
+test('removing the artifacts keeps other servers and the user\'s files', async (t) => {
+  const dirs = userDirs(t);
+  quiet(t);
+  const cursor = getClient('cursor').configPath();
+  writeJson(cursor, { mcpServers: { other: { command: 'x' }, 'darbot-teams': { command: 'npx' } } });
+  fs.mkdirSync(path.join(dirs.cache, 'builds'), { recursive: true });
+
+  for (const artifact of homeArtifacts(dirs.home)) {
+    await removeArtifact(artifact);
+  }
+  assert.deepEqual(JSON.parse(fs.readFileSync(cursor, 'utf8')), { mcpServers: { other: { command: 'x' } } });
+  assert.equal(fs.existsSync(dirs.cache), false);
+  assert.deepEqual(homeArtifacts(dirs.home), []);
+});
+
+test('darbot-teams-* entries that are not saved profiles are the user\'s own', async (t) => {
+  const dirs = userDirs(t);
+  quiet(t);
+  addProfile('work', { tenantId: 'contoso.onmicrosoft.com' });
+  const cursor = getClient('cursor').configPath();
+  const own = { 'darbot-teams-dev': { command: 'node', args: ['./bin/darbot-teams-mcp.js'] } };
+  writeJson(cursor, { mcpServers: { ...own, 'darbot-teams': { command: 'npx' }, 'darbot-teams-work': { command: 'npx' } } });
+
+  const [entry] = homeArtifacts(dirs.home).filter((artifact) => artifact.kind === 'entry');
+  assert.deepEqual(entry.names, ['darbot-teams', 'darbot-teams-work']);
+  await removeArtifact(entry);
+  assert.deepEqual(JSON.parse(fs.readFileSync(cursor, 'utf8')), { mcpServers: own });
+});
+
+test('directories moved by DARBOT_*_DIR only lose the files the package created', async (t) => {
+  const dirs = userDirs(t);
+  fs.mkdirSync(path.join(dirs.cache, 'builds'), { recursive: true });
+  fs.writeFileSync(path.join(dirs.cache, 'notes.txt'), 'mine');
+  fs.mkdirSync(dirs.state, { recursive: true });
+  ['http-daemon.log', 'audit.jsonl', 'audit.jsonl.1', 'audit.jsonl.old'].forEach((name) => fs.writeFileSync(path.join(dirs.state, name), ''));
+
+  const artifacts = homeArtifacts(dirs.home);
+  assert.deepEqual(artifacts.map((artifact) => path.relative(dirs.home, artifact.path)).sort(), [
+    path.join('cache', 'builds'),
+    path.join('state', 'audit.jsonl'),
+    path.join('state', 'audit.jsonl.1'),
+    path.join('state', 'http-daemon.log')
+  ]);
+  for (const artifact of artifacts) {
+    await removeArtifact(artifact);
+  }
+  assert.deepEqual(fs.readdirSync(dirs.cache), ['notes.txt']);
+  assert.deepEqual(fs.readdirSync(dirs.state), ['audit.jsonl.old']);
+});
+
+test('the reference configuration from setup counts as the package\'s own', async (t) => {
+  const dirs = userDirs(t);
+  fs.mkdirSync(dirs.config, { recursive: true });
+  fs.writeFileSync(path.join(dirs.config, 'vscode-settings-generated.json'), '{}');
+  fs.writeFileSync(path.join(dirs.config, 'notes.txt'), 'mine');
+
+  const artifacts = homeArtifacts(dirs.home);
+  assert.deepEqual(artifacts.map((artifact) => artifact.path), [path.join(dirs.config, 'vscode-settings-generated.json')]);
+  await removeArtifact(artifacts[0]);
+  assert.deepEqual(fs.readdirSync(dirs.config), ['notes.txt']);
+});
+
+test('removeArtifact refuses the home directory and the file system root', async (t) => {
+  const dirs = userDirs(t);
+  await assert.rejects(removeArtifact({ kind: 'directory', path: dirs.home }), /Refusing to remove/);
+  await assert.rejects(removeArtifact({ kind: 'directory', path: path.parse(tempDir(t)).root }), /Refusing to remove/);
+  assert.ok(fs.existsSync(dirs.home));
+});
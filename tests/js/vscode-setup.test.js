@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempHome, withEnv, quiet } = require('./helpers');
+const { getClient, SERVER_NAME } = require('../../lib/mcp-clients');
+const { readConfigFile } = require('../../lib/config-file');
+const { createVSCodeServerConfig, vscodeEnvFilePath, writeEnvFile, writeClientEntries, removeClientConfig } = require('../../scripts/vscode-setup');
+
+const OTHER_INPUT = { type: 'promptString', id: 'github-token', description: 'GitHub', password: true };
+
+function setupHome(t) {
+  const home = tempHome(t);
+  withEnv(t, { DARBOT_CONFIG_DIR: path.join(home, '.config', 'darbot-teams-mcp') });
+  quiet(t);
+  return home;
+}
+
+test('the VS Code entry reads an envFile and prompts only for what it lacks', (t) => {
+  setupHome(t);
+  assert.deepEqual(createVSCodeServerConfig(vscodeEnvFilePath()), {
+    server: { command: 'npx', args: ['darbot-teams-mcp', '--stdio'], envFile: '${userHome}/.config/darbot-teams-mcp/darbot-teams.env' },
+    inputs: []
+  });
+
+  const { server, inputs } = createVSCodeServerConfig(vscodeEnvFilePath(), ['TEAMS_TENANT_ID', 'DARBOT_GATEWAY_TOKEN']);
+  assert.deepEqual(server.env, { TEAMS_TENANT_ID: '${input:darbot-teams-tenant-id}', DARBOT_GATEWAY_TOKEN: '${input:darbot-teams-gateway-token}' });
+  assert.deepEqual(inputs.map((input) => [input.id, input.password]), [['darbot-teams-tenant-id', false], ['darbot-teams-gateway-token', true]]);
+});
+
+test('an env file outside the home directory is referenced by its absolute path', (t) => {
+  setupHome(t);
+  const outside = path.resolve('/opt/darbot/darbot-teams.env');
+  assert.equal(createVSCodeServerConfig(outside).server.envFile, outside);
+});
+
+test('the env file keeps values the user already edited', (t) => {
+  setupHome(t);
+  const file = vscodeEnvFilePath();
+  assert.deepEqual(writeEnvFile(file, { TEAMS_TENANT_ID: 'contoso.onmicrosoft.com', TEAMS_LOG_LEVEL: 'Warning' }), { TEAMS_TENANT_ID: 'contoso.onmicrosoft.com', TEAMS_LOG_LEVEL: 'Warning' });
+  fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('Warning', 'Debug'));
+
+  const merged = writeEnvFile(file, { TEAMS_TENANT_ID: 'other', TEAMS_LOG_LEVEL: 'Warning', MCP_MODE: 'stdio' });
+  assert.deepEqual(merged, { TEAMS_TENANT_ID: 'contoso.onmicrosoft.com', TEAMS_LOG_LEVEL: 'Debug', MCP_MODE: 'stdio' });
+  assert.match(fs.readFileSync(file, 'utf8'), /^# Darbot Teams MCP server settings[^]*\nTEAMS_LOG_LEVEL=Debug\nMCP_MODE=stdio\n$/);
+
+  const dryRun = path.join(path.dirname(file), 'dry.env');
+  writeEnvFile(dryRun, { A: '1' }, { dryRun: true });
+  assert.equal(fs.existsSync(dryRun), false);
+});
+
+test('replaced values are written literally, $ patterns included', (t) => {
+  setupHome(t);
+  const file = vscodeEnvFilePath();
+  writeEnvFile(file, { TEAMS_CLIENT_SECRET: 'old' });
+  writeEnvFile(file, { TEAMS_CLIENT_SECRET: 'a$1b$&c$$' }, { replace: ['TEAMS_CLIENT_SECRET'] });
+  assert.match(fs.readFileSync(file, 'utf8'), /\nTEAMS_CLIENT_SECRET=a\$1b\$&c\$\$\n$/);
+});
+
+test('setup manages its own inputs and leaves the user\'s alone', (t) => {
+  setupHome(t);
+  const client = getClient('vscode');
+  fs.mkdirSync(path.dirname(client.configPath()), { recursive: true });
+  fs.writeFileSync(client.configPath(), JSON.stringify({ inputs: [OTHER_INPUT], servers: {} }));
+
+  const { server, inputs } = createVSCodeServerConfig(vscodeEnvFilePath(), ['TEAMS_TENANT_ID']);
+  writeClientEntries(client, { [SERVER_NAME]: server }, { inputs });
+  writeClientEntries(client, { [SERVER_NAME]: server }, { inputs });
+  let data = readConfigFile(client.configPath()).data;
+  assert.deepEqual(data.inputs.map((input) => input.id), ['github-token', 'darbot-teams-tenant-id']);
+  assert.equal(data.servers[SERVER_NAME].env.TEAMS_TENANT_ID, '${input:darbot-teams-tenant-id}');
+
+  removeClientConfig(client);
+  data = readConfigFile(client.configPath()).data;
+  assert.deepEqual(data, { inputs: [OTHER_INPUT], servers: {} });
+});
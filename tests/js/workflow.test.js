@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const {
+  placeholderReplacer,
+  parseExpression,
+  evaluateExpression,
+  renderTemplate,
+  parseCsv,
+  loadWorkflow,
+  parseVarAssignments,
+  planWorkflow,
+  runWorkflow
+} = require('../../lib/workflow');
+
+const scope = {
+  vars: { team: 'Sales', count: 3, empty: [], role: '' },
+  steps: { lookup: { status: 'succeeded', output: { members: [{ id: 'm1', 'e-mail': 'ada@contoso.com' }] }, error: null } },
+  env: {},
+  item: { name: 'Ada', count: '3' },
+  index: 0
+};
+
+// A client whose tool results come from handlers[tool](args, attempt)
+function fakeClient(handlers) {
+  const calls = [];
+  return {
+    calls,
+    async callTool(tool, args) {
+      calls.push({ tool, args });
+      const attempt = calls.filter((call) => call.tool === tool).length;
+      const value = handlers[tool](args, attempt);
+      return value && value.isError
+        ? { isError: true, content: [{ type: 'text', text: value.text }] }
+        : { content: [{ type: 'text', text: JSON.stringify(value) }] };
+    }
+  };
+}
+
+const workflow = (steps, vars = {}) => ({ file: path.join(os.tmpdir(), 'test.yaml'), name: 'test', vars, steps: steps.map((step, index) => ({
+  id: `step${index + 1}`, args: {}, as: 'item', onError: 'abort', retries: 0, retryDelayMs: 10, ...step
+})) });
+
+test('parseExpression honours precedence and keeps the source of paths', () => {
+  const tree = parseExpression('a || b && !c == d');
+  assert.equal(tree.type, 'binary');
+  assert.equal(tree.operator, '||');
+  assert.equal(tree.right.operator, '&&');
+  assert.equal(tree.right.right.operator, '==');
+  assert.equal(tree.right.right.left.type, 'not');
+
+  const member = parseExpression("steps.lookup.output.members[0]['e-mail']");
+  assert.equal(member.type, 'member');
+  assert.equal(member.source, "steps.lookup.output.members[0]['e-mail']");
+});
+
+test('parseExpression reads quoted strings, numbers and literals', () => {
+  assert.deepEqual(parseExpression("'it''s'"), { type: 'literal', value: 'it\'s' });
+  assert.deepEqual(parseExpression('"say \\"hi\\""'), { type: 'literal', value: 'say "hi"' });
+  assert.deepEqual(parseExpression('2.5'), { type: 'literal', value: 2.5 });
+  assert.deepEqual(parseExpression('null'), { type: 'literal', value: null });
+});
+
+test('parseExpression rejects malformed input with the expression in the message', () => {
+  assert.throws(() => parseExpression(''), /Empty expression/);
+  assert.throws(() => parseExpression('a ='), /Unexpected "="/);
+  assert.throws(() => parseExpression('(a'), /Expected "\)" at the end in "\(a"/);
+  assert.throws(() => parseExpression('a b'), /Unexpected "b" in "a b"/);
+  assert.throws(() => parseExpression('lenght(a)'), /Unknown function lenght\(\) \(did you mean length\?\)/);
+});
+
+test('evaluateExpression resolves paths, functions and defaults', () => {
+  assert.equal(evaluateExpression("steps.lookup.output.members[0]['e-mail']", scope), 'ada@contoso.com');
+  assert.equal(evaluateExpression('vars.missing', scope), undefined);
+  assert.equal(evaluateExpression("vars.role || 'member'", scope), 'member');
+  assert.equal(evaluateExpression('vars.team && vars.count', scope), 3);
+  assert.equal(evaluateExpression('length(vars.team)', scope), 5);
+  assert.equal(evaluateExpression("join(pluck(steps.lookup.output.members, 'id'), '+')", scope), 'm1');
+  assert.deepEqual(evaluateExpression("split('a, b,,c')", scope), ['a', 'b', 'c']);
+  assert.throws(() => evaluateExpression('tem', scope), /Unknown name "tem" \(did you mean item\?\)/);
+  assert.throws(() => evaluateExpression('steps.later.output', scope), /Unknown step "later"/);
+});
+
+test('equality treats numeric strings as numbers and compares objects by value', () => {
+  assert.equal(evaluateExpression('item.count == 3', scope), true);
+  assert.equal(evaluateExpression("vars.count == '3'", scope), true);
+  assert.equal(evaluateExpression("vars.count == ''", scope), false);
+  assert.equal(evaluateExpression('vars.missing == null', scope), true);
+  assert.equal(evaluateExpression("contains(split('1,2'), 2)", scope), true);
+  assert.equal(evaluateExpression('vars.empty == vars.empty', scope), true);
+  assert.equal(evaluateExpression("vars.team != 'sales'", scope), true);
+  assert.equal(evaluateExpression('item.count > 10', scope), false);
+  assert.equal(evaluateExpression('item.count >= 3', scope), true);
+});
+
+test('truthiness counts empty lists as false', () => {
+  assert.equal(evaluateExpression('!vars.empty', scope), true);
+  assert.equal(evaluateExpression('!steps.lookup.output.members', scope), false);
+  assert.equal(evaluateExpression('!vars.role', scope), true);
+  assert.equal(evaluateExpression('!0', scope), true);
+});
+
+test('renderTemplate keeps the type of a single template and joins the rest as text', () => {
+  assert.deepEqual(renderTemplate('${{ steps.lookup.output.members }}', scope), [{ id: 'm1', 'e-mail': 'ada@contoso.com' }]);
+  assert.equal(renderTemplate(' ${{ vars.count }} ', scope), 3);
+  assert.equal(renderTemplate('Team ${{ vars.team }} has ${{ vars.count }}${{ vars.missing }}', scope), 'Team Sales has 3');
+  assert.equal(renderTemplate('${{ item }}!', scope), '{"name":"Ada","count":"3"}!');
+});
+
+test('parseCsv handles quotes, CRLF, a BOM and blank lines', () => {
+  const rows = parseCsv('﻿name, email ,note\r\n"Lovelace, Ada",ada@contoso.com,"said ""hi""\nthen left"\r\n\r\nBob,bob@contoso.com\n');
+  assert.deepEqual(rows, [
+    { name: 'Lovelace, Ada', email: 'ada@contoso.com', note: 'said "hi"\nthen left' },
+    { name: 'Bob', email: 'bob@contoso.com', note: '' }
+  ]);
+  assert.deepEqual(parseCsv(''), []);
+  assert.throws(() => parseCsv('a\n"open'), /Unterminated quoted field/);
+});
+
+test('parseVarAssignments splits on the first = and reads booleans', () => {
+  assert.deepEqual(parseVarAssignments(['team=a=b', 'dry=true', 'live=false']), { team: 'a=b', dry: true, live: false });
+  assert.throws(() => parseVarAssignments(['=x']), /Invalid --var =x/);
+});
+
+test('loadWorkflow applies defaults and reports the step at fault', (t) => {
+  const dir = tempDir(t, 'darbot-workflow-');
+  const file = path.join(dir, 'onboard.yaml');
+
+  fs.writeFileSync(file, 'steps:\n  - tool: teams-list-teams\n  - id: add\n    tool: teams-add-member\n    onError: retry\n');
+  const loaded = loadWorkflow(file);
+  assert.equal(loaded.name, 'onboard');
+  assert.deepEqual(loaded.steps.map((step) => [step.id, step.onError, step.retries, step.as]), [['step1', 'abort', 0, 'item'], ['add', 'retry', 3, 'item']]);
+
+  fs.writeFileSync(file, 'steps:\n  - tool: a\n    onEror: continue\n');
+  assert.throws(() => loadWorkflow(file), /onboard\.yaml: step 1: unknown key "onEror" \(did you mean onError\?\)/);
+  fs.writeFileSync(file, 'steps:\n  - id: x\n    tool: a\n    args: { team: "${{ vars.team ==  }}" }\n');
+  assert.throws(() => loadWorkflow(file), /step 1 \(x\): Unexpected end/);
+});
+
+test('planWorkflow keeps values from earlier steps as placeholders', () => {
+  const plan = planWorkflow(workflow([
+    { id: 'lookup', tool: 'teams-get-team', args: { teamName: '${{ vars.team }}' } },
+    { id: 'add', tool: 'teams-add-member', args: { teamId: '${{ steps.lookup.output.id }}', userEmail: '${{ item }}' }, forEach: ['a@x.com', 'b@x.com'] },
+    { id: 'notify', tool: 'teams-send-message', if: 'steps.add.status == \'succeeded\'', forEach: 'steps.lookup.output.members' },
+    { id: 'never', tool: 'teams-send-message', if: 'vars.skip' }
+  ], { team: 'Sales', skip: false }));
+
+  assert.equal(plan.errors, 0);
+  assert.deepEqual(plan.steps.map((step) => [step.id, step.status, step.condition, step.items]), [
+    ['lookup', 'planned', null, null],
+    ['add', 'planned', null, 2],
+    ['notify', 'planned', 'runtime', 'runtime'],
+    ['never', 'skipped', false, null]
+  ]);
+  assert.equal(plan.steps[0].calls[0].args.teamName, 'Sales');
+  assert.equal(JSON.stringify(plan.steps[1].calls[1].args, placeholderReplacer), '{"teamId":"<steps.lookup.output.id>","userEmail":"b@x.com"}');
+  assert.equal(plan.steps[1].calls[1].label, 'item 2/2 (b@x.com)');
+});
+
+test('runWorkflow retries with doubling delays before giving up', async () => {
+  const delays = [];
+  const client = fakeClient({ flaky: (args, attempt) => (attempt < 3 ? { isError: true, text: '❌ Throttled' } : { ok: true }) });
+  const report = await runWorkflow(workflow([{ tool: 'flaky', onError: 'retry', retries: 3, retryDelayMs: 100 }]), client, { sleep: async (ms) => delays.push(ms) });
+
+  assert.equal(report.status, 'succeeded');
+  assert.deepEqual(delays, [100, 200]);
+  assert.deepEqual(report.steps[0].calls.map((call) => [call.status, call.attempts]), [['succeeded', 3]]);
+});
+
+test('runWorkflow aborts on a failed step and leaves the rest not run', async () => {
+  const client = fakeClient({ broken: () => ({ isError: true, text: '❌ Team not found' }), after: () => ({}) });
+  const report = await runWorkflow(workflow([{ tool: 'broken', onError: 'retry', retries: 1 }, { tool: 'after' }]), client, { sleep: async () => {} });
+
+  assert.equal(report.status, 'aborted');
+  assert.deepEqual(report.steps.map((step) => step.status), ['failed', 'not-run']);
+  assert.equal(report.steps[0].calls[0].error, 'Team not found');
+  assert.equal(report.steps[0].calls[0].attempts, 2);
+  assert.deepEqual(client.calls.map((call) => call.tool), ['broken', 'broken']);
+});
+
+test('runWorkflow continues past failed items with onError continue', async () => {
+  const client = fakeClient({
+    add: (args) => (args.userEmail === 'bad' ? { isError: true, text: 'No such user' } : { added: args.userEmail }),
+    report: (args) => args
+  });
+  const report = await runWorkflow(workflow([
+    { id: 'add', tool: 'add', forEach: ['a', 'bad', 'c'], onError: 'continue', args: { userEmail: '${{ item }}' } },
+    { id: 'report', tool: 'report', args: { error: '${{ steps.add.error }}', added: '${{ length(steps.add.output) }}' } }
+  ]), client, { sleep: async () => {} });
+
+  assert.equal(report.status, 'failed');
+  assert.deepEqual(report.steps[0].calls.map((call) => call.status), ['succeeded', 'failed', 'succeeded']);
+  assert.deepEqual(client.calls[3].args, { error: 'No such user', added: 3 });
+});
@@ -0,0 +1,138 @@
+// Type definitions for the darbot-teams-mcp programmatic API (lib/index.js)
+
+import type { ChildProcess } from 'child_process';
+import type { TeamsToolArgs, TeamsToolName } from './tools';
+
+export * from './tools';
+
+/** Arguments for a tool: the generated type for Teams tools, any object otherwise */
+export type ToolArgs<N extends string> = N extends TeamsToolName ? TeamsToolArgs[N] : Record<string, unknown>;
+
+/** Where the server and client read their settings from, as on the command line */
+export interface LaunchOptions {
+  /** Variables for the server process, on top of every other layer (e.g. TEAMS_TENANT_ID) */
+  env?: Record<string, string>;
+  /** Saved tenant profile to use (see `darbot-teams-mcp profile list`) */
+  profile?: string;
+  /** Settings file to layer in, like --config */
+  config?: string;
+  /** Directory whose .darbot-teams.json and .env are read (default process.cwd()) */
+  cwd?: string;
+  /** Use the built-in mock server instead of the .NET one (no .NET SDK or tenant needed) */
+  mock?: boolean;
+  /** Seed of the generated mock data */
+  seed?: number;
+  /** Mock dataset JSON to load */
+  fixtures?: string;
+  /** Receives build progress and server output, one line at a time */
+  log?: (line: string) => void;
+}
+
+export interface StartServerOptions extends LaunchOptions {
+  /** @default "http" */
+  mode?: 'http' | 'stdio';
+  /** @default "localhost" */
+  host?: string;
+  /** 0 picks a free port. @default 3001 */
+  port?: number;
+  /** Restart the server after a crash. @default true for http, false for stdio */
+  restart?: boolean;
+  /** How long ready waits for /mcp/health. @default 300000 */
+  readyTimeoutMs?: number;
+}
+
+export interface ServerHealth {
+  status: string;
+  toolsCount?: number;
+  [key: string]: unknown;
+}
+
+export interface ServerHandle<M extends 'http' | 'stdio' = 'http' | 'stdio'> {
+  readonly mode: M;
+  /** Resolves once the server is healthy (http) or running (stdio) */
+  readonly ready: Promise<M extends 'stdio' ? { child: ChildProcess } : { url: string; health: ServerHealth }>;
+  /** Resolves with the exit code however the server ends (null if it never started) */
+  readonly exited: Promise<number | null>;
+  /** http://host:port once ready has resolved; null in stdio mode */
+  readonly url: string | null;
+  /** The current server process, or null */
+  readonly child: ChildProcess | null;
+  /** Stops the server and resolves with its exit code */
+  stop(): Promise<number | null>;
+}
+
+export interface ClientOptions extends LaunchOptions {
+  /** @default "http" with url or server, otherwise "stdio" (the client starts its own server) */
+  transport?: 'stdio' | 'http';
+  /** URL of a running HTTP server, e.g. http://localhost:3001 */
+  url?: string;
+  /** A started HTTP server to connect to */
+  server?: ServerHandle<'http'>;
+  /** Per-request timeout. @default 120000 */
+  timeoutMs?: number;
+  /** clientInfo.name sent in initialize */
+  clientName?: string;
+}
+
+export interface Tool {
+  name: string;
+  description?: string;
+  inputSchema: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+export interface ToolContent {
+  type: string;
+  text?: string;
+  [key: string]: unknown;
+}
+
+export interface ToolResult {
+  isError: boolean;
+  content: ToolContent[];
+  /** The result as the server sent it */
+  raw?: unknown;
+  /** Set when the call failed with a JSON-RPC error */
+  error?: { code: number; message: string; data?: unknown };
+}
+
+export interface JsonRpcResponse {
+  jsonrpc: '2.0';
+  id: string | number | null;
+  result?: unknown;
+  error?: { code: number; message: string; data?: unknown };
+}
+
+export interface Client {
+  readonly transport: 'stdio' | 'http';
+  /** Performs the initialize handshake; listTools and callTool do it on first use */
+  connect(): Promise<Record<string, unknown>>;
+  listTools(): Promise<Tool[]>;
+  callTool<N extends string>(name: N, args?: ToolArgs<N>): Promise<ToolResult>;
+  /** Sends any JSON-RPC request; rejects with the server's error */
+  request(method: string, params?: Record<string, unknown>): Promise<JsonRpcResponse>;
+  close(): Promise<void>;
+}
+
+export type SetupTarget = 'vscode' | 'vscode-insiders' | 'workspace' | 'cursor' | 'claude' | 'all';
+
+export interface SetupOptions {
+  /** Tenant GUID or domain; detected from the environment and the Azure CLI when omitted */
+  tenant?: string;
+  /** Compute the changes without writing (diffs go to log) */
+  dryRun?: boolean;
+  /** A policy file or "read-only", added to the entry */
+  policy?: string;
+  readOnly?: boolean;
+  log?: (line: string) => void;
+}
+
+export interface SetupResult {
+  tenantId: string | null;
+  clients: Array<{ id: string; label: string; configPath: string }>;
+}
+
+export function startServer(options: StartServerOptions & { mode: 'stdio' }): ServerHandle<'stdio'>;
+export function startServer(options?: StartServerOptions & { mode?: 'http' }): ServerHandle<'http'>;
+export function createClient(options?: ClientOptions): Client;
+export function setupClient(target: SetupTarget, options?: SetupOptions): Promise<SetupResult>;
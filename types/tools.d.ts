@@ -0,0 +1,844 @@
+// Generated by scripts/generate-types.js from the server's tool classes - do not edit.
+// Run `npm run generate-types` after changing a tool's InputSchema.
+
+/** Arguments of teams-list-members: List all members of the current team with roles and status */
+export interface TeamsListMembersArgs {
+  /**
+   * Include guest users in the results
+   * @default false
+   */
+  includeGuests?: boolean;
+  /**
+   * Number of members to return (max 100)
+   * @default 50
+   */
+  pageSize?: number;
+}
+
+/** Arguments of teams-add-member: Add a new member to the current team */
+export interface TeamsAddMemberArgs {
+  /**
+   * Email address of the user to add
+   * Format: email
+   */
+  userEmail: string;
+  /**
+   * Role to assign to the user
+   * @default "member"
+   */
+  role?: "member" | "owner";
+}
+
+/** Arguments of teams-remove-member: Remove a member from the current team */
+export interface TeamsRemoveMemberArgs {
+  /**
+   * Email address of the user to remove
+   * Format: email
+   */
+  userEmail?: string;
+  /** Alternative: User ID instead of email */
+  userId?: string;
+  /** Reason for removal (for audit log) */
+  reason?: string;
+  /**
+   * Transfer ownership if removing an owner
+   * @default false
+   */
+  transferOwnership?: boolean;
+}
+
+/** Arguments of teams-list-owners: List all team owners with contact information */
+export interface TeamsListOwnersArgs {
+  /**
+   * Include detailed contact information
+   * @default true
+   */
+  includeContactInfo?: boolean;
+}
+
+/** Arguments of teams-list-guests: List all guest users with their access levels */
+export interface TeamsListGuestsArgs {
+  /**
+   * Include detailed access information
+   * @default true
+   */
+  includeAccessDetails?: boolean;
+  /**
+   * Sort guests by criteria
+   * @default "name"
+   */
+  sortBy?: "name" | "email" | "joinDate" | "lastActivity";
+}
+
+/** Arguments of teams-invite-guest: Invite an external user as a guest to the team */
+export interface TeamsInviteGuestArgs {
+  /**
+   * Email address of the guest to invite
+   * Format: email
+   */
+  guestEmail: string;
+  /** Display name for the guest */
+  displayName?: string;
+  /** Custom welcome message */
+  welcomeMessage?: string;
+  /** Specific channels to grant access to */
+  channelAccess?: string[];
+}
+
+/** Arguments of teams-remove-guest: Remove a guest user and clean up their access */
+export interface TeamsRemoveGuestArgs {
+  /**
+   * Email address of the guest to remove
+   * Format: email
+   */
+  guestEmail: string;
+  /** Reason for removal */
+  reason?: string;
+  /**
+   * Also revoke SharePoint file access
+   * @default true
+   */
+  revokeSharePointAccess?: boolean;
+}
+
+/** Arguments of teams-promote-to-owner: Promote a team member to owner role */
+export interface TeamsPromoteToOwnerArgs {
+  /**
+   * Email address of the user to promote
+   * Format: email
+   */
+  userEmail: string;
+  /**
+   * Send notification to the promoted user
+   * @default true
+   */
+  notifyUser?: boolean;
+  /** Reason for promotion (for audit log) */
+  reason?: string;
+}
+
+/** Arguments of teams-demote-from-owner: Demote an owner to regular member role */
+export interface TeamsDemoteFromOwnerArgs {
+  /**
+   * Email address of the owner to demote
+   * Format: email
+   */
+  userEmail: string;
+  /** Reason for demotion (for audit log) */
+  reason?: string;
+  /**
+   * Confirm if demoting the last owner
+   * @default false
+   */
+  confirmLastOwner?: boolean;
+}
+
+/** Arguments of teams-mute-user: Temporarily restrict a user's posting abilities */
+export interface TeamsMuteUserArgs {
+  /**
+   * Email address of the user to mute
+   * Format: email
+   */
+  userEmail: string;
+  /**
+   * Mute duration
+   * @default "1day"
+   */
+  duration?: "1hour" | "1day" | "1week" | "permanent";
+  /** Reason for muting */
+  reason?: string;
+  /** Specific channels to mute in (all channels if not specified) */
+  channels?: string[];
+}
+
+/** Arguments of teams-unmute-user: Restore a user's posting abilities */
+export interface TeamsUnmuteUserArgs {
+  /**
+   * Email address of the user to unmute
+   * Format: email
+   */
+  userEmail: string;
+  /** Reason for unmuting */
+  reason?: string;
+}
+
+/** Arguments of teams-list-channels: List all channels in the current team */
+export interface TeamsListChannelsArgs {
+  /**
+   * Include private channels in the results
+   * @default false
+   */
+  includePrivate?: boolean;
+}
+
+/** Arguments of teams-create-channel: Create a new channel in the current team */
+export interface TeamsCreateChannelArgs {
+  /** Name of the new channel */
+  channelName: string;
+  /** Optional channel description */
+  description?: string;
+  /**
+   * Channel membership type
+   * @default "standard"
+   */
+  membershipType?: "standard" | "private";
+  /**
+   * Include all team members automatically
+   * @default true
+   */
+  includeAllMembers?: boolean;
+}
+
+/** Arguments of teams-archive-channel: Archive a channel while preserving data */
+export interface TeamsArchiveChannelArgs {
+  /** ID of the channel to archive */
+  channelId: string;
+  /**
+   * Set SharePoint site to read-only
+   * @default true
+   */
+  shouldSetSpoSiteReadOnlyForMembers?: boolean;
+}
+
+/** Arguments of teams-get-channel-info: Get detailed information about a specific channel */
+export interface TeamsGetChannelInfoArgs {
+  /** ID of the channel to get info for (optional, uses current channel if not provided) */
+  channelId?: string;
+}
+
+/** Arguments of teams-get-channel-analytics: Get usage analytics and insights for a channel */
+export interface TeamsGetChannelAnalyticsArgs {
+  /** ID of the channel to analyze */
+  channelId: string;
+  /**
+   * Time period for analytics
+   * @default "30days"
+   */
+  period?: "7days" | "30days" | "90days";
+}
+
+/** Arguments of teams-rename-channel: Rename a channel with change history tracking */
+export interface TeamsRenameChannelArgs {
+  /** ID of the channel to rename */
+  channelId: string;
+  /** New name for the channel */
+  newName: string;
+}
+
+/** Arguments of teams-set-channel-privacy: Change the privacy settings of a channel */
+export interface TeamsSetChannelPrivacyArgs {
+  /** ID of the channel to modify */
+  channelId: string;
+  /** New privacy level for the channel */
+  membershipType: "standard" | "private";
+}
+
+/** Arguments of teams-set-channel-topic: Update the description/topic of a channel */
+export interface TeamsSetChannelTopicArgs {
+  /** ID of the channel to update */
+  channelId: string;
+  /** New topic/description for the channel */
+  topic: string;
+}
+
+/** Arguments of teams-lock-channel: Lock a channel to prevent new posts */
+export interface TeamsLockChannelArgs {
+  /** ID of the channel to lock */
+  channelId: string;
+  /** Reason for locking the channel */
+  reason?: string;
+}
+
+/** Arguments of teams-unlock-channel: Unlock a channel to restore normal posting */
+export interface TeamsUnlockChannelArgs {
+  /** ID of the channel to unlock */
+  channelId: string;
+}
+
+/** Arguments of teams-pin-message: Pin an important message in a channel */
+export interface TeamsPinMessageArgs {
+  /** ID of the message to pin */
+  messageId: string;
+  /** Channel ID (optional, uses current channel if not provided) */
+  channelId?: string;
+}
+
+/** Arguments of teams-unpin-message: Remove a pinned message from prominence */
+export interface TeamsUnpinMessageArgs {
+  /** ID of the message to unpin */
+  messageId: string;
+  /** Channel ID (optional, uses current channel if not provided) */
+  channelId?: string;
+}
+
+/** Arguments of teams-search-messages: Search messages in the current channel with filters */
+export interface TeamsSearchMessagesArgs {
+  /** Search query text */
+  query: string;
+  /** Channel ID to search in (optional, uses current channel) */
+  channelId?: string;
+  /** Filter by messages from specific user email */
+  fromUser?: string;
+  /**
+   * Start date for search (YYYY-MM-DD)
+   * Format: date
+   */
+  dateFrom?: string;
+  /**
+   * End date for search (YYYY-MM-DD)
+   * Format: date
+   */
+  dateTo?: string;
+  /**
+   * Maximum number of results to return
+   * @default 20
+   */
+  maxResults?: number;
+}
+
+/** Arguments of teams-send-announcement: Send an announcement message to team members */
+export interface TeamsSendAnnouncementArgs {
+  /** Announcement title */
+  title: string;
+  /** Announcement content */
+  message: string;
+  /** Specific channels to post to (all channels if not specified) */
+  channels?: string[];
+  /**
+   * Announcement priority level
+   * @default "normal"
+   */
+  priority?: "normal" | "important" | "urgent";
+  /**
+   * Send notifications to all team members
+   * @default true
+   */
+  notifyAll?: boolean;
+}
+
+/** Arguments of teams-export-messages: Export channel messages for compliance or backup */
+export interface TeamsExportMessagesArgs {
+  /** Channel ID to export (optional, uses current channel) */
+  channelId?: string;
+  /**
+   * Start date for export (YYYY-MM-DD)
+   * Format: date
+   */
+  dateFrom?: string;
+  /**
+   * End date for export (YYYY-MM-DD)
+   * Format: date
+   */
+  dateTo?: string;
+  /**
+   * Export format
+   * @default "json"
+   */
+  format?: "json" | "csv" | "html";
+  /**
+   * Include file attachments in export
+   * @default false
+   */
+  includeAttachments?: boolean;
+  /**
+   * Include message reactions
+   * @default true
+   */
+  includeReactions?: boolean;
+}
+
+/** Arguments of teams-upload-file: Upload a file to the team's SharePoint folder */
+export interface TeamsUploadFileArgs {
+  /** Local path to the file to upload */
+  filePath: string;
+  /** Name for the uploaded file (optional, uses original name) */
+  fileName?: string;
+  /** Channel to upload to (optional, uses current channel) */
+  channelId?: string;
+  /** Optional file description */
+  description?: string;
+  /**
+   * Overwrite existing file with same name
+   * @default false
+   */
+  overwrite?: boolean;
+}
+
+/** Arguments of teams-download-file: Download a file from the team's SharePoint folder */
+export interface TeamsDownloadFileArgs {
+  /** ID of the file to download */
+  fileId?: string;
+  /** Alternative: file name instead of ID */
+  fileName?: string;
+  /** Local path to save the file (optional, uses current directory) */
+  downloadPath?: string;
+  /** Channel to download from (optional, uses current channel) */
+  channelId?: string;
+}
+
+/** Arguments of teams-delete-file: Delete a file from the team's SharePoint folder */
+export interface TeamsDeleteFileArgs {
+  /** ID of the file to delete */
+  fileId?: string;
+  /** Alternative: file name instead of ID */
+  fileName?: string;
+  /** Channel containing the file (optional, uses current channel) */
+  channelId?: string;
+  /** Reason for deletion (for audit log) */
+  reason?: string;
+  /**
+   * Permanently delete (bypass recycle bin)
+   * @default false
+   */
+  permanentDelete?: boolean;
+}
+
+/** Arguments of teams-list-files: List files in the team's SharePoint folder */
+export interface TeamsListFilesArgs {
+  /** Channel to list files from (optional, uses current channel) */
+  channelId?: string;
+  /** Specific folder path to list (optional, lists root) */
+  folderPath?: string;
+  /** Filter by file type extension (e.g., 'pdf', 'docx') */
+  fileType?: string;
+  /**
+   * Sort files by criteria
+   * @default "modified"
+   */
+  sortBy?: "name" | "size" | "modified" | "created";
+  /**
+   * Sort order
+   * @default "desc"
+   */
+  sortOrder?: "asc" | "desc";
+  /**
+   * Maximum number of files to return
+   * @default 50
+   */
+  maxResults?: number;
+}
+
+/** Arguments of teams-schedule-meeting: Schedule a new Teams meeting with calendar integration */
+export interface TeamsScheduleMeetingArgs {
+  /** Meeting title */
+  title: string;
+  /**
+   * Meeting start date and time (ISO 8601 format: YYYY-MM-DDTHH:mm:ss)
+   * Format: date-time
+   */
+  startDateTime: string;
+  /**
+   * Meeting duration in minutes
+   * @default 60
+   */
+  durationMinutes?: number;
+  /** Meeting description or agenda */
+  description?: string;
+  /** List of attendee email addresses */
+  attendees?: string[];
+  /**
+   * Whether this is a recurring meeting
+   * @default false
+   */
+  isRecurring?: boolean;
+  /** Recurrence pattern if recurring */
+  recurrencePattern?: "daily" | "weekly" | "monthly";
+  /** Channel to associate the meeting with (optional) */
+  channelId?: string;
+}
+
+/** Arguments of teams-cancel-meeting: Cancel a scheduled Teams meeting with notifications */
+export interface TeamsCancelMeetingArgs {
+  /** ID of the meeting to cancel */
+  meetingId: string;
+  /** Reason for cancellation */
+  reason?: string;
+  /**
+   * Send cancellation notifications to attendees
+   * @default true
+   */
+  notifyAttendees?: boolean;
+  /** Custom message to include in cancellation notification */
+  customMessage?: string;
+}
+
+/** Arguments of teams-list-meetings: List upcoming Teams meetings */
+export interface TeamsListMeetingsArgs {
+  /**
+   * Time range for meetings
+   * @default "week"
+   */
+  timeRange?: "today" | "week" | "month";
+  /**
+   * Include recurring meeting instances
+   * @default true
+   */
+  includeRecurring?: boolean;
+  /**
+   * Only show meetings organized by current user
+   * @default false
+   */
+  onlyOrganized?: boolean;
+  /** Filter by specific channel (optional) */
+  channelId?: string;
+  /**
+   * Maximum number of meetings to return
+   * @default 25
+   */
+  maxResults?: number;
+}
+
+/** Arguments of teams-assign-task: Assign a task to a team member */
+export interface TeamsAssignTaskArgs {
+  /** Title of the task */
+  taskTitle: string;
+  /** Email address of the person to assign the task to */
+  assignedTo: string;
+  /** Detailed description of the task */
+  description?: string;
+  /**
+   * Due date in ISO 8601 format (YYYY-MM-DD)
+   * Pattern: ^\d{4}-\d{2}-\d{2}$
+   */
+  dueDate?: string;
+  /**
+   * Task priority level
+   * @default "normal"
+   */
+  priority?: "low" | "normal" | "high" | "urgent";
+  /** Optional channel ID to post task notification */
+  channelId?: string;
+}
+
+/** Arguments of teams-complete-task: Mark a task as completed */
+export interface TeamsCompleteTaskArgs {
+  /** ID of the task to complete */
+  taskId: string;
+  /** Optional completion notes or comments */
+  completionNotes?: string;
+  /**
+   * Whether to notify the person who assigned the task
+   * @default true
+   */
+  notifyAssigner?: boolean;
+}
+
+/** Arguments of teams-list-tasks: List tasks for the current team or user */
+export interface TeamsListTasksArgs {
+  /**
+   * Filter tasks by status
+   * @default "all"
+   */
+  filter?: "all" | "pending" | "completed" | "overdue" | "my-tasks";
+  /** Filter by specific user email (optional) */
+  assignedTo?: string;
+  /** Filter by priority level */
+  priority?: "low" | "normal" | "high" | "urgent";
+  /**
+   * Maximum number of tasks to return
+   * @default 20
+   */
+  limit?: number;
+}
+
+/** Arguments of teams-start-poll: Start a poll in a team channel */
+export interface TeamsStartPollArgs {
+  /** The poll question */
+  question: string;
+  /** Poll options (2-10 options) */
+  options: string[];
+  /** Channel ID where to post the poll */
+  channelId: string;
+  /**
+   * Allow users to select multiple options
+   * @default false
+   */
+  allowMultipleChoices?: boolean;
+  /**
+   * Enable anonymous voting
+   * @default false
+   */
+  anonymousVoting?: boolean;
+  /**
+   * Poll duration in hours (1-168)
+   * @default 24
+   */
+  durationHours?: number;
+}
+
+/** Arguments of teams-show-poll-results: Show results for a specific poll */
+export interface TeamsShowPollResultsArgs {
+  /** ID of the poll to show results for */
+  pollId: string;
+  /**
+   * Include voter names (if not anonymous)
+   * @default false
+   */
+  includeVoterDetails?: boolean;
+  /**
+   * Include detailed statistics
+   * @default true
+   */
+  includeStatistics?: boolean;
+}
+
+/** Arguments of teams-add-agent: Add a bot or agent to the current team */
+export interface TeamsAddAgentArgs {
+  /** Bot or agent application ID */
+  agentId: string;
+  /** Display name for the agent */
+  agentName: string;
+  /** Optional specific channel to add the agent to */
+  channelId?: string;
+  /**
+   * Permissions to grant to the agent
+   * @default ["read-messages","send-messages"]
+   */
+  permissions?: Array<"read-messages" | "send-messages" | "read-files" | "send-notifications" | "manage-meetings">;
+  /** Optional welcome message from the agent */
+  welcomeMessage?: string;
+}
+
+/** Arguments of teams-remove-bot: Remove a bot or agent from the current team */
+export interface TeamsRemoveBotArgs {
+  /** Bot or agent application ID to remove */
+  agentId: string;
+  /** Optional installation ID for specific removal */
+  installationId?: string;
+  /**
+   * Whether to remove bot data and messages
+   * @default false
+   */
+  removeData?: boolean;
+  /** Optional reason for removal */
+  reason?: string;
+}
+
+/** Arguments of teams-list-agents: List all bots and agents in the current team */
+export interface TeamsListAgentsArgs {
+  /**
+   * Include inactive or disabled agents
+   * @default false
+   */
+  includeInactive?: boolean;
+  /**
+   * Filter by agent type
+   * @default "all"
+   */
+  agentType?: "all" | "bots" | "connectors" | "apps";
+  /**
+   * Include agent permissions in the listing
+   * @default true
+   */
+  includePermissions?: boolean;
+}
+
+/** Arguments of teams-add-tab: Add an application tab to a channel */
+export interface TeamsAddTabArgs {
+  /** Channel ID where to add the tab */
+  channelId: string;
+  /** Application ID for the tab */
+  appId: string;
+  /** Display name for the tab */
+  tabName: string;
+  /** Optional content URL for the tab */
+  contentUrl?: string;
+  /** Optional website URL for fallback */
+  websiteUrl?: string;
+  /** Optional configuration parameters for the tab */
+  configuration?: Record<string, unknown>;
+}
+
+/** Arguments of teams-remove-tab: Remove an application tab from a channel */
+export interface TeamsRemoveTabArgs {
+  /** Channel ID containing the tab */
+  channelId: string;
+  /** Tab ID to remove */
+  tabId?: string;
+  /** Alternative: Tab name to remove (if ID not known) */
+  tabName?: string;
+  /** Optional reason for tab removal */
+  reason?: string;
+}
+
+/** Arguments of teams-list-apps: List all applications and tabs in the current team */
+export interface TeamsListAppsArgs {
+  /**
+   * Include channel tabs in the listing
+   * @default true
+   */
+  includeChannelTabs?: boolean;
+  /**
+   * Include team-level apps
+   * @default true
+   */
+  includeTeamApps?: boolean;
+  /** Filter to specific channel (optional) */
+  channelId?: string;
+  /**
+   * Filter by application type
+   * @default "all"
+   */
+  appType?: "all" | "tabs" | "bots" | "connectors" | "messaging-extensions";
+}
+
+/** Arguments of teams-get-status: Get presence status for users in the team */
+export interface TeamsGetStatusArgs {
+  /** User ID or email to get status for (optional, defaults to current user) */
+  userId?: string;
+  /**
+   * Include detailed presence information
+   * @default true
+   */
+  includeDetails?: boolean;
+  /**
+   * Include current activity information
+   * @default true
+   */
+  includeActivity?: boolean;
+  /**
+   * Include out-of-office information
+   * @default true
+   */
+  includeOutOfOffice?: boolean;
+}
+
+/** Arguments of teams-set-status: Set your presence status and message */
+export interface TeamsSetStatusArgs {
+  /** Availability status to set */
+  availability: "Available" | "Busy" | "DoNotDisturb" | "BeRightBack" | "Away";
+  /** Custom status message */
+  statusMessage?: string;
+  /**
+   * When the status should expire (ISO 8601 format)
+   * Pattern: ^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$
+   */
+  expirationTime?: string;
+  /** Current activity status */
+  activity?: "Available" | "InACall" | "InAMeeting" | "Busy" | "Away";
+}
+
+/** Arguments of teams-set-notification: Configure notification preferences for teams and channels */
+export interface TeamsSetNotificationArgs {
+  /**
+   * Notification scope
+   * @default "team"
+   */
+  scope: "team" | "channel" | "global";
+  /** Channel ID (required if scope is 'channel') */
+  channelId?: string;
+  /**
+   * Type of notifications to configure
+   * @default "mentions"
+   */
+  notificationType: "all" | "mentions" | "replies" | "likes" | "none";
+  /**
+   * How to receive notifications
+   * @default "banner"
+   */
+  alertStyle?: "banner" | "email" | "push" | "none";
+  /** Quiet hours configuration */
+  quietHours?: {
+    /** @default false */
+    enabled?: boolean;
+    /** Pattern: ^([01]?[0-9]|2[0-3]):[0-5][0-9]$ */
+    startTime?: string;
+    /** Pattern: ^([01]?[0-9]|2[0-3]):[0-5][0-9]$ */
+    endTime?: string;
+    /** @default "Local" */
+    timeZone?: string;
+  };
+  /** Keywords to trigger notifications */
+  keywords?: string[];
+}
+
+/** Arguments of teams-get-info: Get information about the current team */
+export interface TeamsGetInfoArgs {}
+
+/** Arguments of teams-help: Get help information about available Teams commands */
+export interface TeamsHelpArgs {
+  /** Optional category to filter commands by */
+  category?: "UserManagement" | "ChannelManagement" | "Messaging" | "Files" | "Meetings" | "Tasks" | "Integrations" | "Presence" | "Support";
+}
+
+/** Arguments of teams-report-issue: Report an issue or request support for the team */
+export interface TeamsReportIssueArgs {
+  /** Brief title describing the issue */
+  title: string;
+  /** Detailed description of the issue */
+  description: string;
+  /**
+   * Issue priority level
+   * @default "normal"
+   */
+  priority?: "low" | "normal" | "high" | "urgent";
+  /**
+   * Issue category
+   * @default "technical"
+   */
+  category?: "technical" | "access" | "permissions" | "teams-app" | "files" | "meetings" | "other";
+  /**
+   * Contact email for follow-up (optional, defaults to user's email)
+   * Format: email
+   */
+  contactEmail?: string;
+  /** File IDs or names to attach to the issue */
+  attachments?: string[];
+}
+
+/** Argument types of every Teams tool, by tool name */
+export interface TeamsToolArgs {
+  "teams-list-members": TeamsListMembersArgs;
+  "teams-add-member": TeamsAddMemberArgs;
+  "teams-remove-member": TeamsRemoveMemberArgs;
+  "teams-list-owners": TeamsListOwnersArgs;
+  "teams-list-guests": TeamsListGuestsArgs;
+  "teams-invite-guest": TeamsInviteGuestArgs;
+  "teams-remove-guest": TeamsRemoveGuestArgs;
+  "teams-promote-to-owner": TeamsPromoteToOwnerArgs;
+  "teams-demote-from-owner": TeamsDemoteFromOwnerArgs;
+  "teams-mute-user": TeamsMuteUserArgs;
+  "teams-unmute-user": TeamsUnmuteUserArgs;
+  "teams-list-channels": TeamsListChannelsArgs;
+  "teams-create-channel": TeamsCreateChannelArgs;
+  "teams-archive-channel": TeamsArchiveChannelArgs;
+  "teams-get-channel-info": TeamsGetChannelInfoArgs;
+  "teams-get-channel-analytics": TeamsGetChannelAnalyticsArgs;
+  "teams-rename-channel": TeamsRenameChannelArgs;
+  "teams-set-channel-privacy": TeamsSetChannelPrivacyArgs;
+  "teams-set-channel-topic": TeamsSetChannelTopicArgs;
+  "teams-lock-channel": TeamsLockChannelArgs;
+  "teams-unlock-channel": TeamsUnlockChannelArgs;
+  "teams-pin-message": TeamsPinMessageArgs;
+  "teams-unpin-message": TeamsUnpinMessageArgs;
+  "teams-search-messages": TeamsSearchMessagesArgs;
+  "teams-send-announcement": TeamsSendAnnouncementArgs;
+  "teams-export-messages": TeamsExportMessagesArgs;
+  "teams-upload-file": TeamsUploadFileArgs;
+  "teams-download-file": TeamsDownloadFileArgs;
+  "teams-delete-file": TeamsDeleteFileArgs;
+  "teams-list-files": TeamsListFilesArgs;
+  "teams-schedule-meeting": TeamsScheduleMeetingArgs;
+  "teams-cancel-meeting": TeamsCancelMeetingArgs;
+  "teams-list-meetings": TeamsListMeetingsArgs;
+  "teams-assign-task": TeamsAssignTaskArgs;
+  "teams-complete-task": TeamsCompleteTaskArgs;
+  "teams-list-tasks": TeamsListTasksArgs;
+  "teams-start-poll": TeamsStartPollArgs;
+  "teams-show-poll-results": TeamsShowPollResultsArgs;
+  "teams-add-agent": TeamsAddAgentArgs;
+  "teams-remove-bot": TeamsRemoveBotArgs;
+  "teams-list-agents": TeamsListAgentsArgs;
+  "teams-add-tab": TeamsAddTabArgs;
+  "teams-remove-tab": TeamsRemoveTabArgs;
+  "teams-list-apps": TeamsListAppsArgs;
+  "teams-get-status": TeamsGetStatusArgs;
+  "teams-set-status": TeamsSetStatusArgs;
+  "teams-set-notification": TeamsSetNotificationArgs;
+  "teams-get-info": TeamsGetInfoArgs;
+  "teams-help": TeamsHelpArgs;
+  "teams-report-issue": TeamsReportIssueArgs;
+}
+
+/** Names of the Teams tools */
+export type TeamsToolName = keyof TeamsToolArgs;